@@ -95,6 +95,39 @@ function calculateRotation(ewEdge, isInverted) {
     return angle;
 }
 
+/**
+ * Grow a triangle outward by a fixed distance on every edge (print bleed)
+ * Offsetting all edges of a triangle by d equals scaling it about its incenter
+ * by (r + d) / r, where r is the inradius
+ * @param {Array} points - Three {x, y} vertices in pixels
+ * @param {number} distance - Bleed in pixels
+ * @returns {Array} Three expanded {x, y} vertices
+ */
+function expandTriangle(points, distance) {
+    if (!distance) {
+        return points;
+    }
+
+    const [A, B, C] = points;
+    const a = Math.hypot(C.x - B.x, C.y - B.y);  // Side opposite A
+    const b = Math.hypot(A.x - C.x, A.y - C.y);  // Side opposite B
+    const c = Math.hypot(B.x - A.x, B.y - A.y);  // Side opposite C
+    const perimeter = a + b + c;
+
+    const incenter = {
+        x: (a * A.x + b * B.x + c * C.x) / perimeter,
+        y: (a * A.y + b * B.y + c * C.y) / perimeter
+    };
+    const area = Math.abs((B.x - A.x) * (C.y - A.y) - (C.x - A.x) * (B.y - A.y)) / 2;
+    const inradius = 2 * area / perimeter;
+    const k = (inradius + distance) / inradius;
+
+    return points.map(p => ({
+        x: incenter.x + (p.x - incenter.x) * k,
+        y: incenter.y + (p.y - incenter.y) * k
+    }));
+}
+
 // ============================================
 // SERVER API INTEGRATION
 // ============================================
@@ -106,6 +139,12 @@ let currentJobId = null; // Current generation job ID
 let currentSectorCode = null; // Current sector being processed
 let generationMode = null; // 'only-missing' or 'replace-all'
 
+// Tile leasing: several tabs/machines can work on the same job without generating a tile twice
+// (crypto.randomUUID() needs a secure context, which LAN access over http is not)
+const GENERATOR_CLIENT_ID = `tab_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+const LEASE_BATCH_SIZE = 2; // Tiles leased per request
+const LEASE_POLL_MS = 5000; // Wait before asking again when other clients hold the remaining tiles
+
 /**
  * Smart waiting function: Wait for canvas to be ready using event-driven approach
  * with timeout fallback (better than static delays)
@@ -205,20 +244,37 @@ async function checkTileExists(tileCode) {
 
 /**
  * Upload a tile image to the server (sector-based)
+ * qualityReasons are what the browser found in the capture (see checkCaptureQuality());
+ * the server checks the image again and rejects it with 422 or stores it flagged
  */
-async function uploadTileToServer(tileCode, imageBlob) {
+async function uploadTileToServer(tileCode, imageBlob, qualityReasons = []) {
     const formData = new FormData();
     formData.append('image', imageBlob, `${tileCode}.png`);
     formData.append('tileCode', tileCode);
     formData.append('sectorCode', currentSectorCode);
     if (currentJobId) {
         formData.append('jobId', currentJobId);
+        formData.append('clientId', GENERATOR_CLIENT_ID); // Only the lease holder finishes a job's tile
+    }
+    if (qualityReasons.length > 0) {
+        formData.append('quality', JSON.stringify(qualityReasons));
+    }
+
+    // SHA-256 of the image, so the server can tell a damaged upload from a good one
+    // (crypto.subtle only exists on https and localhost pages)
+    const headers = {};
+    if (window.crypto && window.crypto.subtle) {
+        const digest = await crypto.subtle.digest('SHA-256', await imageBlob.arrayBuffer());
+        headers['X-Content-SHA256'] = Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
     }
 
     try {
         // Use new sector-based endpoint
         const response = await fetch(`${API_URL}/tiles/upload`, {
             method: 'POST',
+            headers,
             body: formData
         });
 
@@ -230,6 +286,73 @@ async function uploadTileToServer(tileCode, imageBlob) {
     }
 }
 
+/**
+ * Lease the next tiles of the current job for this client
+ * Asking again also renews the leases this client still holds
+ */
+async function leaseTiles(count) {
+    const response = await fetch(`${API_URL}/jobs/${currentJobId}/lease`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ clientId: GENERATOR_CLIENT_ID, count })
+    });
+
+    const result = await response.json();
+    if (!result.success) {
+        throw new Error(result.error || 'Lease failed');
+    }
+    return result;
+}
+
+/**
+ * Tell the server a leased tile failed so it goes back into the queue
+ */
+async function failLease(tileCode, errorMessage) {
+    try {
+        await fetch(`${API_URL}/jobs/${currentJobId}/lease/fail`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ clientId: GENERATOR_CLIENT_ID, tileCode, error: errorMessage })
+        });
+    } catch (error) {
+        // The lease will time out on its own
+        console.warn(`⚠️ Could not report failed lease for ${tileCode}:`, error);
+    }
+}
+
+/**
+ * Return all tiles leased by this client to the queue
+ */
+async function releaseLeases() {
+    try {
+        await fetch(`${API_URL}/jobs/${currentJobId}/lease/release`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ clientId: GENERATOR_CLIENT_ID })
+        });
+    } catch (error) {
+        console.warn('⚠️ Could not release leases:', error);
+    }
+}
+
+/**
+ * Find a running browser-generated job for a sector that this tab can join
+ */
+async function findActiveClientJob(sectorCode) {
+    try {
+        const response = await fetch(`${API_URL}/jobs`);
+        const jobs = await response.json();
+        return jobs.find(job =>
+            job.sectorCode === sectorCode &&
+            job.executor === 'client' &&
+            ['running', 'paused'].includes(job.status)
+        ) || null;
+    } catch (error) {
+        console.warn('⚠️ Could not list jobs:', error);
+        return null;
+    }
+}
+
 // ============================================
 // CONFIGURATION
 // ============================================
@@ -252,6 +375,8 @@ const OUTPUT_CONFIG = {
     scale: 100000,  // 1:100,000
     labelHeight: 60,  // Space for tile label at bottom
     fixedPadding: 10,  // Fixed padding in pixels (on each side)
+    maskMode: 'none',  // 'none' (rectangle), 'transparent' or 'white' outside the triangle
+    bleedMm: 0,  // Extra imagery around the masked triangle for trimming
     /**
      * Calculate pixel dimensions from E-W edge length
      * At 1:100,000 scale: E-W edge (km) = print width (cm)
@@ -280,6 +405,8 @@ let map = null;              // Visible map for user interaction
 let captureMap = null;       // Hidden map for image capture (user never sees this)
 let tileLayer = null;
 let captureTileLayer = null; // Tile layer for capture map
+let imageryProviders = [];   // From /api/imagery/providers (imagery.json on the server)
+let currentImagery = null;   // Provider shown on both maps and used for new jobs
 let triangleLayer = null;
 let subTileLayers = [];  // Array to hold sub-tile polygon layers
 let currentTileData = { ...DEFAULT_TILE };
@@ -293,10 +420,11 @@ let tileLookup = null;
 // INITIALIZATION
 // ============================================
 
-document.addEventListener('DOMContentLoaded', function() {
+document.addEventListener('DOMContentLoaded', async function() {
     // Initialize TileLookup
     tileLookup = new TileLookup();
 
+    await loadImageryProviders();
     initMap();
     updateDisplay();
 
@@ -309,10 +437,95 @@ document.addEventListener('DOMContentLoaded', function() {
 
     // Add file input handler
     document.getElementById('kml-file').addEventListener('change', handleKMLFile);
+
+    document.getElementById('imagery-provider').addEventListener('change', function(e) {
+        setImagery(e.target.value);
+    });
 });
 
+// ============================================
+// IMAGERY PROVIDERS
+// ============================================
+
+// Used when the provider list can't be loaded (e.g. index.html opened without the server)
+const FALLBACK_IMAGERY = {
+    id: 'esri-world-imagery',
+    name: 'Esri World Imagery',
+    tileUrl: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+    maxZoom: 19,
+    tileSize: 256,
+    attribution: 'Tiles © Esri',
+    licence: ''
+};
+
 /**
- * Initialize the Leaflet map with Esri satellite imagery
+ * Load the server's imagery providers into the imagery selector
+ */
+async function loadImageryProviders() {
+    try {
+        const response = await fetch(`${API_URL}/imagery/providers`);
+        const result = await response.json();
+        imageryProviders = result.providers;
+        currentImagery = imageryProviders.find(p => p.id === result.default) || imageryProviders[0];
+    } catch (error) {
+        console.warn('⚠️ Could not load imagery providers, using Esri directly:', error);
+        imageryProviders = [FALLBACK_IMAGERY];
+        currentImagery = FALLBACK_IMAGERY;
+    }
+
+    const select = document.getElementById('imagery-provider');
+    select.innerHTML = imageryProviders
+        .map(p => `<option value="${p.id}">${p.name}</option>`)
+        .join('');
+    select.value = currentImagery.id;
+    document.getElementById('imagery-licence').textContent = currentImagery.licence;
+}
+
+/**
+ * Leaflet layer for an imagery provider (tiles come through the server's proxy)
+ */
+function createImageryLayer(provider) {
+    // 512px tiles cover a 256px map zoom one level lower
+    const zoomOffset = provider.tileSize === 512 ? -1 : 0;
+    return L.tileLayer(provider.tileUrl, {
+        attribution: provider.attribution,
+        maxNativeZoom: provider.maxZoom - zoomOffset,
+        maxZoom: 19,
+        tileSize: provider.tileSize,
+        zoomOffset
+    });
+}
+
+/**
+ * Switch both maps to another imagery provider
+ */
+function setImagery(providerId) {
+    const provider = imageryProviders.find(p => p.id === providerId);
+    if (batchState.isRunning) {
+        // A running job keeps the imagery it was started with
+        document.getElementById('imagery-provider').value = currentImagery.id;
+        return;
+    }
+    if (!provider || provider === currentImagery) {
+        return;
+    }
+
+    currentImagery = provider;
+    document.getElementById('imagery-provider').value = provider.id;
+    document.getElementById('imagery-licence').textContent = provider.licence;
+
+    map.removeLayer(tileLayer);
+    tileLayer = createImageryLayer(provider).addTo(map);
+
+    if (captureMap) {
+        captureMap.removeLayer(captureTileLayer);
+        captureTileLayer = createImageryLayer(provider).addTo(captureMap);
+    }
+    console.log(`🛰️ Imagery: ${provider.name}`);
+}
+
+/**
+ * Initialize the Leaflet map with the selected satellite imagery
  */
 function initMap() {
     // Calculate center of the default triangle
@@ -325,14 +538,7 @@ function initMap() {
         zoomControl: true
     });
 
-    // Add Esri World Imagery (free satellite basemap)
-    tileLayer = L.tileLayer(
-        'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
-        {
-            attribution: 'Tiles © Esri',
-            maxZoom: 19
-        }
-    ).addTo(map);
+    tileLayer = createImageryLayer(currentImagery).addTo(map);
 
     // Draw the default triangle
     drawTriangle(DEFAULT_TILE.coordinates);
@@ -380,13 +586,7 @@ function initCaptureMap() {
     });
 
     // Add same satellite tile layer as visible map
-    captureTileLayer = L.tileLayer(
-        'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
-        {
-            attribution: 'Tiles © Esri',
-            maxZoom: 19
-        }
-    ).addTo(captureMap);
+    captureTileLayer = createImageryLayer(currentImagery).addTo(captureMap);
 
     console.log('✅ Hidden capture map initialized');
 }
@@ -509,8 +709,7 @@ function calculateBounds(coordinates) {
 function getSubTileCoordinates(tileCode) {
     const subTiles = [];
 
-    for (let i = 1; i <= 9; i++) {
-        const subTileCode = tileCode + i;
+    for (const subTileCode of tileLookup.children(tileCode)) {
         try {
             const locations = tileLookup.nameToLocations(subTileCode);
             // Convert to [lng, lat] format and close the triangle
@@ -533,75 +732,69 @@ function getSubTileCoordinates(tileCode) {
 }
 
 // ============================================
-// KML PARSING
+// KML IMPORT
 // ============================================
 
 /**
- * Parse KML file and extract main tile coordinates
+ * Send a KML/KMZ file to the server importer, which checks every polygon placemark
+ * against its tile code (see server/kmlImport.js)
  */
-function parseKML(kmlText) {
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(kmlText, 'text/xml');
-
-    // Get all placemarks
-    const placemarks = doc.querySelectorAll('Placemark');
-
-    if (placemarks.length === 0) {
-        throw new Error('No placemarks found in KML');
-    }
-
-    // Get the first placemark (main tile)
-    const firstPlacemark = placemarks[0];
-    const name = firstPlacemark.querySelector('n')?.textContent ||
-                firstPlacemark.querySelector('name')?.textContent ||
-                'Unknown';
-
-    const coordsText = firstPlacemark.querySelector('coordinates')?.textContent;
-
-    if (!coordsText) {
-        throw new Error('No coordinates found in KML');
+async function importKML(file, options = {}) {
+    const formData = new FormData();
+    formData.append('file', file);
+    for (const [key, value] of Object.entries(options)) {
+        formData.append(key, value);
     }
 
-    // Parse coordinates
-    const coordinates = coordsText.trim().split('\n').map(line => {
-        const parts = line.trim().split(',');
-        return [parseFloat(parts[0]), parseFloat(parts[1])];
+    const response = await fetch(`${API_URL}/import/kml`, {
+        method: 'POST',
+        body: formData
     });
-
-    return {
-        code: name,
-        coordinates: coordinates
-    };
+    const result = await response.json();
+    if (!response.ok || !result.success) {
+        throw new Error(result.error || `Import failed (${response.status})`);
+    }
+    return result;
 }
 
 /**
- * Handle KML file upload
+ * Handle KML/KMZ file upload: show the first matching tile and offer to queue them all
  */
-function handleKMLFile(e) {
+async function handleKMLFile(e) {
     const file = e.target.files[0];
     if (!file) return;
 
-    const reader = new FileReader();
-    reader.onload = function(event) {
-        try {
-            const kmlText = event.target.result;
-            currentTileData = parseKML(kmlText);
+    try {
+        setStatus('Checking KML placemarks...', 'info');
+        const { summary, results } = await importKML(file);
 
-            // Update tile code input
-            document.getElementById('tile-code').value = currentTileData.code;
+        const mismatches = results.filter(r => r.status !== 'ok');
+        mismatches.forEach(r => console.warn(`⚠️ KML placemark "${r.name}": ${r.error}` +
+            (r.suggestedCode ? ` (polygon is in ${r.suggestedCode})` : '')));
 
-            // Update map
-            drawTriangle(currentTileData.coordinates);
+        const first = results.find(r => r.status === 'ok');
+        if (first) {
+            document.getElementById('tile-code').value = first.code;
+            loadTileFromCode();
+        }
 
-            // Update display
-            updateDisplay();
+        const report = `KML: ${summary.ok}/${summary.placemarks} placemarks match their tile` +
+            (mismatches.length > 0 ? `, ${mismatches.length} mismatched or invalid (see console)` : '');
+        setStatus(report, mismatches.length > 0 ? 'error' : 'info');
 
-            setStatus('KML loaded: ' + currentTileData.code, 'info');
-        } catch (error) {
-            setStatus('Error parsing KML: ' + error.message, 'error');
+        if (summary.tiles > 0 && confirm(
+            `${report}.\n\nQueue all ${summary.tiles} tiles (${summary.sectors.length} sector(s)) ` +
+            'for server generation? Tiles already uploaded are skipped.'
+        )) {
+            const queued = await importKML(file, { enqueue: 'true', mode: 'only-missing', executor: 'server' });
+            setStatus(`Queued ${queued.tilesToGenerate} tiles from ${file.name} (job ${queued.jobId})`, 'info');
         }
-    };
-    reader.readAsText(file);
+    } catch (error) {
+        setStatus('Error importing KML: ' + error.message, 'error');
+    } finally {
+        // Choosing the same file again should import it again
+        e.target.value = '';
+    }
 }
 
 // ============================================
@@ -695,7 +888,8 @@ function calculateTriangleBounds(coordinates) {
  * ENHANCED: Longer wait times, error tracking, multiple verification stages
  * @param {L.TileLayer} tileLayer - Leaflet tile layer to wait for
  * @param {number} maxWait - Maximum wait time in milliseconds (default 20000)
- * @returns {Promise} Resolves when tiles loaded+rendered or timeout reached
+ * @returns {Promise<Object>} Resolves when tiles loaded+rendered or timeout reached, with
+ *   { loaded, errors, timedOut } for the quality check
  */
 function waitForTilesToLoad(tileLayer, maxWait = 20000) {
     return new Promise((resolve) => {
@@ -720,7 +914,7 @@ function waitForTilesToLoad(tileLayer, maxWait = 20000) {
             console.log(`✅ Tiles already in cache (${cachedTileCount} tiles), waiting for render...`);
             setTimeout(() => {
                 console.log('✅ Render wait complete, ready to capture');
-                resolve();
+                resolve({ loaded: cachedTileCount, errors: 0, timedOut: false });
             }, 2000);
             return;
         }
@@ -730,8 +924,8 @@ function waitForTilesToLoad(tileLayer, maxWait = 20000) {
             console.warn(`⏱️ Tile loading timeout after ${maxWait}ms`);
             console.warn(`   Loaded: ${loadedCount} tiles, Errors: ${errorCount} tiles`);
             cleanup();
-            // Still resolve - proceed with whatever we have
-            resolve();
+            // Still resolve - proceed with whatever we have (the quality check flags it)
+            resolve({ loaded: loadedCount, errors: errorCount, timedOut: true });
         }, maxWait);
 
         // Detect when tile loading starts
@@ -769,7 +963,7 @@ function waitForTilesToLoad(tileLayer, maxWait = 20000) {
             console.log('⏳ Waiting 2000ms for render and paint...');
             setTimeout(() => {
                 console.log('✅ Render wait complete, ready to capture');
-                resolve();
+                resolve({ loaded: loadedCount, errors: errorCount, timedOut: false });
             }, 2000);
         };
 
@@ -986,7 +1180,7 @@ async function generateImage() {
         // Step 5: Wait for capture map tiles to fully load AND render
         // This ensures satellite imagery is complete before capturing
         // ENHANCED: 25 second timeout + 2 second render wait = 27 seconds total
-        await waitForTilesToLoad(captureTileLayer, 25000);
+        const tileLoad = await waitForTilesToLoad(captureTileLayer, 25000);
 
         // Step 6: Capture the HIDDEN map (user never sees this)
         const canvas = await html2canvas(captureElement, {
@@ -1007,6 +1201,7 @@ async function generateImage() {
 
         // Step 7: Process the captured image with scaling
         await processImageWithScaling(canvas, bounds, capturedZoom);
+        currentTileData.tileLoad = tileLoad;
 
         // Show download button
         document.getElementById('download-btn').classList.remove('hidden');
@@ -1056,15 +1251,24 @@ async function processImageWithScaling(capturedCanvas, triangleBounds, capturedZ
         };
     }
 
-    // Get triangle vertices in captured image pixels
+    // Triangle mask + bleed: the crop is widened so the bleed-expanded triangle
+    // still has imagery under it. The scale factor does not depend on the crop size,
+    // so it can be measured on the full capture here.
+    const mask = getMaskOptions();
+    const bleedPixels = mask.mode !== 'none' ? mask.bleedMm / 25.4 * CAPTURE_CONFIG.dpi : 0;
+    const bleedCapturePixels = bleedPixels > 0
+        ? bleedPixels / calculateScaleFactor(capturedCanvas, bounds, capturedZoom).scaleFactor
+        : 0;
+
+    // Get triangle vertices in captured image pixels (grown by the bleed, if any)
     const vertices = currentTileData.coordinates.slice(0, 3);
-    const pixelVertices = vertices.map(v => geoCoordsToPixels(v[0], v[1]));
+    const pixelVertices = expandTriangle(vertices.map(v => geoCoordsToPixels(v[0], v[1])), bleedCapturePixels);
 
-    // Find bounding box of triangle in captured image
-    const minX = Math.min(pixelVertices[0].x, pixelVertices[1].x, pixelVertices[2].x);
-    const maxX = Math.max(pixelVertices[0].x, pixelVertices[1].x, pixelVertices[2].x);
-    const minY = Math.min(pixelVertices[0].y, pixelVertices[1].y, pixelVertices[2].y);
-    const maxY = Math.max(pixelVertices[0].y, pixelVertices[1].y, pixelVertices[2].y);
+    // Find bounding box of triangle in captured image (kept inside the capture)
+    const minX = Math.max(0, Math.min(pixelVertices[0].x, pixelVertices[1].x, pixelVertices[2].x));
+    const maxX = Math.min(capturedCanvas.width, Math.max(pixelVertices[0].x, pixelVertices[1].x, pixelVertices[2].x));
+    const minY = Math.max(0, Math.min(pixelVertices[0].y, pixelVertices[1].y, pixelVertices[2].y));
+    const maxY = Math.min(capturedCanvas.height, Math.max(pixelVertices[0].y, pixelVertices[1].y, pixelVertices[2].y));
 
     const cropWidth = maxX - minX;
     const cropHeight = maxY - minY;
@@ -1194,6 +1398,17 @@ async function processImageWithScaling(capturedCanvas, triangleBounds, capturedZ
     );
     ctx.restore();
 
+    // Where the triangle sits in the decal (also used by the imagery quality check)
+    const { toCanvasCoords } = createOutputProjection(canvasWidth, canvasHeight, rotationAngle, scaledWidth, scaledHeight);
+    const trianglePoints = currentTileData.coordinates.slice(0, 3).map(v => toCanvasCoords(v[0], v[1]));
+
+    // 9b. Clip to the exact triangle (grown by the bleed) - transparent or white outside
+    if (mask.mode !== 'none') {
+        applyTriangleMask(ctx, expandTriangle(trianglePoints, bleedPixels), canvasWidth, canvasHeight, mask.mode);
+
+        console.log('🔺 Triangle mask:', { mode: mask.mode, bleedMm: mask.bleedMm, bleedPixels });
+    }
+
     // 10. Draw triangle overlay with correct coordinate mapping
     drawTriangleOnCanvas(ctx, canvasWidth, canvasHeight, rotationAngle, scaledWidth, scaledHeight);
 
@@ -1213,21 +1428,24 @@ async function processImageWithScaling(capturedCanvas, triangleBounds, capturedZ
     currentTileData.trianglePixels = triangleSize;
     currentTileData.outputPixels = { width: canvasWidth, height: canvasHeight };
     currentTileData.sourceCanvasSize = { width: scaledWidth, height: scaledHeight };
+    currentTileData.decalTriangle = trianglePoints;
+    currentTileData.rotationAngle = rotationAngle;
 
     // Restore original bounds
     capturedMapBounds = originalBounds;
 }
 
 /**
- * Draw triangle boundary on the output canvas (main tile + sub-tiles)
- * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * Map geographic coordinates onto the output canvas, following the same
+ * crop → scale → rotate transform as the imagery (uses capturedMapBounds)
  * @param {number} canvasWidth - Width of the output canvas
  * @param {number} canvasHeight - Height of the output canvas
  * @param {number} rotationAngle - Rotation angle in radians (optional)
  * @param {number} scaledWidth - Width of the scaled source canvas (for scale compensation)
  * @param {number} scaledHeight - Height of the scaled source canvas (for scale compensation)
+ * @returns {Object} Projection parameters and toCanvasCoords(lng, lat) → {x, y}
  */
-function drawTriangleOnCanvas(ctx, canvasWidth, canvasHeight, rotationAngle = 0, scaledWidth = null, scaledHeight = null) {
+function createOutputProjection(canvasWidth, canvasHeight, rotationAngle = 0, scaledWidth = null, scaledHeight = null) {
     // Use the actual map bounds that were captured, not calculated tile bounds
     // This ensures the triangle aligns with the satellite imagery
     const bounds = capturedMapBounds || calculateBounds(currentTileData.coordinates);
@@ -1248,19 +1466,6 @@ function drawTriangleOnCanvas(ctx, canvasWidth, canvasHeight, rotationAngle = 0,
     const scaleFactorX = scaledWidth ? (canvasWidth / scaledWidth) : 1.0;
     const scaleFactorY = scaledHeight ? (canvasHeight / scaledHeight) : 1.0;
 
-    console.log('🎨 Drawing triangle on canvas:', {
-        canvasWidth: canvasWidth,
-        canvasHeight: canvasHeight,
-        scaledWidth: scaledWidth,
-        scaledHeight: scaledHeight,
-        scaleFactorX: scaleFactorX,
-        scaleFactorY: scaleFactorY,
-        rotationAngle: rotationAngle,
-        capturedBounds: bounds,
-        latRange: latRange,
-        lngRange: lngRange
-    });
-
     // Convert coordinates to canvas pixels (before rotation)
     function toCanvasCoords(lng, lat) {
         // Map coordinates to canvas pixels using the actual captured bounds
@@ -1290,6 +1495,87 @@ function drawTriangleOnCanvas(ctx, canvasWidth, canvasHeight, rotationAngle = 0,
         };
     }
 
+    return {
+        bounds, latRange, lngRange, centerLat, centerLng,
+        baseWidth, baseHeight, scaleFactorX, scaleFactorY, toCanvasCoords
+    };
+}
+
+/**
+ * Clip everything drawn so far to a triangle (exact decal shape)
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Array} points - Three {x, y} vertices in canvas pixels
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {string} maskMode - 'transparent' (alpha outside) or 'white'
+ */
+function applyTriangleMask(ctx, points, width, height, maskMode) {
+    ctx.save();
+
+    // Keep only the pixels covered by the triangle
+    ctx.globalCompositeOperation = 'destination-in';
+    ctx.beginPath();
+    ctx.moveTo(points[0].x, points[0].y);
+    ctx.lineTo(points[1].x, points[1].y);
+    ctx.lineTo(points[2].x, points[2].y);
+    ctx.closePath();
+    ctx.fillStyle = '#000000';
+    ctx.fill();
+
+    // Paint white behind the triangle instead of leaving it transparent
+    if (maskMode === 'white') {
+        ctx.globalCompositeOperation = 'destination-over';
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, width, height);
+    }
+
+    ctx.restore();
+}
+
+/**
+ * Read the output shape options from the UI (falls back to OUTPUT_CONFIG)
+ * @returns {Object} { mode: 'none' | 'transparent' | 'white', bleedMm }
+ */
+function getMaskOptions() {
+    const shapeSelect = document.getElementById('output-shape');
+    const bleedInput = document.getElementById('bleed-mm');
+    const mode = shapeSelect ? shapeSelect.value : OUTPUT_CONFIG.maskMode;
+    const bleedMm = bleedInput ? parseFloat(bleedInput.value) : OUTPUT_CONFIG.bleedMm;
+
+    return {
+        mode: ['transparent', 'white'].includes(mode) ? mode : 'none',
+        bleedMm: Number.isFinite(bleedMm) && bleedMm > 0 ? bleedMm : 0
+    };
+}
+
+/**
+ * Draw triangle boundary on the output canvas (main tile + sub-tiles)
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {number} canvasWidth - Width of the output canvas
+ * @param {number} canvasHeight - Height of the output canvas
+ * @param {number} rotationAngle - Rotation angle in radians (optional)
+ * @param {number} scaledWidth - Width of the scaled source canvas (for scale compensation)
+ * @param {number} scaledHeight - Height of the scaled source canvas (for scale compensation)
+ */
+function drawTriangleOnCanvas(ctx, canvasWidth, canvasHeight, rotationAngle = 0, scaledWidth = null, scaledHeight = null) {
+    const {
+        bounds, latRange, lngRange, centerLat, centerLng,
+        baseWidth, baseHeight, scaleFactorX, scaleFactorY, toCanvasCoords
+    } = createOutputProjection(canvasWidth, canvasHeight, rotationAngle, scaledWidth, scaledHeight);
+
+    console.log('🎨 Drawing triangle on canvas:', {
+        canvasWidth: canvasWidth,
+        canvasHeight: canvasHeight,
+        scaledWidth: scaledWidth,
+        scaledHeight: scaledHeight,
+        scaleFactorX: scaleFactorX,
+        scaleFactorY: scaleFactorY,
+        rotationAngle: rotationAngle,
+        capturedBounds: bounds,
+        latRange: latRange,
+        lngRange: lngRange
+    });
+
     // Calculate triangle vertices in pixel coordinates
     const vertices = currentTileData.coordinates.slice(0, 3);
 
@@ -1554,6 +1840,8 @@ let batchState = {
     isCancelled: false,
     startTime: 0,
     completed: 0,
+    initialCompleted: 0,
+    generated: 0,
     failed: 0,
     total: 0,
     currentTile: '',
@@ -1577,7 +1865,7 @@ async function showModeDialog(sectorCode) {
                 ? `Current status: ${sector.uploadedTiles} / ${sector.totalTiles} tiles (${(sector.uploadedTiles/sector.totalTiles*100).toFixed(1)}%)`
                 : `Sector ${sectorCode} is new (0 tiles)`;
 
-            const missingCount = sector.exists ? sector.missingTiles.length : 729;
+            const missingCount = sector.missingTiles.length;
             document.getElementById('dialog-status').textContent = statusText;
             document.getElementById('mode-missing-desc').textContent =
                 `Generate ${missingCount} missing tiles (skip existing)`;
@@ -1620,32 +1908,6 @@ function cancelDialog() {
     }
 }
 
-/**
- * Generate all tile codes for a sector (729 tiles)
- */
-function generateAllTileCodes(sectorCode) {
-    const tiles = [];
-
-    // FOR TESTING: Generate only 9 tiles (M713111 - M713119)
-    // To generate all 729 tiles, uncomment the full loops below
-    // for (let k = 1; k <= 9; k++) {
-    //     tiles.push(`${sectorCode}11${k}`);
-    // }
-
-    /* FULL VERSION (729 tiles):
-    */
-    for (let i = 1; i <= 9; i++) {
-        for (let j = 1; j <= 9; j++) {
-            for (let k = 1; k <= 9; k++) {
-                tiles.push(`${sectorCode}${i}${j}${k}`);
-            }
-        }
-    }
-
-    console.log(`Generated ${tiles.length} tile codes for sector ${sectorCode}`);
-    return tiles;
-}
-
 /**
  * Start batch generation process (sector-based)
  */
@@ -1660,10 +1922,23 @@ async function startBatchGeneration() {
         return;
     }
 
-    // Show mode selection dialog
-    const selectedMode = await showModeDialog(sectorCode);
-    if (!selectedMode) {
-        return; // User cancelled
+    // Another tab or machine may already be generating this sector
+    const activeJob = await findActiveClientJob(sectorCode);
+    const joinJob = activeJob && confirm(
+        `Sector ${sectorCode} already has a ${activeJob.status} generation job ` +
+        `(${activeJob.processedTiles}/${activeJob.totalTiles} tiles processed).\n\n` +
+        `Join it from this tab? Tiles are shared out so none is generated twice.`
+    );
+
+    let selectedMode;
+    if (joinJob) {
+        selectedMode = activeJob.mode;
+    } else {
+        // Show mode selection dialog
+        selectedMode = await showModeDialog(sectorCode);
+        if (!selectedMode) {
+            return; // User cancelled
+        }
     }
 
     // Store current sector and mode
@@ -1673,25 +1948,44 @@ async function startBatchGeneration() {
     console.log(`Starting generation for sector ${sectorCode} in mode: ${selectedMode}`);
 
     try {
-        // Start generation job on server
-        const response = await fetch(`${API_URL}/sectors/start-generation`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ sectorCode, mode: selectedMode })
-        });
+        let job;
+        if (joinJob) {
+            job = activeJob;
+            console.log(`Joining job: ${job.jobId} as ${GENERATOR_CLIENT_ID}`);
+            // Every tile of a job comes from the same imagery
+            if (job.imagery) {
+                setImagery(job.imagery);
+            }
+        } else {
+            // Start generation job on server
+            const response = await fetch(`${API_URL}/sectors/start-generation`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ sectorCode, mode: selectedMode, imagery: currentImagery.id })
+            });
 
-        if (!response.ok) {
-            throw new Error('Server returned error: ' + response.status);
-        }
+            if (!response.ok) {
+                throw new Error('Server returned error: ' + response.status);
+            }
 
-        const job = await response.json();
+            job = await response.json();
+            job.processedTiles = 0;
+            console.log(`Job created: ${job.jobId}`);
+
+            // Warm the server's imagery cache for the whole sector while this tab works,
+            // so captures don't wait on upstream downloads
+            fetch(`${API_URL}/sectors/${sectorCode}/prefetch-imagery`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ imagery: currentImagery.id, target: 'browser' })
+            }).catch(error => console.warn('⚠️ Imagery prefetch not started:', error));
+        }
         currentJobId = job.jobId;
 
-        console.log(`Job created: ${currentJobId}`);
-        console.log(`Tiles to generate: ${job.tilesToGenerate.length}`);
+        console.log(`Tiles to generate: ${job.totalTiles - job.processedTiles}`);
 
         // Check if there are no tiles to generate
-        if (job.tilesToGenerate.length === 0) {
+        if (job.totalTiles === 0) {
             const mode = job.mode;
             if (mode === 'only-missing') {
                 alert(`✅ Sector ${sectorCode} is already complete!\n\nAll 729 tiles have been generated.\n\nIf you want to regenerate tiles, use "Replace All Tiles" mode.`);
@@ -1701,14 +1995,16 @@ async function startBatchGeneration() {
             return;
         }
 
-        // Initialize batch state
+        // Initialize batch state (completed/total track the whole job, generated this tab only)
         batchState = {
             isRunning: true,
             isCancelled: false,
             startTime: Date.now(),
-            completed: 0,
+            completed: job.processedTiles,
+            initialCompleted: job.processedTiles,
+            generated: 0,
             failed: 0,
-            total: job.tilesToGenerate.length,
+            total: job.totalTiles,
             currentTile: '',
             failedTiles: []
         };
@@ -1719,7 +2015,7 @@ async function startBatchGeneration() {
         document.getElementById('progress-bar').style.width = '0%';
 
         // Process tiles
-        await processBatchTiles(sectorCode, job.tilesToGenerate);
+        await processBatchTiles(sectorCode);
 
     } catch (error) {
         console.error('Batch generation error:', error);
@@ -1735,71 +2031,90 @@ async function startBatchGeneration() {
 }
 
 /**
- * Process all tiles in batch and upload to server (sector-based)
+ * Process tiles leased from the current job and upload them to the server (sector-based)
+ * Any number of tabs can run this against the same job; the server hands out each tile once
  */
-async function processBatchTiles(sectorCode, tileCodes) {
-    console.log(`Starting batch generation for ${tileCodes.length} tiles...`);
+async function processBatchTiles(sectorCode) {
+    console.log(`Starting batch generation for job ${currentJobId} as ${GENERATOR_CLIENT_ID}...`);
     console.log(`Mode: ${generationMode}`);
 
-    for (let i = 0; i < tileCodes.length; i++) {
-        if (batchState.isCancelled) {
-            console.log('Batch generation cancelled by user');
-            alert(`Batch cancelled. ${batchState.completed} tiles completed.`);
-            return;
-        }
+    while (!batchState.isCancelled) {
+        const lease = await leaseTiles(LEASE_BATCH_SIZE);
+        batchState.completed = lease.job.processedTiles;
+        updateBatchProgress();
 
-        const tileCode = tileCodes[i];
-        batchState.currentTile = tileCode;
+        if (lease.tiles.length === 0) {
+            const { status, counts } = lease.job;
+            const outstanding = counts.queued + counts.leased + counts.running;
 
-        try {
-            // In replace-all mode, skip the exists check and always generate
-            if (generationMode === 'replace-all') {
-                console.log(`🔄 [${i + 1}/${tileCodes.length}] Regenerating ${tileCode}...`);
-            } else {
-                // In only-missing mode, check if tile exists
-                const exists = await checkTileExists(tileCode);
-                if (exists) {
-                    console.log(`✅ [${i + 1}/${tileCodes.length}] ${tileCode} - exists (skipped)`);
-                    batchState.completed++;
-                    updateBatchProgress();
-                    continue;
-                }
+            // Paused, retries backing off, or other clients still holding the last tiles
+            if (status === 'paused' || (status === 'running' && outstanding > 0)) {
+                await new Promise(resolve => setTimeout(resolve, LEASE_POLL_MS));
+                continue;
+            }
 
-                console.log(`🔄 [${i + 1}/${tileCodes.length}] Generating ${tileCode}...`);
+            console.log(`Job ${currentJobId} is ${status}`);
+            break;
+        }
+
+        for (const tileCode of lease.tiles) {
+            if (batchState.isCancelled) {
+                break;
             }
 
-            // Generate tile image
-            const imageBlob = await generateSingleTileImage(tileCode);
+            batchState.currentTile = tileCode;
+            console.log(`🔄 [${batchState.completed + 1}/${batchState.total}] Generating ${tileCode}...`);
 
-            // Upload to server with sector and job info
-            const result = await uploadTileToServer(tileCode, imageBlob);
+            try {
+                // Generate tile image
+                const imageBlob = await generateSingleTileImage(tileCode);
+                const qualityReasons = checkCaptureQuality();
+
+                // Upload to server with sector and job info (this finishes the lease)
+                // A rejected tile fails the lease, so it is captured again later
+                const result = await uploadTileToServer(tileCode, imageBlob, qualityReasons);
+
+                if (result.success) {
+                    const progress = result.sectorProgress ? result.sectorProgress.percentage : '?';
+                    console.log(`📤 ${tileCode} - uploaded (Sector: ${progress}%)`);
+                    if (result.quality && result.quality.status === 'flagged') {
+                        console.warn(`⚠️ ${tileCode} flagged: ${result.quality.reasons.map(r => r.code).join(', ')}`);
+                    }
+                    batchState.generated++;
+                    if (result.jobProgress) {
+                        batchState.completed = result.jobProgress.processed;
+                    }
+                } else {
+                    throw new Error(result.error || 'Upload failed');
+                }
 
-            if (result.success) {
-                const progress = result.sectorProgress ? result.sectorProgress.percentage : '?';
-                console.log(`📤 [${i + 1}/${tileCodes.length}] ${tileCode} - uploaded (Sector: ${progress}%)`);
-                batchState.completed++;
-            } else {
-                throw new Error(result.error || 'Upload failed');
+            } catch (error) {
+                console.error(`❌ Failed to process ${tileCode}:`, error);
+                batchState.failed++;
+                batchState.failedTiles.push({ code: tileCode, error: error.message });
+                await failLease(tileCode, error.message);
             }
 
-        } catch (error) {
-            console.error(`❌ Failed to process ${tileCode}:`, error);
-            batchState.failed++;
-            batchState.failedTiles.push({ code: tileCode, error: error.message });
-        }
+            updateBatchProgress();
 
-        updateBatchProgress();
+            // Delay after each tile to ensure map clears and prepares for next tile
+            // This prevents image quality issues from rapid successive generations
+            await new Promise(resolve => setTimeout(resolve, 500));
+        }
+    }
 
-        // Delay after each tile to ensure map clears and prepares for next tile
-        // This prevents image quality issues from rapid successive generations
-        await new Promise(resolve => setTimeout(resolve, 500));
+    if (batchState.isCancelled) {
+        await releaseLeases();
+        console.log('Batch generation cancelled by user');
+        alert(`Batch cancelled. ${batchState.generated} tiles generated by this tab.`);
+        return;
     }
 
-    if (batchState.completed === 0) {
+    if (batchState.generated === 0 && batchState.failed > 0) {
         throw new Error('No tiles were uploaded successfully');
     }
 
-    console.log(`✅ Upload complete! ${batchState.completed} tiles uploaded to server.`);
+    console.log(`✅ Upload complete! ${batchState.generated} tiles uploaded to server by this tab.`);
     showBatchSummary(sectorCode);
 }
 
@@ -1865,6 +2180,56 @@ async function generateSingleTileImage(tileCode) {
     });
 }
 
+/**
+ * Check the preview canvas for blank, unloaded and seamed imagery (lib/imageQuality.js,
+ * the same analysis the server runs on upload) and add what only the browser knows:
+ * whether the capture map timed out or had tile errors
+ * @returns {Array} Reasons [{ code, detail }], empty when the capture looks fine
+ */
+function checkCaptureQuality() {
+    const reasons = [];
+    const tileLoad = currentTileData.tileLoad;
+    if (tileLoad && (tileLoad.timedOut || tileLoad.errors > 0)) {
+        reasons.push({
+            code: 'partial-load',
+            detail: `${tileLoad.loaded} loaded, ${tileLoad.errors} errors${tileLoad.timedOut ? ', timed out' : ''}`
+        });
+    }
+
+    if (typeof ImageQuality === 'undefined' || !currentTileData.decalTriangle) {
+        return reasons;
+    }
+
+    // Analyse the decal without its label, downscaled without smoothing so fills stay exact
+    const preview = document.getElementById('preview-canvas');
+    const decalWidth = preview.width;
+    const decalHeight = preview.height - CAPTURE_CONFIG.labelHeight;
+    const scale = Math.min(1, 512 / decalWidth);
+    const analysisCanvas = document.createElement('canvas');
+    analysisCanvas.width = Math.max(1, Math.round(decalWidth * scale));
+    analysisCanvas.height = Math.max(1, Math.round(decalHeight * scale));
+    const ctx = analysisCanvas.getContext('2d');
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(preview, 0, 0, decalWidth, decalHeight, 0, 0, analysisCanvas.width, analysisCanvas.height);
+
+    const { data } = ctx.getImageData(0, 0, analysisCanvas.width, analysisCanvas.height);
+    const analysis = ImageQuality.analyzeImageQuality(
+        { data, width: analysisCanvas.width, height: analysisCanvas.height, channels: 4 },
+        {
+            triangle: currentTileData.decalTriangle.map(p => ({
+                x: p.x * analysisCanvas.width / decalWidth,
+                y: p.y * analysisCanvas.height / decalHeight
+            })),
+            rotation: currentTileData.rotationAngle
+        }
+    );
+
+    if (analysis.reasons.length > 0) {
+        console.warn(`⚠️ Capture quality (${currentTileData.code}):`, analysis.reasons, analysis.metrics);
+    }
+    return [...analysis.reasons, ...reasons];
+}
+
 /**
  * Generate ZIP file and trigger download
  */
@@ -1901,7 +2266,8 @@ async function generateAndDownloadZip(zip, sectorCode) {
 function updateBatchProgress() {
     const percentage = (batchState.completed / batchState.total * 100).toFixed(1);
     const elapsed = (Date.now() - batchState.startTime) / 1000;
-    const avgTimePerTile = elapsed / batchState.completed;
+    // Rate is measured from when this tab joined (other tabs speed it up)
+    const avgTimePerTile = elapsed / (batchState.completed - batchState.initialCompleted);
     const remaining = (batchState.total - batchState.completed) * avgTimePerTile;
 
     document.getElementById('progress-text').textContent =
@@ -1936,7 +2302,7 @@ function cancelBatch() {
         return;
     }
 
-    if (confirm('Cancel batch generation?\n\nProgress will be lost.')) {
+    if (confirm('Cancel batch generation?\n\nTiles leased by this tab go back to the job queue.')) {
         batchState.isCancelled = true;
         setStatus('Cancelling batch generation...', 'error');
     }
@@ -1947,11 +2313,12 @@ function cancelBatch() {
  */
 function showBatchSummary(sectorCode) {
     const elapsed = (Date.now() - batchState.startTime) / 1000;
-    const avgTime = elapsed / batchState.completed;
+    const avgTime = elapsed / batchState.generated;
 
     let message = `Batch Generation Complete!\n\n`;
     message += `Sector: ${sectorCode}\n`;
-    message += `Completed: ${batchState.completed} tiles\n`;
+    message += `Job: ${batchState.completed}/${batchState.total} tiles processed\n`;
+    message += `Generated by this tab: ${batchState.generated} tiles\n`;
     message += `Failed: ${batchState.failed} tiles\n`;
     message += `Total time: ${formatTime(elapsed)}\n`;
     message += `Average: ${avgTime.toFixed(1)}s per tile\n\n`;
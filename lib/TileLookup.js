@@ -4,10 +4,18 @@
  * Converts tile codes (e.g., "M713289") to geographic coordinates.
  * Based on icosahedral subdivision of the Earth's surface.
  *
+ * A code is a face letter (A-T) followed by one digit (1-9) per subdivision level,
+ * so its depth is its number of digits and each level splits a triangle into 9.
+ *
+ * ES module: the Node server imports it, the browser loads it with <script type="module">.
+ *
  * Original source: tag3.github.io
  */
 class TileLookup {
 
+    // Depth of the printed tiles (e.g. "M713289"), used when no depth is given
+    static DEFAULT_DEPTH = 6;
+
     constructor() {
         this.facets = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J', 'K', 'L', 'M', 'N', 'O', 'P', 'Q', 'R', 'S', 'T'];
 
@@ -139,10 +147,153 @@ class TileLookup {
      * Convert latitude/longitude to tile name
      * @param {number} latitude - Latitude in degrees
      * @param {number} longitude - Longitude in degrees
+     * @param {number} depth - Subdivision levels (default: DEFAULT_DEPTH)
      * @returns {string} Tile code
      */
-    locationToName(latitude, longitude) {
-        return this.pointToName(TileLookup.geoToPoint(latitude, longitude), 6);
+    locationToName(latitude, longitude, depth = TileLookup.DEFAULT_DEPTH) {
+        return this.pointToName(TileLookup.geoToPoint(latitude, longitude), depth);
+    }
+
+    // Hierarchy methods
+
+    /**
+     * Check a tile code: face letter A-T followed by digits 1-9 (any depth)
+     * @param {string} code - Tile code
+     * @returns {boolean}
+     */
+    isValidCode(code) {
+        return typeof code === 'string' && /^[A-T][1-9]*$/i.test(code);
+    }
+
+    /**
+     * Upper-case a tile code, throwing if it is invalid
+     * @param {string} code - Tile code
+     * @returns {string}
+     */
+    normalizeCode(code) {
+        if (!this.isValidCode(code)) {
+            throw new Error(`Invalid tile code: ${code} (expected a letter A-T followed by digits 1-9)`);
+        }
+        return code.toUpperCase();
+    }
+
+    /**
+     * Subdivision depth of a tile code ("M" → 0, "M713" → 3, "M713289" → 6)
+     * @param {string} code - Tile code
+     * @returns {number}
+     */
+    depth(code) {
+        return this.normalizeCode(code).length - 1;
+    }
+
+    /**
+     * Tile containing this one, one level up
+     * @param {string} code - Tile code
+     * @returns {string|null} Parent code, or null for a face (depth 0)
+     */
+    parent(code) {
+        code = this.normalizeCode(code);
+        return code.length > 1 ? code.slice(0, -1) : null;
+    }
+
+    /**
+     * Ancestor at a given depth ("M713289", 3 → "M713")
+     * @param {string} code - Tile code
+     * @param {number} depth - Depth of the ancestor, at most depth(code)
+     * @returns {string}
+     */
+    ancestor(code, depth) {
+        code = this.normalizeCode(code);
+        if (!Number.isInteger(depth) || depth < 0 || depth > code.length - 1) {
+            throw new Error(`Invalid depth ${depth} for tile code ${code}`);
+        }
+        return code.slice(0, depth + 1);
+    }
+
+    /**
+     * The 9 tiles one level down, in facet order (1-9)
+     * @param {string} code - Tile code
+     * @returns {Array} Child codes
+     */
+    children(code) {
+        code = this.normalizeCode(code);
+        const children = [];
+        for (let i = 1; i <= 9; i++) {
+            children.push(code + i);
+        }
+        return children;
+    }
+
+    /**
+     * All tiles a number of levels below a code (9^levels of them), in code order
+     * @param {string} code - Tile code
+     * @param {number} levels - Levels below the code ("M713", 3 → the 729 tiles M713111..M713999)
+     * @returns {Array} Descendant codes
+     */
+    descendants(code, levels = 1) {
+        code = this.normalizeCode(code);
+        if (!Number.isInteger(levels) || levels < 0) {
+            throw new Error(`Invalid number of levels: ${levels}`);
+        }
+
+        let codes = [code];
+        for (let i = 0; i < levels; i++) {
+            codes = codes.flatMap(c => this.children(c));
+        }
+        return codes;
+    }
+
+    /**
+     * Whether tile `a` contains tile `b` (strictly: a tile is not its own ancestor)
+     * @param {string} a - Possible ancestor code
+     * @param {string} b - Possible descendant code
+     * @returns {boolean}
+     */
+    isAncestor(a, b) {
+        a = this.normalizeCode(a);
+        b = this.normalizeCode(b);
+        return b.length > a.length && b.startsWith(a);
+    }
+
+    /**
+     * Tiles of the same depth that share an edge with this one, within its face or across
+     * to a neighbouring face. Each is found by stepping from the edge midpoint just over the
+     * edge, away from the tile's centre, and looking that point up.
+     * @param {string} code - Tile code
+     * @returns {Array} 3 entries { code, edge }, for the edges v0-v1, v1-v2 and v2-v0 of
+     *   nameToLocations(code); edge is the shared edge's two corners, each as [lat, lon]
+     */
+    neighbors(code) {
+        code = this.normalizeCode(code);
+        const depth = code.length - 1;
+        const verts = this.nameToFacet(code);
+        const center = TileLookup.interp(verts[0], verts[1], verts[2]);
+
+        return [[0, 1], [1, 2], [2, 0]].map(([i, j]) => {
+            const mid = TileLookup.normalize([
+                verts[i][0] + verts[j][0],
+                verts[i][1] + verts[j][1],
+                verts[i][2] + verts[j][2]
+            ]);
+
+            // Half the centre-to-edge distance past the edge: well inside the neighbour,
+            // whose far corner is about three times further away
+            const p = TileLookup.normalize([
+                mid[0] + (mid[0] - center[0]) / 2,
+                mid[1] + (mid[1] - center[1]) / 2,
+                mid[2] + (mid[2] - center[2]) / 2
+            ]);
+
+            const neighbor = this.pointToName(p, depth);
+            if (!neighbor || neighbor.length !== code.length) {
+                throw new Error(`Could not find the neighbour of ${code} across edge v${i}-v${j}`);
+            }
+
+            return {
+                code: neighbor,
+                edge: [TileLookup.pointToGeo(verts[i]), TileLookup.pointToGeo(verts[j])]
+            };
+        });
     }
 
     pointToName(p, depth) {
@@ -180,6 +331,108 @@ class TileLookup {
         return facetId;
     }
 
+    // GIS export
+
+    /**
+     * Tile properties for GIS export
+     * @param {string} code - Tile code
+     * @returns {Object} { code, depth, areaKm2, ewEdgeKm, inverted }
+     *   E-W edge = the most horizontal edge (smallest latitude difference), as in the renderer;
+     *   inverted = last digit 3, 6 or 8 (apex pointing down on the decal)
+     */
+    tileProperties(code) {
+        code = this.normalizeCode(code);
+        const verts = this.nameToFacet(code);
+        const locations = verts.map(v => TileLookup.pointToGeo(v));
+
+        let ewEdge = null;
+        for (const [i, j] of [[0, 1], [1, 2], [2, 0]]) {
+            const latDiff = Math.abs(locations[i][0] - locations[j][0]);
+            if (!ewEdge || latDiff < ewEdge.latDiff) {
+                ewEdge = { latDiff, i, j };
+            }
+        }
+
+        return {
+            code,
+            depth: code.length - 1,
+            areaKm2: TileLookup.sphericalArea(verts[0], verts[1], verts[2]) * TileLookup.EARTH_RADIUS_KM ** 2,
+            ewEdgeKm: TileLookup.haversine(locations[ewEdge.i], locations[ewEdge.j]),
+            inverted: ['3', '6', '8'].includes(code.slice(-1))
+        };
+    }
+
+    /**
+     * Tile outline as a closed ring of [lon, lat] (GeoJSON order) for flat GIS views.
+     * Tiles across the antimeridian keep continuous longitudes (beyond ±180), and a corner
+     * on a pole becomes a stretch of the pole between its neighbours' longitudes.
+     * @param {string} code - Tile code
+     * @returns {Array} Counter-clockwise ring of [lon, lat] points (RFC 7946), first point repeated at the end
+     */
+    polygonRing(code) {
+        const locations = this.nameToLocations(code);
+        const polar = locations.map(([lat]) => Math.abs(lat) > 90 - 1e-9);
+        const lons = locations.map(([, lon], i) => polar[i] ? null : lon);
+
+        // Unwrap longitudes around the first non-polar corner
+        const reference = lons.find(lon => lon !== null);
+        const unwrapped = lons.map(lon => {
+            if (lon === null) {
+                return null;
+            }
+            while (lon - reference > 180) lon -= 360;
+            while (lon - reference < -180) lon += 360;
+            return lon;
+        });
+
+        const ring = [];
+        locations.forEach(([lat], i) => {
+            if (!polar[i]) {
+                ring.push([unwrapped[i], lat]);
+                return;
+            }
+            const previous = unwrapped[(i + 2) % 3];
+            const next = unwrapped[(i + 1) % 3];
+            ring.push([previous, lat], [next, lat]);
+        });
+
+        // Shoelace sum: negative means clockwise in lon/lat
+        const signedArea = ring.reduce((sum, p, i) => {
+            const q = ring[(i + 1) % ring.length];
+            return sum + p[0] * q[1] - q[0] * p[1];
+        }, 0);
+        if (signedArea < 0) {
+            ring.reverse();
+        }
+
+        ring.push(ring[0]);
+        return ring;
+    }
+
+    /**
+     * GeoJSON FeatureCollection with one Polygon feature per tile
+     * @param {Array} codes - Tile codes
+     * @param {Function} extraProperties - Optional code => { ... } merged into each feature's properties
+     * @returns {Object} FeatureCollection (WGS 84 lon/lat)
+     */
+    toGeoJSON(codes, extraProperties = null) {
+        return {
+            type: 'FeatureCollection',
+            features: codes.map(code => {
+                const properties = this.tileProperties(code);
+                return {
+                    type: 'Feature',
+                    id: properties.code,
+                    properties: extraProperties ? { ...properties, ...extraProperties(properties.code) } : properties,
+                    geometry: {
+                        type: 'Polygon',
+                        coordinates: [this.polygonRing(properties.code)]
+                    }
+                };
+            })
+        };
+    }
+
     findTri(t, p, subt) {
         let v = [];
 
@@ -247,6 +500,23 @@ class TileLookup {
 
     // Static utility methods
 
+    static EARTH_RADIUS_KM = 6371;
+
+    // Area of a spherical triangle on the unit sphere (its spherical excess)
+    static sphericalArea(a, b, c) {
+        const triple = Math.abs(TileLookup.dot(a, TileLookup.cross(b, c)));
+        return 2 * Math.atan2(triple, 1 + TileLookup.dot(a, b) + TileLookup.dot(b, c) + TileLookup.dot(c, a));
+    }
+
+    // Great-circle distance in km between two [lat, lon] points
+    static haversine([lat1, lon1], [lat2, lon2]) {
+        const dLat = (lat2 - lat1) * Math.PI / 180;
+        const dLon = (lon2 - lon1) * Math.PI / 180;
+        const a = Math.sin(dLat / 2) ** 2 +
+                  Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * Math.sin(dLon / 2) ** 2;
+        return TileLookup.EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+
     static geoToPoint(latitude, longitude) {
         latitude *= Math.PI / 180;
         longitude *= Math.PI / 180;
@@ -305,3 +575,5 @@ class TileLookup {
         ]
     }
 }
+
+export default TileLookup;
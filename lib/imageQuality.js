@@ -0,0 +1,313 @@
+/**
+ * imageQuality - Find imagery defects in a rendered tile decal
+ *
+ * Looks only inside the tile's triangle (the overlay outline and the label strip are not
+ * imagery) for:
+ *  - missing imagery: blocks filled with the empty map background, i.e. imagery tiles that
+ *    never loaded (Leaflet's #ddd container background in browser captures, white where
+ *    the server renderer had no source tile)
+ *  - uniform regions: sizeable flat grey/white areas, which is what provider placeholders
+ *    ("Map data not yet available") and failed captures look like; open water is coloured
+ *    and textured, so it does not count
+ *  - seams: straight jumps in brightness along the source imagery's tile grid (tiles from
+ *    different zoom levels or dates, half-drawn tiles)
+ *
+ * ES module: the Node server runs it on uploads (pixels decoded with sharp), the browser
+ * runs it on the preview canvas before uploading.
+ */
+
+// Reason codes stored in tile metadata (tile.quality.reasons[].code)
+export const QUALITY_REASONS = {
+    'blank': 'Nearly the whole tile is one flat grey or white colour',
+    'missing-imagery': 'Part of the tile shows the empty map background or missing source tiles',
+    'uniform-region': 'A large flat grey or white region (provider placeholder or unloaded imagery)',
+    'seam': 'A straight brightness jump along the imagery tile grid',
+    'partial-load': 'The capture map timed out or had tile errors before the capture'
+};
+
+// Reasons that reject an upload unless configured otherwise; the rest only flag the tile
+export const DEFAULT_REJECT_REASONS = ['blank', 'missing-imagery'];
+
+// Empty map background: Leaflet's container colour where a tile has not loaded
+export const MAP_BACKGROUND_FILL = [0xdd, 0xdd, 0xdd];
+const FILL_TOLERANCE = 3;
+
+const BLOCK = 8;                    // Analysis block size (pixels)
+const FLAT_STDDEV = 1.5;            // Luma standard deviation below which a block is flat
+const ACHROMATIC_SPREAD = 10;       // Max channel spread of a grey/white block
+const REGION_LUMA_STEP = 6;         // Neighbouring flat blocks of one region differ less than this
+const REGION_MIN_BLOCKS = 16;       // Smaller flat patches are roofs, fields, water bodies
+const MISSING_MIN_FRACTION = 0.01;
+const UNIFORM_MIN_FRACTION = 0.02;
+const BLANK_MIN_FRACTION = 0.95;
+const SEAM_RATIO = 3;               // Seam gradient vs. the median of the lines around it
+const SEAM_MIN_GRADIENT = 10;
+const SEAM_MIN_SAMPLES = 40;
+const OVERLAY_MAX = 8;              // Near-black pixels are the triangle overlay, not imagery
+
+function luma(r, g, b) {
+    return 0.299 * r + 0.587 * g + 0.114 * b;
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted.length === 0 ? 0 : sorted[Math.floor(sorted.length / 2)];
+}
+
+function toHex(rgb) {
+    return '#' + rgb.map(v => Math.round(v).toString(16).padStart(2, '0')).join('');
+}
+
+// Point-in-triangle test for the triangle shrunk towards its centroid, so the outline
+// and the bleed along the edges stay out of the analysis
+function insideTest(triangle, shrink) {
+    const cx = (triangle[0].x + triangle[1].x + triangle[2].x) / 3;
+    const cy = (triangle[0].y + triangle[1].y + triangle[2].y) / 3;
+    const [a, b, c] = triangle.map(p => ({ x: cx + (p.x - cx) * shrink, y: cy + (p.y - cy) * shrink }));
+    const sign = (p, q, x, y) => (x - q.x) * (p.y - q.y) - (p.x - q.x) * (y - q.y);
+
+    return (x, y) => {
+        const d1 = sign(a, b, x, y);
+        const d2 = sign(b, c, x, y);
+        const d3 = sign(c, a, x, y);
+        return !((d1 < 0 || d2 < 0 || d3 < 0) && (d1 > 0 || d2 > 0 || d3 > 0));
+    };
+}
+
+// Flat, missing-fill and colour statistics per block inside the triangle
+function analyzeBlocks(image, inside, fillColors) {
+    const { data, width, height, channels } = image;
+    const columns = Math.floor(width / BLOCK);
+    const rows = Math.floor(height / BLOCK);
+    const blocks = [];
+
+    for (let by = 0; by < rows; by++) {
+        for (let bx = 0; bx < columns; bx++) {
+            const x0 = bx * BLOCK;
+            const y0 = by * BLOCK;
+            if (!inside(x0, y0) || !inside(x0 + BLOCK, y0) || !inside(x0, y0 + BLOCK) || !inside(x0 + BLOCK, y0 + BLOCK)) {
+                continue;
+            }
+
+            let sum = 0;
+            let sumSquares = 0;
+            let filled = 0;
+            const rgb = [0, 0, 0];
+            for (let y = y0; y < y0 + BLOCK; y++) {
+                for (let x = x0; x < x0 + BLOCK; x++) {
+                    const i = (y * width + x) * channels;
+                    const [r, g, b] = [data[i], data[i + 1], data[i + 2]];
+                    const l = luma(r, g, b);
+                    sum += l;
+                    sumSquares += l * l;
+                    rgb[0] += r;
+                    rgb[1] += g;
+                    rgb[2] += b;
+                    if (fillColors.some(fill =>
+                        Math.abs(r - fill[0]) <= FILL_TOLERANCE &&
+                        Math.abs(g - fill[1]) <= FILL_TOLERANCE &&
+                        Math.abs(b - fill[2]) <= FILL_TOLERANCE)) {
+                        filled++;
+                    }
+                }
+            }
+
+            const n = BLOCK * BLOCK;
+            const mean = sum / n;
+            const color = rgb.map(v => v / n);
+            const flat = Math.sqrt(Math.max(0, sumSquares / n - mean * mean)) < FLAT_STDDEV;
+            blocks.push({
+                bx,
+                by,
+                mean,
+                color,
+                missing: filled >= n * 0.75,
+                greyFlat: flat && Math.max(...color) - Math.min(...color) <= ACHROMATIC_SPREAD
+            });
+        }
+    }
+
+    return blocks;
+}
+
+// 4-connected regions of flat grey blocks of about the same brightness, at least
+// REGION_MIN_BLOCKS large: their total size and the colour of the largest one
+function uniformRegions(blocks) {
+    const byPosition = new Map(blocks.filter(b => b.greyFlat).map(b => [`${b.bx},${b.by}`, b]));
+    const seen = new Set();
+    let total = 0;
+    let largest = { size: 0, color: null };
+
+    for (const [key, start] of byPosition) {
+        if (seen.has(key)) {
+            continue;
+        }
+        seen.add(key);
+        const stack = [start];
+        let size = 0;
+        while (stack.length > 0) {
+            const block = stack.pop();
+            size++;
+            for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+                const neighbourKey = `${block.bx + dx},${block.by + dy}`;
+                const neighbour = byPosition.get(neighbourKey);
+                if (neighbour && !seen.has(neighbourKey) && Math.abs(neighbour.mean - block.mean) < REGION_LUMA_STEP) {
+                    seen.add(neighbourKey);
+                    stack.push(neighbour);
+                }
+            }
+        }
+        if (size >= REGION_MIN_BLOCKS) {
+            total += size;
+        }
+        if (size > largest.size) {
+            largest = { size, color: start.color };
+        }
+    }
+
+    return { size: total, color: largest.color };
+}
+
+// Lines of the source imagery grid (rotated into the decal) with a jump in brightness
+// across them that the neighbouring lines don't have
+function findSeams(image, inside, rotation) {
+    const { data, width, height, channels } = image;
+    // Grid axes in the decal: the decal was rotated by -rotation about its centre
+    const cos = Math.cos(-rotation);
+    const sin = Math.sin(-rotation);
+    const cx = width / 2;
+    const cy = height / 2;
+    const extent = Math.ceil(Math.hypot(width, height) / 2);
+
+    const sample = (u, v) => {
+        const x = Math.round(cx + u * cos - v * sin);
+        const y = Math.round(cy + u * sin + v * cos);
+        if (x < 0 || y < 0 || x >= width || y >= height || !inside(x, y)) {
+            return null;
+        }
+        const i = (y * width + x) * channels;
+        if (data[i] <= OVERLAY_MAX && data[i + 1] <= OVERLAY_MAX && data[i + 2] <= OVERLAY_MAX) {
+            return null;
+        }
+        return luma(data[i], data[i + 1], data[i + 2]);
+    };
+
+    // Brightness step between u and u + 1 that holds 1 and 2 pixels further out; a thin
+    // line (the dashed sub-tile overlay) jumps and comes back, so it doesn't count
+    const step = (axis, u, v) => {
+        let smallest = Infinity;
+        for (let k = 0; k <= 2; k++) {
+            const a = axis === 'vertical' ? sample(u - k, v) : sample(v, u - k);
+            const b = axis === 'vertical' ? sample(u + 1 + k, v) : sample(v, u + 1 + k);
+            if (a === null || b === null) {
+                return null;
+            }
+            smallest = Math.min(smallest, Math.abs(a - b));
+        }
+        return smallest;
+    };
+
+    const seams = [];
+    for (const axis of ['vertical', 'horizontal']) {
+        // Mean step across each line u → u + 1
+        const profile = [];
+        for (let u = -extent; u < extent; u++) {
+            let total = 0;
+            let count = 0;
+            for (let v = -extent; v < extent; v++) {
+                const difference = step(axis, u, v);
+                if (difference !== null) {
+                    total += difference;
+                    count++;
+                }
+            }
+            profile.push(count >= SEAM_MIN_SAMPLES ? total / count : null);
+        }
+
+        profile.forEach((gradient, i) => {
+            if (gradient === null || gradient < SEAM_MIN_GRADIENT) {
+                return;
+            }
+            const around = profile
+                .slice(Math.max(0, i - 8), i + 9)
+                .filter((g, j) => g !== null && Math.abs(j + Math.max(0, i - 8) - i) > 1);
+            if (around.length >= 4 && gradient >= SEAM_RATIO * median(around)) {
+                seams.push({ axis, offset: i - extent, gradient: Math.round(gradient) });
+            }
+        });
+    }
+
+    return seams;
+}
+
+/**
+ * Analyze the imagery of a decal
+ * @param {Object} image - { data (RGB or RGBA bytes), width, height, channels } of the decal
+ *   without its label strip (downscale large images first, nearest-neighbour so fills stay exact)
+ * @param {Object} options - { triangle: [{x, y}] × 3 in image pixels, rotation: radians the
+ *   decal was rotated by (calculateRotation()), 0 when unknown, fillColors: [[r, g, b]] that
+ *   missing imagery is drawn in (default: the map background) }
+ * @returns {Object} { reasons: [{ code, detail }], metrics }
+ */
+export function analyzeImageQuality(image, { triangle, rotation = 0, fillColors = [MAP_BACKGROUND_FILL] }) {
+    const inside = insideTest(triangle, 0.9);
+    const blocks = analyzeBlocks(image, inside, fillColors);
+    const reasons = [];
+
+    if (blocks.length === 0) {
+        return { reasons, metrics: { blocks: 0 } };
+    }
+
+    const missingFraction = blocks.filter(b => b.missing).length / blocks.length;
+    const regions = uniformRegions(blocks);
+    const uniformFraction = regions.size / blocks.length;
+    const seams = findSeams(image, insideTest(triangle, 0.85), rotation);
+
+    if (uniformFraction >= BLANK_MIN_FRACTION) {
+        reasons.push({ code: 'blank', detail: `${Math.round(uniformFraction * 100)}% flat ${toHex(regions.color)}` });
+    } else if (uniformFraction >= UNIFORM_MIN_FRACTION) {
+        reasons.push({ code: 'uniform-region', detail: `${Math.round(uniformFraction * 100)}% flat ${toHex(regions.color)}` });
+    }
+    if (missingFraction >= MISSING_MIN_FRACTION) {
+        reasons.push({ code: 'missing-imagery', detail: `${Math.round(missingFraction * 100)}% without imagery` });
+    }
+    if (seams.length > 0) {
+        reasons.push({
+            code: 'seam',
+            detail: `${seams.length} line${seams.length === 1 ? '' : 's'}, strongest step ${Math.max(...seams.map(s => s.gradient))}`
+        });
+    }
+
+    return {
+        reasons,
+        metrics: {
+            blocks: blocks.length,
+            missingFraction: Number(missingFraction.toFixed(3)),
+            uniformFraction: Number(uniformFraction.toFixed(3)),
+            seams: seams.length
+        }
+    };
+}
+
+/**
+ * Combine reasons and decide what happens to the tile
+ * @param {Array} reasons - [{ code, detail }], duplicates by code are merged
+ * @param {Array} rejectCodes - Codes that reject the tile
+ * @returns {Object} { status: 'ok' | 'flagged' | 'rejected', reasons }
+ */
+export function qualityVerdict(reasons, rejectCodes = DEFAULT_REJECT_REASONS) {
+    const merged = [];
+    for (const reason of reasons) {
+        if (QUALITY_REASONS[reason.code] && !merged.some(r => r.code === reason.code)) {
+            merged.push({ code: reason.code, detail: String(reason.detail || '') });
+        }
+    }
+
+    let status = 'ok';
+    if (merged.some(r => rejectCodes.includes(r.code))) {
+        status = 'rejected';
+    } else if (merged.length > 0) {
+        status = 'flagged';
+    }
+    return { status, reasons: merged };
+}
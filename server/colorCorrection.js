@@ -0,0 +1,371 @@
+// colorCorrection.js - Colour normalisation and cross-tile colour matching for a sector
+// Derives a corrected copy of every tile (the originals in uploads/ are never written):
+//  1. per-tile histogram stretch (per channel, or on brightness only to keep the colour cast)
+//  2. sector-wide balancing: per-tile, per-channel gains chosen so the imagery along each shared
+//     edge matches the neighbour's (least squares, pulled towards 1 so the sector keeps its look)
+//  3. gamma, brightness and saturation
+// Only pixels inside the tile's triangle are measured; the label strip is copied unchanged.
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+import { OUTPUT_CONFIG, decalTriangle, tileLookup } from './tileGeometry.js';
+
+export const COLOR_VARIANT = 'color';
+
+export const DEFAULT_COLOR_SETTINGS = {
+    stretch: {
+        enabled: true,
+        mode: 'luma',           // 'luma' (same range for R, G and B) or 'channels' (also white-balances)
+        lowPercentile: 0.5,
+        highPercentile: 99.5
+    },
+    balance: {
+        enabled: true,
+        strength: 1,            // 0 = off … 1 = full gains
+        bandPx: 40              // Width of the strip along each edge that is compared
+    },
+    gamma: 1,                   // > 1 brightens mid-tones
+    brightness: 1,
+    saturation: 1
+};
+
+const ANALYSIS_WIDTH = 512;     // Statistics are measured on a downscaled decal
+const EDGE_INSET_PX = 6;        // Skip the triangle outline along the edges (decal pixels)
+const OVERLAY_MAX = 12;         // Near-black pixels are overlay lines, not imagery
+const BALANCE_ANCHOR = 0.1;     // Pull of each gain towards 1, relative to its edge weight
+const BALANCE_ITERATIONS = 100;
+const EDGES = [[0, 1], [1, 2], [2, 0]];     // Same order as TileLookup.neighbors()
+
+function isNumberIn(value, min, max) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+/**
+ * Merge settings over the defaults and check them
+ * @param {Object} input - Partial settings (missing keys keep their default)
+ * @param {Object} base - Settings to merge over (default: DEFAULT_COLOR_SETTINGS)
+ * @returns {Object} { settings } or { error }
+ */
+export function normalizeColorSettings(input = {}, base = DEFAULT_COLOR_SETTINGS) {
+    const settings = {
+        ...base,
+        ...input,
+        stretch: { ...base.stretch, ...(input.stretch || {}) },
+        balance: { ...base.balance, ...(input.balance || {}) }
+    };
+    const { stretch, balance } = settings;
+
+    if (typeof stretch.enabled !== 'boolean' || typeof balance.enabled !== 'boolean') {
+        return { error: 'stretch.enabled and balance.enabled must be true or false' };
+    }
+    if (!['luma', 'channels'].includes(stretch.mode)) {
+        return { error: 'stretch.mode must be "luma" or "channels"' };
+    }
+    if (!isNumberIn(stretch.lowPercentile, 0, 49) || !isNumberIn(stretch.highPercentile, 51, 100)) {
+        return { error: 'stretch.lowPercentile must be 0-49 and stretch.highPercentile 51-100' };
+    }
+    if (!isNumberIn(balance.strength, 0, 1) || !isNumberIn(balance.bandPx, 4, 400)) {
+        return { error: 'balance.strength must be 0-1 and balance.bandPx 4-400' };
+    }
+    if (!isNumberIn(settings.gamma, 0.2, 5) || !isNumberIn(settings.brightness, 0.2, 5) || !isNumberIn(settings.saturation, 0, 5)) {
+        return { error: 'gamma and brightness must be 0.2-5, saturation 0-5' };
+    }
+
+    return {
+        settings: {
+            stretch: {
+                enabled: stretch.enabled,
+                mode: stretch.mode,
+                lowPercentile: stretch.lowPercentile,
+                highPercentile: stretch.highPercentile
+            },
+            balance: { enabled: balance.enabled, strength: balance.strength, bandPx: balance.bandPx },
+            gamma: settings.gamma,
+            brightness: settings.brightness,
+            saturation: settings.saturation
+        }
+    };
+}
+
+// Short stable id of a settings object, stored with every variant it produced
+export function colorSettingsKey(settings) {
+    return crypto.createHash('sha256').update(JSON.stringify(settings)).digest('hex').slice(0, 8);
+}
+
+function luma(r, g, b) {
+    return 0.299 * r + 0.587 * g + 0.114 * b;
+}
+
+// Where the triangle and its edges are in an image `scale` times the decal size
+function triangleGeometry(tileCode, decalWidth, decalHeight, scale) {
+    const points = decalTriangle(tileCode, decalWidth, decalHeight).map(p => ({ x: p.x * scale, y: p.y * scale }));
+    const edges = EDGES.map(([i, j]) => {
+        const a = points[i];
+        const b = points[j];
+        const length = Math.hypot(b.x - a.x, b.y - a.y);
+        // Unit normal pointing into the triangle
+        const third = points[3 - i - j];
+        let nx = -(b.y - a.y) / length;
+        let ny = (b.x - a.x) / length;
+        if ((third.x - a.x) * nx + (third.y - a.y) * ny < 0) {
+            nx = -nx;
+            ny = -ny;
+        }
+        return { a, nx, ny };
+    });
+    return { edges };
+}
+
+// Distances of a pixel to the three edges (negative outside)
+function edgeDistances(edges, x, y) {
+    return edges.map(({ a, nx, ny }) => (x - a.x) * nx + (y - a.y) * ny);
+}
+
+function percentile(histogram, count, p) {
+    const target = count * p / 100;
+    let seen = 0;
+    for (let value = 0; value < 256; value++) {
+        seen += histogram[value];
+        if (seen >= target) {
+            return value;
+        }
+    }
+    return 255;
+}
+
+/**
+ * Measure a tile: stretch ranges and the mean colour of the strip along each edge
+ * (after the stretch, so the balancing works on what the stretch produces)
+ * @returns {Promise<Object>} { tileCode, ranges: [[low, high]] × 3, edgeMeans: [[r, g, b] | null] × 3 }
+ */
+async function measureTile(tileCode, filePath, settings) {
+    const { width, height } = await sharp(filePath).metadata();
+    const decalHeight = height - OUTPUT_CONFIG.labelHeight;
+    const scale = Math.min(1, ANALYSIS_WIDTH / width);
+    const { data, info } = await sharp(filePath)
+        .extract({ left: 0, top: 0, width, height: decalHeight })
+        .resize(Math.max(1, Math.round(width * scale)), Math.max(1, Math.round(decalHeight * scale)), { fit: 'fill' })
+        .removeAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    const { edges } = triangleGeometry(tileCode, width, decalHeight, info.width / width);
+    const inset = EDGE_INSET_PX * info.width / width;
+    const band = inset + settings.balance.bandPx * info.width / width;
+
+    // Pixels inside the triangle (clear of the outline and overlay lines)
+    const inside = [];
+    const histograms = [0, 1, 2, 3].map(() => new Array(256).fill(0));
+    for (let y = 0; y < info.height; y++) {
+        for (let x = 0; x < info.width; x++) {
+            const distances = edgeDistances(edges, x + 0.5, y + 0.5);
+            if (Math.min(...distances) < inset) {
+                continue;
+            }
+            const i = (y * info.width + x) * info.channels;
+            const [r, g, b] = [data[i], data[i + 1], data[i + 2]];
+            if (r <= OVERLAY_MAX && g <= OVERLAY_MAX && b <= OVERLAY_MAX) {
+                continue;
+            }
+            inside.push({ r, g, b, distances });
+            histograms[0][r]++;
+            histograms[1][g]++;
+            histograms[2][b]++;
+            histograms[3][Math.round(luma(r, g, b))]++;
+        }
+    }
+
+    let ranges = [[0, 255], [0, 255], [0, 255]];
+    if (settings.stretch.enabled && inside.length > 0) {
+        const { lowPercentile, highPercentile, mode } = settings.stretch;
+        const range = histogram => {
+            const low = percentile(histogram, inside.length, lowPercentile);
+            const high = percentile(histogram, inside.length, highPercentile);
+            return high - low >= 16 ? [low, high] : [0, 255];    // Leave flat tiles alone
+        };
+        ranges = mode === 'luma'
+            ? [0, 1, 2].map(() => range(histograms[3]))
+            : [0, 1, 2].map(c => range(histograms[c]));
+    }
+
+    const stretch = (value, c) => Math.min(255, Math.max(0, (value - ranges[c][0]) * 255 / (ranges[c][1] - ranges[c][0])));
+    const sums = EDGES.map(() => ({ r: 0, g: 0, b: 0, n: 0 }));
+    for (const { r, g, b, distances } of inside) {
+        distances.forEach((distance, k) => {
+            if (distance <= band) {
+                sums[k].r += stretch(r, 0);
+                sums[k].g += stretch(g, 1);
+                sums[k].b += stretch(b, 2);
+                sums[k].n++;
+            }
+        });
+    }
+
+    return {
+        tileCode,
+        ranges,
+        edgeMeans: sums.map(s => (s.n >= 20 ? [s.r / s.n, s.g / s.n, s.b / s.n] : null))
+    };
+}
+
+/**
+ * Per-tile, per-channel gains that make the strips on both sides of every shared edge match
+ * Minimises Σ (gA·mA − gB·mB)² over edges + anchor · Σ (g − 1)², by Gauss-Seidel iteration
+ * @param {Map} measurements - tileCode → measureTile() result
+ * @param {number} strength - 0-1, scales every gain's distance from 1
+ * @returns {Object} { gains: Map tileCode → [r, g, b], pairs, mismatchBefore, mismatchAfter }
+ */
+function balanceGains(measurements, strength) {
+    // Shared edges between tiles of the sector: [tileA, edgeA, tileB, edgeB]
+    const pairs = [];
+    for (const [tileCode, measurement] of measurements) {
+        tileLookup.neighbors(tileCode).forEach(({ code: neighbor }, edge) => {
+            const other = measurements.get(neighbor);
+            if (!other || tileCode > neighbor) {
+                return;     // Outside the sector, or already paired from the other side
+            }
+            const otherEdge = tileLookup.neighbors(neighbor).findIndex(n => n.code === tileCode);
+            const a = measurement.edgeMeans[edge];
+            const b = otherEdge >= 0 ? other.edgeMeans[otherEdge] : null;
+            if (a && b) {
+                pairs.push({ tileA: tileCode, a, tileB: neighbor, b });
+            }
+        });
+    }
+
+    const gains = new Map([...measurements.keys()].map(tileCode => [tileCode, [1, 1, 1]]));
+    const mismatch = () => pairs.length === 0 ? 0 : pairs.reduce((sum, { tileA, a, tileB, b }) => {
+        const [gA, gB] = [gains.get(tileA), gains.get(tileB)];
+        return sum + [0, 1, 2].reduce((s, c) => s + Math.abs(gA[c] * a[c] - gB[c] * b[c]), 0) / 3;
+    }, 0) / pairs.length;
+    const mismatchBefore = mismatch();
+
+    // Edges of each tile, as [own mean, neighbour, neighbour's mean]
+    const links = new Map([...measurements.keys()].map(tileCode => [tileCode, []]));
+    for (const { tileA, a, tileB, b } of pairs) {
+        links.get(tileA).push([a, tileB, b]);
+        links.get(tileB).push([b, tileA, a]);
+    }
+
+    for (let c = 0; c < 3; c++) {
+        for (let iteration = 0; iteration < BALANCE_ITERATIONS; iteration++) {
+            for (const [tileCode, tileLinks] of links) {
+                if (tileLinks.length === 0) {
+                    continue;
+                }
+                let numerator = 0;
+                let denominator = 0;
+                for (const [own, neighbor, theirs] of tileLinks) {
+                    numerator += own[c] * gains.get(neighbor)[c] * theirs[c];
+                    denominator += own[c] * own[c];
+                }
+                const anchor = BALANCE_ANCHOR * denominator / tileLinks.length;
+                gains.get(tileCode)[c] = (numerator + anchor) / (denominator + anchor || 1);
+            }
+        }
+    }
+
+    for (const gain of gains.values()) {
+        for (let c = 0; c < 3; c++) {
+            gain[c] = 1 + (gain[c] - 1) * strength;
+        }
+    }
+
+    return { gains, pairs: pairs.length, mismatchBefore, mismatchAfter: mismatch() };
+}
+
+/**
+ * Write the corrected copy of one tile
+ * @returns {Promise<Buffer>} The encoded PNG
+ */
+async function correctTile(filePath, ranges, gain, settings) {
+    const { data, info } = await sharp(filePath).raw().toBuffer({ resolveWithObject: true });
+    const { width, height, channels } = info;
+    const decalHeight = height - OUTPUT_CONFIG.labelHeight;
+
+    // Stretch → gain → brightness → gamma, as one lookup table per channel
+    const tables = [0, 1, 2].map(c => {
+        const [low, high] = ranges[c];
+        const table = new Uint8ClampedArray(256);
+        for (let value = 0; value < 256; value++) {
+            let v = Math.min(1, Math.max(0, (value - low) / (high - low)));
+            v = Math.min(1, v * gain[c] * settings.brightness);
+            table[value] = Math.round(Math.pow(v, 1 / settings.gamma) * 255);
+        }
+        return table;
+    });
+
+    const saturation = settings.saturation;
+    for (let i = 0; i < width * decalHeight * channels; i += channels) {
+        let r = tables[0][data[i]];
+        let g = tables[1][data[i + 1]];
+        let b = tables[2][data[i + 2]];
+        if (saturation !== 1) {
+            const l = luma(r, g, b);
+            r = l + (r - l) * saturation;
+            g = l + (g - l) * saturation;
+            b = l + (b - l) * saturation;
+        }
+        data[i] = Math.min(255, Math.max(0, Math.round(r)));
+        data[i + 1] = Math.min(255, Math.max(0, Math.round(g)));
+        data[i + 2] = Math.min(255, Math.max(0, Math.round(b)));
+    }
+
+    return sharp(data, { raw: { width, height, channels } })
+        .withMetadata({ density: OUTPUT_CONFIG.dpi })
+        .png()
+        .toBuffer();
+}
+
+/**
+ * Correct every stored tile of a sector into the variant directory
+ * @param {Array} tiles - Stored tiles { tileCode, filePath, hash }
+ * @param {Object} settings - Normalised settings (normalizeColorSettings())
+ * @param {string} outputDir - Directory for the corrected PNGs (one per tile code)
+ * @param {Object} options - { onProgress({ phase, done, total }), onTile(tileCode, variant) }
+ * @returns {Promise<Object>} { tiles, pairs, mismatchBefore, mismatchAfter } (mismatch: mean
+ *   difference of the edge strips, 0-255)
+ */
+export async function correctSectorColors(tiles, settings, outputDir, { onProgress, onTile } = {}) {
+    const measurements = new Map();
+    for (const tile of tiles) {
+        measurements.set(tile.tileCode, await measureTile(tile.tileCode, tile.filePath, settings));
+        onProgress?.({ phase: 'measure', done: measurements.size, total: tiles.length });
+    }
+
+    const balance = settings.balance.enabled
+        ? balanceGains(measurements, settings.balance.strength)
+        : { gains: new Map(), pairs: 0, mismatchBefore: null, mismatchAfter: null };
+
+    await fs.mkdir(outputDir, { recursive: true });
+    const settingsKey = colorSettingsKey(settings);
+    let done = 0;
+    for (const tile of tiles) {
+        const { ranges } = measurements.get(tile.tileCode);
+        const gain = balance.gains.get(tile.tileCode) || [1, 1, 1];
+        const buffer = await correctTile(tile.filePath, ranges, gain, settings);
+
+        const filePath = path.join(outputDir, `${tile.tileCode}.png`).replace(/\\/g, '/');
+        await fs.writeFile(filePath, buffer);
+        onTile?.(tile.tileCode, {
+            filePath,
+            hash: crypto.createHash('sha256').update(buffer).digest('hex'),
+            sourceHash: tile.hash,
+            settingsKey,
+            sizeBytes: buffer.length,
+            gain: gain.map(g => Number(g.toFixed(4))),
+            ranges,
+            createdAt: new Date().toISOString()
+        });
+        onProgress?.({ phase: 'correct', done: ++done, total: tiles.length });
+    }
+
+    const round = value => (value === null ? null : Number(value.toFixed(2)));
+    return {
+        tiles: tiles.length,
+        pairs: balance.pairs,
+        mismatchBefore: round(balance.mismatchBefore),
+        mismatchAfter: round(balance.mismatchAfter)
+    };
+}
@@ -0,0 +1,284 @@
+// colorManagement.js - ICC output profiles for print exports (?profile=)
+// Profiles (.icc/.icm) are read from ICC_PROFILE_DIR at startup and named after their file
+// ("FOGRA39.icc" → ?profile=FOGRA39); "srgb" is built in. Tiles are treated as sRGB and
+// converted through the chosen profile by sharp (LittleCMS): a CMYK profile gives CMYK
+// image data, an RGB profile keeps RGB tagged with that profile. PDFs use the profile as
+// the images' ICCBased colour space and as a PDF/X-style OutputIntent; EPS files carry
+// DeviceCMYK/DeviceRGB data and embed the profile in the header. Without ?profile= exports
+// stay untagged RGB.
+import { readFileSync, readdirSync, existsSync } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const ICC_PROFILE_DIR = process.env.ICC_PROFILE_DIR || path.join(__dirname, 'icc-profiles');
+
+const PROFILE_EXTENSIONS = ['.icc', '.icm'];
+
+// ICC colour space signatures we can write, with the PDF device space they stand in for
+const COLOR_SPACES = {
+    'RGB ': { space: 'rgb', components: 3, device: 'DeviceRGB' },
+    'CMYK': { space: 'cmyk', components: 4, device: 'DeviceCMYK' }
+};
+
+// Text of a 'desc' tag: textDescriptionType (ICC v2, ASCII) or multiLocalizedUnicodeType (v4)
+function readDescription(data, offset) {
+    const type = data.toString('latin1', offset, offset + 4);
+    if (type === 'desc') {
+        const length = data.readUInt32BE(offset + 8);
+        return data.toString('latin1', offset + 12, offset + 12 + length).replace(/\0+$/, '');
+    }
+    if (type === 'mluc' && data.readUInt32BE(offset + 8) > 0) {
+        const length = data.readUInt32BE(offset + 20);
+        const start = offset + data.readUInt32BE(offset + 24);
+        return data.subarray(start, start + length).swap16().toString('utf16le');
+    }
+    return '';
+}
+
+/**
+ * Read and check an ICC profile
+ * @param {string} name - Name the profile is requested by
+ * @param {Buffer} data - Profile bytes
+ * @returns {Object} { name, description, colorSpace: 'rgb' | 'cmyk', components, device,
+ *   deviceClass, data, hash }; throws if the file is not an RGB or CMYK profile
+ */
+function parseIccProfile(name, data) {
+    if (data.length < 132 || data.toString('latin1', 36, 40) !== 'acsp') {
+        throw new Error(`ICC profile "${name}": not an ICC profile`);
+    }
+    const signature = data.toString('latin1', 16, 20);
+    const colorSpace = COLOR_SPACES[signature];
+    if (!colorSpace) {
+        throw new Error(`ICC profile "${name}": colour space "${signature.trim()}" is not RGB or CMYK`);
+    }
+
+    let description = '';
+    const tagCount = data.readUInt32BE(128);
+    for (let i = 0; i < tagCount && 144 + i * 12 <= data.length; i++) {
+        const entry = 132 + i * 12;
+        if (data.toString('latin1', entry, entry + 4) === 'desc') {
+            description = readDescription(data, data.readUInt32BE(entry + 4));
+            break;
+        }
+    }
+
+    return {
+        name,
+        description: description || name,
+        colorSpace: colorSpace.space,
+        components: colorSpace.components,
+        device: colorSpace.device,
+        deviceClass: data.toString('latin1', 12, 16).trim(),
+        data,
+        hash: crypto.createHash('sha256').update(data).digest('hex').slice(0, 8)
+    };
+}
+
+// sRGB as libvips ships it, so tagged sRGB needs no profile file
+async function builtInSrgbProfile() {
+    const png = await sharp({ create: { width: 1, height: 1, channels: 3, background: '#ffffff' } })
+        .withIccProfile('srgb')
+        .png()
+        .toBuffer();
+    const { icc } = await sharp(png).metadata();
+    return { ...parseIccProfile('srgb', icc), sharpProfile: 'srgb' };
+}
+
+async function loadIccProfiles(dir) {
+    const profiles = new Map([['srgb', await builtInSrgbProfile()]]);
+    if (!existsSync(dir)) {
+        return profiles;
+    }
+
+    for (const file of readdirSync(dir).sort()) {
+        const extension = path.extname(file).toLowerCase();
+        if (!PROFILE_EXTENSIONS.includes(extension)) {
+            continue;
+        }
+        const filePath = path.join(dir, file);
+        try {
+            const profile = parseIccProfile(path.basename(file, path.extname(file)), readFileSync(filePath));
+            profiles.set(profile.name, { ...profile, sharpProfile: filePath });
+        } catch (err) {
+            console.warn(`⚠️ Skipping ${filePath}: ${err.message}`);
+        }
+    }
+    return profiles;
+}
+
+// Loaded once at startup; a profile added later needs a restart
+const profiles = await loadIccProfiles(ICC_PROFILE_DIR);
+console.log(`🎨 Loaded ${profiles.size - 1} ICC profiles from ${ICC_PROFILE_DIR}`);
+
+export function listIccProfiles() {
+    return [...profiles.values()].map(({ name, description, colorSpace, deviceClass, data, hash }) => ({
+        name,
+        description,
+        colorSpace,
+        deviceClass,
+        size: data.length,
+        hash
+    }));
+}
+
+/**
+ * Resolve ?profile= for an export
+ * @returns {Object} { colorOutput, cacheKey } or { error } - colorOutput is null (and cacheKey
+ *   empty) without ?profile=; the cache key follows the profile's contents
+ */
+export function resolveColorOutput(query) {
+    if (!query.profile) {
+        return { colorOutput: null, cacheKey: '' };
+    }
+    const colorOutput = profiles.get(query.profile);
+    if (!colorOutput) {
+        return { error: `Unknown ICC profile "${query.profile}" (available: ${[...profiles.keys()].join(', ')})` };
+    }
+    return { colorOutput, cacheKey: `${colorOutput.name}-${colorOutput.hash}` };
+}
+
+/**
+ * Decode a tile to raw samples, converted through an output profile when one is given
+ * @param {string} filePath - Path to the tile PNG
+ * @param {Object|null} colorOutput - From resolveColorOutput(); null keeps the file's RGB
+ * @returns {Object} { width, height, components, data, alpha } - alpha is null for opaque images
+ */
+export async function readImageSamples(filePath, colorOutput = null) {
+    let pipeline = sharp(filePath).ensureAlpha();
+    if (colorOutput) {
+        pipeline = pipeline.withIccProfile(colorOutput.sharpProfile);
+    }
+    const { data, info } = await pipeline.raw().toBuffer({ resolveWithObject: true });
+
+    const { width, height, channels } = info;
+    const components = channels - 1;
+    const pixelCount = width * height;
+    const samples = Buffer.alloc(pixelCount * components);
+    const alpha = Buffer.alloc(pixelCount);
+    let opaque = true;
+
+    for (let i = 0; i < pixelCount; i++) {
+        for (let c = 0; c < components; c++) {
+            samples[i * components + c] = data[i * channels + c];
+        }
+        alpha[i] = data[i * channels + components];
+        if (alpha[i] < 255) {
+            opaque = false;
+        }
+    }
+
+    return { width, height, components, data: samples, alpha: opaque ? null : alpha };
+}
+
+/**
+ * Convert a "#rrggbb" colour (labels) to the output's colour space
+ * Greys go to black ink only with a CMYK profile, so text is not built from four inks
+ * @returns {Promise<Array>} Components 0-1: [r, g, b] or [c, m, y, k]
+ */
+export async function convertColor(hex, colorOutput = null) {
+    const value = parseInt(hex.replace('#', ''), 16);
+    const rgb = [16, 8, 0].map(shift => value >> shift & 255);
+    if (!colorOutput) {
+        return rgb.map(v => v / 255);
+    }
+    if (colorOutput.colorSpace === 'cmyk' && rgb[0] === rgb[1] && rgb[1] === rgb[2]) {
+        return [0, 0, 0, 1 - rgb[0] / 255];
+    }
+
+    const { data } = await sharp(Buffer.from(rgb), { raw: { width: 1, height: 1, channels: 3 } })
+        .withIccProfile(colorOutput.sharpProfile)
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    return [...data.subarray(0, colorOutput.components)].map(v => v / 255);
+}
+
+// ==================== PDF ====================
+
+/**
+ * Embed the output profile in a PDFKit document and make it the document's OutputIntent
+ * @returns {Object} Colour space handle for embedPdfColorManagedImage()
+ */
+export function createPdfOutputIntent(doc, colorOutput) {
+    const profile = doc.ref({ N: colorOutput.components, Alternate: colorOutput.device });
+    profile.end(colorOutput.data);
+
+    const intent = doc.ref({
+        Type: 'OutputIntent',
+        S: 'GTS_PDFX',
+        OutputConditionIdentifier: new String(colorOutput.name),
+        Info: new String(colorOutput.description),
+        DestOutputProfile: profile
+    });
+    intent.end();
+    doc._root.data.OutputIntents = [intent];
+
+    return { output: colorOutput, colorSpace: ['ICCBased', profile] };
+}
+
+/**
+ * Convert a tile through the output profile and embed it as an ICCBased image (alpha as a
+ * soft mask). It goes into PDFKit's image registry under its path, so doc.image(filePath)
+ * draws it like any other image.
+ */
+export async function embedPdfColorManagedImage(doc, filePath, handle) {
+    if (doc._imageRegistry[filePath]) {
+        return;
+    }
+
+    const { width, height, data, alpha } = await readImageSamples(filePath, handle.output);
+    const image = doc.ref({
+        Type: 'XObject',
+        Subtype: 'Image',
+        BitsPerComponent: 8,
+        Width: width,
+        Height: height,
+        ColorSpace: handle.colorSpace
+    });
+
+    if (alpha) {
+        const mask = doc.ref({
+            Type: 'XObject',
+            Subtype: 'Image',
+            BitsPerComponent: 8,
+            Width: width,
+            Height: height,
+            ColorSpace: 'DeviceGray',
+            Decode: [0, 1]
+        });
+        mask.end(alpha);
+        image.data.SMask = mask;
+    }
+    image.end(data);
+
+    doc._imageRegistry[filePath] = { width, height, obj: image, label: `I${++doc._imageCount}` };
+}
+
+// ==================== EPS ====================
+
+// DSC comments for the header (before %%EndComments)
+export function epsColorComments(colorOutput) {
+    return colorOutput && colorOutput.colorSpace === 'cmyk'
+        ? '%%DocumentProcessColors: Cyan Magenta Yellow Black\n'
+        : '';
+}
+
+// The output profile as an embedded ICC block (after %%EndComments), the way RIPs and
+// Photoshop read it from EPS files
+export function epsIccProfile(colorOutput) {
+    if (!colorOutput) {
+        return '';
+    }
+    const hex = colorOutput.data.toString('hex').toUpperCase();
+    const lines = [];
+    for (let i = 0; i < hex.length; i += 64) {
+        lines.push(`% ${hex.substring(i, i + 64)}`);
+    }
+    return `%%BeginICCProfile: (${colorOutput.name}) -1 Hex
+${lines.join('\n')}
+%%EndICCProfile
+`;
+}
@@ -0,0 +1,133 @@
+// cutContour.js - Die-cut vector layer for sector PDF/EPS exports
+// Every placed tile gets its exact triangle outline stroked in a named spot colour
+// ("CutContour"), which plotter/cutter RIPs pick up as the cut path. The outline comes
+// from TileLookup geometry with the same rotation as the decal (see decalTriangle()).
+import { OUTPUT_CONFIG, decalTriangle } from './tileGeometry.js';
+
+export const CUT_CONTOUR = {
+    name: 'CutContour',
+    cmyk: [0, 100, 0, 0],  // 100% magenta is the usual on-screen colour for cut lines
+    lineWidth: 0.25        // points
+};
+
+/**
+ * Cut path of a placed tile in page points
+ * @param {string} tileCode - Tile code (e.g., "M713289")
+ * @param {Object} image - { width, height } of the tile PNG in pixels (label strip included)
+ * @param {Object} placement - { x, y, width, height } of the placed image in points (x, y = top-left)
+ * @param {Object} options - { flipY: true for PostScript, where y grows upwards }
+ * @returns {Array} Three [x, y] points
+ */
+export function tileCutPath(tileCode, image, placement, { flipY = false } = {}) {
+    const decalHeight = image.height - OUTPUT_CONFIG.labelHeight;
+    const scaleX = placement.width / image.width;
+    const scaleY = placement.height / image.height;
+
+    return decalTriangle(tileCode, image.width, decalHeight).map(p => [
+        placement.x + p.x * scaleX,
+        flipY ? placement.y - p.y * scaleY : placement.y + p.y * scaleY
+    ]);
+}
+
+// ==================== PDF ====================
+
+/**
+ * Register the CutContour spot colour and an optional content group (layer) on a PDFKit document
+ * @returns {Object} Layer handle for drawPdfCutContour()
+ */
+export function createPdfCutContourLayer(doc) {
+    const [c, m, y, k] = CUT_CONTOUR.cmyk;
+    doc.addSpotColor(CUT_CONTOUR.name, c, m, y, k);
+
+    const ocg = doc.ref({ Type: 'OCG', Name: new String(CUT_CONTOUR.name) });
+    ocg.end();
+    doc._root.data.OCProperties = {
+        OCGs: [ocg],
+        D: { Order: [ocg], ON: [ocg] }
+    };
+
+    // Overprint so the cut line never knocks out the imagery underneath
+    const overprint = doc.ref({ Type: 'ExtGState', OP: true, op: true, OPM: 1 });
+    overprint.end();
+
+    return { ocg, overprint };
+}
+
+/**
+ * Stroke cut paths on the current page inside the CutContour layer
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {Object} layer - Result of createPdfCutContourLayer()
+ * @param {Array} paths - Cut paths from tileCutPath()
+ */
+export function drawPdfCutContour(doc, layer, paths) {
+    if (paths.length === 0) {
+        return;
+    }
+
+    const resources = doc.page.resources.data;
+    resources.Properties = resources.Properties || {};
+    resources.Properties.OCCut = layer.ocg;
+    doc.page.ext_gstates.GsCut = layer.overprint;
+
+    doc.save();
+    doc.addContent('/OC /OCCut BDC');
+    doc.addContent('/GsCut gs');
+    doc.lineWidth(CUT_CONTOUR.lineWidth).strokeColor(CUT_CONTOUR.name);
+
+    for (const path of paths) {
+        doc.polygon(...path).stroke();
+    }
+
+    doc.addContent('EMC');
+    doc.restore();
+}
+
+// ==================== EPS ====================
+
+// DSC comments declaring the spot colour (goes in the EPS header, before %%EndComments)
+export function epsCutContourComments() {
+    const cmyk = CUT_CONTOUR.cmyk.map(v => v / 100).join(' ');
+    return `%%DocumentCustomColors: (${CUT_CONTOUR.name})
+%%CMYKCustomColor: ${cmyk} (${CUT_CONTOUR.name})
+`;
+}
+
+/**
+ * Write cut paths as a Separation-colour layer at the end of an EPS page
+ * @param {WriteStream} writeStream - Open EPS stream
+ * @param {Array} paths - Cut paths from tileCutPath(..., { flipY: true })
+ */
+export function writeEpsCutContour(writeStream, paths) {
+    if (paths.length === 0) {
+        return;
+    }
+
+    // Tint transform: t → C M Y K with the spot colour's CMYK at full tint
+    const tint = CUT_CONTOUR.cmyk
+        .map(v => `dup ${(v / 100).toFixed(2)} mul exch`)
+        .join(' ') + ' pop';
+
+    writeStream.write(`
+%%BeginObject: ${CUT_CONTOUR.name}
+% Layer: ${CUT_CONTOUR.name}
+gsave
+[/Separation (${CUT_CONTOUR.name}) /DeviceCMYK { ${tint} }] setcolorspace
+1 setcolor
+true setoverprint
+${CUT_CONTOUR.lineWidth} setlinewidth
+1 setlinejoin
+`);
+
+    for (const path of paths) {
+        const [first, ...rest] = path;
+        writeStream.write(
+            `newpath ${first[0].toFixed(2)} ${first[1].toFixed(2)} moveto ` +
+            rest.map(p => `${p[0].toFixed(2)} ${p[1].toFixed(2)} lineto`).join(' ') +
+            ' closepath stroke\n'
+        );
+    }
+
+    writeStream.write(`grestore
+%%EndObject
+`);
+}
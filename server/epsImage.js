@@ -0,0 +1,98 @@
+// epsImage.js - Write tile images into EPS streams
+// Opaque tiles are written as plain images. Tiles with transparency (triangle-masked
+// output) keep their shape: the alpha channel becomes a 1-bit mask that clips the image
+// (LanguageLevel 3 masked image, ImageType 3) instead of being flattened away.
+// Images are RGB, or CMYK when converted through a CMYK output profile (colorManagement.js).
+import { readImageSamples } from './colorManagement.js';
+
+const ALPHA_THRESHOLD = 128; // Pixels at least half opaque are painted
+
+// Write a buffer as hex, 80 characters per line
+function writeHex(writeStream, buffer) {
+    const hexData = buffer.toString('hex').toUpperCase();
+    for (let i = 0; i < hexData.length; i += 80) {
+        writeStream.write(hexData.substring(i, Math.min(i + 80, hexData.length)) + '\n');
+    }
+}
+
+// Pack the alpha channel into 1-bit rows (padded to whole bytes); 1 = painted
+function buildMaskBits(alpha, width, height) {
+    const rowBytes = Math.ceil(width / 8);
+    const mask = Buffer.alloc(rowBytes * height);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (alpha[y * width + x] >= ALPHA_THRESHOLD) {
+                mask[y * rowBytes + (x >> 3)] |= 0x80 >> (x & 7);
+            }
+        }
+    }
+
+    return mask;
+}
+
+/**
+ * Read a tile image as raw samples plus an optional 1-bit clip mask
+ * @param {string} filePath - Path to the tile PNG
+ * @param {Object|null} colorOutput - Output profile from resolveColorOutput() (null: untagged RGB)
+ * @returns {Object} { width, height, components, data, mask } - mask is null for fully opaque images
+ */
+export async function readEpsImage(filePath, colorOutput = null) {
+    const { width, height, components, data, alpha } = await readImageSamples(filePath, colorOutput);
+
+    return {
+        width,
+        height,
+        components,
+        data,
+        mask: alpha ? buildMaskBits(alpha, width, height) : null
+    };
+}
+
+/**
+ * Write a tile image to an EPS stream, clipped by its alpha channel when it has one
+ * @param {WriteStream} writeStream - Open EPS stream
+ * @param {Object} image - Result of readEpsImage()
+ * @param {Object} placement - { x, y, width, height } in points (PostScript origin is bottom-left)
+ */
+export function writeEpsImage(writeStream, image, placement) {
+    const { width, height, components, data, mask } = image;
+    const imageMatrix = `[${width} 0 0 -${height} 0 ${height}]`;
+    const colorSpace = components === 4 ? '/DeviceCMYK' : '/DeviceRGB';
+    const decode = `[${Array(components).fill('0 1').join(' ')}]`;
+
+    writeStream.write(`
+gsave
+${placement.x.toFixed(2)} ${placement.y.toFixed(2)} translate
+${placement.width.toFixed(2)} ${placement.height.toFixed(2)} scale
+${colorSpace} setcolorspace
+`);
+
+    if (!mask) {
+        writeStream.write(`<< /ImageType 1 /Width ${width} /Height ${height}
+   /ImageMatrix ${imageMatrix}
+   /DataSource <`);
+        writeHex(writeStream, data);
+        writeStream.write(`> /BitsPerComponent 8 /Decode ${decode}
+>> image
+grestore
+`);
+        return;
+    }
+
+    // Masked image: mask samples decode to 0 where the image is painted
+    writeStream.write(`<< /ImageType 3 /InterleaveType 3
+   /DataDict << /ImageType 1 /Width ${width} /Height ${height}
+      /ImageMatrix ${imageMatrix}
+      /DataSource <`);
+    writeHex(writeStream, data);
+    writeStream.write(`> /BitsPerComponent 8 /Decode ${decode} >>
+   /MaskDict << /ImageType 1 /Width ${width} /Height ${height}
+      /ImageMatrix ${imageMatrix}
+      /DataSource <`);
+    writeHex(writeStream, mask);
+    writeStream.write(`> /BitsPerComponent 1 /Decode [1 0] >>
+>> image
+grestore
+`);
+}
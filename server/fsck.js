@@ -0,0 +1,8 @@
+// fsck.js - Check stored tiles against the files on disk, and repair them
+// Usage: node fsck.js [--repair] [--sector M713 ...] [--json]
+// The same as `globe-tiles verify --local`: it works on storage directly, so stop the server
+// before repairing from here, or use `globe-tiles verify` / POST /api/admin/fsck instead.
+// Without --repair nothing is changed (dry run). Exit code: 0 when nothing is (left) wrong.
+import { main } from './globe-tiles.js';
+
+process.exitCode = await main(['verify', '--local', ...process.argv.slice(2)]);
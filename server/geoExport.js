@@ -0,0 +1,207 @@
+// geoExport.js - Tile geometry as KML and Shapefile, from the GeoJSON FeatureCollection
+// built by TileLookup.toGeoJSON() (for QGIS/Google Earth coverage views)
+// Every format carries the same properties: code, depth, area, E-W edge length, inverted
+// (plus whatever the caller merged in, e.g. upload status).
+
+// ==================== KML ====================
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * KML document with one Placemark per tile
+ * Coordinates are written one "lon,lat,0" tuple per line; kmlImport.js reads these files back.
+ * @param {Object} collection - GeoJSON FeatureCollection of tile polygons
+ * @param {string} name - Document name
+ * @returns {string} KML
+ */
+export function toKml(collection, name) {
+    const placemarks = collection.features.map(feature => {
+        const data = Object.entries(feature.properties)
+            .map(([key, value]) => `          <Data name="${escapeXml(key)}"><value>${escapeXml(value)}</value></Data>`)
+            .join('\n');
+        const coordinates = feature.geometry.coordinates[0]
+            .map(([lon, lat]) => `              ${lon},${lat},0`)
+            .join('\n');
+
+        return `    <Placemark>
+      <name>${escapeXml(feature.properties.code)}</name>
+      <styleUrl>#tile</styleUrl>
+      <ExtendedData>
+${data}
+      </ExtendedData>
+      <Polygon>
+        <outerBoundaryIs>
+          <LinearRing>
+            <coordinates>
+${coordinates}
+            </coordinates>
+          </LinearRing>
+        </outerBoundaryIs>
+      </Polygon>
+    </Placemark>`;
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(name)}</name>
+    <Style id="tile">
+      <LineStyle><color>ff00a5ff</color><width>1</width></LineStyle>
+      <PolyStyle><color>3300a5ff</color></PolyStyle>
+    </Style>
+${placemarks.join('\n')}
+  </Document>
+</kml>
+`;
+}
+
+// ==================== SHAPEFILE ====================
+
+const SHAPE_POLYGON = 5;
+
+const WGS84_PRJ = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],' +
+    'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+
+// Attribute columns (DBF field names are at most 10 characters)
+function dbfFields(properties) {
+    return Object.entries(properties).map(([key, value]) => {
+        const name = key.replace(/[^A-Za-z0-9_]/g, '').slice(0, 10).toUpperCase();
+        if (typeof value === 'boolean') {
+            return { key, name, type: 'L', length: 1, decimals: 0 };
+        }
+        if (typeof value === 'number') {
+            return Number.isInteger(value)
+                ? { key, name, type: 'N', length: 10, decimals: 0 }
+                : { key, name, type: 'N', length: 19, decimals: 6 };
+        }
+        return { key, name, type: 'C', length: 32, decimals: 0 };
+    });
+}
+
+function dbfValue(field, value) {
+    let text;
+    if (field.type === 'L') {
+        text = value ? 'T' : 'F';
+    } else if (field.type === 'N') {
+        text = Number(value).toFixed(field.decimals).padStart(field.length, ' ');
+    } else {
+        text = String(value ?? '').padEnd(field.length, ' ');
+    }
+    return text.slice(0, field.length);
+}
+
+function writeDbf(features) {
+    const fields = dbfFields(features.length > 0 ? features[0].properties : { code: '' });
+    const headerLength = 32 + fields.length * 32 + 1;
+    const recordLength = 1 + fields.reduce((sum, f) => sum + f.length, 0);
+    const buffer = Buffer.alloc(headerLength + features.length * recordLength + 1, 0);
+
+    const now = new Date();
+    buffer.writeUInt8(0x03, 0);  // dBASE III, no memo
+    buffer.writeUInt8(now.getFullYear() - 1900, 1);
+    buffer.writeUInt8(now.getMonth() + 1, 2);
+    buffer.writeUInt8(now.getDate(), 3);
+    buffer.writeUInt32LE(features.length, 4);
+    buffer.writeUInt16LE(headerLength, 8);
+    buffer.writeUInt16LE(recordLength, 10);
+
+    fields.forEach((field, i) => {
+        const offset = 32 + i * 32;
+        buffer.write(field.name, offset, 10, 'latin1');
+        buffer.write(field.type, offset + 11, 1, 'latin1');
+        buffer.writeUInt8(field.length, offset + 16);
+        buffer.writeUInt8(field.decimals, offset + 17);
+    });
+    buffer.writeUInt8(0x0d, headerLength - 1);
+
+    features.forEach((feature, i) => {
+        let offset = headerLength + i * recordLength;
+        buffer.write(' ', offset++, 1, 'latin1');  // Not deleted
+        for (const field of fields) {
+            buffer.write(dbfValue(field, feature.properties[field.key]), offset, field.length, 'latin1');
+            offset += field.length;
+        }
+    });
+    buffer.writeUInt8(0x1a, buffer.length - 1);
+
+    return buffer;
+}
+
+function bounds(points) {
+    const xs = points.map(p => p[0]);
+    const ys = points.map(p => p[1]);
+    return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+}
+
+// 100-byte header shared by .shp and .shx (lengths in 16-bit words, big-endian)
+function shapeHeader(fileLength, box) {
+    const header = Buffer.alloc(100, 0);
+    header.writeInt32BE(9994, 0);
+    header.writeInt32BE(fileLength / 2, 24);
+    header.writeInt32LE(1000, 28);
+    header.writeInt32LE(SHAPE_POLYGON, 32);
+    box.forEach((value, i) => header.writeDoubleLE(value, 36 + i * 8));
+    return header;
+}
+
+function writeShp(features) {
+    // Shapefile outer rings run clockwise, the opposite of GeoJSON
+    const rings = features.map(feature => [...feature.geometry.coordinates[0]].reverse());
+    const contentLengths = rings.map(ring => 44 + 4 + ring.length * 16);
+
+    const shpLength = 100 + contentLengths.reduce((sum, length) => sum + 8 + length, 0);
+    const shxLength = 100 + features.length * 8;
+    const box = rings.length > 0 ? bounds(rings.flat()) : [0, 0, 0, 0];
+
+    const shp = Buffer.alloc(shpLength, 0);
+    const shx = Buffer.alloc(shxLength, 0);
+    shapeHeader(shpLength, box).copy(shp, 0);
+    shapeHeader(shxLength, box).copy(shx, 0);
+
+    let offset = 100;
+    rings.forEach((ring, i) => {
+        shx.writeInt32BE(offset / 2, 100 + i * 8);
+        shx.writeInt32BE(contentLengths[i] / 2, 104 + i * 8);
+
+        shp.writeInt32BE(i + 1, offset);
+        shp.writeInt32BE(contentLengths[i] / 2, offset + 4);
+        let p = offset + 8;
+        shp.writeInt32LE(SHAPE_POLYGON, p);
+        bounds(ring).forEach((value, j) => shp.writeDoubleLE(value, p + 4 + j * 8));
+        shp.writeInt32LE(1, p + 36);            // Parts
+        shp.writeInt32LE(ring.length, p + 40);  // Points
+        shp.writeInt32LE(0, p + 44);            // Part 0 starts at point 0
+        p += 48;
+        for (const [x, y] of ring) {
+            shp.writeDoubleLE(x, p);
+            shp.writeDoubleLE(y, p + 8);
+            p += 16;
+        }
+        offset += 8 + contentLengths[i];
+    });
+
+    return { shp, shx };
+}
+
+/**
+ * Shapefile (polygon, WGS 84) as the files that go into its ZIP
+ * @param {Object} collection - GeoJSON FeatureCollection of tile polygons
+ * @param {string} baseName - File name without extension
+ * @returns {Array} [{ name, data }] for .shp, .shx, .dbf, .prj and .cpg
+ */
+export function toShapefile(collection, baseName) {
+    const { shp, shx } = writeShp(collection.features);
+    return [
+        { name: `${baseName}.shp`, data: shp },
+        { name: `${baseName}.shx`, data: shx },
+        { name: `${baseName}.dbf`, data: writeDbf(collection.features) },
+        { name: `${baseName}.prj`, data: WGS84_PRJ },
+        { name: `${baseName}.cpg`, data: 'ISO-8859-1' }
+    ];
+}
@@ -0,0 +1,530 @@
+#!/usr/bin/env node
+// globe-tiles.js - Command-line tool for generation, export and administration
+// Talks to a running server's REST API (GLOBE_TILES_SERVER or --server, default
+// http://localhost:$PORT), so it can run alongside the browser and the dashboard. `status`,
+// `verify` and `import` also work on storage directly with --local (stop the server first), and
+// `lookup` needs neither. Storage is only loaded for --local, since loading it syncs sectors with disk.
+//
+// Usage: globe-tiles <command> [arguments] [--server URL] [--json]
+// Exit code: 0 on success, 1 when something failed (or problems remain), 2 on a usage error.
+import { createWriteStream, openAsBlob } from 'fs';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { createInterface } from 'readline/promises';
+import { fileURLToPath } from 'url';
+import archiver from 'archiver';
+import dotenv from 'dotenv';
+import { SECTOR_DEPTH, TILE_DEPTH, isSectorCode, sectorOf, tileLookup } from './tileGeometry.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+const DEFAULT_SERVER = process.env.GLOBE_TILES_SERVER || `http://localhost:${process.env.PORT || 3001}`;
+const BOOLEAN_OPTIONS = new Set(['json', 'local', 'repair', 'wait', 'yes', 'rebuild', 'help']);
+const EXPORT_FORMATS = {
+    pdf: 'pdf-11col',
+    eps: 'eps-11col',
+    tiff: 'tiff-11col',
+    zip: 'tiles-zip'
+};
+const GENERATION_MODES = ['only-missing', 'replace-all', 'only-flagged'];
+const IMPORT_POLICIES = ['skip', 'new-version', 'replace']; // CONFLICT_POLICIES in tileImport.js
+
+// Errors in how the tool was called: reported with the command's usage line
+function usageError(message) {
+    return Object.assign(new Error(message), { usage: true });
+}
+
+// ==================== ARGUMENTS ====================
+
+// --name value, --name=value and boolean --flags (repeated options collect into an array);
+// "-33.9,18.4" is a value, not an option
+function parseArgs(argv) {
+    const positionals = [];
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positionals.push(arg);
+            continue;
+        }
+        const [name, inline] = arg.slice(2).split(/=(.*)/s);
+        let value;
+        if (inline !== undefined) {
+            value = inline;
+        } else if (BOOLEAN_OPTIONS.has(name)) {
+            value = true;
+        } else if (i + 1 < argv.length) {
+            value = argv[++i];
+        } else {
+            throw usageError(`--${name} needs a value`);
+        }
+        options[name] = name in options ? [].concat(options[name], value) : value;
+    }
+    return { positionals, options };
+}
+
+function sectorArg(code) {
+    const sectorCode = String(code || '').toUpperCase();
+    if (!isSectorCode(sectorCode)) {
+        throw usageError(`Not a sector code: ${code || '(none)'}`);
+    }
+    return sectorCode;
+}
+
+// ==================== REST API ====================
+
+// A JSON body, or FormData for multipart uploads
+async function api(options, method, route, body) {
+    const server = (options.server || DEFAULT_SERVER).replace(/\/$/, '');
+    const multipart = body instanceof FormData;
+    let res;
+    try {
+        res = await fetch(`${server}${route}`, {
+            method,
+            headers: body && !multipart ? { 'Content-Type': 'application/json' } : undefined,
+            body: body && !multipart ? JSON.stringify(body) : body
+        });
+    } catch (err) {
+        throw new Error(`Cannot reach the server at ${server} (${err.cause?.code || err.message}); start it or use --local`);
+    }
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok || data.success === false) {
+        throw new Error(data.error || `${method} ${route} answered ${res.status}`);
+    }
+    return data;
+}
+
+// Local storage, for --local (stop the server first: both would write the same storage).
+// Tile records hold paths relative to the server directory, so work from there as the server does
+async function openStorage() {
+    console.log = console.error; // Storage logs while it loads; stdout is for results
+    process.chdir(path.dirname(__filename));
+    dotenv.config(); // UPLOAD_DIR etc. as the server has them
+    const { default: storage } = await import('./storage.js');
+    await storage.ready;
+    return storage;
+}
+
+function output(options, data, print) {
+    if (options.json) {
+        process.stdout.write(`${JSON.stringify(data, null, 2)}\n`);
+    } else {
+        print(data);
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ==================== COMMANDS ====================
+
+async function status({ positionals, options }) {
+    const sectorCode = positionals[0] ? sectorArg(positionals[0]) : null;
+    let sectors;
+    let jobs = [];
+
+    if (options.local) {
+        const storage = await openStorage();
+        try {
+            sectors = sectorCode ? [storage.getSector(sectorCode)].filter(Boolean) : storage.getAllSectors();
+        } finally {
+            await storage.close();
+        }
+    } else {
+        sectors = sectorCode
+            ? [await api(options, 'GET', `/api/sectors/${sectorCode}`)].filter(s => s.exists !== false)
+            : await api(options, 'GET', '/api/sectors');
+        jobs = await api(options, 'GET', sectorCode ? `/api/jobs?sectorCode=${sectorCode}` : '/api/jobs');
+    }
+
+    const summary = sectors.map(sector => ({
+        sectorCode: sector.sectorCode,
+        status: sector.status,
+        uploadedTiles: sector.uploadedTiles,
+        totalTiles: sector.totalTiles,
+        missingTiles: (sector.missingTiles || []).length,
+        flaggedTiles: (sector.flaggedTiles || []).length,
+        lastUpdatedAt: sector.lastUpdatedAt
+    }));
+    const activeJobs = jobs.filter(job => ['running', 'paused'].includes(job.status));
+
+    output(options, { sectors: summary, jobs: activeJobs }, () => {
+        if (summary.length === 0) {
+            console.log(sectorCode ? `📭 Sector ${sectorCode} has no tiles yet` : '📭 No sectors yet');
+        }
+        for (const sector of summary) {
+            const icon = sector.status === 'complete' ? '✅' : '⏳';
+            console.log(`${icon} ${sector.sectorCode}: ${sector.uploadedTiles}/${sector.totalTiles} tiles` +
+                `${sector.missingTiles ? `, ${sector.missingTiles} missing` : ''}` +
+                `${sector.flaggedTiles ? `, ${sector.flaggedTiles} flagged` : ''}`);
+        }
+        for (const job of activeJobs) {
+            const { done = 0, failed = 0 } = job.counts || {};
+            console.log(`🚀 Job ${job.jobId} (${job.sectorCode}, ${job.mode}, ${job.executor}): ${job.status}, ` +
+                `${done}/${job.totalTiles} done${failed ? `, ${failed} failed` : ''}`);
+        }
+    });
+    return 0;
+}
+
+// Per-state tile counts of a job (as jobQueue.summarize() reports them)
+function jobCounts(job) {
+    const counts = { queued: 0, running: 0, leased: 0, done: 0, skipped: 0, failed: 0 };
+    for (const tileState of Object.values(job.tileStates || {})) {
+        counts[tileState.state] = (counts[tileState.state] || 0) + 1;
+    }
+    return counts;
+}
+
+async function waitForJob(options, jobId) {
+    const intervalMs = Math.max(1, parseFloat(options.interval || '10')) * 1000;
+    let last = '';
+    for (;;) {
+        const job = await api(options, 'GET', `/api/jobs/${jobId}`);
+        const counts = jobCounts(job);
+        const line = `${job.status}: ${counts.done + counts.skipped}/${job.totalTiles} done` +
+            `${counts.failed ? `, ${counts.failed} failed` : ''}`;
+        if (line !== last && !options.json) {
+            console.log(`   ${jobId} ${line}`);
+            last = line;
+        }
+        if (!['running', 'paused'].includes(job.status)) {
+            return { jobId, status: job.status, totalTiles: job.totalTiles, counts };
+        }
+        await sleep(intervalMs);
+    }
+}
+
+async function generate({ positionals, options }) {
+    if (positionals.length === 0) {
+        throw usageError('generate needs at least one sector');
+    }
+    const sectorCodes = positionals.map(sectorArg);
+    const mode = options.mode || 'only-missing';
+    if (!GENERATION_MODES.includes(mode)) {
+        throw usageError(`--mode must be one of: ${GENERATION_MODES.join(', ')}`);
+    }
+
+    // Sectors run one after another with --wait, so an overnight run does not start them all at once
+    const results = [];
+    for (const sectorCode of sectorCodes) {
+        const started = await api(options, 'POST', '/api/sectors/start-generation', {
+            sectorCode,
+            mode,
+            executor: options.executor || 'server',
+            imagery: options.imagery
+        });
+        if (!options.json) {
+            console.log(`🚀 ${sectorCode}: job ${started.jobId}, ${started.totalTiles} tiles (${mode}, ${started.imagery})`);
+        }
+        const result = { sectorCode, jobId: started.jobId, totalTiles: started.totalTiles };
+        if (options.wait) {
+            Object.assign(result, await waitForJob(options, started.jobId));
+        }
+        results.push(result);
+    }
+
+    const failed = results.filter(r => (r.counts && r.counts.failed > 0) || (r.status && r.status !== 'completed'));
+    output(options, results, () => {
+        if (options.wait) {
+            console.log(failed.length
+                ? `⚠️ ${failed.length} of ${results.length} sectors did not complete cleanly`
+                : `✅ ${results.length} sectors generated`);
+        }
+    });
+    return failed.length ? 1 : 0;
+}
+
+// Exports are downloaded as the server builds them; everything but --format and --out is
+// passed on as query parameters (--layout, --profile, --variant, --rebuild, sheetWidthMm, ...)
+async function exportSector({ positionals, options }) {
+    const sectorCode = sectorArg(positionals[0]);
+    const { format = 'pdf', out, server, json, ...query } = options;
+    if (!EXPORT_FORMATS[format]) {
+        throw usageError(`--format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+
+    const params = new URLSearchParams(Object.entries(query).map(([key, value]) => [key, String(value)]));
+    const url = `${(server || DEFAULT_SERVER).replace(/\/$/, '')}/api/sectors/${sectorCode}/${EXPORT_FORMATS[format]}` +
+        (params.size ? `?${params}` : '');
+    if (!json) {
+        console.log(`📦 Exporting ${sectorCode} as ${format}...`);
+    }
+
+    const res = await fetch(url).catch(err => {
+        throw new Error(`Cannot reach the server (${err.cause?.code || err.message})`);
+    });
+    if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        throw new Error(data.error || `Export answered ${res.status}`);
+    }
+
+    const disposition = res.headers.get('content-disposition') || '';
+    const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `${sectorCode}.${format}`;
+    let target = out || filename;
+    if (out && (await fs.stat(out).catch(() => null))?.isDirectory()) {
+        target = path.join(out, filename);
+    }
+    try {
+        await pipeline(Readable.fromWeb(res.body), createWriteStream(target));
+    } catch (err) {
+        await fs.rm(target, { force: true });
+        throw err;
+    }
+    const { size } = await fs.stat(target);
+
+    output({ json }, { sectorCode, format, file: target, sizeBytes: size }, () => {
+        console.log(`✅ ${target} (${(size / 1024 / 1024).toFixed(1)} MB)`);
+    });
+    return 0;
+}
+
+export function printFsckReport(result) {
+    console.log(`\n🔍 Storage check${result.repair ? ' and repair' : ' (dry run)'}: ` +
+        `${result.scanned.tiles} tiles, ${result.scanned.files} files, ${result.scanned.versions} versions\n`);
+
+    for (const type of new Set(result.issues.map(issue => issue.type))) {
+        const issues = result.issues.filter(issue => issue.type === type);
+        if (issues.length === 0) {
+            continue;
+        }
+        console.log(`📋 ${type} (${issues.length})`);
+        for (const issue of issues) {
+            const mark = issue.repaired === true ? '✓' : issue.repaired === false ? '✗' : '•';
+            console.log(`   ${mark} ${issue.tileCode || issue.sectorCode || issue.path}: ${issue.detail}`);
+            console.log(`     → ${issue.action}${issue.error ? ` (failed: ${issue.error})` : ''}`);
+        }
+        console.log('');
+    }
+
+    const { issues, repaired, failed } = result.summary;
+    if (issues === 0) {
+        console.log('✅ No problems found');
+    } else if (result.repair) {
+        console.log(`${failed ? '⚠️' : '✅'} ${repaired} of ${issues} problems repaired${failed ? `, ${failed} failed` : ''}`);
+    } else {
+        console.log(`⚠️ ${issues} problems found. Run with --repair to fix them`);
+    }
+}
+
+// Storage integrity check (integrity.js), in the server or with --local on storage directly
+async function verify({ positionals, options }) {
+    const sectors = [...positionals, ...[].concat(options.sector || [])]
+        .flatMap(arg => String(arg).split(','))
+        .filter(Boolean)
+        .map(sectorArg);
+    const repair = options.repair === true;
+    let result;
+
+    if (options.local) {
+        const storage = await openStorage();
+        try {
+            const { runFsck } = await import('./integrity.js');
+            result = await runFsck({ repair, sectors });
+        } finally {
+            await storage.close();
+        }
+    } else {
+        result = await api(options, 'POST', '/api/admin/fsck', { repair, sectors });
+    }
+
+    output(options, result, printFsckReport);
+    const remaining = repair ? result.summary.issues - result.summary.repaired : result.summary.issues;
+    return remaining > 0 ? 1 : 0;
+}
+
+// Zip a directory (stored, not compressed: PNGs are already) to send it as one archive
+async function zipDirectory(dir) {
+    const zipPath = path.join(os.tmpdir(), `globe-tiles-import-${crypto.randomBytes(4).toString('hex')}.zip`);
+    const archive = archiver('zip', { store: true });
+    archive.directory(dir, false);
+    const done = pipeline(archive, createWriteStream(zipPath));
+    await archive.finalize();
+    await done;
+    return zipPath;
+}
+
+function printImportReport(report) {
+    for (const file of report.files) {
+        const mark = ['stored', 'new-version', 'replaced'].includes(file.status) ? '✓'
+            : ['unchanged', 'skipped', 'ignored'].includes(file.status) ? '•' : '✗';
+        console.log(`   ${mark} ${file.file}: ${file.status}${file.detail ? ` (${file.detail})` : ''}`);
+    }
+    const counts = Object.entries(report.summary).map(([status, count]) => `${count} ${status}`);
+    console.log(`${importFailures(report) ? '⚠️' : '✅'} ${report.files.length} files: ${counts.join(', ') || 'none'}`);
+}
+
+function importFailures(report) {
+    return report.files.filter(file => ['quarantined', 'rejected', 'failed'].includes(file.status)).length;
+}
+
+// Import tiles from a directory or a ZIP/TAR archive (tileImport.js): through the server, which
+// gets a directory zipped, or with --local on storage directly
+async function importSource({ positionals, options }) {
+    if (!positionals[0]) {
+        throw usageError('import needs a directory or a ZIP/TAR archive');
+    }
+    const source = path.resolve(positionals[0]); // Before --local changes directory
+    const policy = options.policy || 'skip';
+    if (!IMPORT_POLICIES.includes(policy)) {
+        throw usageError(`--policy must be one of: ${IMPORT_POLICIES.join(', ')}`);
+    }
+    const sectors = [].concat(options.sector || [])
+        .flatMap(arg => String(arg).split(','))
+        .filter(Boolean)
+        .map(sectorArg);
+    const stats = await fs.stat(source).catch(() => null);
+    if (!stats) {
+        throw usageError(`No such file or directory: ${source}`);
+    }
+    let report;
+
+    if (options.local) {
+        const storage = await openStorage();
+        try {
+            const { detectSourceType, importTiles } = await import('./tileImport.js');
+            if (!(await detectSourceType(source))) {
+                throw usageError(`${source} is not a directory, ZIP or TAR archive`);
+            }
+            report = await importTiles(source, { policy, sectors });
+        } finally {
+            await storage.close();
+        }
+    } else {
+        const archivePath = stats.isDirectory() ? await zipDirectory(source) : source;
+        try {
+            const form = new FormData();
+            form.append('policy', policy);
+            form.append('sectors', sectors.join(','));
+            form.append('file', await openAsBlob(archivePath), stats.isDirectory() ? `${path.basename(source)}.zip` : path.basename(source));
+            report = await api(options, 'POST', '/api/import/tiles', form);
+        } finally {
+            if (archivePath !== source) {
+                await fs.rm(archivePath, { force: true });
+            }
+        }
+    }
+
+    output(options, report, printImportReport);
+    return importFailures(report) ? 1 : 0;
+}
+
+// A tile code's corners and properties, or the tile at a latitude,longitude
+async function lookup({ positionals, options }) {
+    const arg = positionals.join('');
+    if (!arg) {
+        throw usageError('lookup needs a tile code or lat,lon');
+    }
+    const depth = options.depth !== undefined ? parseInt(options.depth, 10) : TILE_DEPTH;
+
+    let code;
+    const point = arg.match(/^(-?[\d.]+),(-?[\d.]+)$/);
+    if (point) {
+        const [lat, lon] = [parseFloat(point[1]), parseFloat(point[2])];
+        if (!(Math.abs(lat) <= 90) || !(Math.abs(lon) <= 180) || !(depth >= 0)) {
+            throw usageError('Expected lat,lon in degrees and a non-negative --depth');
+        }
+        code = tileLookup.locationToName(lat, lon, depth);
+    } else if (tileLookup.isValidCode(arg)) {
+        code = arg.toUpperCase();
+    } else {
+        throw usageError(`Not a tile code or lat,lon: ${arg}`);
+    }
+
+    const corners = tileLookup.nameToLocations(code);
+    const properties = tileLookup.tileProperties(code);
+    const result = {
+        code,
+        depth: properties.depth,
+        sector: properties.depth >= SECTOR_DEPTH ? sectorOf(code) : null,
+        parent: tileLookup.parent(code),
+        corners: corners.map(([lat, lon]) => ({ lat, lon })),
+        centre: {
+            lat: corners.reduce((sum, c) => sum + c[0], 0) / 3,
+            lon: corners.reduce((sum, c) => sum + c[1], 0) / 3
+        },
+        areaKm2: properties.areaKm2,
+        ewEdgeKm: properties.ewEdgeKm,
+        inverted: properties.inverted,
+        neighbors: tileLookup.neighbors(code).map(neighbor => neighbor.code)
+    };
+
+    output(options, result, r => {
+        console.log(`📍 ${r.code} (depth ${r.depth}${r.sector ? `, sector ${r.sector}` : ''})`);
+        r.corners.forEach((c, i) => console.log(`   corner ${i + 1}: ${c.lat.toFixed(6)}, ${c.lon.toFixed(6)}`));
+        console.log(`   centre:   ${r.centre.lat.toFixed(6)}, ${r.centre.lon.toFixed(6)}`);
+        console.log(`   area ${r.areaKm2.toFixed(2)} km², E-W edge ${r.ewEdgeKm.toFixed(3)} km${r.inverted ? ', inverted' : ''}`);
+        console.log(`   neighbours: ${r.neighbors.join(', ')}`);
+    });
+    return 0;
+}
+
+async function deleteSector({ positionals, options }) {
+    const sectorCode = sectorArg(positionals[0]);
+    if (!options.yes) {
+        if (!process.stdin.isTTY) {
+            throw usageError(`Deleting ${sectorCode} removes its tiles, versions and variants; pass --yes to confirm`);
+        }
+        const rl = createInterface({ input: process.stdin, output: process.stderr });
+        const answer = await rl.question(`Delete sector ${sectorCode} with all its tiles and versions? [y/N] `);
+        rl.close();
+        if (!/^y(es)?$/i.test(answer.trim())) {
+            console.log('Cancelled');
+            return 1;
+        }
+    }
+
+    const result = await api(options, 'DELETE', `/api/sectors/${sectorCode}`);
+    output(options, result, r => console.log(`🗑️ ${r.message} (${r.tilesDeleted} tiles)`));
+    return 0;
+}
+
+const COMMANDS = {
+    status: { run: status, usage: 'status [sector] [--local]' },
+    generate: { run: generate, usage: 'generate <sector...> [--mode only-missing|replace-all|only-flagged] [--imagery id] [--executor server|client] [--wait] [--interval s]' },
+    export: { run: exportSector, usage: 'export <sector> [--format pdf|eps|tiff|zip] [--layout name] [--profile name] [--variant color] [--rebuild] [--out path]' },
+    verify: { run: verify, usage: 'verify [sector...] [--repair] [--local]' },
+    import: { run: importSource, usage: 'import <dir|archive> [--policy skip|new-version|replace] [--sector code] [--local]' },
+    lookup: { run: lookup, usage: 'lookup <code|lat,lon> [--depth n]' },
+    delete: { run: deleteSector, usage: 'delete <sector> [--yes]' }
+};
+
+function printUsage() {
+    console.error('Usage: globe-tiles <command> [arguments] [--server URL] [--json]\n');
+    for (const { usage } of Object.values(COMMANDS)) {
+        console.error(`  ${usage}`);
+    }
+}
+
+/**
+ * Run a command line (without the node and script arguments)
+ * @returns {Promise<number>} Exit code
+ */
+export async function main(argv) {
+    const [name, ...rest] = argv;
+    const command = COMMANDS[name];
+    if (!command) {
+        printUsage();
+        return name && name !== '--help' ? 2 : 0;
+    }
+    try {
+        return await command.run(parseArgs(rest));
+    } catch (err) {
+        console.error(`❌ ${err.message}`);
+        if (err.usage) {
+            console.error(`Usage: globe-tiles ${command.usage}`);
+            return 2;
+        }
+        return 1;
+    }
+}
+
+// Run unless imported (fsck.js imports main); npm's bin link resolves to this file
+if (await fs.realpath(process.argv[1] || '').catch(() => null) === __filename) {
+    process.exitCode = await main(process.argv.slice(2));
+}
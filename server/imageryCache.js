@@ -0,0 +1,140 @@
+// imageryCache.js - Size-capped disk cache for remote imagery tiles, evicted least recently used first
+// Tiles are stored as <root>/<provider>/<z>/<x>/<y>.<ext>, so a provider's cache directory is
+// also a valid `directory` imagery source. Recency is the file's mtime (touched on every hit),
+// so the LRU order survives a restart; the index is rebuilt from disk on first use.
+import fs from 'fs/promises';
+import path from 'path';
+import { tileImageType } from './tileSources.js';
+
+async function listFiles(dir) {
+    let entries;
+    try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+
+    const files = [];
+    for (const entry of entries) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...await listFiles(entryPath));
+        } else if (entry.isFile()) {
+            files.push(entryPath);
+        }
+    }
+    return files;
+}
+
+/**
+ * Disk tile cache shared by all remote providers
+ * @param {string} rootDir - Cache directory
+ * @param {number} maxBytes - Size cap; the least recently used tiles are deleted beyond it
+ * @returns {Object} { get, put, has, stats }
+ */
+export function createTileCache(rootDir, maxBytes) {
+    // "provider/z/x/y" → { filePath, size }, least recently used first (Map keeps insertion order)
+    const entries = new Map();
+    let totalBytes = 0;
+    let hits = 0;
+    let misses = 0;
+    let evictions = 0;
+    let loading = null;
+
+    function load() {
+        if (!loading) {
+            loading = (async () => {
+                const files = await listFiles(rootDir);
+                const stats = await Promise.all(files.map(async filePath => ({ filePath, stat: await fs.stat(filePath) })));
+                stats.sort((a, b) => a.stat.mtimeMs - b.stat.mtimeMs);
+
+                for (const { filePath, stat } of stats) {
+                    const key = path.relative(rootDir, filePath).replace(/\\/g, '/').replace(/\.[^./]+$/, '');
+                    entries.set(key, { filePath, size: stat.size });
+                    totalBytes += stat.size;
+                }
+                console.log(`🗄️ Imagery cache: ${entries.size} tiles, ${(totalBytes / 1024 / 1024).toFixed(1)} MB in ${rootDir}`);
+                await evict();
+            })();
+        }
+        return loading;
+    }
+
+    async function evict() {
+        for (const [key, entry] of entries) {
+            if (totalBytes <= maxBytes) {
+                break;
+            }
+            entries.delete(key);
+            totalBytes -= entry.size;
+            evictions++;
+            await fs.rm(entry.filePath, { force: true });
+        }
+    }
+
+    return {
+        // Cached tile (now the most recently used), or null
+        async get(provider, z, x, y) {
+            await load();
+            const key = `${provider}/${z}/${x}/${y}`;
+            const entry = entries.get(key);
+            if (!entry) {
+                misses++;
+                return null;
+            }
+
+            try {
+                const buffer = await fs.readFile(entry.filePath);
+                entries.delete(key);
+                entries.set(key, entry);
+                hits++;
+                const now = new Date();
+                fs.utimes(entry.filePath, now, now).catch(() => {});
+                return buffer;
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+                // Deleted behind our back
+                entries.delete(key);
+                totalBytes -= entry.size;
+                misses++;
+                return null;
+            }
+        },
+
+        async put(provider, z, x, y, buffer) {
+            await load();
+            const key = `${provider}/${z}/${x}/${y}`;
+            const filePath = path.join(rootDir, provider, `${z}`, `${x}`, `${y}${tileImageType(buffer).extension}`);
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(filePath, buffer);
+
+            const previous = entries.get(key);
+            if (previous) {
+                entries.delete(key);
+                totalBytes -= previous.size;
+                if (previous.filePath !== filePath) {
+                    await fs.rm(previous.filePath, { force: true });
+                }
+            }
+            entries.set(key, { filePath, size: buffer.length });
+            totalBytes += buffer.length;
+            await evict();
+        },
+
+        // Cached, without counting as a use
+        async has(provider, z, x, y) {
+            await load();
+            return entries.has(`${provider}/${z}/${x}/${y}`);
+        },
+
+        async stats() {
+            await load();
+            return { tiles: entries.size, bytes: totalBytes, maxBytes, hits, misses, evictions };
+        }
+    };
+}
@@ -0,0 +1,130 @@
+// imageryPrefetch.js - Work out which imagery tiles a sector's captures need and warm the cache
+// "browser" follows the capture map in js/app.js (fitBounds of each triangle's bounding box
+// into the 1300px #capture-map); "server" follows renderTile() (renderZoom() and the
+// triangle's bounding box at that zoom).
+import { sectorTileCodes, tileCoordinates, lngLatToWorldPixel, unwrapLng } from './tileGeometry.js';
+import { renderZoom } from './renderer.js';
+
+export const PREFETCH_TARGETS = ['browser', 'server'];
+
+const CAPTURE_SIZE = 1300;      // #capture-map in index.html (CAPTURE_CONFIG.captureSize)
+const BROWSER_MAX_ZOOM = 19;    // maxZoom of the Leaflet imagery layers
+const CONCURRENCY = parseInt(process.env.IMAGERY_PREFETCH_CONCURRENCY || '4', 10);
+
+// Tile keys "z/x/y" covering a rectangle of world pixels (256px tiles at `zoom`) in the
+// provider's own tiles: 512px tiles sit one zoom lower, and no zoom goes past maxZoom
+function tilesCovering(provider, zoom, minX, minY, maxX, maxY) {
+    const offset = Math.log2(provider.tileSize / 256);
+    const dataZoom = Math.max(0, Math.min(zoom - offset, provider.maxZoom));
+    const factor = Math.pow(2, dataZoom) * provider.tileSize / (Math.pow(2, zoom) * 256);
+    const worldTiles = Math.pow(2, dataZoom);
+
+    const keys = [];
+    const tileY0 = Math.max(0, Math.floor(minY * factor / provider.tileSize));
+    const tileY1 = Math.min(worldTiles - 1, Math.floor(maxY * factor / provider.tileSize));
+    for (let tx = Math.floor(minX * factor / provider.tileSize); tx <= Math.floor(maxX * factor / provider.tileSize); tx++) {
+        // Wrap around the antimeridian
+        const wrappedX = ((tx % worldTiles) + worldTiles) % worldTiles;
+        for (let ty = tileY0; ty <= tileY1; ty++) {
+            keys.push(`${dataZoom}/${wrappedX}/${ty}`);
+        }
+    }
+    return keys;
+}
+
+// What the browser capture map loads for one tile (Leaflet fitBounds snaps the zoom down
+// and centres the bounds in the container)
+function browserCaptureTiles(tileCode, provider) {
+    const vertices = tileCoordinates(tileCode).slice(0, 3);
+    const lngs = vertices.map(v => v[0]);
+    const lats = vertices.map(v => v[1]);
+    const northWest = lngLatToWorldPixel(Math.min(...lngs), Math.max(...lats), 0, 256);
+    const southEast = lngLatToWorldPixel(Math.max(...lngs), Math.min(...lats), 0, 256);
+
+    const scale = Math.min(
+        CAPTURE_SIZE / (southEast.x - northWest.x),
+        CAPTURE_SIZE / (southEast.y - northWest.y)
+    );
+    const zoom = Math.min(BROWSER_MAX_ZOOM, Math.floor(Math.log2(scale)));
+    const centerX = (northWest.x + southEast.x) / 2 * Math.pow(2, zoom);
+    const centerY = (northWest.y + southEast.y) / 2 * Math.pow(2, zoom);
+    const half = CAPTURE_SIZE / 2;
+
+    return tilesCovering(provider, zoom, centerX - half, centerY - half, centerX + half, centerY + half);
+}
+
+// What renderTile() fetches for one tile (without bleed); its zoom counts the source's own
+// tiles, which is the same pixel grid as 256px tiles `offset` zooms higher
+function serverRenderTiles(tileCode, provider, source) {
+    const zoom = renderZoom(tileCode, source);
+    const offset = Math.log2(provider.tileSize / 256);
+    const vertices = tileCoordinates(tileCode).slice(0, 3);
+    const pixels = vertices.map(v => lngLatToWorldPixel(unwrapLng(v[0], vertices[0][0]), v[1], zoom, provider.tileSize));
+    const xs = pixels.map(p => p.x);
+    const ys = pixels.map(p => p.y);
+    return tilesCovering(provider, zoom + offset, Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys));
+}
+
+/**
+ * Every imagery tile the captures of a sector touch, without duplicates
+ * @param {string} sectorCode - Sector code
+ * @param {Object} provider - Imagery provider (see imageryProviders.js)
+ * @param {Object} source - The provider's tile source
+ * @param {string} target - 'browser' or 'server' (see PREFETCH_TARGETS)
+ * @returns {Array} Tile keys "z/x/y"
+ */
+export function sectorImageryTiles(sectorCode, provider, source, target = 'browser') {
+    const keys = new Set();
+    for (const tileCode of sectorTileCodes(sectorCode)) {
+        const tiles = target === 'server'
+            ? serverRenderTiles(tileCode, provider, source)
+            : browserCaptureTiles(tileCode, provider);
+        tiles.forEach(key => keys.add(key));
+    }
+    return [...keys];
+}
+
+/**
+ * Fetch tiles through a (cached) source, a few at a time
+ * @param {Object} source - Tile source
+ * @param {Array} keys - Tile keys "z/x/y"
+ * @param {Object} options - { onProgress(summary) after every tile, isCancelled() }
+ * @returns {Promise<Object>} { total, done, available, missing, failed, errors, cancelled }
+ */
+export async function prefetchTiles(source, keys, { onProgress, isCancelled } = {}) {
+    const summary = { total: keys.length, done: 0, available: 0, missing: 0, failed: 0, errors: [], cancelled: false };
+    let next = 0;
+
+    async function worker() {
+        while (next < keys.length) {
+            if (isCancelled && isCancelled()) {
+                summary.cancelled = true;
+                return;
+            }
+
+            const key = keys[next++];
+            const [z, x, y] = key.split('/').map(Number);
+            try {
+                const buffer = await source.getTile(z, x, y);
+                if (buffer) {
+                    summary.available++;
+                } else {
+                    summary.missing++;
+                }
+            } catch (error) {
+                summary.failed++;
+                if (summary.errors.length < 10) {
+                    summary.errors.push(`${key}: ${error.message}`);
+                }
+            }
+
+            summary.done++;
+            if (onProgress) {
+                onProgress(summary);
+            }
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.max(1, CONCURRENCY) }, worker));
+    return summary;
+}
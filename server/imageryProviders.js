@@ -0,0 +1,193 @@
+// imageryProviders.js - Named imagery providers for the renderer, the browser maps and the tile proxy
+// Providers live in imagery.json (or IMAGERY_FILE) so switching to another mosaic is a config
+// change. A provider is an XYZ URL, an MBTiles file or a z/x/y directory; remote tiles are kept
+// in a size-capped local cache (IMAGERY_CACHE_DIR, IMAGERY_CACHE_MAX_MB) shared by all providers.
+import { existsSync, readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+    createCachedTileSource,
+    createDirectoryTileSource,
+    createHttpTileSource,
+    createMbtilesTileSource,
+    createPlaceholderFilter
+} from './tileSources.js';
+import { createTileCache } from './imageryCache.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const IMAGERY_FILE = process.env.IMAGERY_FILE || path.join(__dirname, 'imagery.json');
+const IMAGERY_CACHE_DIR = process.env.IMAGERY_CACHE_DIR || path.join(__dirname, 'imagery-cache');
+const IMAGERY_CACHE_MAX_MB = parseInt(process.env.IMAGERY_CACHE_MAX_MB || '2048', 10);
+
+export const imageryCache = createTileCache(IMAGERY_CACHE_DIR, IMAGERY_CACHE_MAX_MB * 1024 * 1024);
+
+const PROVIDER_TYPES = ['xyz', 'mbtiles', 'directory'];
+
+// Fill in defaults and check a provider; throws on invalid config
+function normalizeProvider(id, profile, baseDir) {
+    const fail = message => {
+        throw new Error(`Imagery provider "${id}": ${message}`);
+    };
+
+    const provider = {
+        id,
+        name: id,
+        type: 'xyz',
+        maxZoom: profile.type === 'mbtiles' ? null : 19,  // MBTiles: from the file's metadata
+        tileSize: 256,
+        attribution: '',
+        licence: '',
+        placeholders: [],   // SHA-256 of placeholder images the provider serves instead of a 404
+        ...profile
+    };
+
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(id)) {
+        fail('id must be lowercase letters, digits and dashes');
+    }
+    if (!PROVIDER_TYPES.includes(provider.type)) {
+        fail(`type must be one of: ${PROVIDER_TYPES.join(', ')}`);
+    }
+    if (provider.maxZoom !== null && (!Number.isInteger(provider.maxZoom) || provider.maxZoom < 1 || provider.maxZoom > 24)) {
+        fail('maxZoom must be an integer from 1 to 24');
+    }
+    if (![256, 512].includes(provider.tileSize)) {
+        fail('tileSize must be 256 or 512');
+    }
+
+    if (!Array.isArray(provider.placeholders) || !provider.placeholders.every(hash => /^[0-9a-fA-F]{64}$/.test(hash))) {
+        fail('placeholders must be a list of SHA-256 hex digests');
+    }
+
+    if (provider.type === 'xyz') {
+        if (typeof provider.url !== 'string' || !['{z}', '{x}', '{y}'].every(key => provider.url.includes(key))) {
+            fail('url must be a template containing {z}, {x} and {y}');
+        }
+    } else {
+        if (typeof provider.path !== 'string' || !provider.path) {
+            fail('path is required');
+        }
+        // Relative paths are relative to the providers file
+        provider.path = path.resolve(baseDir, provider.path);
+        if (!existsSync(provider.path)) {
+            fail(`${provider.path} does not exist`);
+        }
+    }
+
+    return provider;
+}
+
+// Providers configured by environment (kept from before the registry); these come first,
+// so one of them becomes the default unless IMAGERY_PROVIDER says otherwise
+function environmentProviders() {
+    const providers = {};
+    if (process.env.IMAGERY_TILE_DIR) {
+        providers['local-directory'] = {
+            name: 'Local tile directory',
+            type: 'directory',
+            path: process.env.IMAGERY_TILE_DIR,
+            licence: 'Local imagery (offline)'
+        };
+    }
+    if (process.env.IMAGERY_MBTILES) {
+        providers['local-mbtiles'] = {
+            name: 'Local MBTiles',
+            type: 'mbtiles',
+            path: process.env.IMAGERY_MBTILES,
+            licence: 'Local imagery (offline)'
+        };
+    }
+    if (process.env.IMAGERY_URL) {
+        providers['custom-url'] = {
+            name: 'Custom XYZ source',
+            type: 'xyz',
+            url: process.env.IMAGERY_URL
+        };
+    }
+    return providers;
+}
+
+function loadProviders(filePath) {
+    const profiles = {
+        ...environmentProviders(),
+        ...JSON.parse(readFileSync(filePath, 'utf8'))
+    };
+    const providers = new Map();
+    for (const [id, profile] of Object.entries(profiles)) {
+        const provider = normalizeProvider(id, profile, path.dirname(filePath));
+        if (provider.maxZoom === null) {
+            const source = createSource(provider);
+            provider.maxZoom = source.maxZoom;
+            sources.set(id, source);
+        }
+        providers.set(id, provider);
+    }
+    return providers;
+}
+
+// One source per provider, opened on first use (MBTiles keeps its database handle open)
+const sources = new Map();
+
+// Loaded once at startup: a broken providers file should stop the server, not a render
+const providers = loadProviders(IMAGERY_FILE);
+export const DEFAULT_PROVIDER = process.env.IMAGERY_PROVIDER || providers.keys().next().value;
+
+if (!providers.has(DEFAULT_PROVIDER)) {
+    throw new Error(`IMAGERY_PROVIDER "${DEFAULT_PROVIDER}" is not defined in ${IMAGERY_FILE}`);
+}
+console.log(`🛰️ Loaded ${providers.size} imagery providers from ${IMAGERY_FILE} (default: ${DEFAULT_PROVIDER})`);
+
+// What the browser needs: no local paths or upstream URLs (which may carry API keys),
+// tiles are fetched through the proxy instead
+function publicProvider(provider) {
+    const { id, name, type, maxZoom, tileSize, attribution, licence } = provider;
+    return { id, name, type, maxZoom, tileSize, attribution, licence, tileUrl: `/imagery/${id}/{z}/{x}/{y}` };
+}
+
+export function listProviders() {
+    return [...providers.values()].map(publicProvider);
+}
+
+/**
+ * Resolve a provider id (falling back to the default)
+ * @returns {Object} { provider } or { error }
+ */
+export function resolveProvider(id) {
+    const provider = providers.get(id || DEFAULT_PROVIDER);
+    if (!provider) {
+        return { error: `Unknown imagery provider "${id}". Available: ${[...providers.keys()].join(', ')}` };
+    }
+    return { provider };
+}
+
+function createSource(provider) {
+    const options = { name: provider.id, tileSize: provider.tileSize, maxZoom: provider.maxZoom ?? undefined };
+    if (provider.type === 'mbtiles') {
+        return createMbtilesTileSource(provider.path, options);
+    }
+    if (provider.type === 'directory') {
+        return createDirectoryTileSource(provider.path, options);
+    }
+    let source = createHttpTileSource(provider.url, options);
+    if (provider.placeholders.length > 0) {
+        source = createPlaceholderFilter(source, provider.placeholders);
+    }
+    return createCachedTileSource(source, imageryCache, provider.id);
+}
+
+/**
+ * Tile source for a provider, as used by renderTile() and the imagery proxy
+ * @param {string} id - Provider id (default provider when empty)
+ * @returns {Object} Tile source (see tileSources.js)
+ */
+export function tileSourceFor(id) {
+    const { provider, error } = resolveProvider(id);
+    if (error) {
+        throw new Error(error);
+    }
+
+    if (!sources.has(provider.id)) {
+        sources.set(provider.id, createSource(provider));
+    }
+    return sources.get(provider.id);
+}
@@ -0,0 +1,312 @@
+// imposition.js - Triangle-nesting imposition for sector print sheets
+// Instead of one rectangular cell per tile, tiles are laid out in rows where apex-up and
+// apex-down triangles alternate so their slanted edges face each other, separated only by
+// the gutter. Decals of inverted tiles (3/6/8) are already drawn apex-down, so each kind
+// fills its own slots; a tile only gets rotated 180° when the other kind has run out.
+// Images are clipped to their triangle; each placement's label band (for the tile code)
+// lies below an apex-up base or above an apex-down edge, where it never touches a neighbour.
+import { OUTPUT_CONFIG, decalTriangle, isInvertedTile } from './tileGeometry.js';
+import { writeEpsImage } from './epsImage.js';
+
+export const NESTING_DEFAULTS = {
+    pageWidth: 3744,   // 52" vinyl roll width (points)
+    pageHeight: 2754,  // 38.25" (points)
+    margin: 18,        // 0.25" on every side
+    gutter: 9,         // 1/8" minimum gap between neighbouring triangles
+    dpi: OUTPUT_CONFIG.dpi
+};
+
+// ==================== GEOMETRY ====================
+
+// Convex hull of [x, y] points (monotone chain), counter-clockwise in y-down coordinates
+function convexHull(points) {
+    const sorted = [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+
+    const lower = [];
+    for (const p of sorted) {
+        while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) {
+            lower.pop();
+        }
+        lower.push(p);
+    }
+
+    const upper = [];
+    for (const p of sorted.reverse()) {
+        while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) {
+            upper.pop();
+        }
+        upper.push(p);
+    }
+
+    return lower.slice(0, -1).concat(upper.slice(0, -1));
+}
+
+// Grow a convex polygon by a distance (edges pushed out, corners kept sharp)
+function offsetPolygon(polygon, distance) {
+    const n = polygon.length;
+    const area = polygon.reduce((sum, p, i) => {
+        const q = polygon[(i + 1) % n];
+        return sum + p[0] * q[1] - q[0] * p[1];
+    }, 0);
+    const sign = area > 0 ? 1 : -1;  // Outward normal direction depends on winding
+
+    const normal = (a, b) => {
+        const dx = b[0] - a[0];
+        const dy = b[1] - a[1];
+        const length = Math.hypot(dx, dy);
+        return [sign * dy / length, -sign * dx / length];
+    };
+
+    return polygon.map((p, i) => {
+        const n1 = normal(polygon[(i - 1 + n) % n], p);
+        const n2 = normal(p, polygon[(i + 1) % n]);
+        const k = distance / (1 + n1[0] * n2[0] + n1[1] * n2[1]);
+        return [p[0] + (n1[0] + n2[0]) * k, p[1] + (n1[1] + n2[1]) * k];
+    });
+}
+
+// Horizontal extent [minX, maxX] of a convex polygon at height y, or null
+function extentAt(polygon, y) {
+    let minX = Infinity;
+    let maxX = -Infinity;
+
+    for (let i = 0; i < polygon.length; i++) {
+        const a = polygon[i];
+        const b = polygon[(i + 1) % polygon.length];
+        if ((y < Math.min(a[1], b[1])) || (y > Math.max(a[1], b[1]))) {
+            continue;
+        }
+        const x = a[1] === b[1]
+            ? [a[0], b[0]]
+            : [a[0] + (b[0] - a[0]) * (y - a[1]) / (b[1] - a[1])];
+        minX = Math.min(minX, ...x);
+        maxX = Math.max(maxX, ...x);
+    }
+
+    return minX <= maxX ? [minX, maxX] : null;
+}
+
+// Smallest shift to the right that keeps polygon `b` clear of polygon `a` (both convex)
+// The gap is piecewise linear in y, so it is enough to test every vertex height
+function clearanceShift(a, b) {
+    let shift = -Infinity;
+    for (const y of [...a, ...b].map(p => p[1])) {
+        const extentA = extentAt(a, y);
+        const extentB = extentAt(b, y);
+        if (extentA && extentB) {
+            shift = Math.max(shift, extentA[1] - extentB[0]);
+        }
+    }
+    return shift;
+}
+
+function triangleArea([a, b, c]) {
+    return Math.abs((b[0] - a[0]) * (c[1] - a[1]) - (c[0] - a[0]) * (b[1] - a[1])) / 2;
+}
+
+// ==================== LAYOUT ====================
+
+// Tile outline in its own image frame (points), for a rotation of 0 or 180°
+function prepareTile(tile, rotation, dpi) {
+    const pt = 72 / dpi;
+    const width = tile.width * pt;
+    const height = tile.height * pt;
+
+    let triangle = decalTriangle(tile.tileCode, tile.width, tile.height - OUTPUT_CONFIG.labelHeight, dpi)
+        .map(p => [p.x * pt, p.y * pt]);
+    if (rotation === 180) {
+        triangle = triangle.map(([x, y]) => [width - x, height - y]);
+    }
+
+    const apexUp = isInvertedTile(tile.tileCode) === (rotation === 180);
+    const xs = triangle.map(p => p[0]);
+    const ys = triangle.map(p => p[1]);
+    const top = Math.min(...ys);
+    const bottom = Math.max(...ys);
+
+    // Label band along the flat edge, as wide as the triangle
+    const labelHeight = OUTPUT_CONFIG.labelHeight * pt;
+    const label = [
+        Math.min(...xs),
+        apexUp ? bottom : top - labelHeight,
+        Math.max(...xs) - Math.min(...xs),
+        labelHeight
+    ];
+
+    return {
+        tileCode: tile.tileCode,
+        width,
+        height,
+        rotation,
+        apexUp,
+        triangle,
+        label,
+        shape: convexHull([
+            ...triangle,
+            [label[0], label[1]],
+            [label[0] + label[2], label[1]],
+            [label[0] + label[2], label[1] + label[3]],
+            [label[0], label[1] + label[3]]
+        ]),
+        top,
+        bottom
+    };
+}
+
+const translate = (points, dx, dy) => points.map(([x, y]) => [x + dx, y + dy]);
+
+/**
+ * Nest tiles onto sheets
+ * @param {Array} tiles - [{ tileCode, width, height }] image size in pixels (label strip included)
+ * @param {Object} options - { pageWidth, pageHeight, margin, gutter } in points, plus dpi
+ * @returns {Object} { sheets: [{ placements, triangleArea, efficiency }], efficiency, pageWidth, pageHeight, ... }
+ *   placement: { tileCode, x, y, width, height, rotation (0 | 180), triangle, label }
+ *   x/y/width/height place the unrotated image; triangle and label are in page coords (top-left origin)
+ *   efficiency = printed triangle area / sheet area
+ */
+export function nestTiles(tiles, options = {}) {
+    const { pageWidth, pageHeight, margin, gutter, dpi } = { ...NESTING_DEFAULTS, ...options };
+
+    const queues = {
+        up: tiles.filter(tile => !isInvertedTile(tile.tileCode)),
+        down: tiles.filter(tile => isInvertedTile(tile.tileCode))
+    };
+
+    // Row geometry from the largest tiles, so every row has the same baseline spacing
+    const probes = tiles.map(tile => prepareTile(tile, 0, dpi));
+    const labelBand = OUTPUT_CONFIG.labelHeight * 72 / dpi;
+    const triangleBand = Math.max(0, ...probes.map(p => p.bottom - p.top));
+    const rowHeight = labelBand + triangleBand + labelBand;
+
+    const sheets = [];
+    let sheet = null;
+    let rowY = margin;
+    let row = [];  // Shapes placed in the current row (page coords)
+
+    const startSheet = () => {
+        sheet = { placements: [], triangleArea: 0 };
+        sheets.push(sheet);
+        rowY = margin;
+        row = [];
+    };
+
+    const startRow = () => {
+        rowY += rowHeight + gutter;
+        row = [];
+        if (rowY + rowHeight > pageHeight - margin) {
+            startSheet();
+        }
+    };
+
+    if (rowHeight > pageHeight - 2 * margin) {
+        throw new Error(`Tiles do not fit on a ${pageWidth}×${pageHeight}pt sheet`);
+    }
+    startSheet();
+
+    while (queues.up.length + queues.down.length > 0) {
+        // Slots alternate apex-up / apex-down; a tile of the other kind is rotated to fit
+        const slot = row.length % 2 === 0 ? 'up' : 'down';
+        const other = slot === 'up' ? 'down' : 'up';
+        const source = queues[slot].length > 0 ? queues[slot] : queues[other];
+        const tile = prepareTile(source[0], source === queues[slot] ? 0 : 180, dpi);
+
+        // Flat edges on the row lines: apex-up bases on the baseline, apex-down edges on the top line
+        const topLine = rowY + labelBand;
+        const dy = tile.apexUp ? topLine + triangleBand - tile.bottom : topLine - tile.top;
+
+        // Slide the tile left until it is one gutter away from its neighbours
+        const shape = translate(tile.shape, 0, dy);
+        let dx = margin - Math.min(...shape.map(p => p[0]));
+        for (const neighbour of row.slice(-2)) {
+            dx = Math.max(dx, clearanceShift(offsetPolygon(neighbour, gutter), shape));
+        }
+
+        const placedShape = translate(shape, dx, 0);
+        if (Math.max(...placedShape.map(p => p[0])) > pageWidth - margin) {
+            if (row.length === 0) {
+                throw new Error(`Tile ${tile.tileCode} does not fit on a ${Math.round(pageWidth)}×${Math.round(pageHeight)}pt sheet`);
+            }
+            startRow();
+            continue;
+        }
+
+        source.shift();
+        row.push(placedShape);
+
+        const triangle = translate(tile.triangle, dx, dy);
+        sheet.triangleArea += triangleArea(triangle);
+        sheet.placements.push({
+            tileCode: tile.tileCode,
+            x: dx,
+            y: dy,
+            width: tile.width,
+            height: tile.height,
+            rotation: tile.rotation,
+            triangle,
+            label: [tile.label[0] + dx, tile.label[1] + dy, tile.label[2], tile.label[3]]
+        });
+    }
+
+    const sheetArea = pageWidth * pageHeight;
+    const usedSheets = sheets.filter(s => s.placements.length > 0);
+    for (const s of usedSheets) {
+        s.efficiency = s.triangleArea / sheetArea;
+    }
+
+    return {
+        pageWidth,
+        pageHeight,
+        margin,
+        gutter,
+        sheets: usedSheets,
+        efficiency: usedSheets.length > 0
+            ? usedSheets.reduce((sum, s) => sum + s.triangleArea, 0) / (sheetArea * usedSheets.length)
+            : 0
+    };
+}
+
+// ==================== DRAWING ====================
+
+/**
+ * Draw a nested tile on a PDFKit page, clipped to its triangle
+ * (rectangular decals would otherwise cover their neighbours)
+ */
+export function drawNestedPdfTile(doc, filePath, placement) {
+    const { x, y, width, height, rotation, triangle } = placement;
+
+    doc.save();
+    doc.polygon(...triangle).clip();
+    if (rotation === 180) {
+        doc.rotate(180, { origin: [x + width / 2, y + height / 2] });
+    }
+    doc.image(filePath, x, y, { width, height, compress: false });
+    doc.restore();
+}
+
+/**
+ * Write a nested tile to an EPS page, clipped to its triangle
+ * @param {WriteStream} writeStream - Open EPS stream
+ * @param {Object} image - Result of readEpsImage()
+ * @param {Object} placement - Placement from nestTiles()
+ * @param {number} pageHeight - Page height in points (EPS y grows upwards)
+ */
+export function writeNestedEpsTile(writeStream, image, placement, pageHeight) {
+    const { x, y, width, height, rotation, triangle } = placement;
+    const flip = ([px, py]) => `${px.toFixed(2)} ${(pageHeight - py).toFixed(2)}`;
+
+    writeStream.write(`
+gsave
+newpath ${flip(triangle[0])} moveto ${flip(triangle[1])} lineto ${flip(triangle[2])} lineto closepath clip
+`);
+
+    const bottom = pageHeight - y - height;
+    if (rotation === 180) {
+        const cx = x + width / 2;
+        const cy = bottom + height / 2;
+        writeStream.write(`${cx.toFixed(2)} ${cy.toFixed(2)} translate 180 rotate ${(-cx).toFixed(2)} ${(-cy).toFixed(2)} translate\n`);
+    }
+
+    writeEpsImage(writeStream, image, { x, y: bottom, width, height });
+    writeStream.write('grestore\n');
+}
@@ -0,0 +1,525 @@
+// integrity.js - Storage integrity check and repair (fsck)
+// Compares the tile records in storage with what is on disk: the tile files in uploads/
+// (every sector directory, plus flat files of the old timestamp_TILE.png layout) and the
+// versions in versions/. Every disagreement is reported as an issue with the repair it needs;
+// with `repair` the repairs are made too, through the same helpers uploads use (tileStore.js),
+// so a repaired tile looks like one that was stored normally. Without it nothing is changed.
+//
+// Issue types and their repairs:
+//   orphan-file       file without a record          → kept as the tile's current version
+//   missing-file      record without a file          → restored from its newest version, else the record is removed
+//   hash-mismatch     file or version that is not    → restored from the current version, else the
+//                     the image its record names       file is kept as a new version (or the version dropped)
+//   wrong-sector      file outside uploads/<sector>/ → moved there, record and sectors updated
+//   duplicate-file    more than one file for a tile  → the others kept as versions, then deleted
+//   duplicate-version version listed twice           → listed once
+//   missing-version   version listed without a file  → no longer listed
+//   orphan-version    version file not listed        → listed again, or deleted if its tile is gone
+//   sector-drift      sector's tile list is wrong    → rebuilt from the tile records
+//   stray-file        .tmp/.restore left by a crash  → deleted
+import { existsSync } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import storage from './storage.js';
+import { isSectorCode, isTileCode, sectorOf } from './tileGeometry.js';
+import { VERSIONS_DIR, restoreTileVersion, saveTileVersion, versionPath } from './tileVersions.js';
+import { UPLOADS_DIR, calculateFileHash, ensureSector, registerTile, tileFilePath } from './tileStore.js';
+
+export const ISSUE_TYPES = [
+    'orphan-file',
+    'missing-file',
+    'hash-mismatch',
+    'wrong-sector',
+    'duplicate-file',
+    'duplicate-version',
+    'missing-version',
+    'orphan-version',
+    'sector-drift',
+    'stray-file'
+];
+
+const SKIPPED_DIRS = new Set(['.staging', '.quarantine']); // Managed by uploadStaging.js / uploadValidation.js
+const LEFTOVER_FILE = /\.(tmp|restore)$/;
+const LEFTOVER_MIN_AGE_MS = 60 * 1000; // Younger leftovers may belong to a write still in progress
+const TILE_FILE = /^(?:\d+_)?([A-Z]\d+)\.png$/; // M713111.png, or 1234567890_M713111.png (flat layout)
+const VERSION_FILE = /^([0-9a-f]{64})\.png$/;
+
+// ==================== SCAN ====================
+
+async function listDir(dir) {
+    try {
+        return await fs.readdir(dir, { withFileTypes: true });
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            return [];
+        }
+        throw err;
+    }
+}
+
+function normalizePath(filePath) {
+    return path.normalize(filePath).replace(/\\/g, '/');
+}
+
+async function describeFile(filePath) {
+    const buffer = await fs.readFile(filePath);
+    const stats = await fs.stat(filePath);
+    return {
+        path: normalizePath(filePath),
+        hash: calculateFileHash(buffer),
+        sizeBytes: buffer.length,
+        modifiedAt: stats.mtime.toISOString()
+    };
+}
+
+function addTo(map, key, value) {
+    if (!map.has(key)) {
+        map.set(key, []);
+    }
+    map.get(key).push(value);
+}
+
+async function addLeftover(strays, filePath) {
+    const stats = await fs.stat(filePath);
+    if (Date.now() - stats.mtimeMs > LEFTOVER_MIN_AGE_MS) {
+        strays.push(normalizePath(filePath));
+    }
+}
+
+// Tile files in uploads/ by tile code, and leftovers of interrupted writes
+async function scanUploads(inScope) {
+    const files = new Map();
+    const strays = [];
+
+    const addTileFile = async (dir, name) => {
+        const match = name.match(TILE_FILE);
+        if (match && isTileCode(match[1]) && inScope(sectorOf(match[1]))) {
+            addTo(files, match[1], await describeFile(path.join(dir, name)));
+        }
+    };
+
+    for (const entry of await listDir(UPLOADS_DIR)) {
+        const entryPath = path.join(UPLOADS_DIR, entry.name);
+        if (entry.isDirectory()) {
+            if (SKIPPED_DIRS.has(entry.name) || !isSectorCode(entry.name)) {
+                continue;
+            }
+            for (const file of await listDir(entryPath)) {
+                if (!file.isFile()) {
+                    continue;
+                }
+                if (LEFTOVER_FILE.test(file.name)) {
+                    if (inScope(entry.name)) {
+                        await addLeftover(strays, path.join(entryPath, file.name));
+                    }
+                } else {
+                    await addTileFile(entryPath, file.name);
+                }
+            }
+        } else if (entry.isFile()) {
+            if (LEFTOVER_FILE.test(entry.name)) {
+                await addLeftover(strays, entryPath);
+            } else {
+                await addTileFile(UPLOADS_DIR, entry.name);
+            }
+        }
+    }
+    return { files, strays };
+}
+
+// Version files by tile code (versions/<sector>/<tile>/<hash>.png), and leftovers
+async function scanVersions(inScope) {
+    const versions = new Map();
+    const strays = [];
+
+    for (const sectorDir of await listDir(VERSIONS_DIR)) {
+        if (!sectorDir.isDirectory() || !inScope(sectorDir.name)) {
+            continue;
+        }
+        const sectorPath = path.join(VERSIONS_DIR, sectorDir.name);
+        for (const tileDir of await listDir(sectorPath)) {
+            if (!tileDir.isDirectory()) {
+                continue;
+            }
+            const tilePath = path.join(sectorPath, tileDir.name);
+            for (const file of await listDir(tilePath)) {
+                const filePath = path.join(tilePath, file.name);
+                if (LEFTOVER_FILE.test(file.name)) {
+                    await addLeftover(strays, filePath);
+                    continue;
+                }
+                const match = file.name.match(VERSION_FILE);
+                if (match) {
+                    addTo(versions, tileDir.name, { ...(await describeFile(filePath)), name: match[1] });
+                }
+            }
+        }
+    }
+    return { versions, strays };
+}
+
+// ==================== CHECKS ====================
+
+// Record an issue; in repair mode run its repair and note the outcome on it
+async function report(result, issue, repairFn) {
+    result.issues.push(issue);
+    if (!result.repair) {
+        return;
+    }
+    try {
+        await repairFn();
+        issue.repaired = true;
+    } catch (err) {
+        issue.repaired = false;
+        issue.error = err.message;
+    }
+}
+
+// A tile file as a version: it is the tile's image even though no record says so
+function fileVersion(tileCode, file) {
+    return saveTileVersion(tileCode, file.path, {
+        hash: file.hash,
+        sizeBytes: file.sizeBytes,
+        quality: null,
+        source: 'fsck'
+    }).then(version => ({ ...version, createdAt: file.modifiedAt }));
+}
+
+// Make a file found on disk the tile's current image, in its proper place
+async function adoptFile(tileCode, file) {
+    const version = await fileVersion(tileCode, file);
+    const filePath = tileFilePath(tileCode);
+    if (file.path !== filePath) {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.rename(file.path, filePath);
+    }
+    registerTile(tileCode, sectorOf(tileCode), filePath, version, 'fsck');
+}
+
+// Version of a tile whose file holds the image it names: the current one, or failing that the newest
+function restorableVersion(tile, versionFiles) {
+    const intact = new Set(versionFiles.filter(file => file.hash === file.name).map(file => file.name));
+    const versions = (tile.versions || []).filter(v => intact.has(v.hash));
+    return versions.find(v => v.hash === tile.current) ||
+        versions.sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt))[0] ||
+        null;
+}
+
+async function checkTile(result, tileCode, files, versionFiles) {
+    const sectorCode = sectorOf(tileCode);
+    const filePath = tileFilePath(tileCode);
+    const tile = storage.getTile(tileCode);
+
+    // The file that is the tile's image: the one its record points at, else the newest
+    const recorded = tile?.filePath ? normalizePath(tile.filePath) : null;
+    const kept = files.find(file => file.path === recorded) ||
+        [...files].sort((a, b) => b.modifiedAt.localeCompare(a.modifiedAt))[0];
+
+    // Other copies: kept as versions (unless they are the same image) and removed
+    const copies = [];
+    for (const file of files.filter(f => f !== kept)) {
+        const same = file.hash === kept.hash;
+        await report(result, {
+            type: 'duplicate-file',
+            tileCode,
+            sectorCode,
+            path: file.path,
+            detail: `Another file for ${tileCode} besides ${kept.path}`,
+            action: same ? 'Delete it (same image as the kept file)' : 'Keep it as a version, then delete it'
+        }, async () => {
+            if (!same) {
+                copies.push(await fileVersion(tileCode, file));
+            }
+            await fs.rm(file.path, { force: true });
+        });
+    }
+
+    if (!tile && kept) {
+        await report(result, {
+            type: 'orphan-file',
+            tileCode,
+            sectorCode,
+            path: kept.path,
+            detail: `${kept.path} has no tile record`,
+            action: 'Register it as the tile\'s current version'
+        }, () => adoptFile(tileCode, kept));
+    } else if (tile && !kept) {
+        const version = restorableVersion(tile, versionFiles);
+        await report(result, {
+            type: 'missing-file',
+            tileCode,
+            sectorCode,
+            path: recorded,
+            detail: `Tile record without a file (${recorded || 'no path'})`,
+            action: version
+                ? `Restore version ${version.hash.slice(0, 12)}${version.hash === tile.current ? '' : ' (newest remaining)'}`
+                : 'Remove the tile record (no version to restore)'
+        }, async () => {
+            if (version) {
+                await restoreTileVersion(version, filePath);
+                registerTile(tileCode, sectorCode, filePath, version, 'fsck');
+            } else {
+                storage.deleteTile(tileCode);
+            }
+        });
+    } else if (tile && kept) {
+        const mismatch = kept.hash !== tile.hash;
+        const misplaced = kept.path !== filePath || recorded !== filePath || tile.sectorCode !== sectorCode;
+        const version = mismatch ? restorableVersion(tile, versionFiles) : null;
+        const restore = version && version.hash === tile.current;
+
+        // One repair puts the right image at the right path, whichever of the two was wrong
+        const repair = async () => {
+            if (restore) {
+                await restoreTileVersion(version, filePath);
+                if (kept.path !== filePath) {
+                    await fs.rm(kept.path, { force: true });
+                }
+                registerTile(tileCode, sectorCode, filePath, version, 'fsck');
+            } else if (mismatch) {
+                await adoptFile(tileCode, kept);
+            } else {
+                if (kept.path !== filePath) {
+                    await fs.mkdir(path.dirname(filePath), { recursive: true });
+                    await fs.rename(kept.path, filePath);
+                }
+                storage.setTile(tileCode, { ...storage.getTile(tileCode), sectorCode, filePath });
+            }
+        };
+        let repaired = null;
+        const repairOnce = () => (repaired = repaired || repair());
+
+        if (mismatch) {
+            await report(result, {
+                type: 'hash-mismatch',
+                tileCode,
+                sectorCode,
+                path: kept.path,
+                detail: `File is ${kept.hash.slice(0, 12)}, record says ${String(tile.hash).slice(0, 12)}`,
+                action: restore
+                    ? `Restore the current version ${version.hash.slice(0, 12)}`
+                    : 'Keep the file as a new current version'
+            }, repairOnce);
+        }
+        if (misplaced) {
+            await report(result, {
+                type: 'wrong-sector',
+                tileCode,
+                sectorCode,
+                path: kept.path,
+                detail: tile.sectorCode !== sectorCode
+                    ? `Recorded in sector ${tile.sectorCode}, belongs to ${sectorCode}`
+                    : `Stored at ${kept.path}${recorded && recorded !== kept.path ? ` (recorded at ${recorded})` : ''}`,
+                action: `Move it to ${filePath} and update the records`
+            }, repairOnce);
+        }
+    }
+
+    if (result.repair && copies.length > 0 && storage.getTile(tileCode)) {
+        const current = storage.getTile(tileCode);
+        const listed = new Set((current.versions || []).map(v => v.hash));
+        storage.setTile(tileCode, {
+            ...current,
+            versions: [...(current.versions || []), ...copies.filter(v => !listed.has(v.hash))]
+        });
+    }
+
+    await checkVersions(result, tileCode, versionFiles, files.length > 0);
+}
+
+async function checkVersions(result, tileCode, versionFiles, hasFile) {
+    const sectorCode = sectorOf(tileCode);
+    const tile = storage.getTile(tileCode);
+    const listed = tile?.versions || [];
+    const onDisk = new Map(versionFiles.map(file => [file.name, file]));
+
+    // Drop (or fix) entries one at a time against the record as it is now
+    const updateVersions = change => {
+        const current = storage.getTile(tileCode);
+        storage.setTile(tileCode, { ...current, versions: change(current.versions || []) });
+    };
+
+    const seen = new Set();
+    for (const version of listed) {
+        if (seen.has(version.hash)) {
+            await report(result, {
+                type: 'duplicate-version',
+                tileCode,
+                sectorCode,
+                path: version.filePath,
+                detail: `Version ${version.hash.slice(0, 12)} is listed more than once`,
+                action: 'List it once'
+            }, () => updateVersions(versions => versions.filter((v, i) =>
+                versions.findIndex(other => other.hash === v.hash) === i)));
+            continue;
+        }
+        seen.add(version.hash);
+
+        // Versions written by repairs above were not there when the disk was scanned
+        const file = onDisk.get(version.hash);
+        if (!file && !existsSync(versionPath(tileCode, version.hash))) {
+            await report(result, {
+                type: 'missing-version',
+                tileCode,
+                sectorCode,
+                path: versionPath(tileCode, version.hash),
+                detail: `Version ${version.hash.slice(0, 12)} has no file`,
+                action: 'Stop listing it'
+            }, () => updateVersions(versions => versions.filter(v => v.hash !== version.hash)));
+        } else if (file && file.hash !== file.name) {
+            await report(result, {
+                type: 'hash-mismatch',
+                tileCode,
+                sectorCode,
+                path: file.path,
+                detail: `Version file holds ${file.hash.slice(0, 12)}, not ${file.name.slice(0, 12)}`,
+                action: 'Delete the damaged version and stop listing it'
+            }, async () => {
+                await fs.rm(file.path, { force: true });
+                updateVersions(versions => versions.filter(v => v.hash !== version.hash));
+            });
+        }
+    }
+
+    for (const file of versionFiles.filter(f => !seen.has(f.name))) {
+        // Repairs above may have listed it already (duplicate files kept as versions)
+        if (result.repair && (storage.getTile(tileCode)?.versions || []).some(v => v.hash === file.name)) {
+            continue;
+        }
+        await report(result, {
+            type: 'orphan-version',
+            tileCode,
+            sectorCode,
+            path: file.path,
+            detail: `Version file ${file.name.slice(0, 12)} is not listed`,
+            action: (tile || hasFile) && file.hash === file.name ? 'List it again' : 'Delete it'
+        }, async () => {
+            if (storage.getTile(tileCode) && file.hash === file.name) {
+                updateVersions(versions => [...versions, {
+                    hash: file.name,
+                    filePath: file.path,
+                    sizeBytes: file.sizeBytes,
+                    quality: null,
+                    source: 'fsck',
+                    createdAt: file.modifiedAt
+                }]);
+            } else {
+                await fs.rm(file.path, { force: true });
+            }
+        });
+    }
+}
+
+// Sector tile lists against the tile records
+async function checkSectors(result, inScope) {
+    const bySector = new Map();
+    for (const tile of storage.getAllTiles()) {
+        if (isTileCode(tile.tileCode) && inScope(sectorOf(tile.tileCode))) {
+            addTo(bySector, sectorOf(tile.tileCode), tile.tileCode);
+        }
+    }
+    const sectorCodes = new Set([
+        ...bySector.keys(),
+        ...storage.getAllSectors().map(s => s.sectorCode).filter(inScope)
+    ]);
+
+    for (const sectorCode of [...sectorCodes].sort()) {
+        const sector = storage.getSector(sectorCode);
+        const expected = (bySector.get(sectorCode) || []).sort();
+        const listed = sector?.tiles || [];
+        const unlisted = expected.filter(code => !listed.includes(code));
+        const unknown = listed.filter(code => !expected.includes(code));
+        if (sector && unlisted.length === 0 && unknown.length === 0 && sector.uploadedTiles === listed.length) {
+            continue;
+        }
+        if (!sector && expected.length === 0) {
+            continue;
+        }
+
+        const details = [];
+        if (!sector) {
+            details.push('no sector record');
+        }
+        if (unlisted.length) {
+            details.push(`${unlisted.length} tiles not listed (${unlisted.slice(0, 5).join(', ')}${unlisted.length > 5 ? ', …' : ''})`);
+        }
+        if (unknown.length) {
+            details.push(`${unknown.length} listed without a record (${unknown.slice(0, 5).join(', ')}${unknown.length > 5 ? ', …' : ''})`);
+        }
+        if (!details.length) {
+            details.push(`uploadedTiles is ${sector.uploadedTiles}, the list has ${listed.length}`);
+        }
+        await report(result, {
+            type: 'sector-drift',
+            tileCode: null,
+            sectorCode,
+            path: null,
+            detail: details.join('; '),
+            action: 'Rebuild the sector\'s tile list from the tile records'
+        }, () => storage.transaction(() => {
+            ensureSector(sectorCode);
+            storage.updateSector(sectorCode, { tiles: expected, lastUpdatedAt: new Date().toISOString() });
+            storage.recalculateMissingTiles(sectorCode);
+        }));
+    }
+}
+
+// ==================== FSCK ====================
+
+/**
+ * Check (and optionally repair) stored tiles against the files on disk
+ * @param {Object} [options]
+ * @param {boolean} [options.repair=false] - Make the repairs; otherwise only report (dry run)
+ * @param {string[]} [options.sectors] - Limit the check to these sectors (default: all)
+ * @returns {Promise<Object>} { repair, startedAt, finishedAt, scanned, summary, issues }
+ *   issues: [{ type, tileCode, sectorCode, path, detail, action, repaired?, error? }]
+ */
+export async function runFsck({ repair = false, sectors = null } = {}) {
+    await storage.ready;
+    const inScope = sectors && sectors.length ? code => sectors.includes(code) : () => true;
+    const result = { repair, startedAt: new Date().toISOString(), issues: [] };
+
+    const uploads = await scanUploads(inScope);
+    const versions = await scanVersions(inScope);
+
+    const tileCodes = new Set([...uploads.files.keys(), ...versions.versions.keys()]);
+    for (const tile of storage.getAllTiles()) {
+        if (isTileCode(tile.tileCode) && inScope(sectorOf(tile.tileCode))) {
+            tileCodes.add(tile.tileCode);
+        }
+    }
+
+    for (const tileCode of [...tileCodes].sort()) {
+        await checkTile(result, tileCode, uploads.files.get(tileCode) || [], versions.versions.get(tileCode) || []);
+    }
+    await checkSectors(result, inScope);
+
+    for (const stray of [...uploads.strays, ...versions.strays]) {
+        await report(result, {
+            type: 'stray-file',
+            tileCode: null,
+            sectorCode: null,
+            path: stray,
+            detail: 'Left by an interrupted write',
+            action: 'Delete it'
+        }, () => fs.rm(stray, { force: true }));
+    }
+
+    const byType = {};
+    for (const issue of result.issues) {
+        byType[issue.type] = (byType[issue.type] || 0) + 1;
+    }
+    result.scanned = {
+        tiles: tileCodes.size,
+        files: [...uploads.files.values()].reduce((sum, list) => sum + list.length, 0),
+        versions: [...versions.versions.values()].reduce((sum, list) => sum + list.length, 0)
+    };
+    result.summary = {
+        issues: result.issues.length,
+        repaired: result.issues.filter(issue => issue.repaired).length,
+        failed: result.issues.filter(issue => issue.repaired === false).length,
+        byType
+    };
+    result.finishedAt = new Date().toISOString();
+    return result;
+}
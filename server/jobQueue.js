@@ -0,0 +1,470 @@
+// jobQueue.js - Persistent generation job queue with workers, retries and resume
+// Jobs live in storage (persisted with sectors/tiles), so a restart picks up where it left off.
+// Each job tracks per-tile state: queued → running | leased → done | skipped | failed (with error)
+// A state change persists only the tiles it changed (storage.updateJobTiles()), not the whole job.
+// "running" tiles are rendered by server workers; "leased" tiles are handed out to browser clients.
+import crypto from 'crypto';
+import storage from './storage.js';
+
+const WORKER_COUNT = parseInt(process.env.GENERATION_WORKERS || '2', 10);
+const MAX_ATTEMPTS = parseInt(process.env.GENERATION_MAX_ATTEMPTS || '3', 10);
+const RETRY_BASE_MS = parseInt(process.env.GENERATION_RETRY_BASE_MS || '5000', 10);
+const IDLE_POLL_MS = 1000;
+const LEASE_TTL_MS = parseInt(process.env.GENERATION_LEASE_TTL_MS || '120000', 10);
+const MAX_LEASE_COUNT = 20;
+
+class JobQueue {
+    constructor() {
+        this.io = null; // Socket.io instance
+        this.tileHandler = null; // async (tileCode, job) => result, set by server.js
+        this.workers = new Set();
+        this.workerCount = WORKER_COUNT;
+        this.stopped = false;
+    }
+
+    // Set Socket.io instance for real-time progress
+    setIO(io) {
+        this.io = io;
+    }
+
+    // Set the function that generates and stores a single tile
+    setTileHandler(handler) {
+        this.tileHandler = handler;
+    }
+
+    // ==================== JOB LIFECYCLE ====================
+
+    // Create a job for a list of tile codes
+    // executor: 'server' (rendered by queue workers) or 'client' (browser generates and uploads)
+    // source: where the tile list came from when it isn't a whole sector (e.g. an imported KML)
+    // imagery: imagery provider id every tile of the job is rendered from (see imageryProviders.js)
+    createJob({ sectorCode, mode, tiles, executor = 'client', source = null, imagery = null }) {
+        const now = new Date().toISOString();
+        const tileStates = {};
+        for (const tileCode of tiles) {
+            tileStates[tileCode] = { state: 'queued', attempts: 0, error: null, updatedAt: now };
+        }
+
+        const job = {
+            jobId: `job_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+            sectorCode,
+            mode,
+            executor,
+            source,
+            imagery,
+            totalTiles: tiles.length,
+            processedTiles: 0,
+            uploadedTiles: 0,
+            skippedTiles: 0,
+            failedTiles: [],
+            tileStates,
+            status: tiles.length === 0 ? 'completed' : 'running',
+            startedAt: now,
+            completedAt: tiles.length === 0 ? now : null,
+            progress: tiles.length === 0 ? 1 : 0
+        };
+
+        storage.createJob(job);
+        this.emitJobUpdate(job);
+
+        if (executor === 'server') {
+            this.kick();
+        }
+
+        return job;
+    }
+
+    pause(jobId) {
+        return this.setStatus(jobId, ['running'], 'paused');
+    }
+
+    resume(jobId) {
+        const job = this.setStatus(jobId, ['paused'], 'running');
+        if (job && job.executor === 'server') {
+            this.kick();
+        }
+        return job;
+    }
+
+    cancel(jobId) {
+        const job = this.setStatus(jobId, ['running', 'paused'], 'cancelled');
+        if (job) {
+            storage.updateJob(jobId, { completedAt: new Date().toISOString() });
+        }
+        return job;
+    }
+
+    // Move a job between statuses; throws if the transition is not allowed
+    setStatus(jobId, fromStatuses, toStatus) {
+        const job = storage.getJob(jobId);
+        if (!job) {
+            return null;
+        }
+
+        if (!fromStatuses.includes(job.status)) {
+            throw new Error(`Cannot change job from "${job.status}" to "${toStatus}"`);
+        }
+
+        storage.updateJob(jobId, { status: toStatus });
+        console.log(`📋 Job ${jobId}: ${toStatus}`);
+        this.emitJobUpdate(job);
+        return job;
+    }
+
+    // Jobs as they stand now: leases whose client stopped renewing have expired. Read jobs
+    // through these, not storage, wherever tile states are used or reported
+    getJob(jobId) {
+        const job = storage.getJob(jobId);
+        if (job && job.tileStates) {
+            this.expireLeases(job);
+        }
+        return job;
+    }
+
+    getAllJobs() {
+        return storage.getAllJobs().map(job => this.getJob(job.jobId));
+    }
+
+    findJobs(query) {
+        return storage.findJobs(query).map(job => this.getJob(job.jobId));
+    }
+
+    // ==================== TILE STATE ====================
+
+    setTileState(job, tileCode, updates) {
+        const tileState = job.tileStates[tileCode];
+        Object.assign(tileState, updates, { updatedAt: new Date().toISOString() });
+        this.recalculateProgress(job);
+        storage.updateJobTiles(job, [tileCode]);
+        this.emitJobUpdate(job);
+    }
+
+    // Record a successfully generated tile (server worker or browser upload)
+    markTileDone(jobId, tileCode) {
+        const job = storage.getJob(jobId);
+        if (!job || !job.tileStates || !job.tileStates[tileCode]) {
+            return job;
+        }
+
+        this.setTileState(job, tileCode, { state: 'done', error: null, leasedBy: null, leaseExpiresAt: null });
+        return job;
+    }
+
+    // Record a failed attempt; the tile is re-queued with backoff until MAX_ATTEMPTS is reached
+    markTileFailed(jobId, tileCode, errorMessage) {
+        const job = storage.getJob(jobId);
+        if (!job || !job.tileStates || !job.tileStates[tileCode]) {
+            return job;
+        }
+
+        const tileState = job.tileStates[tileCode];
+        const attempts = tileState.attempts + 1;
+
+        if (attempts < MAX_ATTEMPTS) {
+            const delay = RETRY_BASE_MS * Math.pow(2, attempts - 1);
+            console.warn(`⚠️ ${tileCode} failed (attempt ${attempts}/${MAX_ATTEMPTS}), retrying in ${delay}ms: ${errorMessage}`);
+            this.setTileState(job, tileCode, {
+                state: 'queued',
+                attempts,
+                error: errorMessage,
+                nextAttemptAt: Date.now() + delay,
+                leasedBy: null,
+                leaseExpiresAt: null
+            });
+        } else {
+            console.error(`❌ ${tileCode} failed permanently after ${attempts} attempts: ${errorMessage}`);
+            this.setTileState(job, tileCode, {
+                state: 'failed',
+                attempts,
+                error: errorMessage,
+                leasedBy: null,
+                leaseExpiresAt: null
+            });
+        }
+
+        return job;
+    }
+
+    // Update counters and completion status from tile states
+    recalculateProgress(job) {
+        const states = Object.entries(job.tileStates);
+        const done = states.filter(([, s]) => s.state === 'done').length;
+        const skipped = states.filter(([, s]) => s.state === 'skipped').length;
+        const failed = states.filter(([, s]) => s.state === 'failed');
+
+        job.uploadedTiles = done;
+        job.skippedTiles = skipped;
+        job.processedTiles = done + skipped + failed.length;
+        job.failedTiles = failed.map(([code, s]) => ({ code, error: s.error }));
+        job.progress = job.totalTiles > 0 ? job.processedTiles / job.totalTiles : 1;
+
+        if (job.status === 'running' && job.processedTiles === job.totalTiles) {
+            job.status = 'completed';
+            job.completedAt = new Date().toISOString();
+            console.log(`✅ Job ${job.jobId} completed: ${done} done, ${failed.length} failed`);
+        }
+    }
+
+    // ==================== CLIENT LEASES ====================
+
+    // Whether a queued tile is ready to be handed out (not waiting on retry backoff)
+    isRunnable(tileState, now = Date.now()) {
+        return tileState.state === 'queued' && (!tileState.nextAttemptAt || tileState.nextAttemptAt <= now);
+    }
+
+    // Whether the job's mode no longer wants a tile: another job, a client session or an
+    // import may have stored it since the job was created
+    isNoLongerNeeded(job, tileCode) {
+        const stored = storage.getTile(tileCode);
+        return (job.mode === 'only-missing' && Boolean(stored)) ||
+            (job.mode === 'only-flagged' && Boolean(stored) && stored.quality?.status !== 'flagged');
+    }
+
+    // Lease up to `count` tiles of a job to a generator client (browser tab / machine).
+    // Asking for more tiles also renews the client's outstanding leases.
+    // Returns { job, tiles, leaseExpiresAt } or null if the job does not exist.
+    leaseTiles(jobId, clientId, count = 1) {
+        const job = this.getJob(jobId);
+        if (!job) {
+            return null;
+        }
+
+        if (job.status !== 'running') {
+            return { job, tiles: [], leaseExpiresAt: null };
+        }
+
+        const now = Date.now();
+        const leaseExpiresAt = now + LEASE_TTL_MS;
+        const wanted = Math.max(1, Math.min(parseInt(count, 10) || 1, MAX_LEASE_COUNT));
+        const tiles = [];
+        const changed = [];
+
+        for (const [tileCode, tileState] of Object.entries(job.tileStates)) {
+            if (tileState.state === 'leased' && tileState.leasedBy === clientId) {
+                tileState.leaseExpiresAt = leaseExpiresAt;
+                changed.push(tileCode);
+                continue;
+            }
+
+            if (tiles.length >= wanted || !this.isRunnable(tileState, now)) {
+                continue;
+            }
+
+            if (this.isNoLongerNeeded(job, tileCode)) {
+                Object.assign(tileState, { state: 'skipped', updatedAt: new Date(now).toISOString() });
+                changed.push(tileCode);
+                continue;
+            }
+
+            Object.assign(tileState, {
+                state: 'leased',
+                leasedBy: clientId,
+                leaseExpiresAt,
+                nextAttemptAt: null,
+                updatedAt: new Date(now).toISOString()
+            });
+            tiles.push(tileCode);
+            changed.push(tileCode);
+        }
+
+        this.recalculateProgress(job);
+        storage.updateJobTiles(job, changed);
+        this.emitJobUpdate(job);
+
+        if (tiles.length > 0) {
+            console.log(`📋 Job ${jobId}: leased ${tiles.length} tiles to ${clientId}`);
+        }
+
+        return { job, tiles, leaseExpiresAt: new Date(leaseExpiresAt).toISOString() };
+    }
+
+    // Throws unless the client holds an unexpired lease on the tile (expire leases first)
+    assertLease(job, clientId, tileCode) {
+        const tileState = job.tileStates[tileCode];
+        if (!tileState || tileState.state !== 'leased' || tileState.leasedBy !== clientId) {
+            throw new Error(`Tile ${tileCode} is not leased to ${clientId}`);
+        }
+    }
+
+    // Check a client's lease before it uploads; returns the job, or null if it does not exist
+    checkLease(jobId, clientId, tileCode) {
+        const job = this.getJob(jobId);
+        if (!job) {
+            return null;
+        }
+        this.assertLease(job, clientId, tileCode);
+        return job;
+    }
+
+    // A client uploaded a leased tile; only the lease holder can finish it
+    completeLease(jobId, clientId, tileCode) {
+        const job = this.checkLease(jobId, clientId, tileCode);
+        return job && this.markTileDone(jobId, tileCode);
+    }
+
+    // A client reports that it could not generate a leased tile
+    failLease(jobId, clientId, tileCode, errorMessage) {
+        const job = this.checkLease(jobId, clientId, tileCode);
+        return job && this.markTileFailed(jobId, tileCode, errorMessage || 'Client reported failure');
+    }
+
+    // Give back every tile a client holds (e.g. the tab was cancelled); no attempt is counted
+    releaseLeases(jobId, clientId) {
+        const job = this.getJob(jobId);
+        if (!job) {
+            return null;
+        }
+
+        const released = [];
+        for (const [tileCode, tileState] of Object.entries(job.tileStates)) {
+            if (tileState.state === 'leased' && tileState.leasedBy === clientId) {
+                Object.assign(tileState, {
+                    state: 'queued',
+                    leasedBy: null,
+                    leaseExpiresAt: null,
+                    updatedAt: new Date().toISOString()
+                });
+                released.push(tileCode);
+            }
+        }
+
+        if (released.length > 0) {
+            console.log(`📋 Job ${jobId}: ${clientId} released ${released.length} tiles`);
+            storage.updateJobTiles(job, released);
+            this.emitJobUpdate(job);
+        }
+
+        return job;
+    }
+
+    // Leases whose client stopped renewing count as a failed attempt and go back to the queue
+    expireLeases(job) {
+        const now = Date.now();
+        for (const [tileCode, tileState] of Object.entries(job.tileStates)) {
+            if (tileState.state === 'leased' && tileState.leaseExpiresAt <= now) {
+                this.markTileFailed(job.jobId, tileCode, `Lease expired (${tileState.leasedBy})`);
+            }
+        }
+    }
+
+    // ==================== WORKERS ====================
+
+    // Next runnable tile across running server jobs (oldest job first); tiles the job's mode
+    // no longer wants are skipped on the way, as leaseTiles() does for clients
+    nextTile() {
+        const now = Date.now();
+        const jobs = storage.findJobs({ status: 'running' })
+            .filter(job => job.executor === 'server')
+            .reverse();
+
+        for (const job of jobs) {
+            for (const [tileCode, tileState] of Object.entries(job.tileStates)) {
+                if (!this.isRunnable(tileState, now)) {
+                    continue;
+                }
+                if (this.isNoLongerNeeded(job, tileCode)) {
+                    this.setTileState(job, tileCode, { state: 'skipped' });
+                    continue;
+                }
+                return { job, tileCode };
+            }
+        }
+        return null;
+    }
+
+    // Whether any server job still has queued tiles (possibly waiting on backoff)
+    hasPendingWork() {
+        return storage.findJobs({ status: 'running' }).some(job =>
+            job.executor === 'server' &&
+            Object.values(job.tileStates).some(s => s.state === 'queued')
+        );
+    }
+
+    // Start workers up to the configured count
+    kick() {
+        while (!this.stopped && this.workers.size < this.workerCount) {
+            const worker = this.runWorker().finally(() => this.workers.delete(worker));
+            this.workers.add(worker);
+        }
+    }
+
+    async runWorker() {
+        while (!this.stopped) {
+            const next = this.nextTile();
+
+            if (!next) {
+                if (!this.hasPendingWork()) {
+                    return; // Nothing left; kick() starts workers again when work arrives
+                }
+                await new Promise(resolve => setTimeout(resolve, IDLE_POLL_MS));
+                continue;
+            }
+
+            const { job, tileCode } = next;
+            this.setTileState(job, tileCode, { state: 'running', nextAttemptAt: null });
+
+            try {
+                await this.tileHandler(tileCode, job);
+                this.markTileDone(job.jobId, tileCode);
+            } catch (error) {
+                this.markTileFailed(job.jobId, tileCode, error.message);
+            }
+        }
+    }
+
+    // Resume interrupted jobs after a restart: tiles left "running" go back to the queue
+    async resumeInterrupted() {
+        await storage.ready;
+
+        let resumed = 0;
+        for (const job of [...storage.findJobs({ status: 'running' }), ...storage.findJobs({ status: 'paused' })]) {
+            if (!job.tileStates) {
+                continue;
+            }
+
+            const requeued = [];
+            for (const [tileCode, tileState] of Object.entries(job.tileStates)) {
+                if (tileState.state === 'running') {
+                    tileState.state = 'queued';
+                    requeued.push(tileCode);
+                }
+            }
+
+            if (requeued.length > 0) {
+                storage.updateJobTiles(job, requeued);
+            }
+
+            if (job.status === 'running' && job.executor === 'server') {
+                console.log(`🔁 Resuming job ${job.jobId} (${job.sectorCode}): ${job.processedTiles}/${job.totalTiles} tiles processed`);
+                resumed++;
+            }
+        }
+
+        if (resumed > 0) {
+            this.kick();
+        }
+    }
+
+    // ==================== SOCKET.IO ====================
+
+    // Job without per-tile states, plus counts by state
+    summarize(job) {
+        const { tileStates, ...summary } = job;
+        const counts = { queued: 0, running: 0, leased: 0, done: 0, skipped: 0, failed: 0 };
+        for (const tileState of Object.values(tileStates || {})) {
+            counts[tileState.state] = (counts[tileState.state] || 0) + 1;
+        }
+        return { ...summary, counts };
+    }
+
+    emitJobUpdate(job) {
+        if (this.io) {
+            this.io.emit('job:update', this.summarize(job));
+        }
+    }
+}
+
+// Singleton instance
+const jobQueue = new JobQueue();
+
+export default jobQueue;
@@ -0,0 +1,159 @@
+// kmlImport.js - Read tile polygons from customer KML/KMZ files and check them against TileLookup
+// Every Placemark with a polygon counts, wherever it sits (Folders, nested Documents,
+// MultiGeometry). A placemark's name is its tile code; its polygon should be that tile's
+// triangle, and the largest corner mismatch is reported in metres.
+import JSZip from 'jszip';
+import TileLookup from '../lib/TileLookup.js';
+import { TILE_DEPTH, tileLookup } from './tileGeometry.js';
+
+export const KML_DEFAULT_TOLERANCE_M = 100;
+
+// ==================== FILE READING ====================
+
+/**
+ * KML text from an uploaded .kml or .kmz (zipped KML: doc.kml, or the first .kml in it)
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<string>} KML text
+ */
+export async function readKmlFile(buffer) {
+    // ZIP local file header "PK\x03\x04"
+    if (buffer.length < 4 || buffer.readUInt32LE(0) !== 0x04034b50) {
+        return buffer.toString('utf8');
+    }
+
+    const zip = await JSZip.loadAsync(buffer);
+    const entries = Object.values(zip.files).filter(entry => !entry.dir && /\.kml$/i.test(entry.name));
+    const entry = entries.find(e => /(^|\/)doc\.kml$/i.test(e.name)) || entries[0];
+    if (!entry) {
+        throw new Error('KMZ contains no .kml file');
+    }
+    return entry.async('string');
+}
+
+// ==================== PARSING ====================
+
+// Elements may carry a namespace prefix (kml:Placemark)
+const element = name => new RegExp(`<(?:\\w+:)?${name}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${name}>`, 'g');
+
+function textContent(xml) {
+    return xml
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&')
+        .trim();
+}
+
+// "lon,lat[,alt]" tuples separated by any whitespace (spaces, tabs or newlines)
+function parseCoordinates(text) {
+    return textContent(text)
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(tuple => tuple.split(',').map(Number))
+        .filter(([lon, lat]) => Number.isFinite(lon) && Number.isFinite(lat))
+        .map(([lon, lat]) => [lon, lat]);
+}
+
+/**
+ * Every polygon Placemark in a KML document
+ * @param {string} kml - KML text
+ * @returns {Object} { placemarks: [{ name, polygons: [[[lon, lat], ...], ...] }], skipped }
+ *   polygons are outer rings (one per Polygon, MultiGeometry gives several);
+ *   skipped counts placemarks without any polygon (points, paths)
+ */
+export function parseKmlPlacemarks(kml) {
+    // Comments could hide or fake whole placemarks
+    const source = kml.replace(/<!--[\s\S]*?-->/g, '');
+    const placemarks = [];
+    let skipped = 0;
+
+    for (const [, body] of source.matchAll(element('Placemark'))) {
+        const polygons = [];
+        for (const [, polygon] of body.matchAll(element('Polygon'))) {
+            const outer = [...polygon.matchAll(element('outerBoundaryIs'))][0];
+            const coordinates = outer && [...outer[1].matchAll(element('coordinates'))][0];
+            if (coordinates) {
+                polygons.push(parseCoordinates(coordinates[1]));
+            }
+        }
+
+        if (polygons.length === 0) {
+            skipped++;
+            continue;
+        }
+
+        // The placemark's own <name>, not one inside its geometry or extended data
+        const ownXml = body.replace(element('MultiGeometry'), '').replace(element('Polygon'), '')
+            .replace(element('ExtendedData'), '');
+        const name = [...ownXml.matchAll(element('name'))][0];
+        placemarks.push({ name: name ? textContent(name[1]) : '', polygons });
+    }
+
+    return { placemarks, skipped };
+}
+
+// ==================== CHECKING ====================
+
+function distanceM([lon1, lat1], [lon2, lat2]) {
+    return TileLookup.haversine([lat1, lon1], [lat2, lon2]) * 1000;
+}
+
+// Tile code in a placemark name ("M713289", "Tile m713289 (north)"), or null
+function codeFromName(name) {
+    const trimmed = name.trim();
+    if (tileLookup.isValidCode(trimmed)) {
+        return trimmed.toUpperCase();
+    }
+    const match = trimmed.match(/\b[A-T][1-9]+\b/i);
+    return match ? match[0].toUpperCase() : null;
+}
+
+/**
+ * Check a placemark against the TileLookup triangle of the code in its name
+ * @param {Object} placemark - From parseKmlPlacemarks()
+ * @param {number} toleranceM - Largest corner mismatch still accepted (metres)
+ * @returns {Object} { name, code, status, maxDeviationM, suggestedCode, error }
+ *   status: 'ok' | 'mismatch' (polygon not where the code is) | 'invalid' (no usable tile code)
+ *   maxDeviationM: farthest tile corner from the nearest polygon vertex;
+ *   suggestedCode: the tile under the polygon's centre, when it differs from the name
+ */
+export function checkPlacemark(placemark, toleranceM = KML_DEFAULT_TOLERANCE_M) {
+    const { name, polygons } = placemark;
+
+    // Several polygons: the one that best matches the tile counts
+    const vertices = polygons.flat();
+    const center = vertices.reduce(([x, y], [lon, lat]) => [x + lon / vertices.length, y + lat / vertices.length], [0, 0]);
+    const centerCode = tileLookup.locationToName(center[1], center[0], TILE_DEPTH);
+
+    const result = { name, code: codeFromName(name), status: 'ok', maxDeviationM: null, suggestedCode: null, error: null };
+
+    if (!result.code) {
+        return { ...result, status: 'invalid', suggestedCode: centerCode, error: 'Placemark name is not a tile code' };
+    }
+    if (tileLookup.depth(result.code) !== TILE_DEPTH) {
+        return {
+            ...result,
+            status: 'invalid',
+            suggestedCode: centerCode,
+            error: `${result.code} is not a printable tile (depth ${tileLookup.depth(result.code)}, expected ${TILE_DEPTH})`
+        };
+    }
+
+    const corners = tileLookup.nameToLocations(result.code).map(([lat, lon]) => [lon, lat]);
+    result.maxDeviationM = Math.min(...polygons.map(ring =>
+        Math.max(...corners.map(corner => Math.min(...ring.map(vertex => distanceM(corner, vertex)))))
+    ));
+
+    if (result.maxDeviationM > toleranceM) {
+        result.status = 'mismatch';
+        result.error = `Polygon is ${Math.round(result.maxDeviationM)} m from tile ${result.code} (tolerance ${toleranceM} m)`;
+        if (centerCode !== result.code) {
+            result.suggestedCode = centerCode;
+        }
+    }
+
+    return result;
+}
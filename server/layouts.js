@@ -0,0 +1,284 @@
+// layouts.js - Named sheet layout profiles for PDF/EPS exports
+// Profiles live in layouts.json (or LAYOUTS_FILE) so a new media size is a config change,
+// not a new endpoint. All lengths are in points (1/72"). A layout is imposed into
+// sheets of placements, the same structure nestTiles() produces, so every exporter
+// draws grid and nested layouts the same way.
+import { readFileSync } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { OUTPUT_CONFIG } from './tileGeometry.js';
+import { nestTiles } from './imposition.js';
+import { tileCutPath } from './cutContour.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const LAYOUTS_FILE = process.env.LAYOUTS_FILE || path.join(__dirname, 'layouts.json');
+
+const LAYOUT_TYPES = ['grid', 'nested'];
+const FILL_ORDERS = ['row-major', 'column-major'];
+const FIT_MODES = [
+    'stretch',  // Image scaled to fill the cell
+    'contain',  // Image scaled to fit inside the cell (minus padding), centred
+    'actual'    // Image at true size (layout DPI) in the cell's top-left corner
+];
+
+const POINTS_PER_MM = 72 / 25.4;
+
+// Query overrides accepted by every export: ?sheetWidthMm=&sheetHeightMm=&marginMm=&gutterMm=
+const QUERY_OVERRIDES = {
+    sheetWidthMm: 'pageWidth',
+    sheetHeightMm: 'pageHeight',
+    marginMm: 'margin',
+    gutterMm: 'gutter'
+};
+
+function isPositive(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+function isNonNegative(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+// Fill in defaults and check a profile; throws on invalid config
+function normalizeLayout(name, profile) {
+    const fail = message => {
+        throw new Error(`Layout "${name}": ${message}`);
+    };
+
+    const layout = {
+        name,
+        description: '',
+        type: 'grid',
+        margin: 0,
+        dpi: OUTPUT_CONFIG.dpi,
+        labels: null,
+        summaryPage: false,
+        cutContour: false,
+        ...profile
+    };
+
+    if (!LAYOUT_TYPES.includes(layout.type)) {
+        fail(`type must be one of: ${LAYOUT_TYPES.join(', ')}`);
+    }
+    if (!isPositive(layout.pageWidth) || !isPositive(layout.pageHeight)) {
+        fail('pageWidth and pageHeight must be positive numbers (points)');
+    }
+    if (!isNonNegative(layout.margin) || 2 * layout.margin >= Math.min(layout.pageWidth, layout.pageHeight)) {
+        fail('margin must be a non-negative number smaller than half the page');
+    }
+    if (!isPositive(layout.dpi)) {
+        fail('dpi must be a positive number');
+    }
+    if (layout.labels && !isPositive(layout.labels.fontSize)) {
+        fail('labels.fontSize must be a positive number');
+    }
+
+    if (layout.type === 'nested') {
+        layout.gutter = layout.gutter ?? 9;
+        if (!isNonNegative(layout.gutter)) {
+            fail('gutter must be a non-negative number (points)');
+        }
+        return layout;
+    }
+
+    layout.fillOrder = layout.fillOrder || 'row-major';
+    layout.fit = layout.fit || 'stretch';
+    layout.padding = layout.padding ?? 0;
+
+    if (!Number.isInteger(layout.columns) || layout.columns < 1 || !Number.isInteger(layout.rows) || layout.rows < 1) {
+        fail('columns and rows must be positive integers');
+    }
+    if (!FILL_ORDERS.includes(layout.fillOrder)) {
+        fail(`fillOrder must be one of: ${FILL_ORDERS.join(', ')}`);
+    }
+    if (!FIT_MODES.includes(layout.fit)) {
+        fail(`fit must be one of: ${FIT_MODES.join(', ')}`);
+    }
+    if (!isNonNegative(layout.padding)) {
+        fail('padding must be a non-negative number (points)');
+    }
+
+    // Cells default to an even split of the printable area
+    layout.cellWidth = layout.cellWidth ?? (layout.pageWidth - 2 * layout.margin) / layout.columns;
+    layout.cellHeight = layout.cellHeight ?? (layout.pageHeight - 2 * layout.margin) / layout.rows;
+    if (!isPositive(layout.cellWidth) || !isPositive(layout.cellHeight)) {
+        fail('cellWidth and cellHeight must be positive numbers (points)');
+    }
+    if (layout.margin + layout.columns * layout.cellWidth > layout.pageWidth + 0.5 ||
+        layout.margin + layout.rows * layout.cellHeight > layout.pageHeight + 0.5) {
+        fail('columns × cellWidth and rows × cellHeight must fit on the page');
+    }
+
+    return layout;
+}
+
+function loadLayouts(filePath) {
+    const profiles = JSON.parse(readFileSync(filePath, 'utf8'));
+    const layouts = new Map();
+    for (const [name, profile] of Object.entries(profiles)) {
+        layouts.set(name, normalizeLayout(name, profile));
+    }
+    return layouts;
+}
+
+// Loaded once at startup: a broken layouts file should stop the server, not an export
+const layouts = loadLayouts(LAYOUTS_FILE);
+console.log(`📐 Loaded ${layouts.size} layout profiles from ${LAYOUTS_FILE}`);
+
+export function listLayouts() {
+    return [...layouts.values()];
+}
+
+export function getLayout(name) {
+    return layouts.get(name) || null;
+}
+
+/**
+ * Resolve ?layout= (falling back to an endpoint's default) plus size overrides in mm
+ * @returns {Object} { layout, cacheKey } or { error }
+ *   cacheKey changes whenever the effective profile does, so cached exports never go stale
+ */
+export function resolveLayout(query, defaultName) {
+    const name = query.layout || defaultName;
+    const profile = layouts.get(name);
+    if (!profile) {
+        return { error: `Unknown layout "${name}" (available: ${[...layouts.keys()].join(', ')})` };
+    }
+
+    const overrides = {};
+    for (const [param, key] of Object.entries(QUERY_OVERRIDES)) {
+        if (query[param] === undefined) {
+            continue;
+        }
+        const value = parseFloat(query[param]);
+        if (!Number.isFinite(value) || value < 0) {
+            return { error: `${param} must be a non-negative number` };
+        }
+        overrides[key] = value * POINTS_PER_MM;
+    }
+
+    // Derived cell sizes follow an overridden page size
+    const base = { ...profile };
+    if (overrides.pageWidth !== undefined || overrides.pageHeight !== undefined || overrides.margin !== undefined) {
+        delete base.cellWidth;
+        delete base.cellHeight;
+    }
+
+    let layout;
+    try {
+        layout = Object.keys(overrides).length > 0 ? normalizeLayout(name, { ...base, ...overrides }) : profile;
+    } catch (err) {
+        return { error: err.message };
+    }
+
+    const hash = crypto.createHash('sha256').update(JSON.stringify(layout)).digest('hex').slice(0, 8);
+    return { layout, cacheKey: `${name}_${hash}` };
+}
+
+// ==================== IMPOSITION ====================
+
+function triangleArea([a, b, c]) {
+    return Math.abs((b[0] - a[0]) * (c[1] - a[1]) - (c[0] - a[0]) * (b[1] - a[1])) / 2;
+}
+
+// Image rectangle inside a grid cell for the layout's fit mode
+function fitInCell(layout, image, cellX, cellY) {
+    if (layout.fit === 'stretch') {
+        return { x: cellX, y: cellY, width: layout.cellWidth, height: layout.cellHeight };
+    }
+
+    if (layout.fit === 'actual') {
+        return {
+            x: cellX,
+            y: cellY,
+            width: image.width / layout.dpi * 72,
+            height: image.height / layout.dpi * 72
+        };
+    }
+
+    const boxWidth = layout.cellWidth - layout.padding;
+    const boxHeight = layout.cellHeight - layout.padding;
+    const scale = Math.min(boxWidth / image.width, boxHeight / image.height);
+    const width = image.width * scale;
+    const height = image.height * scale;
+    return {
+        x: cellX + (boxWidth - width) / 2,
+        y: cellY + (boxHeight - height) / 2,
+        width,
+        height
+    };
+}
+
+function imposeGrid(tiles, layout) {
+    const perPage = layout.columns * layout.rows;
+    const sheets = [];
+
+    tiles.forEach((tile, index) => {
+        const position = index % perPage;
+        if (position === 0) {
+            sheets.push({ placements: [], triangleArea: 0 });
+        }
+        const sheet = sheets[sheets.length - 1];
+
+        const col = layout.fillOrder === 'column-major' ? Math.floor(position / layout.rows) : position % layout.columns;
+        const row = layout.fillOrder === 'column-major' ? position % layout.rows : Math.floor(position / layout.columns);
+        const cellX = layout.margin + col * layout.cellWidth;
+        const cellY = layout.margin + row * layout.cellHeight;
+
+        const rect = fitInCell(layout, tile, cellX, cellY);
+        const triangle = tileCutPath(tile.tileCode, tile, rect);
+        sheet.triangleArea += triangleArea(triangle);
+
+        // Labels sit along the bottom of the cell
+        const fontSize = layout.labels ? layout.labels.fontSize : 0;
+        sheet.placements.push({
+            tileCode: tile.tileCode,
+            filePath: tile.filePath,
+            ...rect,
+            rotation: 0,
+            triangle,
+            label: [cellX, cellY + layout.cellHeight - fontSize - 7, layout.cellWidth, fontSize]
+        });
+    });
+
+    return sheets;
+}
+
+/**
+ * Impose tiles onto sheets with a layout
+ * @param {Array} tiles - [{ tileCode, filePath, width, height }] image size in pixels
+ * @param {Object} layout - Resolved layout profile
+ * @returns {Object} { sheets: [{ placements, triangleArea, efficiency }], efficiency, pageWidth, pageHeight }
+ *   placement: { tileCode, filePath, x, y, width, height, rotation, triangle, label } in page points,
+ *   top-left origin; efficiency = printed triangle area / sheet area
+ */
+export function imposeTiles(tiles, layout) {
+    let sheets;
+    if (layout.type === 'nested') {
+        const filePaths = new Map(tiles.map(tile => [tile.tileCode, tile.filePath]));
+        sheets = nestTiles(tiles, layout).sheets;
+        for (const sheet of sheets) {
+            for (const placement of sheet.placements) {
+                placement.filePath = filePaths.get(placement.tileCode);
+            }
+        }
+    } else {
+        sheets = imposeGrid(tiles, layout);
+    }
+
+    const sheetArea = layout.pageWidth * layout.pageHeight;
+    for (const sheet of sheets) {
+        sheet.efficiency = sheet.triangleArea / sheetArea;
+    }
+
+    return {
+        pageWidth: layout.pageWidth,
+        pageHeight: layout.pageHeight,
+        sheets,
+        efficiency: sheets.length > 0
+            ? sheets.reduce((sum, sheet) => sum + sheet.triangleArea, 0) / (sheetArea * sheets.length)
+            : 0
+    };
+}
@@ -0,0 +1,310 @@
+// renderer.js - Headless tile renderer (server-side replacement for the html2canvas capture path)
+// Fetches and stitches XYZ imagery tiles, then applies the same crop, 1:100,000 scale,
+// rotation, triangle overlay and label steps as processImageWithScaling() in js/app.js
+import sharp from 'sharp';
+import {
+    OUTPUT_CONFIG,
+    tileCoordinates,
+    subTileCoordinates,
+    findEWEdge,
+    isInvertedTile,
+    calculateRotation,
+    expandTriangle,
+    lngLatToWorldPixel,
+    metersPerPixelAt,
+    unwrapLng,
+    MAX_MERCATOR_LAT
+} from './tileGeometry.js';
+import { tileSourceFor } from './imageryProviders.js';
+
+const MAX_SOURCE_TILES = 400; // Guard against runaway zoom levels
+export const MASK_MODES = ['none', 'transparent', 'white'];
+
+// Pick the lowest zoom whose resolution is at least as fine as the output needs
+function chooseZoom(centerLat, targetMetersPerPixel, source) {
+    for (let zoom = 1; zoom <= source.maxZoom; zoom++) {
+        if (metersPerPixelAt(centerLat, zoom, source.tileSize) <= targetMetersPerPixel) {
+            return zoom;
+        }
+    }
+    return source.maxZoom;
+}
+
+/**
+ * Zoom renderTile() fetches imagery at: the lowest one fine enough for 1:100,000 at the DPI
+ * @param {string} tileCode - Tile code
+ * @param {Object} source - Tile source (for its tile size and max zoom)
+ * @param {number} dpi - Output DPI
+ * @returns {number} Zoom level
+ */
+export function renderZoom(tileCode, source, dpi = OUTPUT_CONFIG.dpi) {
+    const coordinates = tileCoordinates(tileCode);
+    const ewEdge = findEWEdge(coordinates);
+    const centerLat = coordinates.slice(0, 3).reduce((sum, v) => sum + v[1], 0) / 3;
+    const targetEWEdgePixels = ewEdge.length * (dpi / 2.54);
+    return chooseZoom(centerLat, (ewEdge.length * 1000) / targetEWEdgePixels, source);
+}
+
+// Fetch every source tile covering a pixel rectangle and composite them into one raw image
+async function stitchTiles(source, zoom, minX, minY, maxX, maxY) {
+    const { tileSize } = source;
+    const tileX0 = Math.floor(minX / tileSize);
+    const tileY0 = Math.floor(minY / tileSize);
+    const tileX1 = Math.floor(maxX / tileSize);
+    const tileY1 = Math.floor(maxY / tileSize);
+    const tileCount = (tileX1 - tileX0 + 1) * (tileY1 - tileY0 + 1);
+
+    if (tileCount > MAX_SOURCE_TILES) {
+        throw new Error(`Capture needs ${tileCount} source tiles at zoom ${zoom} (max ${MAX_SOURCE_TILES})`);
+    }
+
+    const worldTiles = Math.pow(2, zoom);
+    const composites = [];
+    let missingTiles = 0;
+
+    for (let ty = tileY0; ty <= tileY1; ty++) {
+        // Rows past the poles (a bleed can reach them) have no imagery: left white
+        if (ty < 0 || ty >= worldTiles) {
+            continue;
+        }
+        for (let tx = tileX0; tx <= tileX1; tx++) {
+            // Wrap around the antimeridian
+            const wrappedX = ((tx % worldTiles) + worldTiles) % worldTiles;
+            const buffer = await source.getTile(zoom, wrappedX, ty);
+
+            if (!buffer) {
+                missingTiles++;
+                continue;
+            }
+
+            // Normalize to the source tile size (some providers serve 512px tiles)
+            const input = await sharp(buffer)
+                .resize(tileSize, tileSize, { fit: 'fill' })
+                .removeAlpha()
+                .png()
+                .toBuffer();
+
+            composites.push({
+                input,
+                left: (tx - tileX0) * tileSize,
+                top: (ty - tileY0) * tileSize
+            });
+        }
+    }
+
+    const width = (tileX1 - tileX0 + 1) * tileSize;
+    const height = (tileY1 - tileY0 + 1) * tileSize;
+
+    const { data, info } = await sharp({
+        create: { width, height, channels: 3, background: '#ffffff' }
+    })
+        .composite(composites)
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    return {
+        data,
+        width,
+        height,
+        channels: info.channels,
+        originX: tileX0 * tileSize,
+        originY: tileY0 * tileSize,
+        tileCount,
+        missingTiles
+    };
+}
+
+// Build the SVG for the triangle overlay (main tile solid, sub-tiles dashed)
+function buildOverlaySvg(width, height, mainTriangle, subTriangles) {
+    const toPoints = vertices => vertices.map(p => `${p.x.toFixed(2)},${p.y.toFixed(2)}`).join(' ');
+
+    const subPaths = subTriangles.map(vertices =>
+        `<polygon points="${toPoints(vertices)}" fill="none" stroke="#000000" stroke-width="2" stroke-dasharray="8,4"/>`
+    ).join('');
+
+    return Buffer.from(
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+        subPaths +
+        `<polygon points="${toPoints(mainTriangle)}" fill="none" stroke="#000000" stroke-width="4"/>` +
+        `</svg>`
+    );
+}
+
+// Build the SVG used to keep only the (bleed-expanded) triangle of the decal
+function buildMaskSvg(width, height, triangle) {
+    const points = triangle.map(p => `${p.x.toFixed(2)},${p.y.toFixed(2)}`).join(' ');
+    return Buffer.from(
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+        `<polygon points="${points}" fill="#000000"/>` +
+        `</svg>`
+    );
+}
+
+// Build the SVG for the label strip under the decal
+function buildLabelSvg(width, labelHeight, text) {
+    return Buffer.from(
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${labelHeight}">` +
+        `<rect width="100%" height="100%" fill="#373435"/>` +
+        `<text x="50%" y="50%" fill="#ffffff" font-family="JetBrains Mono, monospace" font-weight="bold" ` +
+        `font-size="36" text-anchor="middle" dominant-baseline="central">${text}</text>` +
+        `</svg>`
+    );
+}
+
+/**
+ * Render a tile decal without a browser
+ * @param {string} tileCode - Tile code (e.g., "M713289")
+ * @param {Object} options - { imagery, source, dpi, zoom, mask, bleedMm }
+ *   imagery: provider id from imagery.json (default provider when omitted); source overrides it
+ *   mask: 'none' (rectangle), 'transparent' or 'white' outside the exact triangle
+ *   bleedMm: grow the masked triangle by this much so the printer can trim safely
+ * @returns {Object} { buffer (PNG), width, height, trianglePixels, zoom, sourceTiles, missingTiles }
+ */
+export async function renderTile(tileCode, options = {}) {
+    const source = options.source || tileSourceFor(options.imagery);
+    const dpi = options.dpi || OUTPUT_CONFIG.dpi;
+    const labelHeight = OUTPUT_CONFIG.labelHeight;
+    const mask = options.mask || 'none';
+    const bleedMm = mask !== 'none' && options.bleedMm > 0 ? options.bleedMm : 0;
+
+    if (!MASK_MODES.includes(mask)) {
+        throw new Error(`Unknown mask mode "${mask}" (expected ${MASK_MODES.join(', ')})`);
+    }
+
+    // Step 1: Triangle geometry from TileLookup
+    const coordinates = tileCoordinates(tileCode);
+    const vertices = coordinates.slice(0, 3);
+    const ewEdge = findEWEdge(coordinates);
+    const rotationAngle = calculateRotation(ewEdge, isInvertedTile(tileCode));
+    const centerLat = vertices.reduce((sum, v) => sum + v[1], 0) / 3;
+    if (vertices.every(v => Math.abs(v[1]) >= MAX_MERCATOR_LAT)) {
+        throw new Error(`Tile ${tileCode} lies beyond ${MAX_MERCATOR_LAT.toFixed(2)}° latitude, where there is no Web Mercator imagery`);
+    }
+
+    // Longitudes within 180° of the first corner: a triangle across the antimeridian keeps
+    // small bounds, and x past the map edge is wrapped by stitchTiles()
+    const toWorldPixel = (lng, lat) => lngLatToWorldPixel(unwrapLng(lng, vertices[0][0]), lat, zoom, source.tileSize);
+
+    // Step 2: Pick a zoom fine enough for 1:100,000 at the target DPI
+    const targetEWEdgePixels = ewEdge.length * (dpi / 2.54);
+    const zoom = options.zoom || renderZoom(tileCode, source, dpi);
+
+    // Step 3: Scale factor to exact 1:100,000 (same formula as calculateScaleFactor())
+    // It only depends on the ground resolution, so the bleed can be converted to source pixels up front
+    const metersPerPixel = metersPerPixelAt(centerLat, zoom, source.tileSize);
+    const ewEdgePixelsInCapture = (ewEdge.length * 1000) / metersPerPixel;
+    const scaleFactor = targetEWEdgePixels / ewEdgePixelsInCapture;
+    const bleedPixels = bleedMm / 25.4 * dpi;
+    const bleedSourcePixels = bleedPixels / scaleFactor;
+
+    // Step 4: Bounding box of the (bleed-expanded) triangle in global pixel coords at that zoom
+    const pixelVertices = expandTriangle(
+        vertices.map(v => toWorldPixel(v[0], v[1])),
+        bleedSourcePixels
+    );
+    const minX = Math.min(...pixelVertices.map(p => p.x));
+    const maxX = Math.max(...pixelVertices.map(p => p.x));
+    const minY = Math.min(...pixelVertices.map(p => p.y));
+    const maxY = Math.max(...pixelVertices.map(p => p.y));
+
+    // Step 5: Fetch and stitch imagery
+    const mosaic = await stitchTiles(source, zoom, minX, minY, maxX, maxY);
+
+    // Step 6: CROP to the triangle bounding box, then scale
+    const cropLeft = Math.floor(minX) - mosaic.originX;
+    const cropTop = Math.floor(minY) - mosaic.originY;
+    const cropWidth = Math.max(1, Math.min(Math.ceil(maxX) - Math.floor(minX), mosaic.width - cropLeft));
+    const cropHeight = Math.max(1, Math.min(Math.ceil(maxY) - Math.floor(minY), mosaic.height - cropTop));
+    const scaledWidth = Math.round(cropWidth * scaleFactor);
+    const scaledHeight = Math.round(cropHeight * scaleFactor);
+
+    const scaled = await sharp(mosaic.data, {
+        raw: { width: mosaic.width, height: mosaic.height, channels: mosaic.channels }
+    })
+        .removeAlpha()
+        .extract({ left: cropLeft, top: cropTop, width: cropWidth, height: cropHeight })
+        .resize(scaledWidth, scaledHeight, { fit: 'fill', kernel: 'lanczos3' })
+        .raw()
+        .toBuffer();
+
+    // Step 7: ROTATE around the center, keeping the scaled canvas size (corners are clipped)
+    const rotated = await sharp(scaled, { raw: { width: scaledWidth, height: scaledHeight, channels: 3 } })
+        .rotate(-rotationAngle * 180 / Math.PI, { background: '#ffffff' })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    const decal = await sharp(rotated.data, {
+        raw: { width: rotated.info.width, height: rotated.info.height, channels: rotated.info.channels }
+    })
+        .extract({
+            left: Math.round((rotated.info.width - scaledWidth) / 2),
+            top: Math.round((rotated.info.height - scaledHeight) / 2),
+            width: scaledWidth,
+            height: scaledHeight
+        })
+        .raw()
+        .toBuffer();
+
+    // Step 8: Triangle overlay, mapped through the same crop → scale → rotate transform
+    const cos = Math.cos(-rotationAngle);
+    const sin = Math.sin(-rotationAngle);
+    const toCanvasCoords = (lng, lat) => {
+        const p = toWorldPixel(lng, lat);
+        const x = (p.x - mosaic.originX - cropLeft) * scaleFactor - scaledWidth / 2;
+        const y = (p.y - mosaic.originY - cropTop) * scaleFactor - scaledHeight / 2;
+        return {
+            x: x * cos - y * sin + scaledWidth / 2,
+            y: x * sin + y * cos + scaledHeight / 2
+        };
+    };
+
+    const mainTriangle = vertices.map(v => toCanvasCoords(v[0], v[1]));
+    const subTriangles = subTileCoordinates(tileCode).map(sub =>
+        sub.coordinates.slice(0, 3).map(v => toCanvasCoords(v[0], v[1]))
+    );
+
+    // Step 9: Clip to the exact triangle (grown by the bleed) - transparent or white outside
+    let decalInput = decal;
+    let decalChannels = 3;
+    if (mask !== 'none') {
+        const masked = await sharp(decal, { raw: { width: scaledWidth, height: scaledHeight, channels: 3 } })
+            .ensureAlpha()
+            .composite([{
+                input: buildMaskSvg(scaledWidth, scaledHeight, expandTriangle(mainTriangle, bleedPixels)),
+                blend: 'dest-in'
+            }])
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+
+        if (mask === 'white') {
+            decalInput = await sharp(masked.data, { raw: { width: scaledWidth, height: scaledHeight, channels: 4 } })
+                .flatten({ background: '#ffffff' })
+                .raw()
+                .toBuffer();
+        } else {
+            decalInput = masked.data;
+            decalChannels = 4;
+        }
+    }
+
+    // Step 10: Compose decal + overlay + label strip, embed DPI metadata
+    const buffer = await sharp(decalInput, { raw: { width: scaledWidth, height: scaledHeight, channels: decalChannels } })
+        .extend({ bottom: labelHeight, background: '#373435' })
+        .composite([
+            { input: buildOverlaySvg(scaledWidth, scaledHeight, mainTriangle, subTriangles), left: 0, top: 0 },
+            { input: buildLabelSvg(scaledWidth, labelHeight, tileCode), left: 0, top: scaledHeight }
+        ])
+        .withMetadata({ density: dpi })
+        .png()
+        .toBuffer();
+
+    return {
+        buffer,
+        width: scaledWidth,
+        height: scaledHeight + labelHeight,
+        trianglePixels: Math.round(targetEWEdgePixels),
+        zoom,
+        sourceTiles: mosaic.tileCount,
+        missingTiles: mosaic.missingTiles
+    };
+}
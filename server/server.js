@@ -1,4 +1,5 @@
 // server.js - Complete server without Redis
+import 'dotenv/config';  // First, so modules reading process.env at load time see .env values
 import express from 'express';
 import { createServer } from 'http';
 import { Server } from 'socket.io';
@@ -7,15 +8,48 @@ import multer from 'multer';
 import crypto from 'crypto';
 import fs from 'fs/promises';
 import { createReadStream, createWriteStream } from 'fs';
+import { once } from 'events';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import dotenv from 'dotenv';
 import storage from './storage.js';
-import PDFDocument from 'pdfkit';
+import jobQueue from './jobQueue.js';
 import sharp from 'sharp';
 import archiver from 'archiver';
-
-dotenv.config();
+import { renderTile, MASK_MODES } from './renderer.js';
+import { listProviders, resolveProvider, tileSourceFor, imageryCache, DEFAULT_PROVIDER } from './imageryProviders.js';
+import { PREFETCH_TARGETS, prefetchTiles, sectorImageryTiles } from './imageryPrefetch.js';
+import { tileImageType } from './tileSources.js';
+import { TILE_DEPTH, isSectorCode, isTileCode, sectorOf, sectorTileCodes, sectorTileCount, tileLookup } from './tileGeometry.js';
+import { toKml, toShapefile } from './geoExport.js';
+import { QUALITY_REJECT, checkTileQuality, describeQuality, parseReportedReasons } from './tileQuality.js';
+import {
+    COLOR_VARIANT,
+    DEFAULT_COLOR_SETTINGS,
+    colorSettingsKey,
+    correctSectorColors,
+    normalizeColorSettings
+} from './colorCorrection.js';
+import { KML_DEFAULT_TOLERANCE_M, checkPlacemark, parseKmlPlacemarks, readKmlFile } from './kmlImport.js';
+import { listLayouts, resolveLayout, imposeTiles } from './layouts.js';
+import { createSheetPdf, drawPdfSheet, drawPdfSummaryPage, writeEpsSheet } from './sheetExport.js';
+import { listIccProfiles, resolveColorOutput } from './colorManagement.js';
+import { resolveTiffOptions, tileToTiff, writeTiffSheets } from './tiffExport.js';
+import { VERSIONS_DIR, VERSION_RETENTION, diffVersions, findVersion } from './tileVersions.js';
+import {
+    QUARANTINE_DIR,
+    STAGING_DIR,
+    UPLOADS_DIR,
+    adoptUnversionedTiles,
+    ingestTileImage,
+    pruneTileVersions,
+    recoverTileCommits,
+    rollbackTile,
+    storeTileVersion
+} from './tileStore.js';
+import { runFsck } from './integrity.js';
+import { CONFLICT_POLICIES, detectSourceType, importTiles } from './tileImport.js';
+import { CHECKSUM_HEADER, prepareStaging, stagingName } from './uploadStaging.js';
+import { UPLOAD_VALIDATION, listQuarantine, quarantinedImagePath, removeQuarantined } from './uploadValidation.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -37,6 +71,11 @@ export { io };
 
 // Initialize Socket.io in storage for real-time updates
 storage.setIO(io);
+jobQueue.setIO(io);
+
+// Sectors, tiles, jobs and sessions are loaded before anything is served (a store that cannot
+// be read stops the server here)
+await storage.ready;
 
 // Track ongoing PDF/EPS generations to prevent duplicates and handle disconnects
 const ongoingGenerations = new Map(); // Key: `${sectorCode}-${format}`, Value: { startedAt, clientId, aborted }
@@ -76,50 +115,32 @@ app.use((req, res, next) => {
 // ==================== MULTER STORAGE ====================
 
 // Create uploads directory if it doesn't exist
-const uploadsDir = './uploads';
+const uploadsDir = UPLOADS_DIR;
 try {
     await fs.mkdir(uploadsDir, { recursive: true });
 } catch (err) {
     console.error('Failed to create uploads directory:', err);
 }
 
-const uploadStorage = multer.diskStorage({
-    destination: async (req, file, cb) => {
-        // Extract sector code from filename (M713111.png → M713)
-        // This is more reliable than req.body.sectorCode which may not be parsed yet
-        const sectorCode = file.originalname.substring(0, 4);
-
-        if (sectorCode && /^[A-Z]\d{3}$/.test(sectorCode)) {
-            // New sector-based organization
-            const sectorDir = path.join(uploadsDir, sectorCode);
-            try {
-                await fs.mkdir(sectorDir, { recursive: true });
-                cb(null, sectorDir);
-            } catch (err) {
-                console.error(`Error creating sector directory ${sectorDir}:`, err);
-                cb(null, uploadsDir); // Fallback to flat structure
-            }
-        } else {
-            // Legacy: flat structure (for backward compatibility)
-            cb(null, uploadsDir);
-        }
-    },
-    filename: (req, file, cb) => {
-        // Extract sector code from filename (M713111.png → M713)
-        const sectorCode = file.originalname.substring(0, 4);
-
-        if (sectorCode && /^[A-Z]\d{3}$/.test(sectorCode)) {
-            // New sector-based naming: just use tile code
-            // File will be: uploads/M713/M713111.png
-            cb(null, file.originalname);
-        } else {
-            // Legacy: timestamp-based naming
-            // File will be: uploads/1234567890_M713111.png
-            const timestamp = Date.now();
-            const uniqueFilename = `${timestamp}_${file.originalname}`;
-            cb(null, uniqueFilename);
-        }
+// Uploads land in a staging directory and are moved into place once checked (uploadStaging.js);
+// tiles a crash interrupted while being stored are finished before staging is cleared
+const stagingDir = STAGING_DIR;
+try {
+    await recoverTileCommits();
+    const leftovers = await prepareStaging(stagingDir);
+    if (leftovers > 0) {
+        console.log(`🧹 Removed ${leftovers} staged uploads left by an interrupted run`);
     }
+} catch (err) {
+    console.error('Failed to prepare upload staging directory:', err);
+}
+
+// Uploads that fail validation (uploadValidation.js) are kept here for review
+const quarantineDir = QUARANTINE_DIR;
+
+const uploadStorage = multer.diskStorage({
+    destination: stagingDir,
+    filename: (req, file, cb) => cb(null, stagingName())
 });
 
 const upload = multer({
@@ -140,10 +161,6 @@ function generateSessionId() {
     return `sess_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
 }
 
-function calculateFileHash(buffer) {
-    return crypto.createHash('sha256').update(buffer).digest('hex');
-}
-
 async function fileExists(filePath) {
     try {
         await fs.access(filePath);
@@ -153,6 +170,56 @@ async function fileExists(filePath) {
     }
 }
 
+// Flagged tiles of a sector with their reasons, from the tile metadata (sector.flaggedTiles,
+// kept by registerTile(), is brought back in line if tiles were deleted or replaced since)
+function flaggedTiles(sector) {
+    const flagged = storage.findTiles({ sectorCode: sector.sectorCode, quality: 'flagged' })
+        .map(tile => ({ tileCode: tile.tileCode, reasons: tile.quality.reasons, checkedAt: tile.quality.checkedAt }));
+
+    const codes = flagged.map(tile => tile.tileCode);
+    if (codes.join() !== (sector.flaggedTiles || []).join()) {
+        storage.updateSector(sector.sectorCode, { flaggedTiles: codes });
+    }
+    return flagged;
+}
+
+// Render a tile with the headless renderer and store it like an upload
+// Used by the render endpoint and by server-side job workers
+async function renderAndStoreTile(tileCode, options = {}) {
+    const sectorCode = sectorOf(tileCode);
+    console.log(`🛰️ Rendering tile on server: ${tileCode}`);
+
+    const result = await renderTile(tileCode, options);
+
+    // The renderer fills source tiles it could not get with white
+    const quality = await checkTileQuality(tileCode, result.buffer, {
+        fillColors: result.missingTiles > 0 ? [[255, 255, 255]] : []
+    });
+    if (quality.status === 'rejected') {
+        const error = new Error(`Tile ${tileCode} rejected by the quality gate: ${describeQuality(quality)}`);
+        error.quality = quality;
+        throw error;
+    }
+
+    const stagedPath = path.join(stagingDir, stagingName());
+    await fs.writeFile(stagedPath, result.buffer);
+
+    let sector;
+    try {
+        sector = await storeTileVersion(tileCode, sectorCode, stagedPath, result.buffer, quality, 'render');
+    } finally {
+        await fs.rm(stagedPath, { force: true }); // No-op once moved into place
+    }
+    if (quality.status === 'flagged') {
+        console.warn(`⚠️ Flagged: ${tileCode} - ${describeQuality(quality)}`);
+    }
+
+    return { result, sector, quality };
+}
+
+// Server-side job workers render tiles headlessly, from the job's imagery provider
+jobQueue.setTileHandler((tileCode, job) => renderAndStoreTile(tileCode, { imagery: job.imagery }));
+
 // ==================== ROUTES ====================
 
 // Health check
@@ -160,7 +227,7 @@ app.get('/health', (req, res) => {
     const stats = storage.getStats();
     res.json({
         status: 'ok',
-        storage: 'in-memory',
+        storage: storage.adapter.name,
         ...stats
     });
 });
@@ -183,7 +250,7 @@ app.post('/api/sessions/create', async (req, res) => {
             id: sessionId,
             sectorCode,
             status: 'uploading',
-            totalTiles: 729,
+            totalTiles: sectorTileCount(sectorCode),
             uploadedTiles: 0,
             tiles: [],
             createdAt: new Date().toISOString()
@@ -288,7 +355,7 @@ app.get('/api/tile-exists/:tileCode', async (req, res) => {
 // Upload tile (new sector-based version)
 app.post('/api/tiles/upload', upload.single('image'), async (req, res) => {
     try {
-        const { tileCode, sectorCode, jobId } = req.body;
+        const { tileCode, sectorCode, jobId, clientId } = req.body;
 
         if (!tileCode || !sectorCode || !req.file) {
             return res.status(400).json({
@@ -297,80 +364,62 @@ app.post('/api/tiles/upload', upload.single('image'), async (req, res) => {
             });
         }
 
-        // Extract sector code from tile code for validation
-        const tileSectorCode = tileCode.substring(0, 4);
-        if (tileSectorCode !== sectorCode) {
+        // The tile must lie in the sector it is uploaded to
+        if (!isTileCode(tileCode) || sectorOf(tileCode) !== sectorCode) {
             return res.status(400).json({
                 success: false,
                 error: `Tile code ${tileCode} does not match sector ${sectorCode}`
             });
         }
 
-        // Calculate file hash
-        const fileBuffer = await fs.readFile(req.file.path);
-        const hash = calculateFileHash(fileBuffer);
-
-        // Check if tile already exists (for replace-all mode)
-        const existingTile = storage.getTile(tileCode);
-        if (existingTile && existingTile.filePath) {
+        // A job's tile is only taken from the client holding its lease
+        if (jobId) {
+            if (!clientId) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'clientId is required when uploading a job\'s tile'
+                });
+            }
             try {
-                await fs.rm(existingTile.filePath, { force: true });
-                console.log(`🗑️ Replaced existing tile: ${tileCode}`);
-            } catch (err) {
-                console.warn(`⚠️ Could not delete old file: ${existingTile.filePath}`);
+                if (!jobQueue.checkLease(jobId, clientId, tileCode)) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Job not found'
+                    });
+                }
+            } catch (error) {
+                // Lease expired or held by another client
+                return res.status(409).json({
+                    success: false,
+                    error: error.message
+                });
             }
         }
 
-        // Normalize file path to use forward slashes (for cross-platform consistency)
-        const normalizedPath = req.file.path.replace(/\\/g, '/');
-
-        // Store tile metadata (sector-based, no usedBySessions)
-        const tileData = {
-            tileCode,
-            sectorCode,
-            hash,
-            filePath: normalizedPath,
-            createdAt: new Date().toISOString(),
-            sizeBytes: fileBuffer.length
-        };
-
-        storage.setTile(tileCode, tileData);
-
-        // Get or create sector
-        let sector = storage.getSector(sectorCode);
-        if (!sector) {
-            sector = {
-                sectorCode,
-                totalTiles: 729,
-                uploadedTiles: 0,
-                missingTiles: generateAllTileCodesForSector(sectorCode),
-                tiles: [],
-                status: 'incomplete',
-                createdAt: new Date().toISOString(),
-                lastUpdatedAt: new Date().toISOString()
-            };
-            storage.createSector(sector);
+        // Checks (arrival, size and DPI, quality gate) and storage shared with imports (tileStore.js);
+        // the browser reports what it knows about the capture (e.g. partial-load) in "quality"
+        const result = await ingestTileImage(tileCode, sectorCode, req.file.path, {
+            checksum: req.get(CHECKSUM_HEADER),
+            reportedReasons: parseReportedReasons(req.body.quality),
+            source: 'upload'
+        });
+        if (result.error) {
+            const { error, status, ...details } = result;
+            return res.status(status).json({ success: false, error, ...details });
         }
+        const { sector, quality } = result;
 
-        // Add tile to sector
-        storage.addTileToSector(sectorCode, tileCode);
-        sector = storage.getSector(sectorCode); // Refresh
-
-        // Update sector missing tiles
-        const allTiles = generateAllTileCodesForSector(sectorCode);
-        sector.missingTiles = allTiles.filter(code => !sector.tiles.includes(code));
-        storage.updateSector(sectorCode, sector);
-
-        // Update job progress if jobId provided
+        // Update job progress if jobId provided; a lease that expired while the image was
+        // checked leaves the job as it is (the tile is stored, and re-queued for the job)
         let jobProgress = null;
         if (jobId) {
-            const job = storage.getJob(jobId);
+            let job = null;
+            try {
+                job = jobQueue.completeLease(jobId, clientId, tileCode);
+            } catch (error) {
+                console.warn(`⚠️ ${tileCode} stored, but not finished for job ${jobId}: ${error.message}`);
+            }
             if (job) {
-                job.processedTiles++;
-                job.uploadedTiles++;
-                job.progress = job.processedTiles / job.totalTiles;
-                storage.updateJob(jobId, job);
-
                 jobProgress = {
                     processed: job.processedTiles,
                     total: job.totalTiles,
@@ -379,16 +428,17 @@ app.post('/api/tiles/upload', upload.single('image'), async (req, res) => {
             }
         }
 
-        console.log(`📤 Uploaded: ${tileCode} (Sector: ${sector.uploadedTiles}/729)`);
+        console.log(`📤 Uploaded: ${tileCode} (Sector: ${sector.uploadedTiles}/${sector.totalTiles})`);
 
         res.json({
             success: true,
             tileCode,
             sectorCode,
+            quality,
             sectorProgress: {
                 uploaded: sector.uploadedTiles,
-                total: 729,
-                percentage: (sector.uploadedTiles / 729 * 100).toFixed(1),
+                total: sector.totalTiles,
+                percentage: (sector.uploadedTiles / sector.totalTiles * 100).toFixed(1),
                 status: sector.status
             },
             jobProgress
@@ -399,6 +449,83 @@ app.post('/api/tiles/upload', upload.single('image'), async (req, res) => {
             success: false,
             error: error.message
         });
+    } finally {
+        // Anything not moved into place is discarded (no-op once committed)
+        if (req.file) {
+            await fs.rm(req.file.path, { force: true });
+        }
+    }
+});
+
+// Render tile on the server (headless, no browser needed) and store it like an upload
+app.post('/api/tiles/:tileCode/render', async (req, res) => {
+    try {
+        const { tileCode } = req.params;
+
+        if (!isTileCode(tileCode)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid tile code. Format: [A-T] followed by ${TILE_DEPTH} digits 1-9`
+            });
+        }
+
+        const mask = req.body?.mask || 'none';
+        if (!MASK_MODES.includes(mask)) {
+            return res.status(400).json({
+                success: false,
+                error: `mask must be one of: ${MASK_MODES.join(', ')}`
+            });
+        }
+
+        const { provider, error: imageryError } = resolveProvider(req.body?.imagery);
+        if (imageryError) {
+            return res.status(400).json({
+                success: false,
+                error: imageryError
+            });
+        }
+
+        const { result, sector, quality } = await renderAndStoreTile(tileCode, {
+            imagery: provider.id,
+            zoom: req.body?.zoom ? parseInt(req.body.zoom, 10) : undefined,
+            mask,
+            bleedMm: req.body?.bleedMm ? parseFloat(req.body.bleedMm) : 0
+        });
+
+        console.log(`✅ Rendered: ${tileCode} (${result.width}×${result.height}px, ${provider.id} zoom ${result.zoom}, ${result.missingTiles} missing source tiles)`);
+
+        res.json({
+            success: true,
+            tileCode,
+            sectorCode: sector.sectorCode,
+            imagery: provider.id,
+            width: result.width,
+            height: result.height,
+            zoom: result.zoom,
+            sourceTiles: result.sourceTiles,
+            missingTiles: result.missingTiles,
+            quality,
+            sectorProgress: {
+                uploaded: sector.uploadedTiles,
+                total: sector.totalTiles,
+                percentage: (sector.uploadedTiles / sector.totalTiles * 100).toFixed(1),
+                status: sector.status
+            }
+        });
+    } catch (error) {
+        if (error.quality) {
+            console.warn(`🚫 ${error.message}`);
+            return res.status(422).json({
+                success: false,
+                error: error.message,
+                quality: error.quality
+            });
+        }
+        console.error('❌ Render error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
     }
 });
 
@@ -413,25 +540,24 @@ app.post('/api/upload-tile', upload.single('image'), async (req, res) => {
                 error: 'Missing required fields'
             });
         }
+        // The file goes to the tile's own path, never one named by the client
+        if (!isTileCode(tileCode)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid tile code. Format: [A-T] followed by ${TILE_DEPTH} digits 1-9`
+            });
+        }
 
-        // Calculate file hash
-        const fileBuffer = await fs.readFile(req.file.path);
-        const hash = calculateFileHash(fileBuffer);
-
-        // Normalize file path to use forward slashes (for cross-platform consistency)
-        const normalizedPath = req.file.path.replace(/\\/g, '/');
-
-        // Store tile metadata
-        const tileData = {
-            tileCode,
-            hash,
-            filePath: normalizedPath,
-            createdAt: new Date().toISOString(),
-            sizeBytes: fileBuffer.length,
-            usedBySessions: sessionId ? [sessionId] : []
-        };
+        // Same checks and version-keeping storage as /api/tiles/upload (tileStore.js)
+        const result = await ingestTileImage(tileCode, sectorOf(tileCode), req.file.path, {
+            checksum: req.get(CHECKSUM_HEADER),
+            source: 'upload'
+        });
+        if (result.error) {
+            const { error, status, ...details } = result;
+            return res.status(status).json({ success: false, error, ...details });
+        }
 
-        storage.setTile(tileCode, tileData);
         storage.addTileToSession(sessionId, tileCode);
 
         // Update session progress
@@ -443,6 +569,7 @@ app.post('/api/upload-tile', upload.single('image'), async (req, res) => {
             success: true,
             tileCode,
             cached: false,
+            quality: result.quality,
             progress: session ? {
                 uploaded: session.uploadedTiles,
                 total: session.totalTiles,
@@ -455,6 +582,10 @@ app.post('/api/upload-tile', upload.single('image'), async (req, res) => {
             success: false,
             error: error.message
         });
+    } finally {
+        if (req.file) {
+            await fs.rm(req.file.path, { force: true });
+        }
     }
 });
 
@@ -534,7 +665,7 @@ app.delete('/api/sessions/:sessionId', async (req, res) => {
         }
 
         // Delete upload folder
-        const uploadDir = path.join(process.env.UPLOAD_DIR || './uploads', sessionId);
+        const uploadDir = path.join(uploadsDir, sessionId);
         try {
             await fs.rm(uploadDir, { recursive: true, force: true });
             console.log(`🗑️ Deleted upload folder: ${uploadDir}`);
@@ -560,6 +691,261 @@ app.delete('/api/sessions/:sessionId', async (req, res) => {
     }
 });
 
+// ==================== UPLOAD QUARANTINE ====================
+
+// Uploads that failed validation (wrong size or DPI for their tile), newest first
+app.get('/api/quarantine', async (req, res) => {
+    try {
+        const entries = await listQuarantine(quarantineDir);
+        res.json({ success: true, mode: UPLOAD_VALIDATION.mode, count: entries.length, entries });
+    } catch (error) {
+        console.error('❌ Error listing quarantine:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// The image of a quarantined upload
+app.get('/api/quarantine/:id/image', async (req, res) => {
+    try {
+        const imagePath = quarantinedImagePath(quarantineDir, req.params.id);
+        if (!imagePath || !(await fileExists(imagePath))) {
+            return res.status(404).json({ success: false, error: 'Quarantine entry not found' });
+        }
+        res.setHeader('Content-Type', 'image/png');
+        res.send(await fs.readFile(imagePath));
+    } catch (error) {
+        console.error('❌ Error reading quarantined upload:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Discard a quarantined upload
+app.delete('/api/quarantine/:id', async (req, res) => {
+    try {
+        const removed = await removeQuarantined(quarantineDir, req.params.id);
+        if (!removed) {
+            return res.status(404).json({ success: false, error: 'Quarantine entry not found' });
+        }
+        res.json({ success: true, id: req.params.id });
+    } catch (error) {
+        console.error('❌ Error removing quarantined upload:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ==================== TILE VERSIONS ====================
+
+// A tile's versions (newest first), the version history and the retention policy
+app.get('/api/tiles/:tileCode/versions', (req, res) => {
+    try {
+        const { tileCode } = req.params;
+        const tile = storage.getTile(tileCode);
+        if (!tile) {
+            return res.status(404).json({ success: false, error: `Tile ${tileCode} not found` });
+        }
+
+        const versions = [...(tile.versions || [])]
+            .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt))
+            .map(version => ({ ...version, current: version.hash === tile.current }));
+
+        res.json({
+            success: true,
+            tileCode,
+            current: tile.current || null,
+            versions,
+            history: tile.history || [],
+            retention: VERSION_RETENTION
+        });
+    } catch (error) {
+        console.error('❌ Error listing tile versions:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Metadata differences between two versions (?from=&to=, hashes or unique prefixes; to
+// defaults to the current version)
+app.get('/api/tiles/:tileCode/versions/diff', (req, res) => {
+    try {
+        const { tileCode } = req.params;
+        const tile = storage.getTile(tileCode);
+        if (!tile) {
+            return res.status(404).json({ success: false, error: `Tile ${tileCode} not found` });
+        }
+        if (!req.query.from) {
+            return res.status(400).json({ success: false, error: 'from (version hash) is required' });
+        }
+
+        const from = findVersion(tile, { hash: req.query.from });
+        const to = findVersion(tile, { hash: req.query.to || tile.current });
+        const failed = from.error ? from : to.error ? to : null;
+        if (failed) {
+            return res.status(failed.status).json({ success: false, error: failed.error });
+        }
+
+        res.json({
+            success: true,
+            tileCode,
+            from: from.version,
+            to: to.version,
+            sameImage: from.version.hash === to.version.hash,
+            changes: diffVersions(from.version, to.version)
+        });
+    } catch (error) {
+        console.error('❌ Error comparing tile versions:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// The image of one version
+app.get('/api/tiles/:tileCode/versions/:hash/image', async (req, res) => {
+    try {
+        const { tileCode, hash } = req.params;
+        const tile = storage.getTile(tileCode);
+        if (!tile) {
+            return res.status(404).json({ success: false, error: `Tile ${tileCode} not found` });
+        }
+        const { version, error, status } = findVersion(tile, { hash });
+        if (error) {
+            return res.status(status).json({ success: false, error });
+        }
+
+        const buffer = await fs.readFile(version.filePath);
+        res.setHeader('Content-Type', 'image/png');
+        res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+        res.send(buffer);
+    } catch (error) {
+        console.error('❌ Error reading tile version:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Roll a tile back to an earlier version: { hash } or { at } (the version current at that time)
+app.post('/api/tiles/:tileCode/rollback', async (req, res) => {
+    try {
+        const { tileCode } = req.params;
+        const { hash, at } = req.body;
+        if (!hash && !at) {
+            return res.status(400).json({ success: false, error: 'hash or at is required' });
+        }
+
+        const { version, changed, error, status } = await rollbackTile(tileCode, { hash, at });
+        if (error) {
+            return res.status(status).json({ success: false, error });
+        }
+
+        res.json({ success: true, tileCode, changed, current: version });
+    } catch (error) {
+        console.error('❌ Error rolling back tile:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Roll every tile of a sector back to the version it had at a point in time ({ at })
+// Tiles without a version from then (stored later, or pruned) are left as they are and listed
+app.post('/api/sectors/:sectorCode/rollback', async (req, res) => {
+    try {
+        const { sectorCode } = req.params;
+        const { at } = req.body;
+        const sector = storage.getSector(sectorCode);
+        if (!sector) {
+            return res.status(404).json({ success: false, error: 'Sector not found' });
+        }
+        if (!at || Number.isNaN(Date.parse(at))) {
+            return res.status(400).json({ success: false, error: 'at (a timestamp) is required' });
+        }
+
+        const rolledBack = [];
+        const skipped = [];
+        let unchanged = 0;
+        for (const tileCode of [...(sector.tiles || [])]) {
+            const result = await rollbackTile(tileCode, { at });
+            if (result.error) {
+                skipped.push({ tileCode, reason: result.error });
+            } else if (result.changed) {
+                rolledBack.push({ tileCode, hash: result.version.hash });
+            } else {
+                unchanged++;
+            }
+        }
+
+        console.log(`⏪ Sector ${sectorCode} rolled back to ${at}: ${rolledBack.length} tiles changed, ${skipped.length} skipped`);
+
+        res.json({ success: true, sectorCode, at, rolledBack, unchanged, skipped });
+    } catch (error) {
+        console.error('❌ Error rolling back sector:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Apply the retention policy to every tile (it is also applied whenever a tile is stored)
+// Optional { keep, maxAgeDays } override the configured policy for this run
+app.post('/api/versions/prune', async (req, res) => {
+    try {
+        const retention = {
+            keep: req.body.keep !== undefined ? parseInt(req.body.keep, 10) : VERSION_RETENTION.keep,
+            maxAgeDays: req.body.maxAgeDays !== undefined ? parseInt(req.body.maxAgeDays, 10) : VERSION_RETENTION.maxAgeDays
+        };
+        if (!(retention.keep >= 1) || !(retention.maxAgeDays >= 0)) {
+            return res.status(400).json({ success: false, error: 'keep must be at least 1 and maxAgeDays 0 or more' });
+        }
+
+        let versions = 0;
+        let bytes = 0;
+        let tiles = 0;
+        for (const tile of storage.getAllTiles()) {
+            const removed = await pruneTileVersions(tile.tileCode, retention);
+            if (removed.length > 0) {
+                tiles++;
+                versions += removed.length;
+                bytes += removed.reduce((sum, v) => sum + (v.sizeBytes || 0), 0);
+            }
+        }
+
+        console.log(`🧹 Pruned ${versions} tile versions (${tiles} tiles, ${(bytes / 1024 / 1024).toFixed(1)} MB)`);
+
+        res.json({ success: true, retention, prunedVersions: versions, tiles, freedBytes: bytes });
+    } catch (error) {
+        console.error('❌ Error pruning tile versions:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ==================== STORAGE INTEGRITY ====================
+
+let fsckRunning = false;
+
+// Check stored tiles against the files on disk (integrity.js); a dry run unless repair is true
+// Body: { repair?: boolean, sectors?: ['M713', ...] }
+app.post('/api/admin/fsck', async (req, res) => {
+    const repair = req.body?.repair === true || req.body?.repair === 'true';
+    const sectors = req.body?.sectors ? [].concat(req.body.sectors) : [];
+    const invalid = sectors.filter(code => !isSectorCode(code));
+    if (invalid.length > 0) {
+        return res.status(400).json({ success: false, error: `Not a sector code: ${invalid.join(', ')}` });
+    }
+    if (fsckRunning) {
+        return res.status(409).json({ success: false, error: 'A storage check is already running' });
+    }
+
+    fsckRunning = true;
+    try {
+        console.log(`🔍 Checking storage${repair ? ' and repairing' : ' (dry run)'}${sectors.length ? `: ${sectors.join(', ')}` : ''}`);
+        const result = await runFsck({ repair, sectors });
+        const { issues, repaired, failed } = result.summary;
+        console.log(`${issues > repaired ? '⚠️' : '✅'} Storage check: ${issues} problems${repair ? `, ${repaired} repaired, ${failed} failed` : ''}`);
+        if (repair && issues > 0) {
+            storage.emitSectorsList();
+        }
+
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('❌ Error checking storage:', error);
+        res.status(500).json({ success: false, error: error.message });
+    } finally {
+        fsckRunning = false;
+    }
+});
+
 // ==================== SECTOR ENDPOINTS ====================
 
 // Get all sectors
@@ -586,9 +972,9 @@ app.get('/api/sectors/:sectorCode', (req, res) => {
             // Sector doesn't exist yet - return empty state
             return res.json({
                 sectorCode,
-                totalTiles: 729,
+                totalTiles: sectorTileCount(sectorCode),
                 uploadedTiles: 0,
-                missingTiles: generateAllTileCodesForSector(sectorCode),
+                missingTiles: sectorTileCodes(sectorCode),
                 tiles: [],
                 status: 'incomplete',
                 exists: false
@@ -616,7 +1002,7 @@ app.get('/api/sectors/:sectorCode/missing', (req, res) => {
 
         if (!sector) {
             // Sector doesn't exist - all tiles are missing
-            const allTiles = generateAllTileCodesForSector(sectorCode);
+            const allTiles = sectorTileCodes(sectorCode);
             return res.json({
                 sectorCode,
                 missing: allTiles,
@@ -638,6 +1024,27 @@ app.get('/api/sectors/:sectorCode/missing', (req, res) => {
     }
 });
 
+// Get tiles stored with quality problems (reasons from the quality gate) for a sector
+app.get('/api/sectors/:sectorCode/flagged', (req, res) => {
+    try {
+        const { sectorCode } = req.params;
+        const sector = storage.getSector(sectorCode);
+        const flagged = sector ? flaggedTiles(sector) : [];
+
+        res.json({
+            sectorCode,
+            flagged,
+            count: flagged.length
+        });
+    } catch (error) {
+        console.error('❌ Error getting flagged tiles:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 // Delete sector and all its tiles
 app.delete('/api/sectors/:sectorCode', async (req, res) => {
     try {
@@ -668,6 +1075,15 @@ app.delete('/api/sectors/:sectorCode', async (req, res) => {
             }
         }
 
+        // Derived variants (colour-corrected copies), version history and cached exports go with it
+        await fs.rm(path.join(variantsDir, COLOR_VARIANT, sectorCode), { recursive: true, force: true });
+        await fs.rm(path.join(VERSIONS_DIR, sectorCode), { recursive: true, force: true });
+        for (const name of await fs.readdir(exportsDir).catch(() => [])) {
+            if (name.startsWith(`${sectorCode}_`)) {
+                await fs.rm(path.join(exportsDir, name), { force: true });
+            }
+        }
+
         // Delete sector from storage
         storage.deleteSector(sectorCode);
 
@@ -690,7 +1106,7 @@ app.delete('/api/sectors/:sectorCode', async (req, res) => {
 // Start generation job for a sector
 app.post('/api/sectors/start-generation', (req, res) => {
     try {
-        const { sectorCode, mode } = req.body;
+        const { sectorCode, mode, executor = 'client', imagery } = req.body;
 
         if (!sectorCode) {
             return res.status(400).json({
@@ -699,22 +1115,37 @@ app.post('/api/sectors/start-generation', (req, res) => {
             });
         }
 
-        if (!mode || !['replace-all', 'only-missing'].includes(mode)) {
+        if (!mode || !['replace-all', 'only-missing', 'only-flagged'].includes(mode)) {
             return res.status(400).json({
                 success: false,
-                error: 'mode must be "replace-all" or "only-missing"'
+                error: 'mode must be "replace-all", "only-missing" or "only-flagged"'
             });
         }
 
-        // Get or create sector
-        let sector = storage.getSector(sectorCode);
-        if (!sector) {
+        if (!['client', 'server'].includes(executor)) {
+            return res.status(400).json({
+                success: false,
+                error: 'executor must be "client" or "server"'
+            });
+        }
+
+        const { provider, error: imageryError } = resolveProvider(imagery);
+        if (imageryError) {
+            return res.status(400).json({
+                success: false,
+                error: imageryError
+            });
+        }
+
+        // Get or create sector
+        let sector = storage.getSector(sectorCode);
+        if (!sector) {
             // Create new sector
             sector = {
                 sectorCode,
-                totalTiles: 729,
+                totalTiles: sectorTileCount(sectorCode),
                 uploadedTiles: 0,
-                missingTiles: generateAllTileCodesForSector(sectorCode),
+                missingTiles: sectorTileCodes(sectorCode),
                 tiles: [],
                 status: 'incomplete',
                 createdAt: new Date().toISOString(),
@@ -729,35 +1160,31 @@ app.post('/api/sectors/start-generation', (req, res) => {
         // Determine which tiles to generate based on mode
         let tilesToGenerate;
         if (mode === 'replace-all') {
-            // Regenerate all 729 tiles
-            tilesToGenerate = generateAllTileCodesForSector(sectorCode);
+            // Regenerate every tile in the sector
+            tilesToGenerate = sectorTileCodes(sectorCode);
+        } else if (mode === 'only-flagged') {
+            // Regenerate tiles stored with quality problems
+            tilesToGenerate = flaggedTiles(sector).map(tile => tile.tileCode);
         } else {
             // Only generate missing tiles
             tilesToGenerate = sector.missingTiles || [];
         }
 
-        // Create generation job
-        const jobId = `job_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
-        const job = {
-            jobId,
+        // Create generation job (server jobs are picked up by the queue workers)
+        const job = jobQueue.createJob({
             sectorCode,
             mode,
-            totalTiles: tilesToGenerate.length,
-            processedTiles: 0,
-            uploadedTiles: 0,
-            skippedTiles: 0,
-            failedTiles: [],
-            status: 'running',
-            startedAt: new Date().toISOString(),
-            completedAt: null,
-            progress: 0
-        };
-
-        storage.createJob(job);
+            tiles: tilesToGenerate,
+            executor,
+            imagery: provider.id
+        });
+        const { jobId } = job;
 
         console.log(`🚀 Started generation job: ${jobId}`);
         console.log(`   Sector: ${sectorCode}`);
         console.log(`   Mode: ${mode}`);
+        console.log(`   Executor: ${executor}`);
+        console.log(`   Imagery: ${provider.id}`);
         console.log(`   Tiles to generate: ${tilesToGenerate.length}`);
 
         res.json({
@@ -765,6 +1192,8 @@ app.post('/api/sectors/start-generation', (req, res) => {
             jobId,
             sectorCode,
             mode,
+            executor,
+            imagery: provider.id,
             tilesToGenerate,
             existingTiles: sector.uploadedTiles,
             totalTiles: tilesToGenerate.length
@@ -782,7 +1211,7 @@ app.post('/api/sectors/start-generation', (req, res) => {
 app.get('/api/jobs/:jobId', (req, res) => {
     try {
         const { jobId } = req.params;
-        const job = storage.getJob(jobId);
+        const job = jobQueue.getJob(jobId);
 
         if (!job) {
             return res.status(404).json({
@@ -801,18 +1230,714 @@ app.get('/api/jobs/:jobId', (req, res) => {
     }
 });
 
-// Helper function to generate all possible tile codes for a sector
-function generateAllTileCodesForSector(sectorCode) {
-    const tiles = [];
-    for (let i = 1; i <= 9; i++) {
-        for (let j = 1; j <= 9; j++) {
-            for (let k = 1; k <= 9; k++) {
-                tiles.push(`${sectorCode}${i}${j}${k}`);
+// List generation jobs (without per-tile states), optionally ?sectorCode= and ?status=
+app.get('/api/jobs', (req, res) => {
+    try {
+        const { sectorCode, status } = req.query;
+        const jobs = sectorCode || status ? jobQueue.findJobs({ sectorCode, status }) : jobQueue.getAllJobs();
+        res.json(jobs.map(job => jobQueue.summarize(job)));
+    } catch (error) {
+        console.error('❌ Error getting jobs:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Pause, resume or cancel a generation job
+for (const action of ['pause', 'resume', 'cancel']) {
+    app.post(`/api/jobs/:jobId/${action}`, (req, res) => {
+        try {
+            const { jobId } = req.params;
+            const job = jobQueue[action](jobId);
+
+            if (!job) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Job not found'
+                });
             }
+
+            res.json({
+                success: true,
+                job: jobQueue.summarize(job)
+            });
+        } catch (error) {
+            // Invalid status transition (e.g. resuming a completed job)
+            res.status(409).json({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+}
+
+// Lease the next tiles of a job to a generator client (browser tab / machine)
+// Body: { clientId, count } - leases time out unless the client asks again or uploads
+app.post('/api/jobs/:jobId/lease', (req, res) => {
+    try {
+        const { jobId } = req.params;
+        const { clientId, count = 1 } = req.body;
+
+        if (!clientId) {
+            return res.status(400).json({
+                success: false,
+                error: 'clientId is required'
+            });
+        }
+
+        const lease = jobQueue.leaseTiles(jobId, clientId, count);
+
+        if (!lease) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            tiles: lease.tiles,
+            leaseExpiresAt: lease.leaseExpiresAt,
+            job: jobQueue.summarize(lease.job)
+        });
+    } catch (error) {
+        console.error('❌ Error leasing tiles:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Report a leased tile that the client failed to generate (it is re-queued with backoff)
+app.post('/api/jobs/:jobId/lease/fail', (req, res) => {
+    try {
+        const { jobId } = req.params;
+        const { clientId, tileCode, error: errorMessage } = req.body;
+
+        if (!clientId || !tileCode) {
+            return res.status(400).json({
+                success: false,
+                error: 'clientId and tileCode are required'
+            });
+        }
+
+        let job;
+        try {
+            job = jobQueue.failLease(jobId, clientId, tileCode, errorMessage);
+        } catch (error) {
+            // Lease expired or held by another client
+            return res.status(409).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            job: jobQueue.summarize(job)
+        });
+    } catch (error) {
+        console.error('❌ Error failing lease:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Release all tiles leased by a client (e.g. the tab cancelled its batch)
+app.post('/api/jobs/:jobId/lease/release', (req, res) => {
+    try {
+        const { jobId } = req.params;
+        const { clientId } = req.body;
+
+        if (!clientId) {
+            return res.status(400).json({
+                success: false,
+                error: 'clientId is required'
+            });
+        }
+
+        const job = jobQueue.releaseLeases(jobId, clientId);
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            job: jobQueue.summarize(job)
+        });
+    } catch (error) {
+        console.error('❌ Error releasing leases:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ==================== IMAGERY ====================
+
+// Imagery providers for the map and for jobs (?imagery= / "imagery" on render and generation requests)
+app.get('/api/imagery/providers', (req, res) => {
+    res.json({
+        success: true,
+        default: DEFAULT_PROVIDER,
+        providers: listProviders()
+    });
+});
+
+// Tile proxy: the browser maps load every provider through here, so remote tiles land in
+// the disk cache (size-capped, least recently used evicted) and MBTiles/directory providers
+// work without any other tile server
+app.get('/imagery/:providerId/:z/:x/:y', async (req, res) => {
+    try {
+        const { provider, error } = resolveProvider(req.params.providerId);
+        if (error) {
+            return res.status(404).json({ success: false, error });
+        }
+
+        const [z, x, y] = [req.params.z, req.params.x, req.params.y].map(value => parseInt(value, 10));
+        const worldTiles = Math.pow(2, z);
+        if (![z, x, y].every(Number.isInteger) || z < 0 || z > provider.maxZoom ||
+            x < 0 || y < 0 || x >= worldTiles || y >= worldTiles) {
+            return res.status(400).json({ success: false, error: `Tile ${req.params.z}/${req.params.x}/${req.params.y} is out of range` });
+        }
+
+        const buffer = await tileSourceFor(provider.id).getTile(z, x, y);
+        if (!buffer) {
+            return res.status(404).json({ success: false, error: 'Tile not found' });
+        }
+
+        res.setHeader('Content-Type', tileImageType(buffer).contentType);
+        res.setHeader('Cache-Control', 'public, max-age=86400');
+        res.send(buffer);
+    } catch (error) {
+        console.error(`❌ Imagery proxy error (${req.params.providerId}):`, error.message);
+        res.status(502).json({ success: false, error: error.message });
+    }
+});
+
+// Running and finished prefetches, "provider:sector:target" → progress
+const imageryPrefetches = new Map();
+
+// Cache size and hit rate, plus the prefetches since startup
+app.get('/api/imagery/cache', async (req, res) => {
+    res.json({
+        success: true,
+        cache: await imageryCache.stats(),
+        prefetches: [...imageryPrefetches.values()]
+    });
+});
+
+// Warm the imagery cache with every tile a sector's captures touch, at the zoom the browser
+// capture map (target "browser") or the server renderer (target "server") uses.
+// Runs in the background (progress as "imagery:prefetch" events) unless wait=true.
+app.post('/api/sectors/:sectorCode/prefetch-imagery', async (req, res) => {
+    try {
+        const { sectorCode } = req.params;
+        const { imagery, target = 'browser', wait } = req.body;
+
+        if (!isSectorCode(sectorCode)) {
+            return res.status(400).json({ success: false, error: `Invalid sector code: ${sectorCode}` });
+        }
+        if (!PREFETCH_TARGETS.includes(target)) {
+            return res.status(400).json({ success: false, error: `target must be one of: ${PREFETCH_TARGETS.join(', ')}` });
+        }
+        const { provider, error: imageryError } = resolveProvider(imagery);
+        if (imageryError) {
+            return res.status(400).json({ success: false, error: imageryError });
+        }
+
+        const key = `${provider.id}:${sectorCode}:${target}`;
+        const running = imageryPrefetches.get(key);
+        if (running && running.status === 'running' && !(wait === true || wait === 'true')) {
+            return res.status(202).json({ success: true, ...running });
+        }
+
+        const source = tileSourceFor(provider.id);
+        const tiles = sectorImageryTiles(sectorCode, provider, source, target);
+        const progress = {
+            imagery: provider.id,
+            sectorCode,
+            target,
+            status: 'running',
+            startedAt: new Date().toISOString(),
+            total: tiles.length,
+            done: 0
+        };
+        imageryPrefetches.set(key, progress);
+        console.log(`🛰️ Prefetching ${tiles.length} ${provider.id} tiles for ${sectorCode} (${target} captures)`);
+
+        const run = prefetchTiles(source, tiles, {
+            onProgress: summary => {
+                Object.assign(progress, summary);
+                if (summary.done % 50 === 0 || summary.done === summary.total) {
+                    io.emit('imagery:prefetch', progress);
+                }
+            }
+        }).then(summary => {
+            Object.assign(progress, summary, { status: 'completed', completedAt: new Date().toISOString() });
+            io.emit('imagery:prefetch', progress);
+            console.log(`✅ Prefetched ${sectorCode} (${provider.id}): ${summary.available} tiles, ` +
+                `${summary.missing} missing, ${summary.failed} failed`);
+            return progress;
+        }, error => {
+            // Not left "running", so the next request for this sector starts a new prefetch
+            Object.assign(progress, { status: 'failed', error: error.message, completedAt: new Date().toISOString() });
+            io.emit('imagery:prefetch', progress);
+            throw error;
+        });
+
+        if (wait === true || wait === 'true') {
+            return res.json({ success: true, ...await run });
+        }
+
+        run.catch(error => console.error(`❌ Prefetch ${key} failed:`, error));
+        res.status(202).json({ success: true, ...progress });
+    } catch (error) {
+        console.error('❌ Error prefetching imagery:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ==================== COLOUR CORRECTION ====================
+
+// Derived variants of stored tiles: variants/<variant>/<sector>/<tile>.png (originals stay in uploads/)
+const variantsDir = './variants';
+
+// Running and finished corrections since startup, sectorCode → progress
+const colorCorrections = new Map();
+
+function sectorColorSettings(sector) {
+    return sector.colorSettings || DEFAULT_COLOR_SETTINGS;
+}
+
+// How many of the sector's tiles have a corrected copy made from the current original
+// with the current settings
+function colorVariantStatus(sector) {
+    const settingsKey = colorSettingsKey(sectorColorSettings(sector));
+    const status = { current: 0, stale: 0, missing: 0 };
+    for (const tileCode of sector.tiles || []) {
+        const tile = storage.getTile(tileCode);
+        const variant = tile?.variants?.[COLOR_VARIANT];
+        if (!tile || !variant) {
+            status.missing++;
+        } else if (variant.sourceHash === tile.hash && variant.settingsKey === settingsKey) {
+            status.current++;
+        } else {
+            status.stale++;
+        }
+    }
+    return status;
+}
+
+// Colour settings of a sector (defaults until changed), the last correction and the variant state
+app.get('/api/sectors/:sectorCode/color', (req, res) => {
+    try {
+        const { sectorCode } = req.params;
+        const sector = storage.getSector(sectorCode);
+        if (!sector) {
+            return res.status(404).json({ success: false, error: 'Sector not found' });
+        }
+
+        res.json({
+            success: true,
+            sectorCode,
+            settings: sectorColorSettings(sector),
+            defaults: DEFAULT_COLOR_SETTINGS,
+            correction: colorCorrections.get(sectorCode) || sector.colorCorrection || null,
+            variant: colorVariantStatus(sector)
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Change a sector's colour settings (partial, merged over the current ones; "reset": true
+// starts from the defaults). Takes effect with the next correction run.
+app.put('/api/sectors/:sectorCode/color', (req, res) => {
+    try {
+        const { sectorCode } = req.params;
+        const sector = storage.getSector(sectorCode);
+        if (!sector) {
+            return res.status(404).json({ success: false, error: 'Sector not found' });
+        }
+
+        const { reset, ...changes } = req.body || {};
+        const base = reset ? DEFAULT_COLOR_SETTINGS : sectorColorSettings(sector);
+        const { settings, error } = normalizeColorSettings(changes, base);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        storage.updateSector(sectorCode, { colorSettings: settings });
+        res.json({
+            success: true,
+            sectorCode,
+            settings,
+            variant: colorVariantStatus(storage.getSector(sectorCode))
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Derive colour-corrected copies of all of a sector's stored tiles with its settings
+// Runs in the background (progress as "color:progress" events) unless wait=true
+app.post('/api/sectors/:sectorCode/color/apply', async (req, res) => {
+    try {
+        const { sectorCode } = req.params;
+        const wait = req.body?.wait === true || req.body?.wait === 'true';
+        const sector = storage.getSector(sectorCode);
+        if (!sector) {
+            return res.status(404).json({ success: false, error: 'Sector not found' });
+        }
+
+        const running = colorCorrections.get(sectorCode);
+        if (running && running.status === 'running') {
+            return res.status(409).json({
+                success: false,
+                error: `Colour correction already running for ${sectorCode}`,
+                progress: running
+            });
+        }
+
+        const tiles = [];
+        for (const tileCode of sector.tiles || []) {
+            const tile = storage.getTile(tileCode);
+            if (tile && tile.filePath && await fileExists(tile.filePath)) {
+                tiles.push(tile);
+            }
+        }
+        if (tiles.length === 0) {
+            return res.status(400).json({ success: false, error: `Sector ${sectorCode} has no stored tiles` });
+        }
+
+        const settings = sectorColorSettings(sector);
+        const progress = {
+            sectorCode,
+            settingsKey: colorSettingsKey(settings),
+            status: 'running',
+            phase: 'measure',
+            startedAt: new Date().toISOString(),
+            total: tiles.length,
+            done: 0
+        };
+        colorCorrections.set(sectorCode, progress);
+        console.log(`🎨 Colour-correcting ${tiles.length} tiles of ${sectorCode} (settings ${progress.settingsKey})`);
+
+        const run = correctSectorColors(tiles, settings, path.join(variantsDir, COLOR_VARIANT, sectorCode), {
+            onProgress: ({ phase, done }) => {
+                Object.assign(progress, { phase, done });
+                if (done % 25 === 0 || done === tiles.length) {
+                    io.emit('color:progress', progress);
+                }
+            },
+            onTile: (tileCode, variant) => {
+                const tile = storage.getTile(tileCode);
+                if (tile) {
+                    storage.setTile(tileCode, { ...tile, variants: { ...tile.variants, [COLOR_VARIANT]: variant } });
+                }
+            }
+        }).then(summary => {
+            Object.assign(progress, summary, { status: 'completed', completedAt: new Date().toISOString() });
+            storage.updateSector(sectorCode, { colorCorrection: { ...progress } });
+            io.emit('color:progress', progress);
+            console.log(`✅ Colour-corrected ${sectorCode}: ${summary.tiles} tiles, ${summary.pairs} shared edges, ` +
+                `edge mismatch ${summary.mismatchBefore} → ${summary.mismatchAfter}`);
+            return progress;
+        }, error => {
+            Object.assign(progress, { status: 'failed', error: error.message, completedAt: new Date().toISOString() });
+            io.emit('color:progress', progress);
+            throw error;
+        });
+
+        if (wait) {
+            return res.json({ success: true, ...await run });
+        }
+
+        run.catch(error => console.error(`❌ Colour correction of ${sectorCode} failed:`, error));
+        res.status(202).json({ success: true, ...progress });
+    } catch (error) {
+        console.error('❌ Error correcting colours:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ==================== GIS EXPORT ====================
+
+const GEOMETRY_FORMATS = ['geojson', 'kml', 'shapefile'];
+const MAX_GEOMETRY_FEATURES = 100000;  // A whole face at tile depth would be 531,441
+
+// Export tile triangles for GIS: `codes` (tiles, sectors or faces, comma-separated or a JSON
+// array) expanded to `depth` (default: printed tile depth), as GeoJSON, KML or zipped Shapefile
+async function exportGeometry(req, res) {
+    try {
+        const params = { ...req.query, ...req.body };
+        const codes = Array.isArray(params.codes)
+            ? params.codes
+            : String(params.codes || '').split(',').map(code => code.trim()).filter(Boolean);
+        const format = params.format || 'geojson';
+        const depth = params.depth === undefined ? TILE_DEPTH : Number(params.depth);
+
+        if (codes.length === 0) {
+            return res.status(400).json({ success: false, error: 'codes is required (tile, sector or face codes)' });
+        }
+        const invalid = codes.find(code => !tileLookup.isValidCode(code));
+        if (invalid !== undefined) {
+            return res.status(400).json({ success: false, error: `Invalid tile code: ${invalid}` });
+        }
+        if (!GEOMETRY_FORMATS.includes(format)) {
+            return res.status(400).json({ success: false, error: `format must be one of: ${GEOMETRY_FORMATS.join(', ')}` });
+        }
+        if (!Number.isInteger(depth) || depth < 0) {
+            return res.status(400).json({ success: false, error: 'depth must be a non-negative integer' });
+        }
+
+        // Count before expanding, so an oversized request never builds its features
+        const featureCount = codes.reduce((sum, code) => sum + 9 ** Math.max(0, depth - tileLookup.depth(code)), 0);
+        if (featureCount > MAX_GEOMETRY_FEATURES) {
+            return res.status(400).json({
+                success: false,
+                error: `${featureCount} tiles requested (limit ${MAX_GEOMETRY_FEATURES}); use a lower depth or fewer codes`
+            });
+        }
+
+        // Codes at or below the depth are exported as they are
+        const tileCodes = [...new Set(codes.flatMap(code =>
+            tileLookup.descendants(code, Math.max(0, depth - tileLookup.depth(code)))
+        ))];
+
+        // Coverage: whether a printed tile has been generated/uploaded
+        const collection = tileLookup.toGeoJSON(tileCodes, code => ({
+            uploaded: Boolean(storage.getTile(code)?.filePath)
+        }));
+
+        const baseName = `tiles_${codes.length === 1 ? codes[0].toUpperCase() : `${codes.length}codes`}_depth${depth}`;
+        console.log(`🗺️ Exporting ${tileCodes.length} tile polygons as ${format} (${baseName})`);
+
+        if (format === 'geojson') {
+            res.setHeader('Content-Type', 'application/geo+json');
+            res.setHeader('Content-Disposition', `attachment; filename="${baseName}.geojson"`);
+            return res.send(JSON.stringify(collection));
+        }
+
+        if (format === 'kml') {
+            res.setHeader('Content-Type', 'application/vnd.google-earth.kml+xml');
+            res.setHeader('Content-Disposition', `attachment; filename="${baseName}.kml"`);
+            return res.send(toKml(collection, baseName));
+        }
+
+        const archive = archiver('zip', { zlib: { level: 9 } });
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="${baseName}_shp.zip"`);
+        archive.pipe(res);
+        for (const { name, data } of toShapefile(collection, baseName)) {
+            archive.append(data, { name });
+        }
+        await archive.finalize();
+    } catch (error) {
+        console.error('❌ Error exporting geometry:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+}
+
+// GET for a few codes in the query, POST for long lists in a JSON body
+app.get('/api/geometry', exportGeometry);
+app.post('/api/geometry', exportGeometry);
+
+// ==================== KML IMPORT ====================
+
+// Customer KML/KMZ files are parsed in memory and never stored
+const kmlUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 20 * 1024 * 1024 }, // 20MB max
+    fileFilter: (req, file, cb) => {
+        if (/\.km[lz]$/i.test(file.originalname)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only .kml or .kmz files allowed'));
+        }
+    }
+});
+
+// Check every polygon placemark in a KML/KMZ against its tile; with enqueue=true, queue all
+// matching tiles as one generation job (mode "only-missing" skips tiles already uploaded)
+app.post('/api/import/kml', (req, res, next) => {
+    // Report a rejected or oversized file as JSON like the importer's own errors
+    kmlUpload.single('file')(req, res, error => error
+        ? res.status(400).json({ success: false, error: error.message })
+        : next());
+}, async (req, res) => {
+    try {
+        const { enqueue, mode = 'only-missing', executor = 'server', imagery } = req.body;
+        const toleranceM = req.body.toleranceM === undefined ? KML_DEFAULT_TOLERANCE_M : Number(req.body.toleranceM);
+
+        if (!req.file) {
+            return res.status(400).json({ success: false, error: 'No KML/KMZ file uploaded (field "file")' });
+        }
+        if (!Number.isFinite(toleranceM) || toleranceM < 0) {
+            return res.status(400).json({ success: false, error: 'toleranceM must be a non-negative number' });
+        }
+        if (!['replace-all', 'only-missing'].includes(mode)) {
+            return res.status(400).json({ success: false, error: 'mode must be "replace-all" or "only-missing"' });
+        }
+        if (!['client', 'server'].includes(executor)) {
+            return res.status(400).json({ success: false, error: 'executor must be "client" or "server"' });
+        }
+        const { provider, error: imageryError } = resolveProvider(imagery);
+        if (imageryError) {
+            return res.status(400).json({ success: false, error: imageryError });
+        }
+
+        let kml;
+        try {
+            kml = await readKmlFile(req.file.buffer);
+        } catch (readError) {
+            return res.status(400).json({ success: false, error: `Could not read ${req.file.originalname}: ${readError.message}` });
+        }
+
+        const { placemarks, skipped } = parseKmlPlacemarks(kml);
+        if (placemarks.length === 0) {
+            return res.status(400).json({ success: false, error: 'No polygon placemarks found' });
+        }
+
+        const results = placemarks.map(placemark => checkPlacemark(placemark, toleranceM));
+        const tiles = [...new Set(results.filter(r => r.status === 'ok').map(r => r.code))];
+        const sectors = [...new Set(tiles.map(sectorOf))];
+        const summary = {
+            placemarks: results.length,
+            ok: results.filter(r => r.status === 'ok').length,
+            mismatched: results.filter(r => r.status === 'mismatch').length,
+            invalid: results.filter(r => r.status === 'invalid').length,
+            skipped,
+            tiles: tiles.length,
+            sectors
+        };
+
+        console.log(`📥 KML import ${req.file.originalname}: ${summary.placemarks} placemarks, ` +
+            `${summary.ok} ok, ${summary.mismatched} mismatched, ${summary.invalid} invalid`);
+
+        let job = null;
+        if (enqueue === true || enqueue === 'true') {
+            // Browser tabs generate one sector at a time
+            if (executor === 'client' && sectors.length > 1) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Tiles span ${sectors.length} sectors; use executor "server"`,
+                    summary,
+                    results
+                });
+            }
+
+            const tilesToGenerate = mode === 'only-missing'
+                ? tiles.filter(code => !storage.getTile(code)?.filePath)
+                : tiles;
+
+            job = jobQueue.createJob({
+                sectorCode: sectors.length === 1 ? sectors[0] : null,
+                mode,
+                tiles: tilesToGenerate,
+                executor,
+                source: `kml:${req.file.originalname}`,
+                imagery: provider.id
+            });
+            console.log(`🚀 Started generation job: ${job.jobId} (${tilesToGenerate.length} tiles from KML)`);
+        }
+
+        res.json({
+            success: true,
+            filename: req.file.originalname,
+            toleranceM,
+            summary,
+            results,
+            jobId: job ? job.jobId : null,
+            tilesToGenerate: job ? job.totalTiles : 0
+        });
+    } catch (error) {
+        console.error('❌ Error importing KML:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ==================== TILE IMPORT ====================
+
+// Archives of tiles produced elsewhere are staged on disk, imported (tileImport.js) and removed
+const IMPORT_MAX_MB = parseInt(process.env.IMPORT_MAX_MB, 10) || 1024;
+const importUpload = multer({
+    storage: multer.diskStorage({
+        destination: stagingDir,
+        filename: (req, file, cb) => cb(null, stagingName('.import'))
+    }),
+    limits: { fileSize: IMPORT_MAX_MB * 1024 * 1024 }
+});
+
+let importRunning = false;
+
+// Import every tile image of a ZIP, TAR or TAR.GZ archive, with the same checks as uploads
+// Multipart: file (the archive), policy (skip | new-version | replace, default skip),
+// sectors (optional, comma-separated: only import tiles of these sectors)
+app.post('/api/import/tiles', (req, res, next) => {
+    importUpload.single('file')(req, res, error => error
+        ? res.status(400).json({ success: false, error: error.message })
+        : next());
+}, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ success: false, error: 'No archive uploaded (field "file")' });
+        }
+        const { policy = 'skip' } = req.body;
+        const sectors = req.body.sectors ? String(req.body.sectors).split(',').map(code => code.trim()).filter(Boolean) : [];
+        const invalid = sectors.filter(code => !isSectorCode(code));
+
+        if (!CONFLICT_POLICIES.includes(policy)) {
+            return res.status(400).json({ success: false, error: `policy must be one of: ${CONFLICT_POLICIES.join(', ')}` });
+        }
+        if (invalid.length > 0) {
+            return res.status(400).json({ success: false, error: `Not a sector code: ${invalid.join(', ')}` });
+        }
+        const type = await detectSourceType(req.file.path);
+        if (type !== 'zip' && type !== 'tar' && type !== 'tar.gz') {
+            return res.status(400).json({ success: false, error: `${req.file.originalname} is not a ZIP or TAR archive` });
+        }
+        if (importRunning) {
+            return res.status(409).json({ success: false, error: 'An import is already running' });
+        }
+
+        importRunning = true;
+        try {
+            const report = await importTiles(req.file.path, { policy, sectors, name: req.file.originalname });
+            storage.emitSectorsList();
+            res.json({ success: true, ...report });
+        } finally {
+            importRunning = false;
+        }
+    } catch (error) {
+        console.error('❌ Error importing tiles:', error);
+        res.status(500).json({ success: false, error: error.message });
+    } finally {
+        if (req.file) {
+            await fs.rm(req.file.path, { force: true });
         }
     }
-    return tiles;
-}
+});
 
 // ==================== SECTOR-BASED DOWNLOADS ====================
 
@@ -841,7 +1966,7 @@ app.get('/api/sectors/:sectorCode/tiles-zip', async (req, res) => {
         if (sector.status !== 'complete') {
             return res.status(400).json({
                 success: false,
-                error: `Cannot download incomplete sector (${sector.uploadedTiles}/729 tiles)`
+                error: `Cannot download incomplete sector (${sector.uploadedTiles}/${sector.totalTiles} tiles)`
             });
         }
 
@@ -949,13 +2074,142 @@ app.get('/api/sectors/:sectorCode/tiles-zip', async (req, res) => {
     }
 });
 
+// Download all tiles as ZIP in one format (?format=png | tiff)
+// TIFF tiles are converted one at a time: 300 DPI, ?compression=, ?alpha=, ?profile=
+const TILE_FORMATS = ['png', 'tiff'];
+
+app.get('/api/sectors/:sectorCode/tiles', async (req, res) => {
+    let generationKey = null;
+    try {
+        const { sectorCode } = req.params;
+        const format = req.query.format || 'png';
+        if (!TILE_FORMATS.includes(format)) {
+            return res.status(400).json({ success: false, error: `format must be one of: ${TILE_FORMATS.join(', ')}` });
+        }
+
+        let tiffOptions = null;
+        if (format === 'tiff') {
+            const tiff = resolveTiffOptions(req.query);
+            const color = resolveColorOutput(req.query);
+            const error = tiff.error || color.error;
+            if (error) {
+                return res.status(400).json({ success: false, error });
+            }
+            tiffOptions = { ...tiff.options, colorOutput: color.colorOutput };
+        }
+
+        const sector = storage.getSector(sectorCode);
+        if (!sector) {
+            return res.status(404).json({ success: false, error: 'Sector not found' });
+        }
+
+        if (sector.status !== 'complete') {
+            return res.status(400).json({
+                success: false,
+                error: `Cannot download incomplete sector (${sector.uploadedTiles}/${sector.totalTiles} tiles)`
+            });
+        }
+
+        if (ongoingGenerations.has(`${sectorCode}-tiles`)) {
+            return res.status(409).json({
+                success: false,
+                error: 'Tile download already in progress for this sector',
+                inProgress: true
+            });
+        }
+
+        console.log(`📦 Generating ${format.toUpperCase()} tiles ZIP for sector: ${sectorCode}`);
+
+        generationKey = `${sectorCode}-tiles`;
+        const clientId = req.headers['x-socket-id'] || 'unknown';
+        const generation = { startedAt: Date.now(), clientId, aborted: false };
+        ongoingGenerations.set(generationKey, generation);
+
+        res.on('close', () => {
+            generation.aborted = true;
+        });
+
+        // TIFF is already compressed, so entries are stored rather than deflated again
+        const archive = archiver('zip', { zlib: { level: format === 'tiff' ? 0 : 9 } });
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="${sectorCode}_tiles_${format}.zip"`);
+        res.setHeader('Cache-Control', 'no-cache');
+
+        // Set timeout to 10 minutes for large downloads
+        req.setTimeout(600000);
+        res.setTimeout(600000);
+
+        archive.pipe(res);
+
+        let processedTiles = 0;
+        const totalTiles = sector.tiles.length;
+
+        for (const tileCode of sector.tiles) {
+            if (generation.aborted || res.closed) {
+                console.log(`⚠️ Aborting tiles ZIP generation for ${sectorCode}`);
+                archive.abort();
+                ongoingGenerations.delete(generationKey);
+                return;
+            }
+
+            const tile = storage.getTile(tileCode);
+            if (!tile || !tile.filePath || !await fileExists(tile.filePath)) {
+                continue;
+            }
+
+            if (format === 'tiff') {
+                // Wait until each tile is in the archive, so converted tiles never pile up in memory
+                const added = once(archive, 'entry');
+                archive.append(await tileToTiff(tile.filePath, tiffOptions), { name: `${tileCode}.tif` });
+                await added;
+            } else {
+                archive.file(tile.filePath, { name: `${tileCode}.png` });
+            }
+            processedTiles++;
+
+            if (processedTiles % 50 === 0 || processedTiles === totalTiles) {
+                io.emit('download:progress', {
+                    type: 'tiles',
+                    sectorCode,
+                    processed: processedTiles,
+                    total: totalTiles,
+                    percentage: Math.round((processedTiles / totalTiles) * 100),
+                    status: 'processing'
+                });
+            }
+        }
+
+        await archive.finalize();
+
+        io.emit('download:progress', {
+            type: 'tiles',
+            sectorCode,
+            processed: processedTiles,
+            total: totalTiles,
+            percentage: 100,
+            status: 'complete'
+        });
+
+        console.log(`✅ ${format.toUpperCase()} tiles ZIP generated: ${processedTiles} tiles`);
+        ongoingGenerations.delete(generationKey);
+    } catch (error) {
+        console.error('❌ Error generating tiles ZIP:', error);
+        if (generationKey) {
+            ongoingGenerations.delete(generationKey);
+        }
+        if (!res.headersSent) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+});
+
 // ==================== TILES ZIP CACHING ====================
 
 // Check tiles-zip cache status
 app.get('/api/sectors/:sectorCode/tiles-zip-status', async (req, res) => {
     try {
         const { sectorCode } = req.params;
-        const cachedPath = path.join(exportsDir, `${sectorCode}_tiles.zip`);
+        const cachedPath = tilesZipPath(sectorCode);
 
         try {
             const stats = await fs.stat(cachedPath);
@@ -984,7 +2238,7 @@ app.post('/api/sectors/:sectorCode/tiles-zip-cache', async (req, res) => {
             return res.status(404).json({ success: false, error: 'Sector not found or incomplete' });
         }
 
-        const cachedPath = path.join(exportsDir, `${sectorCode}_tiles.zip`);
+        const cachedPath = tilesZipPath(sectorCode);
         console.log(`📦 Generating and caching tiles ZIP for sector: ${sectorCode}`);
 
         // Create archive
@@ -1017,6 +2271,7 @@ app.post('/api/sectors/:sectorCode/tiles-zip-cache', async (req, res) => {
 
         const stats = await fs.stat(cachedPath);
         console.log(`✅ Tiles ZIP cached: ${(stats.size / 1024 / 1024).toFixed(2)} MB`);
+        await removeExportStamps(cachedPath, cachedPath);
 
         res.json({
             success: true,
@@ -1035,7 +2290,7 @@ app.post('/api/sectors/:sectorCode/tiles-zip-cache', async (req, res) => {
 app.get('/api/sectors/:sectorCode/tiles-zip-cached', async (req, res) => {
     try {
         const { sectorCode } = req.params;
-        const cachedPath = path.join(exportsDir, `${sectorCode}_tiles.zip`);
+        const cachedPath = tilesZipPath(sectorCode);
 
         try {
             const stats = await fs.stat(cachedPath);
@@ -1080,15 +2335,12 @@ app.get('/api/sectors/:sectorCode/tiles-zip-cached', async (req, res) => {
 app.delete('/api/sectors/:sectorCode/tiles-zip-cached', async (req, res) => {
     try {
         const { sectorCode } = req.params;
-        const cachedPath = path.join(exportsDir, `${sectorCode}_tiles.zip`);
+        const cachedPath = tilesZipPath(sectorCode);
 
-        try {
-            await fs.rm(cachedPath, { force: true });
-            console.log(`🗑️ Deleted cached tiles ZIP for ${sectorCode}`);
-            res.json({ success: true });
-        } catch {
-            res.json({ success: true, message: 'No cached file to delete' });
-        }
+        // Copies made from older tile images too
+        const removed = await removeExportStamps(cachedPath);
+        console.log(`🗑️ Deleted ${removed} cached tiles ZIPs for ${sectorCode}`);
+        res.json(removed > 0 ? { success: true, removed } : { success: true, removed, message: 'No cached file to delete' });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
@@ -1104,102 +2356,332 @@ try {
     console.error('Failed to create exports directory:', err);
 }
 
-// Check EPS cache status
-app.get('/api/sectors/:sectorCode/eps-status', async (req, res) => {
-    try {
-        const { sectorCode } = req.params;
-        const cachedPath = path.join(exportsDir, `${sectorCode}_eps.zip`);
+// Short digest of the sector's tiles and their current images: in every export cache key, so
+// a new upload, import, rollback or repair never serves an export of the old tiles
+function sectorTilesStamp(sectorCode) {
+    const tiles = (storage.getSector(sectorCode)?.tiles || []).slice().sort()
+        .map(tileCode => `${tileCode}:${storage.getTile(tileCode)?.current || ''}`);
+    return crypto.createHash('sha256').update(tiles.join('\n')).digest('hex').slice(0, 8);
+}
 
-        try {
-            const stats = await fs.stat(cachedPath);
-            res.json({
-                cached: true,
-                filename: `${sectorCode}_eps.zip`,
-                size: stats.size,
-                createdAt: stats.mtime.toISOString()
-            });
-        } catch {
-            res.json({ cached: false });
+// The cached tiles ZIP of a sector as its tiles are now
+function tilesZipPath(sectorCode) {
+    return path.join(exportsDir, `${sectorCode}_tiles_t-${sectorTilesStamp(sectorCode)}.zip`);
+}
+
+// Every cached copy of an export, whatever the tile images it was made from: the file name
+// with any tile stamp ("t-" and 8 hex digits). Partial files of a running export do not match
+const TILE_STAMP = /(?<=_)t-[0-9a-f]{8}(?=[_.])/;
+function exportStampPattern(cachedPath) {
+    const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const [head, tail] = path.basename(cachedPath).split(TILE_STAMP);
+    return new RegExp(`^${escape(head)}t-[0-9a-f]{8}${escape(tail)}$`);
+}
+
+/**
+ * Remove the cached copies of an export made from other tile images than `keep`'s
+ * @param {string} cachedPath - Any stamp of the export (e.g. the current one)
+ * @param {string|null} [keep] - Path not to remove (the export just written); null removes all
+ * @returns {Promise<number>} Files removed
+ */
+async function removeExportStamps(cachedPath, keep = null) {
+    const pattern = exportStampPattern(cachedPath);
+    let removed = 0;
+    for (const name of await fs.readdir(exportsDir).catch(() => [])) {
+        const filePath = path.join(exportsDir, name);
+        if (pattern.test(name) && filePath !== keep) {
+            await fs.rm(filePath, { force: true });
+            removed++;
         }
-    } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
     }
+    if (keep && removed > 0) {
+        console.log(`🗑️ Removed ${removed} cached exports of older tiles (${path.basename(keep)})`);
+    }
+    return removed;
+}
+
+// Layout used by sector exports when no ?layout= is given: 11 × 9 cells, tiles at true size
+const SECTOR_DEFAULT_LAYOUT = 'vinyl-11col-actual';
+
+// Impose stored tiles with a layout (tiles without a file on disk are left out)
+// With a variant, each tile's derived copy is used where one was made from the current original
+async function imposeStoredTiles(tileCodes, layout, variant = null) {
+    const tiles = [];
+    let originals = 0;
+    for (const tileCode of tileCodes) {
+        const tile = storage.getTile(tileCode);
+        if (!tile || !tile.filePath || !await fileExists(tile.filePath)) {
+            console.warn(`⚠️ Tile ${tileCode} not found, skipping`);
+            continue;
+        }
+
+        let filePath = tile.filePath;
+        const derived = variant && tile.variants?.[variant];
+        if (derived && derived.sourceHash === tile.hash && await fileExists(derived.filePath)) {
+            filePath = derived.filePath;
+        } else if (variant) {
+            originals++;
+        }
+
+        const { width, height } = await sharp(filePath).metadata();
+        tiles.push({ tileCode, filePath, width, height });
+    }
+    if (originals > 0) {
+        console.warn(`⚠️ ${originals} tiles have no up-to-date ${variant} variant, using the originals`);
+    }
+
+    const imposition = imposeTiles(tiles, layout);
+    imposition.sheets.forEach((sheet, i) => {
+        console.log(`   📐 Sheet ${i + 1}/${imposition.sheets.length} (${layout.name}): ${sheet.placements.length} tiles, ${(sheet.efficiency * 100).toFixed(1)}% material efficiency`);
+    });
+    return imposition;
+}
+
+// Cached sector exports are keyed by the effective layout; downloads keep a readable name
+const SECTOR_EXPORT_FORMATS = {
+    pdf: { suffix: '.pdf', contentType: 'application/pdf' },    // One multi-page PDF
+    eps: { suffix: '_eps.zip', contentType: 'application/zip' }, // One EPS per sheet, zipped
+    tiff: { suffix: '.tif', contentType: 'image/tiff' }          // One multi-page TIFF, a page per sheet
+};
+
+function sectorExportFiles(sectorCode, resolved, format) {
+    const { suffix } = SECTOR_EXPORT_FORMATS[format];
+    const variant = (resolved.variant ? `_${resolved.variant}` : '') +
+        (resolved.colorOutput ? `_${resolved.colorOutput.name}` : '');
+    return {
+        cachedPath: path.join(exportsDir, `${sectorCode}_${resolved.cacheKey}${suffix}`),
+        filename: resolved.layout.name === SECTOR_DEFAULT_LAYOUT
+            ? `${sectorCode}${variant}${suffix}`
+            : `${sectorCode}_${resolved.layout.name}${variant}${suffix}`
+    };
+}
+
+// resolveLayout() for sector exports, plus ?profile= (ICC output profile), the TIFF options
+// for format "tiff" and ?variant=color for the colour-corrected copies; the cache key follows
+// the profile's contents, the sector's tile images and the last correction run, so neither a
+// new run nor a changed tile serves a stale export
+function resolveSectorExport(query, sectorCode, format = null) {
+    const layout = resolveLayout(query, SECTOR_DEFAULT_LAYOUT);
+    if (layout.error) {
+        return layout;
+    }
+    const color = resolveColorOutput(query);
+    if (color.error) {
+        return color;
+    }
+    const tiff = format === 'tiff' ? resolveTiffOptions(query) : null;
+    if (tiff && tiff.error) {
+        return tiff;
+    }
+
+    const resolved = {
+        ...layout,
+        colorOutput: color.colorOutput,
+        tiff: tiff ? tiff.options : null,
+        cacheKey: [layout.cacheKey, tiff && tiff.cacheKey, color.cacheKey, `t-${sectorTilesStamp(sectorCode)}`]
+            .filter(Boolean).join('_')
+    };
+    if (!query.variant) {
+        return resolved;
+    }
+    if (query.variant !== COLOR_VARIANT) {
+        return { error: `variant must be "${COLOR_VARIANT}"` };
+    }
+
+    const run = storage.getSector(sectorCode)?.colorCorrection;
+    if (!run || !run.completedAt) {
+        return { error: `Sector ${sectorCode} has no colour-corrected tiles yet (POST /api/sectors/${sectorCode}/color/apply)` };
+    }
+    const stamp = crypto.createHash('sha256').update(`${run.settingsKey}:${run.completedAt}`).digest('hex').slice(0, 8);
+    return { ...resolved, variant: COLOR_VARIANT, cacheKey: `${resolved.cacheKey}_${COLOR_VARIANT}-${stamp}` };
+}
+
+// List layout profiles available to every PDF/EPS export (?layout=)
+app.get('/api/layouts', (req, res) => {
+    res.json({
+        success: true,
+        sectorDefault: SECTOR_DEFAULT_LAYOUT,
+        layouts: listLayouts()
+    });
 });
 
-// Download cached EPS (fast)
-app.get('/api/sectors/:sectorCode/eps-cached', async (req, res) => {
-    try {
-        const { sectorCode } = req.params;
-        const cachedPath = path.join(exportsDir, `${sectorCode}_eps.zip`);
+// List ICC output profiles available to every PDF/EPS export (?profile=)
+app.get('/api/icc-profiles', (req, res) => {
+    res.json({
+        success: true,
+        profiles: listIccProfiles()
+    });
+});
 
+// Cache status, cached download and delete for each sector export format
+for (const [format, { contentType }] of Object.entries(SECTOR_EXPORT_FORMATS)) {
+    const formatUpper = format.toUpperCase();
+
+    // Check cache status
+    app.get(`/api/sectors/:sectorCode/${format}-status`, async (req, res) => {
         try {
-            // Get file stats for Content-Length header
-            const stats = await fs.stat(cachedPath);
-            const fileSize = stats.size;
+            const { sectorCode } = req.params;
+            const resolved = resolveSectorExport(req.query, sectorCode, format);
+            if (resolved.error) {
+                return res.status(400).json({ success: false, error: resolved.error });
+            }
+            const { cachedPath, filename } = sectorExportFiles(sectorCode, resolved, format);
 
-            // Set common headers
-            res.setHeader('Content-Type', 'application/zip');
-            res.setHeader('Content-Disposition', `attachment; filename="${sectorCode}_eps.zip"`);
-            res.setHeader('Accept-Ranges', 'bytes');
-            res.setHeader('Cache-Control', 'no-cache');
+            try {
+                const stats = await fs.stat(cachedPath);
+                res.json({
+                    cached: true,
+                    filename,
+                    size: stats.size,
+                    createdAt: stats.mtime.toISOString(),
+                    inProgress: ongoingGenerations.has(`${sectorCode}-${format}`)
+                });
+            } catch {
+                res.json({ cached: false, inProgress: ongoingGenerations.has(`${sectorCode}-${format}`) });
+            }
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
 
-            // Handle Range requests for resume capability
-            const range = req.headers.range;
-            if (range) {
-                const parts = range.replace(/bytes=/, '').split('-');
-                const start = parseInt(parts[0], 10);
-                const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
-                const chunkSize = (end - start) + 1;
+    // Download cached file (fast)
+    app.get(`/api/sectors/:sectorCode/${format}-cached`, async (req, res) => {
+        try {
+            const { sectorCode } = req.params;
+            const resolved = resolveSectorExport(req.query, sectorCode, format);
+            if (resolved.error) {
+                return res.status(400).json({ success: false, error: resolved.error });
+            }
+            const { cachedPath, filename } = sectorExportFiles(sectorCode, resolved, format);
 
-                res.status(206); // Partial Content
-                res.setHeader('Content-Range', `bytes ${start}-${end}/${fileSize}`);
-                res.setHeader('Content-Length', chunkSize);
+            try {
+                // Get file stats for Content-Length header
+                const stats = await fs.stat(cachedPath);
+                const fileSize = stats.size;
 
-                const stream = createReadStream(cachedPath, { start, end });
-                stream.pipe(res);
-                console.log(`📦 Serving cached EPS (RESUME) for ${sectorCode} (${(chunkSize / 1024 / 1024).toFixed(2)} MB, ${start}-${end}/${fileSize})`);
-            } else {
-                // Full file download
-                res.setHeader('Content-Length', fileSize);
-                createReadStream(cachedPath).pipe(res);
-                console.log(`📦 Serving cached EPS for ${sectorCode} (${(fileSize / 1024 / 1024).toFixed(2)} MB)`);
+                // Set common headers
+                res.setHeader('Content-Type', contentType);
+                res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+                res.setHeader('Accept-Ranges', 'bytes');
+                res.setHeader('Cache-Control', 'no-cache');
+
+                // Handle Range requests for resume capability
+                const range = req.headers.range;
+                if (range) {
+                    const parts = range.replace(/bytes=/, '').split('-');
+                    const start = parseInt(parts[0], 10);
+                    const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
+                    const chunkSize = (end - start) + 1;
+
+                    res.status(206); // Partial Content
+                    res.setHeader('Content-Range', `bytes ${start}-${end}/${fileSize}`);
+                    res.setHeader('Content-Length', chunkSize);
+
+                    const stream = createReadStream(cachedPath, { start, end });
+                    stream.pipe(res);
+                    console.log(`📦 Serving cached ${formatUpper} (RESUME) for ${sectorCode} (${(chunkSize / 1024 / 1024).toFixed(2)} MB, ${start}-${end}/${fileSize})`);
+                } else {
+                    // Full file download
+                    res.setHeader('Content-Length', fileSize);
+                    createReadStream(cachedPath).pipe(res);
+                    console.log(`📦 Serving cached ${formatUpper} for ${sectorCode} (${(fileSize / 1024 / 1024).toFixed(2)} MB)`);
+                }
+            } catch {
+                res.status(404).json({ success: false, error: `No cached ${formatUpper} found. Generate first.` });
             }
-        } catch {
-            res.status(404).json({ success: false, error: 'No cached EPS found. Generate first.' });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
         }
-    } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
-    }
-});
+    });
+
+    // Delete cached file
+    app.delete(`/api/sectors/:sectorCode/${format}-cached`, async (req, res) => {
+        try {
+            const { sectorCode } = req.params;
+            const resolved = resolveSectorExport(req.query, sectorCode, format);
+            if (resolved.error) {
+                return res.status(400).json({ success: false, error: resolved.error });
+            }
+            const { cachedPath } = sectorExportFiles(sectorCode, resolved, format);
+
+            // Copies made from older tile images too
+            const removed = await removeExportStamps(cachedPath);
+            console.log(`🗑️ Deleted ${removed} cached ${formatUpper} files for ${sectorCode}`);
+            res.json(removed > 0 ? { success: true, removed } : { success: true, removed, message: 'No cached file to delete' });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+}
 
-// Delete cached EPS
-app.delete('/api/sectors/:sectorCode/eps-cached', async (req, res) => {
+// Preview how a layout imposes a sector: sheets, tiles per sheet and material efficiency
+app.get('/api/sectors/:sectorCode/imposition', async (req, res) => {
     try {
         const { sectorCode } = req.params;
-        const cachedPath = path.join(exportsDir, `${sectorCode}_eps.zip`);
+        const sector = storage.getSector(sectorCode);
+
+        if (!sector) {
+            return res.status(404).json({ success: false, error: 'Sector not found' });
+        }
+
+        const resolved = resolveSectorExport(req.query, sectorCode);
+        if (resolved.error) {
+            return res.status(400).json({ success: false, error: resolved.error });
+        }
 
+        let imposition;
         try {
-            await fs.rm(cachedPath, { force: true });
-            console.log(`🗑️ Deleted cached EPS for ${sectorCode}`);
-            res.json({ success: true });
-        } catch {
-            res.json({ success: true, message: 'No cached file to delete' });
+            imposition = await imposeStoredTiles(sector.tiles, resolved.layout, resolved.variant);
+        } catch (err) {
+            return res.status(400).json({ success: false, error: err.message });
         }
+
+        res.json({
+            success: true,
+            sectorCode,
+            layout: resolved.layout,
+            efficiency: imposition.efficiency,
+            sheets: imposition.sheets.map(sheet => ({
+                tiles: sheet.placements.map(p => p.tileCode),
+                efficiency: sheet.efficiency
+            }))
+        });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// Generate PDF for sector - 11 column layout
+// Generate PDF for sector (?layout=, default: 11 columns at true size, with caching)
+// One multi-page PDF is streamed straight into the export cache tile by tile, then served from there
 app.get('/api/sectors/:sectorCode/pdf-11col', async (req, res) => {
-    // PDF generation temporarily disabled
-    return res.status(503).json({
-        success: false,
-        error: 'PDF generation is temporarily disabled'
-    });
-
+    let generationKey = null;
+    let partialPath = null;
     try {
         const { sectorCode } = req.params;
+        const resolved = resolveSectorExport(req.query, sectorCode);
+        if (resolved.error) {
+            return res.status(400).json({ success: false, error: resolved.error });
+        }
+        const { cachedPath, filename } = sectorExportFiles(sectorCode, resolved, 'pdf');
+
+        // Handle HEAD requests quickly without generating
+        if (req.method === 'HEAD') {
+            const sector = storage.getSector(sectorCode);
+            if (!sector || sector.status !== 'complete') {
+                return res.status(404).end();
+            }
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Accept-Ranges', 'bytes');
+            try {
+                const stats = await fs.stat(cachedPath);
+                res.setHeader('Content-Length', stats.size);
+            } catch {
+                // Not generated yet
+            }
+            return res.status(200).end();
+        }
+
+        const rebuild = req.query.rebuild === 'true';
         const sector = storage.getSector(sectorCode);
 
         if (!sector) {
@@ -1209,17 +2691,39 @@ app.get('/api/sectors/:sectorCode/pdf-11col', async (req, res) => {
             });
         }
 
-        if (sector.status !== 'complete') {
-            return res.status(400).json({
-                success: false,
-                error: `Cannot generate PDF for incomplete sector (${sector.uploadedTiles}/729 tiles)`,
-                missing: sector.missingTiles.length
-            });
+        if (sector.status !== 'complete') {
+            return res.status(400).json({
+                success: false,
+                error: `Cannot generate PDF for incomplete sector (${sector.uploadedTiles}/${sector.totalTiles} tiles)`,
+                missing: sector.missingTiles.length
+            });
+        }
+
+        // Check for cached file if not rebuilding
+        if (!rebuild) {
+            try {
+                await fs.access(cachedPath);
+                console.log(`📦 Serving cached PDF for ${sectorCode}`);
+                res.setHeader('Content-Type', 'application/pdf');
+                res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+                createReadStream(cachedPath).pipe(res);
+                return;
+            } catch {
+                // No cache, continue to generate
+            }
+        }
+
+        // Pages depend on every tile's size, so the whole sector is imposed up front
+        const { layout } = resolved;
+        let imposition;
+        try {
+            imposition = await imposeStoredTiles(sector.tiles, layout, resolved.variant);
+        } catch (err) {
+            return res.status(400).json({ success: false, error: err.message });
         }
 
         // Check if generation already in progress
-        const generationKey = `${sectorCode}-pdf`;
-        if (ongoingGenerations.has(generationKey)) {
+        if (ongoingGenerations.has(`${sectorCode}-pdf`)) {
             return res.status(409).json({
                 success: false,
                 error: 'PDF generation already in progress for this sector',
@@ -1227,32 +2731,24 @@ app.get('/api/sectors/:sectorCode/pdf-11col', async (req, res) => {
             });
         }
 
-        console.log(`📄 Generating PDF (11-column) for sector: ${sectorCode} (${sector.tiles.length} tiles)`);
+        console.log(`📄 Generating PDF (${layout.name}) for sector: ${sectorCode} (${sector.tiles.length} tiles)${rebuild ? ' (rebuild)' : ''}`);
 
         // Track this generation
+        generationKey = `${sectorCode}-pdf`;
         const clientId = req.headers['x-socket-id'] || 'unknown';
         const generation = { startedAt: Date.now(), clientId, aborted: false };
         ongoingGenerations.set(generationKey, generation);
 
-        const pageWidth = 3744;
-        const pageHeight = 2754;
-        const tilesPerRow = 11;
-        const tilesPerColumn = 9;
-        const tilesPerPage = 99;
-        const tileWidth = 340.36;
-        const tileHeight = 306;
-        const totalTiles = sector.tiles.length;
-        const totalPages = Math.ceil(totalTiles / tilesPerPage);
-
-        const tempFiles = [];
-        let processedTiles = 0;
-
         // Clean up on response close/error
         res.on('close', () => {
             generation.aborted = true;
             console.log(`⚠️ Response closed for ${generationKey}`);
         });
 
+        const totalTiles = sector.tiles.length;
+        const totalPages = imposition.sheets.length;
+        let processedTiles = 0;
+
         // Emit initial progress
         io.emit('download:progress', {
             type: 'pdf',
@@ -1265,124 +2761,68 @@ app.get('/api/sectors/:sectorCode/pdf-11col', async (req, res) => {
             totalPages
         });
 
-        // Generate separate PDF for each page
-        for (let pageNum = 1; pageNum <= totalPages; pageNum++) {
-            if (generation.aborted || res.closed) {
-                console.log(`⚠️ Aborting PDF generation for ${sectorCode} (client disconnected)`);
-                // Clean up temp files
-                for (const f of tempFiles) {
-                    try { await fs.rm(f, { force: true }); } catch {}
-                }
-                ongoingGenerations.delete(generationKey);
-                return;
-            }
-
-            const pageFilePath = path.join(uploadsDir, `temp_${Date.now()}_page${pageNum}.pdf`);
-            tempFiles.push(pageFilePath);
-
-            const doc = new PDFDocument({
-                size: [pageWidth, pageHeight],
-                margin: 0,
-                pdfVersion: '1.7',
-                compress: false,
-                info: {
-                    Title: `${sectorCode} Page ${pageNum}/${totalPages}`,
-                    Author: 'Satellite Tile Generator',
-                    Subject: `Satellite tiles for sector ${sectorCode}`,
-                    Creator: 'PDFKit',
-                    Producer: 'Satellite Tile Generator'
-                }
-            });
-
-            const writeStream = createWriteStream(pageFilePath);
-            doc.pipe(writeStream);
+        // Written next to the cache and renamed when complete, so a half-written PDF is never served
+        partialPath = `${cachedPath}.partial`;
+        const { doc, cutLayer, outputIntent } = createSheetPdf(layout, {
+            Title: `Satellite Tiles - ${sectorCode} (${layout.name})`,
+            Subject: `Satellite tiles for sector ${sectorCode} (${layout.name}, ${(imposition.efficiency * 100).toFixed(1)}% material efficiency)`,
+            Creator: 'PDFKit',
+            Producer: 'Satellite Tile Generator'
+        }, { pdfVersion: '1.7' }, resolved.colorOutput);
 
-            const startIdx = (pageNum - 1) * tilesPerPage;
-            const endIdx = Math.min(startIdx + tilesPerPage, sector.tiles.length);
-            const pageTiles = sector.tiles.slice(startIdx, endIdx);
-
-            let tileCount = 0;
-            for (const tileCode of pageTiles) {
-                if (generation.aborted || res.closed) {
-                    doc.end();
-                    break;
-                }
-
-                const tile = storage.getTile(tileCode);
-                if (!tile || !tile.filePath) {
-                    console.log(`⚠️ Skipping ${tileCode}: No tile metadata or filePath`);
-                    continue;
-                }
-
-                const exists = await fileExists(tile.filePath);
-                if (!exists) {
-                    console.log(`⚠️ Skipping ${tileCode}: File not found at ${tile.filePath}`);
-                    continue;
-                }
-
-                // Column-by-column layout: fill vertically first (top to bottom), then move right
-                const col = Math.floor(tileCount / tilesPerColumn);  // Column index (0-10)
-                const row = tileCount % tilesPerColumn;              // Row index (0-8)
+        const writeStream = createWriteStream(partialPath);
+        const writePromise = new Promise((resolve, reject) => {
+            writeStream.on('finish', resolve);
+            writeStream.on('error', reject);
+        });
+        doc.pipe(writeStream);
 
-                // Cell position (top-left corner of cell)
-                const cellX = col * tileWidth;
-                const cellY = row * tileHeight;
+        for (let pageNum = 1; pageNum <= totalPages; pageNum++) {
+            // PDFKit writes out each finished page when the next one is added
+            if (pageNum > 1) {
+                doc.addPage();
+            }
 
-                try {
-                    // Get image dimensions to calculate actual size at 300 DPI
-                    const metadata = await sharp(tile.filePath).metadata();
-                    // Calculate actual image dimensions in points (pixels / 300 DPI * 72 points/inch)
-                    const imgWidth = (metadata.width / 300) * 72;
-                    const imgHeight = (metadata.height / 300) * 72;
-
-                    // Place image at top-left corner of cell with original dimensions
-                    doc.image(tile.filePath, cellX, cellY, {
-                        width: imgWidth,
-                        height: imgHeight,
-                        compress: false
-                    });
-                    tileCount++;
+            const { aborted } = await drawPdfSheet(doc, imposition.sheets[pageNum - 1], layout, cutLayer, {
+                output: writeStream,
+                outputIntent,
+                // Check if generation should be aborted
+                isAborted: () => generation.aborted || res.closed,
+                onTile: () => {
                     processedTiles++;
 
                     // Emit progress every 10 tiles
-                    if (processedTiles % 10 === 0 || processedTiles === totalTiles) {
-                        const percentage = Math.round((processedTiles / totalTiles) * 100);
+                    if (processedTiles % 10 === 0) {
                         io.emit('download:progress', {
                             type: 'pdf',
                             sectorCode,
                             processed: processedTiles,
                             total: totalTiles,
-                            percentage,
+                            percentage: Math.round((processedTiles / totalTiles) * 100),
                             status: 'processing',
                             currentPage: pageNum,
                             totalPages
                         });
                     }
-                } catch (err) {
-                    console.error(`❌ Error adding tile ${tileCode}:`, err);
                 }
-            }
-
-            doc.end();
-            await new Promise((resolve, reject) => {
-                writeStream.on('finish', resolve);
-                writeStream.on('error', reject);
             });
-        }
-
-        // Create ZIP archive with all PDF pages
-        const archive = archiver('zip', { zlib: { level: 9 } });
-        res.setHeader('Content-Type', 'application/zip');
-        res.setHeader('Content-Disposition', `attachment; filename="${sectorCode}_tiles_11col_pdf.zip"`);
-        archive.pipe(res);
 
-        for (let i = 0; i < totalPages; i++) {
-            archive.file(tempFiles[i], { name: `${sectorCode}_page${i+1}_11col.pdf` });
+            if (aborted) {
+                console.log(`⚠️ Aborting PDF generation for ${sectorCode} (client disconnected)`);
+                doc.end();
+                await writePromise;
+                await fs.rm(partialPath, { force: true });
+                ongoingGenerations.delete(generationKey);
+                return;
+            }
         }
 
-        await archive.finalize();
+        doc.end();
+        await writePromise;
+        await fs.rename(partialPath, cachedPath);
+        await removeExportStamps(cachedPath, cachedPath);
 
-        console.log(`✅ PDF generated: ${processedTiles} tiles across ${totalPages} pages`);
+        console.log(`✅ PDF generated and cached: ${processedTiles} tiles across ${totalPages} pages (${cachedPath})`);
 
         // Emit completion
         io.emit('download:progress', {
@@ -1391,29 +2831,43 @@ app.get('/api/sectors/:sectorCode/pdf-11col', async (req, res) => {
             processed: processedTiles,
             total: totalTiles,
             percentage: 100,
-            status: 'complete'
+            status: 'complete',
+            currentPage: totalPages,
+            totalPages
         });
 
-        // Clean up temp files
-        for (const f of tempFiles) {
-            try { await fs.rm(f, { force: true }); } catch {}
-        }
-
         // Clean up tracking
         ongoingGenerations.delete(generationKey);
+
+        // Send cached file to client
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        createReadStream(cachedPath).pipe(res);
     } catch (error) {
         console.error('❌ Error generating PDF:', error);
-        ongoingGenerations.delete(generationKey);
-        res.status(500).json({ success: false, error: error.message });
+        if (generationKey) {
+            ongoingGenerations.delete(generationKey);
+        }
+        if (partialPath) {
+            await fs.rm(partialPath, { force: true }).catch(() => {});
+        }
+        if (!res.headersSent) {
+            res.status(500).json({ success: false, error: error.message });
+        }
     }
 });
 
 // Generate EPS for sector - 11 column layout (with caching)
 app.get('/api/sectors/:sectorCode/eps-11col', async (req, res) => {
     const tempFiles = [];
+    let generationKey = null;
     try {
         const { sectorCode } = req.params;
-        const cachedPath = path.join(exportsDir, `${sectorCode}_eps.zip`);
+        const resolved = resolveSectorExport(req.query, sectorCode);
+        if (resolved.error) {
+            return res.status(400).json({ success: false, error: resolved.error });
+        }
+        const { cachedPath, filename } = sectorExportFiles(sectorCode, resolved, 'eps');
 
         // Handle HEAD requests quickly without generating
         if (req.method === 'HEAD') {
@@ -1445,7 +2899,7 @@ app.get('/api/sectors/:sectorCode/eps-11col', async (req, res) => {
         if (sector.status !== 'complete') {
             return res.status(400).json({
                 success: false,
-                error: `Cannot generate EPS for incomplete sector (${sector.uploadedTiles}/729 tiles)`
+                error: `Cannot generate EPS for incomplete sector (${sector.uploadedTiles}/${sector.totalTiles} tiles)`
             });
         }
 
@@ -1455,7 +2909,7 @@ app.get('/api/sectors/:sectorCode/eps-11col', async (req, res) => {
                 await fs.access(cachedPath);
                 console.log(`📦 Serving cached EPS for ${sectorCode}`);
                 res.setHeader('Content-Type', 'application/zip');
-                res.setHeader('Content-Disposition', `attachment; filename="${sectorCode}_eps.zip"`);
+                res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
                 createReadStream(cachedPath).pipe(res);
                 return;
             } catch {
@@ -1463,9 +2917,17 @@ app.get('/api/sectors/:sectorCode/eps-11col', async (req, res) => {
             }
         }
 
+        // Pages depend on every tile's size, so the whole sector is imposed up front
+        const { layout } = resolved;
+        let imposition;
+        try {
+            imposition = await imposeStoredTiles(sector.tiles, layout, resolved.variant);
+        } catch (err) {
+            return res.status(400).json({ success: false, error: err.message });
+        }
+
         // Check if generation already in progress
-        const generationKey = `${sectorCode}-eps`;
-        if (ongoingGenerations.has(generationKey)) {
+        if (ongoingGenerations.has(`${sectorCode}-eps`)) {
             return res.status(409).json({
                 success: false,
                 error: 'EPS generation already in progress for this sector',
@@ -1473,9 +2935,10 @@ app.get('/api/sectors/:sectorCode/eps-11col', async (req, res) => {
             });
         }
 
-        console.log(`📄 Generating EPS (11-column) for sector: ${sectorCode}${rebuild ? ' (rebuild)' : ''}`);
+        console.log(`📄 Generating EPS (${layout.name}) for sector: ${sectorCode}${rebuild ? ' (rebuild)' : ''}`);
 
         // Track this generation
+        generationKey = `${sectorCode}-eps`;
         const clientId = req.headers['x-socket-id'] || 'unknown';
         const generation = { startedAt: Date.now(), clientId, aborted: false };
         ongoingGenerations.set(generationKey, generation);
@@ -1486,12 +2949,7 @@ app.get('/api/sectors/:sectorCode/eps-11col', async (req, res) => {
             console.log(`⚠️ Response closed for ${generationKey}`);
         });
 
-        const pageWidth = 3744;
-        const pageHeight = 2754;
-        const tilesPerPage = 99;
-        const tileWidth = 340.36;
-        const tileHeight = 306;
-        const totalPages = Math.ceil(sector.tiles.length / tilesPerPage);
+        const totalPages = imposition.sheets.length;
         const totalTiles = sector.tiles.length;
         let processedTiles = 0;
 
@@ -1512,82 +2970,12 @@ app.get('/api/sectors/:sectorCode/eps-11col', async (req, res) => {
             tempFiles.push(pageFilePath);
             const writeStream = createWriteStream(pageFilePath, { encoding: 'utf8' });
 
-            const startIdx = (pageNum - 1) * tilesPerPage;
-            const endIdx = Math.min(startIdx + tilesPerPage, sector.tiles.length);
-            const pageTiles = sector.tiles.slice(startIdx, endIdx);
-
-            writeStream.write(`%!PS-Adobe-3.0 EPSF-3.0
-%%BoundingBox: 0 0 ${Math.ceil(pageWidth)} ${Math.ceil(pageHeight)}
-%%Title: ${sectorCode} Page ${pageNum}/${totalPages}
-%%EndComments
-%%Page: 1 1
-
-`);
-
-            let tileCount = 0;
-            for (const tileCode of pageTiles) {
+            const { aborted } = await writeEpsSheet(writeStream, imposition.sheets[pageNum - 1], layout, {
+                title: `${sectorCode} Page ${pageNum}/${totalPages}`,
+                colorOutput: resolved.colorOutput,
                 // Check if generation should be aborted
-                if (generation.aborted || res.closed) {
-                    console.log(`⚠️ Aborting EPS generation for ${sectorCode} (client disconnected)`);
-                    writeStream.end();
-                    ongoingGenerations.delete(generationKey);
-                    // Clean up temp files
-                    for (const f of tempFiles) {
-                        try { await fs.rm(f, { force: true }); } catch {}
-                    }
-                    return;
-                }
-
-                const tile = storage.getTile(tileCode);
-                if (!tile || !tile.filePath) continue;
-                if (!await fileExists(tile.filePath)) continue;
-
-                const positionOnPage = tileCount;
-                // Column-by-column layout: fill vertically first (top to bottom), then move right
-                const col = Math.floor(positionOnPage / 9);  // Column index (0-10)
-                const row = positionOnPage % 9;              // Row index (0-8)
-
-                // Cell position (top-left corner of cell)
-                const cellX = col * tileWidth;
-                const cellY = pageHeight - (row * tileHeight);
-
-                try {
-                    const metadata = await sharp(tile.filePath).metadata();
-                    // Remove alpha channel and convert to RGB (EPS expects RGB, not RGBA)
-                    const rawData = await sharp(tile.filePath)
-                        .removeAlpha()
-                        .raw()
-                        .toBuffer();
-
-                    // Calculate actual image dimensions in points (assuming 300 DPI)
-                    // Formula: pixels / 300 DPI * 72 points/inch
-                    const imgWidth = (metadata.width / 300) * 72;
-                    const imgHeight = (metadata.height / 300) * 72;
-
-                    // Position image at top-left corner of cell
-                    // In PostScript, origin is bottom-left, so we need to position from top
-                    const imgX = cellX;
-                    const imgY = cellY - imgHeight;
-
-                    writeStream.write(`
-gsave
-${imgX.toFixed(2)} ${imgY.toFixed(2)} translate
-${imgWidth.toFixed(2)} ${imgHeight.toFixed(2)} scale
-/DeviceRGB setcolorspace
-<< /ImageType 1 /Width ${metadata.width} /Height ${metadata.height}
-   /ImageMatrix [${metadata.width} 0 0 -${metadata.height} 0 ${metadata.height}]
-   /DataSource <`);
-
-                    const hexData = rawData.toString('hex').toUpperCase();
-                    for (let i = 0; i < hexData.length; i += 80) {
-                        writeStream.write(hexData.substring(i, Math.min(i + 80, hexData.length)) + '\n');
-                    }
-
-                    writeStream.write(`> /BitsPerComponent 8 /Decode [0 1 0 1 0 1]
->> image
-grestore
-`);
-                    tileCount++;
+                isAborted: () => generation.aborted || res.closed,
+                onTile: () => {
                     processedTiles++;
 
                     // Emit progress every 10 tiles
@@ -1604,12 +2992,20 @@ grestore
                             totalPages
                         });
                     }
-                } catch (err) {
-                    console.error(`❌ Error processing ${tileCode}:`, err);
                 }
+            });
+
+            if (aborted) {
+                console.log(`⚠️ Aborting EPS generation for ${sectorCode} (client disconnected)`);
+                writeStream.end();
+                ongoingGenerations.delete(generationKey);
+                // Clean up temp files
+                for (const f of tempFiles) {
+                    try { await fs.rm(f, { force: true }); } catch {}
+                }
+                return;
             }
 
-            writeStream.write('showpage\n%%EOF\n');
             await new Promise((resolve, reject) => {
                 writeStream.end(() => resolve());
                 writeStream.on('error', reject);
@@ -1628,628 +3024,426 @@ grestore
 
         archive.pipe(cacheWriteStream);
 
-        for (let i = 0; i < totalPages; i++) {
-            archive.file(tempFiles[i], { name: `${sectorCode}_page${i+1}_11col.eps` });
-        }
-
-        await archive.finalize();
-
-        // Wait for file to be fully written to disk
-        await writePromise;
-
-        console.log(`✅ EPS ZIP generated and cached: ${cachedPath}`);
-
-        // NOW it's safe to delete temp files - archive is fully written
-        for (const f of tempFiles) {
-            try { await fs.rm(f, { force: true }); } catch {}
-        }
-
-        // Emit completion
-        io.emit('download:progress', {
-            type: 'eps',
-            sectorCode,
-            processed: processedTiles,
-            total: totalTiles,
-            percentage: 100,
-            status: 'complete',
-            currentPage: totalPages,
-            totalPages
-        });
-
-        // Clean up tracking
-        ongoingGenerations.delete(generationKey);
-
-        // Send cached file to client
-        res.setHeader('Content-Type', 'application/zip');
-        res.setHeader('Content-Disposition', `attachment; filename="${sectorCode}_eps.zip"`);
-        createReadStream(cachedPath).pipe(res);
-    } catch (error) {
-        console.error('❌ Error generating EPS:', error);
-        ongoingGenerations.delete(generationKey);
-        for (const f of tempFiles) {
-            try { await fs.rm(f, { force: true }); } catch {}
-        }
-        res.status(500).json({ success: false, error: error.message });
-    }
-});
-
-// Generate PDF from session tiles
-app.get('/api/sessions/:sessionId/pdf', async (req, res) => {
-    try {
-        const { sessionId } = req.params;
-        const session = storage.getSession(sessionId);
-
-        if (!session) {
-            return res.status(404).json({
-                success: false,
-                error: 'Session not found'
-            });
-        }
-
-        if (!session.tiles || session.tiles.length === 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'No tiles in this session'
-            });
-        }
-
-        console.log(`📄 Generating PDF for session: ${sessionId} (${session.tiles.length} tiles)`);
-
-        // Create PDF document (A4 size: 595 x 842 points)
-        const doc = new PDFDocument({
-            size: 'A4',
-            margin: 20,
-            info: {
-                Title: `Satellite Tiles - ${session.sectorCode}`,
-                Author: 'Satellite Tile Generator',
-                Subject: `${session.tiles.length} tiles for sector ${session.sectorCode}`
-            }
-        });
-
-        // Set response headers
-        res.setHeader('Content-Type', 'application/pdf');
-        res.setHeader('Content-Disposition', `attachment; filename="${session.sectorCode}_tiles.pdf"`);
-
-        // Pipe PDF to response
-        doc.pipe(res);
-
-        // Layout configuration
-        const pageWidth = 595;
-        const pageHeight = 842;
-        const margin = 20;
-        const tilesPerRow = 3;
-        const tilesPerColumn = 3;
-        const tilesPerPage = tilesPerRow * tilesPerColumn; // 9 tiles per page
-        const availableWidth = pageWidth - (margin * 2);
-        const availableHeight = pageHeight - (margin * 2);
-        const tileWidth = availableWidth / tilesPerRow;
-        const tileHeight = availableHeight / tilesPerColumn;
-
-        let tileCount = 0;
-
-        // Add tiles to PDF
-        for (const tileCode of session.tiles) {
-            const tile = storage.getTile(tileCode);
-
-            if (!tile || !tile.filePath) {
-                console.warn(`⚠️ Tile ${tileCode} not found, skipping`);
-                continue;
-            }
-
-            // Check if file exists
-            const exists = await fileExists(tile.filePath);
-            if (!exists) {
-                console.warn(`⚠️ File not found for tile ${tileCode}, skipping`);
-                continue;
-            }
-
-            // Calculate position on current page
-            const positionOnPage = tileCount % tilesPerPage;
-            // Column-by-column layout: fill vertically first (top to bottom), then move right
-            const col = Math.floor(positionOnPage / tilesPerColumn);
-            const row = positionOnPage % tilesPerColumn;
-            const x = margin + (col * tileWidth);
-            const y = margin + (row * tileHeight);
-
-            // Add new page if needed (except for first tile)
-            if (tileCount > 0 && positionOnPage === 0) {
-                doc.addPage();
-            }
-
-            try {
-                // Add image to PDF with fit option to maintain aspect ratio
-                doc.image(tile.filePath, x, y, {
-                    fit: [tileWidth - 4, tileHeight - 4], // Small padding
-                    align: 'center',
-                    valign: 'center'
-                });
-
-                // Add tile code label below image
-                doc.fontSize(8)
-                   .fillColor('#666666')
-                   .text(tileCode, x, y + tileHeight - 15, {
-                       width: tileWidth,
-                       align: 'center'
-                   });
-
-                tileCount++;
-            } catch (imageError) {
-                console.error(`❌ Error adding tile ${tileCode} to PDF:`, imageError);
-            }
-        }
-
-        // Add summary page at the end
-        doc.addPage();
-        doc.fontSize(20)
-           .fillColor('#000000')
-           .text(`Satellite Tiles - ${session.sectorCode}`, margin, margin + 100, {
-               align: 'center'
-           });
-
-        doc.fontSize(14)
-           .text(`Total tiles: ${tileCount}`, margin, margin + 150, {
-               align: 'center'
-           });
-
-        doc.fontSize(10)
-           .fillColor('#666666')
-           .text(`Generated: ${new Date().toLocaleString()}`, margin, margin + 180, {
-               align: 'center'
-           });
-
-        // Finalize PDF
-        doc.end();
-
-        console.log(`✅ PDF generated: ${tileCount} tiles`);
-
-    } catch (error) {
-        console.error('❌ Error generating PDF:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
-    }
-});
-
-// Generate PDF - Option A: 10 columns (4.75" tiles, 91.3% material efficiency)
-app.get('/api/sessions/:sessionId/pdf-10col', async (req, res) => {
-    try {
-        const { sessionId } = req.params;
-        const session = storage.getSession(sessionId);
-
-        if (!session) {
-            return res.status(404).json({
-                success: false,
-                error: 'Session not found'
-            });
-        }
-
-        if (!session.tiles || session.tiles.length === 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'No tiles in this session'
-            });
-        }
-
-        console.log(`📄 Generating PDF (10-column layout) for session: ${sessionId} (${session.tiles.length} tiles)`);
-
-        // Vinyl roll dimensions: 52" × 38.25" = 3744 × 2754 points (at 72 DPI)
-        const pageWidth = 3744;   // 52 inches
-        const pageHeight = 2754;  // 38.25 inches
-
-        // Create PDF document with custom vinyl roll size
-        const doc = new PDFDocument({
-            size: [pageWidth, pageHeight],
-            margin: 0,  // No margins for vinyl printing
-            info: {
-                Title: `Satellite Tiles - ${session.sectorCode} (10-Column Layout)`,
-                Author: 'Satellite Tile Generator',
-                Subject: `${session.tiles.length} tiles for sector ${session.sectorCode} - 10 columns per page`
-            }
-        });
-
-        // Set response headers
-        res.setHeader('Content-Type', 'application/pdf');
-        res.setHeader('Content-Disposition', `attachment; filename="${session.sectorCode}_tiles_10col.pdf"`);
-
-        // Pipe PDF to response
-        doc.pipe(res);
-
-        // Layout configuration - Option A: 10 columns × 9 rows
-        const tilesPerRow = 10;     // 10 columns
-        const tilesPerColumn = 9;   // 9 rows (38.25" ÷ 4.25")
-        const tilesPerPage = tilesPerRow * tilesPerColumn; // 90 tiles per page
-        const tileWidth = 342;      // 4.75" × 72 DPI = 342 points
-        const tileHeight = 306;     // 4.25" × 72 DPI = 306 points
-
-        let tileCount = 0;
-
-        // Add tiles to PDF
-        for (const tileCode of session.tiles) {
-            const tile = storage.getTile(tileCode);
-
-            if (!tile || !tile.filePath) {
-                console.warn(`⚠️ Tile ${tileCode} not found, skipping`);
-                continue;
-            }
-
-            // Check if file exists
-            const exists = await fileExists(tile.filePath);
-            if (!exists) {
-                console.warn(`⚠️ File not found for tile ${tileCode}, skipping`);
-                continue;
-            }
-
-            // Calculate position on current page
-            const positionOnPage = tileCount % tilesPerPage;
-            const col = positionOnPage % tilesPerRow;
-            const row = Math.floor(positionOnPage / tilesPerRow);
-            const x = col * tileWidth;
-            const y = row * tileHeight;
+        for (let i = 0; i < totalPages; i++) {
+            archive.file(tempFiles[i], { name: `${sectorCode}_page${i+1}_${layout.name}.eps` });
+        }
 
-            // Add new page if needed (except for first tile)
-            if (tileCount > 0 && positionOnPage === 0) {
-                doc.addPage();
-            }
+        await archive.finalize();
 
-            try {
-                // Add image to PDF with LOSSLESS quality (no compression)
-                doc.image(tile.filePath, x, y, {
-                    width: tileWidth,
-                    height: tileHeight,
-                    compress: false  // CRITICAL: Preserve original quality
-                });
+        // Wait for file to be fully written to disk
+        await writePromise;
 
-                tileCount++;
-            } catch (imageError) {
-                console.error(`❌ Error adding tile ${tileCode} to PDF:`, imageError);
-            }
+        console.log(`✅ EPS ZIP generated and cached: ${cachedPath}`);
+        await removeExportStamps(cachedPath, cachedPath);
+
+        // NOW it's safe to delete temp files - archive is fully written
+        for (const f of tempFiles) {
+            try { await fs.rm(f, { force: true }); } catch {}
         }
 
-        // Finalize PDF (no summary page for production printing)
-        doc.end();
+        // Emit completion
+        io.emit('download:progress', {
+            type: 'eps',
+            sectorCode,
+            processed: processedTiles,
+            total: totalTiles,
+            percentage: 100,
+            status: 'complete',
+            currentPage: totalPages,
+            totalPages
+        });
 
-        console.log(`✅ PDF (10-column) generated: ${tileCount} tiles`);
+        // Clean up tracking
+        ongoingGenerations.delete(generationKey);
 
+        // Send cached file to client
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        createReadStream(cachedPath).pipe(res);
     } catch (error) {
-        console.error('❌ Error generating PDF:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        console.error('❌ Error generating EPS:', error);
+        if (generationKey) {
+            ongoingGenerations.delete(generationKey);
+        }
+        for (const f of tempFiles) {
+            try { await fs.rm(f, { force: true }); } catch {}
+        }
+        if (!res.headersSent) {
+            res.status(500).json({ success: false, error: error.message });
+        }
     }
 });
 
-// Generate PDF - Option B: 11 columns (4.727" tiles, 99.9% material efficiency)
-app.get('/api/sessions/:sessionId/pdf-11col', async (req, res) => {
+// Generate a multi-page TIFF for sector (?layout=, ?compression=, ?alpha=, ?profile=, with caching)
+// Each sheet becomes one page rasterised at the layout's DPI
+app.get('/api/sectors/:sectorCode/tiff-11col', async (req, res) => {
+    let generationKey = null;
+    let partialPath = null;
     try {
-        const { sessionId } = req.params;
-        const session = storage.getSession(sessionId);
+        const { sectorCode } = req.params;
+        const resolved = resolveSectorExport(req.query, sectorCode, 'tiff');
+        if (resolved.error) {
+            return res.status(400).json({ success: false, error: resolved.error });
+        }
+        const { cachedPath, filename } = sectorExportFiles(sectorCode, resolved, 'tiff');
 
-        if (!session) {
-            return res.status(404).json({
-                success: false,
-                error: 'Session not found'
-            });
+        const rebuild = req.query.rebuild === 'true';
+        const sector = storage.getSector(sectorCode);
+
+        if (!sector) {
+            return res.status(404).json({ success: false, error: 'Sector not found' });
         }
 
-        if (!session.tiles || session.tiles.length === 0) {
+        if (sector.status !== 'complete') {
             return res.status(400).json({
                 success: false,
-                error: 'No tiles in this session'
+                error: `Cannot generate TIFF for incomplete sector (${sector.uploadedTiles}/${sector.totalTiles} tiles)`
             });
         }
 
-        console.log(`📄 Generating PDF (11-column layout) for session: ${sessionId} (${session.tiles.length} tiles)`);
+        // Check for cached file if not rebuilding
+        if (!rebuild) {
+            try {
+                await fs.access(cachedPath);
+                console.log(`📦 Serving cached TIFF for ${sectorCode}`);
+                res.setHeader('Content-Type', 'image/tiff');
+                res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+                createReadStream(cachedPath).pipe(res);
+                return;
+            } catch {
+                // No cache, continue to generate
+            }
+        }
 
-        // Vinyl roll dimensions: 52" × 38.25" = 3744 × 2754 points (at 72 DPI)
-        const pageWidth = 3744;   // 52 inches
-        const pageHeight = 2754;  // 38.25 inches
+        const { layout } = resolved;
+        let imposition;
+        try {
+            imposition = await imposeStoredTiles(sector.tiles, layout, resolved.variant);
+        } catch (err) {
+            return res.status(400).json({ success: false, error: err.message });
+        }
 
-        // Create PDF document with custom vinyl roll size
-        const doc = new PDFDocument({
-            size: [pageWidth, pageHeight],
-            margin: 0,  // No margins for vinyl printing
-            info: {
-                Title: `Satellite Tiles - ${session.sectorCode} (11-Column Layout)`,
-                Author: 'Satellite Tile Generator',
-                Subject: `${session.tiles.length} tiles for sector ${session.sectorCode} - 11 columns per page`
-            }
-        });
+        if (ongoingGenerations.has(`${sectorCode}-tiff`)) {
+            return res.status(409).json({
+                success: false,
+                error: 'TIFF generation already in progress for this sector',
+                inProgress: true
+            });
+        }
 
-        // Set response headers
-        res.setHeader('Content-Type', 'application/pdf');
-        res.setHeader('Content-Disposition', `attachment; filename="${session.sectorCode}_tiles_11col.pdf"`);
+        console.log(`📄 Generating TIFF (${layout.name}, ${resolved.tiff.compression}) for sector: ${sectorCode}${rebuild ? ' (rebuild)' : ''}`);
 
-        // Pipe PDF to response
-        doc.pipe(res);
+        generationKey = `${sectorCode}-tiff`;
+        const clientId = req.headers['x-socket-id'] || 'unknown';
+        const generation = { startedAt: Date.now(), clientId, aborted: false };
+        ongoingGenerations.set(generationKey, generation);
 
-        // Layout configuration - Option B: 11 columns × 9 rows
-        const tilesPerRow = 11;      // 11 columns
-        const tilesPerColumn = 9;    // 9 rows (38.25" ÷ 4.25")
-        const tilesPerPage = tilesPerRow * tilesPerColumn; // 99 tiles per page
-        const tileWidth = 340.36;    // 4.727" × 72 DPI ≈ 340.36 points (52" ÷ 11)
-        const tileHeight = 306;      // 4.25" × 72 DPI = 306 points
+        res.on('close', () => {
+            generation.aborted = true;
+            console.log(`⚠️ Response closed for ${generationKey}`);
+        });
 
-        let tileCount = 0;
+        const totalTiles = sector.tiles.length;
+        const totalPages = imposition.sheets.length;
+        let processedTiles = 0;
 
-        // Add tiles to PDF
-        for (const tileCode of session.tiles) {
-            const tile = storage.getTile(tileCode);
+        io.emit('download:progress', {
+            type: 'tiff',
+            sectorCode,
+            processed: 0,
+            total: totalTiles,
+            percentage: 0,
+            status: 'starting',
+            currentPage: 0,
+            totalPages
+        });
 
-            if (!tile || !tile.filePath) {
-                console.warn(`⚠️ Tile ${tileCode} not found, skipping`);
-                continue;
+        // Written next to the cache and renamed when complete, so a half-written TIFF is never served
+        partialPath = `${cachedPath}.partial`;
+        const { aborted } = await writeTiffSheets(imposition.sheets, layout, partialPath, {
+            ...resolved.tiff,
+            colorOutput: resolved.colorOutput
+        }, {
+            isAborted: () => generation.aborted || res.closed,
+            onTile: (placement, pageNum) => {
+                processedTiles++;
+
+                // Emit progress every 10 tiles
+                if (processedTiles % 10 === 0) {
+                    io.emit('download:progress', {
+                        type: 'tiff',
+                        sectorCode,
+                        processed: processedTiles,
+                        total: totalTiles,
+                        percentage: Math.round((processedTiles / totalTiles) * 100),
+                        status: 'processing',
+                        currentPage: pageNum,
+                        totalPages
+                    });
+                }
             }
+        });
 
-            // Check if file exists
-            const exists = await fileExists(tile.filePath);
-            if (!exists) {
-                console.warn(`⚠️ File not found for tile ${tileCode}, skipping`);
-                continue;
-            }
+        if (aborted) {
+            console.log(`⚠️ Aborting TIFF generation for ${sectorCode} (client disconnected)`);
+            await fs.rm(partialPath, { force: true });
+            ongoingGenerations.delete(generationKey);
+            return;
+        }
 
-            // Calculate position on current page
-            const positionOnPage = tileCount % tilesPerPage;
-            const col = positionOnPage % tilesPerRow;
-            const row = Math.floor(positionOnPage / tilesPerRow);
-            const x = col * tileWidth;
-            const y = row * tileHeight;
+        await fs.rename(partialPath, cachedPath);
+        await removeExportStamps(cachedPath, cachedPath);
+        console.log(`✅ TIFF generated and cached: ${processedTiles} tiles across ${totalPages} pages (${cachedPath})`);
 
-            // Add new page if needed (except for first tile)
-            if (tileCount > 0 && positionOnPage === 0) {
-                doc.addPage();
-            }
+        io.emit('download:progress', {
+            type: 'tiff',
+            sectorCode,
+            processed: processedTiles,
+            total: totalTiles,
+            percentage: 100,
+            status: 'complete',
+            currentPage: totalPages,
+            totalPages
+        });
 
-            try {
-                // Add image to PDF with LOSSLESS quality (no compression)
-                doc.image(tile.filePath, x, y, {
-                    width: tileWidth,
-                    height: tileHeight,
-                    compress: false  // CRITICAL: Preserve original quality
-                });
+        ongoingGenerations.delete(generationKey);
 
-                tileCount++;
-            } catch (imageError) {
-                console.error(`❌ Error adding tile ${tileCode} to PDF:`, imageError);
-            }
+        res.setHeader('Content-Type', 'image/tiff');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        createReadStream(cachedPath).pipe(res);
+    } catch (error) {
+        console.error('❌ Error generating TIFF:', error);
+        if (generationKey) {
+            ongoingGenerations.delete(generationKey);
+        }
+        if (partialPath) {
+            await fs.rm(partialPath, { force: true }).catch(() => {});
+        }
+        if (!res.headersSent) {
+            res.status(500).json({ success: false, error: error.message });
         }
+    }
+});
 
-        // Finalize PDF (no summary page for production printing)
-        doc.end();
+// Session exports: one handler per format, the sheet layout comes from ?layout=
+// (the older endpoints below are kept as aliases with their original layout as default)
 
-        console.log(`✅ PDF (11-column) generated: ${tileCount} tiles`);
+// Session lookup shared by the export handlers; sends the error response itself
+function getExportableSession(req, res) {
+    const session = storage.getSession(req.params.sessionId);
 
-    } catch (error) {
-        console.error('❌ Error generating PDF:', error);
-        res.status(500).json({
+    if (!session) {
+        res.status(404).json({
             success: false,
-            error: error.message
+            error: 'Session not found'
         });
+        return null;
     }
-});
 
-// Generate EPS - Option B: 11 columns (4.727" tiles, 99.9% material efficiency)
-// Generates 8 separate EPS files (one per page) and packages them in a ZIP
-app.get('/api/sessions/:sessionId/eps-11col', async (req, res) => {
-    const tempFiles = [];
+    if (!session.tiles || session.tiles.length === 0) {
+        res.status(400).json({
+            success: false,
+            error: 'No tiles in this session'
+        });
+        return null;
+    }
 
-    try {
-        const { sessionId } = req.params;
-        const session = storage.getSession(sessionId);
+    return session;
+}
 
-        if (!session) {
-            return res.status(404).json({
-                success: false,
-                error: 'Session not found'
-            });
-        }
+// Generate a PDF from session tiles, one page per sheet
+function sessionPdfHandler(defaultLayout) {
+    return async (req, res) => {
+        try {
+            const session = getExportableSession(req, res);
+            if (!session) {
+                return;
+            }
 
-        if (!session.tiles || session.tiles.length === 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'No tiles in this session'
-            });
-        }
+            const resolved = resolveLayout(req.query, defaultLayout);
+            if (resolved.error) {
+                return res.status(400).json({ success: false, error: resolved.error });
+            }
+            const { layout } = resolved;
+            const { colorOutput, error: colorError } = resolveColorOutput(req.query);
+            if (colorError) {
+                return res.status(400).json({ success: false, error: colorError });
+            }
+            const profileSuffix = colorOutput ? `_${colorOutput.name}` : '';
 
-        console.log(`📄 Generating EPS (11-column layout) for session: ${sessionId} (${session.tiles.length} tiles)`);
-        console.log(`   Generating 8 separate page files to avoid memory limits`);
+            console.log(`📄 Generating PDF (${layout.name}) for session: ${session.id} (${session.tiles.length} tiles)`);
 
-        // Vinyl roll dimensions: 52" × 38.25" = 3744 × 2754 points (at 72 DPI)
-        const pageWidth = 3744;   // 52 inches
-        const pageHeight = 2754;  // 38.25 inches
+            let imposition;
+            try {
+                imposition = await imposeStoredTiles(session.tiles, layout);
+            } catch (err) {
+                return res.status(400).json({ success: false, error: err.message });
+            }
 
-        // Layout configuration - Option B: 11 columns × 9 rows
-        const tilesPerRow = 11;      // 11 columns
-        const tilesPerColumn = 9;    // 9 rows
-        const tilesPerPage = tilesPerRow * tilesPerColumn; // 99 tiles per page
-        const tileWidth = 340.36;    // 4.727" × 72 DPI
-        const tileHeight = 306;      // 4.25" × 72 DPI
+            const { doc, cutLayer, outputIntent } = createSheetPdf(layout, {
+                Title: `Satellite Tiles - ${session.sectorCode} (${layout.name})`,
+                Subject: `${session.tiles.length} tiles for sector ${session.sectorCode} - ${layout.description}`
+            }, {}, colorOutput);
 
-        // Calculate total pages needed
-        const totalPages = Math.ceil(session.tiles.length / tilesPerPage);
-        console.log(`   Total pages: ${totalPages}`);
+            // Set response headers
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `attachment; filename="${session.sectorCode}_tiles_${layout.name}${profileSuffix}.pdf"`);
 
-        // Generate each page as a separate EPS file
-        for (let pageNum = 1; pageNum <= totalPages; pageNum++) {
-            const pageFilePath = path.join(uploadsDir, `temp_${Date.now()}_page${pageNum}.eps`);
-            tempFiles.push(pageFilePath);
+            // Pipe PDF to response
+            doc.pipe(res);
 
-            const writeStream = createWriteStream(pageFilePath, { encoding: 'utf8' });
+            let tileCount = 0;
+            for (const [i, sheet] of imposition.sheets.entries()) {
+                if (i > 0) {
+                    doc.addPage();
+                }
+                const { placed, aborted } = await drawPdfSheet(doc, sheet, layout, cutLayer, {
+                    output: res,
+                    outputIntent,
+                    isAborted: () => res.destroyed
+                });
+                if (aborted) {
+                    console.log(`⚠️ Aborting PDF generation for session ${session.id} (client disconnected)`);
+                    doc.end();
+                    return;
+                }
+                tileCount += placed;
+            }
 
-            // Calculate tile range for this page
-            const startTileIndex = (pageNum - 1) * tilesPerPage;
-            const endTileIndex = Math.min(startTileIndex + tilesPerPage, session.tiles.length);
-            const pageTiles = session.tiles.slice(startTileIndex, endTileIndex);
-
-            console.log(`   📄 Page ${pageNum}/${totalPages}: Tiles ${startTileIndex + 1}-${endTileIndex} (${pageTiles.length} tiles)`);
-
-            // Write EPS header
-            const header = `%!PS-Adobe-3.0 EPSF-3.0
-%%BoundingBox: 0 0 ${Math.ceil(pageWidth)} ${Math.ceil(pageHeight)}
-%%Title: Satellite Tiles - ${session.sectorCode} (11-Column Layout) - Page ${pageNum}/${totalPages}
-%%Creator: Satellite Tile Generator
-%%CreationDate: ${new Date().toISOString()}
-%%Pages: 1
-%%DocumentData: Clean7Bit
-%%LanguageLevel: 2
-%%EndComments
-%%BeginProlog
-%%EndProlog
-%%Page: 1 1
-
-`;
-            writeStream.write(header);
+            if (layout.summaryPage) {
+                drawPdfSummaryPage(doc, layout, { sectorCode: session.sectorCode, tileCount });
+            }
 
-            let tileCount = 0;
+            // Finalize PDF
+            doc.end();
 
-            // Process tiles for this page
-            for (const tileCode of pageTiles) {
-                const tile = storage.getTile(tileCode);
+            console.log(`✅ PDF (${layout.name}) generated: ${tileCount} tiles`);
 
-                if (!tile || !tile.filePath) {
-                    console.warn(`⚠️ Tile ${tileCode} not found, skipping`);
-                    continue;
-                }
+        } catch (error) {
+            console.error('❌ Error generating PDF:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    };
+}
 
-                // Check if file exists
-                const exists = await fileExists(tile.filePath);
-                if (!exists) {
-                    console.warn(`⚠️ File not found for tile ${tileCode}, skipping`);
-                    continue;
-                }
+// Generate EPS from session tiles: one EPS file per sheet (keeps memory bounded), packaged in a ZIP
+function sessionEpsHandler(defaultLayout) {
+    return async (req, res) => {
+        const tempFiles = [];
+
+        try {
+            const session = getExportableSession(req, res);
+            if (!session) {
+                return;
+            }
 
-                // Calculate position on this page
-                const positionOnPage = tileCount;
-                const col = positionOnPage % tilesPerRow;
-                const row = Math.floor(positionOnPage / tilesPerRow);
+            const resolved = resolveLayout(req.query, defaultLayout);
+            if (resolved.error) {
+                return res.status(400).json({ success: false, error: resolved.error });
+            }
+            const { layout } = resolved;
+            const { colorOutput, error: colorError } = resolveColorOutput(req.query);
+            if (colorError) {
+                return res.status(400).json({ success: false, error: colorError });
+            }
+            const profileSuffix = colorOutput ? `_${colorOutput.name}` : '';
 
-                // EPS coordinates: origin is bottom-left
-                const x = col * tileWidth;
-                const y = pageHeight - ((row + 1) * tileHeight); // Flip Y coordinate
+            console.log(`📄 Generating EPS (${layout.name}) for session: ${session.id} (${session.tiles.length} tiles)`);
 
-                try {
-                    // Convert PNG to raw RGB data using sharp
-                    const imageMetadata = await sharp(tile.filePath).metadata();
-                    const imageWidth = imageMetadata.width;
-                    const imageHeight = imageMetadata.height;
-
-                    // Convert to raw RGB (3 bytes per pixel, no alpha)
-                    const rawImageData = await sharp(tile.filePath)
-                        .raw()
-                        .toBuffer();
-
-                    // Write PostScript commands for this tile
-                    writeStream.write(`
-% Tile: ${tileCode}
-gsave
-${x.toFixed(2)} ${y.toFixed(2)} translate
-${tileWidth.toFixed(2)} ${tileHeight.toFixed(2)} scale
-
-% RGB Image Data
-/DeviceRGB setcolorspace
-<<
-  /ImageType 1
-  /Width ${imageWidth}
-  /Height ${imageHeight}
-  /ImageMatrix [${imageWidth} 0 0 -${imageHeight} 0 ${imageHeight}]
-  /DataSource <`);
-
-                    // Write hex data in chunks to avoid building large strings
-                    const hexData = rawImageData.toString('hex').toUpperCase();
-                    for (let i = 0; i < hexData.length; i += 80) {
-                        writeStream.write(hexData.substring(i, Math.min(i + 80, hexData.length)));
-                        writeStream.write('\n');
-                    }
+            let imposition;
+            try {
+                imposition = await imposeStoredTiles(session.tiles, layout);
+            } catch (err) {
+                return res.status(400).json({ success: false, error: err.message });
+            }
 
-                    writeStream.write(`>
-  /BitsPerComponent 8
-  /Decode [0 1 0 1 0 1]
->> image
-grestore
+            const totalPages = imposition.sheets.length;
+            console.log(`   Generating ${totalPages} separate page files to avoid memory limits`);
 
-`);
+            // Generate each page as a separate EPS file
+            for (let pageNum = 1; pageNum <= totalPages; pageNum++) {
+                const pageFilePath = path.join(uploadsDir, `temp_${Date.now()}_page${pageNum}.eps`);
+                tempFiles.push(pageFilePath);
 
-                    tileCount++;
+                const writeStream = createWriteStream(pageFilePath, { encoding: 'utf8' });
+                const { placed } = await writeEpsSheet(writeStream, imposition.sheets[pageNum - 1], layout, {
+                    title: `Satellite Tiles - ${session.sectorCode} (${layout.name}) - Page ${pageNum}/${totalPages}`,
+                    colorOutput
+                });
 
-                    if (tileCount % 10 === 0) {
-                        console.log(`      Progress: ${tileCount}/${pageTiles.length} tiles`);
-                    }
+                // Close the write stream
+                await new Promise((resolve, reject) => {
+                    writeStream.end(() => resolve());
+                    writeStream.on('error', reject);
+                });
 
-                } catch (imageError) {
-                    console.error(`❌ Error processing tile ${tileCode} for EPS:`, imageError);
-                }
+                console.log(`   ✅ Page ${pageNum}/${totalPages} generated: ${placed} tiles`);
             }
 
-            // Write EPS footer
-            writeStream.write(`
-showpage
-%%Trailer
-%%EOF
-`);
+            console.log(`📦 Creating ZIP archive with ${totalPages} EPS files...`);
 
-            // Close the write stream
-            await new Promise((resolve, reject) => {
-                writeStream.end(() => resolve());
-                writeStream.on('error', reject);
+            // Create ZIP archive
+            const archive = archiver('zip', {
+                zlib: { level: 9 } // Maximum compression
             });
 
-            console.log(`   ✅ Page ${pageNum} generated: ${tileCount} tiles`);
-        }
-
-        console.log(`📦 Creating ZIP archive with ${totalPages} EPS files...`);
+            // Set response headers for ZIP download
+            res.setHeader('Content-Type', 'application/zip');
+            res.setHeader('Content-Disposition', `attachment; filename="${session.sectorCode}_tiles_${layout.name}${profileSuffix}_eps.zip"`);
 
-        // Create ZIP archive
-        const archive = archiver('zip', {
-            zlib: { level: 9 } // Maximum compression
-        });
+            // Pipe archive to response
+            archive.pipe(res);
 
-        // Set response headers for ZIP download
-        res.setHeader('Content-Type', 'application/zip');
-        res.setHeader('Content-Disposition', `attachment; filename="${session.sectorCode}_tiles_11col_eps.zip"`);
+            // Add each EPS file to the archive
+            for (let pageNum = 1; pageNum <= totalPages; pageNum++) {
+                archive.file(tempFiles[pageNum - 1], { name: `${session.sectorCode}_page${pageNum}_${layout.name}.eps` });
+            }
 
-        // Pipe archive to response
-        archive.pipe(res);
+            // Finalize the archive
+            await archive.finalize();
 
-        // Add each EPS file to the archive
-        for (let pageNum = 1; pageNum <= totalPages; pageNum++) {
-            const pageFilePath = tempFiles[pageNum - 1];
-            archive.file(pageFilePath, { name: `${session.sectorCode}_page${pageNum}_11col.eps` });
-        }
+            console.log(`✅ ZIP archive generated and download started`);
 
-        // Finalize the archive
-        await archive.finalize();
+            // Clean up temp files after a delay (to ensure streaming completes)
+            setTimeout(async () => {
+                for (const tempFile of tempFiles) {
+                    try {
+                        await fs.unlink(tempFile);
+                    } catch (cleanupError) {
+                        console.error(`⚠️ Failed to clean up temp file ${tempFile}:`, cleanupError);
+                    }
+                }
+                console.log(`🧹 Cleaned up ${tempFiles.length} temp files`);
+            }, 5000);
 
-        console.log(`✅ ZIP archive generated and download started`);
+        } catch (error) {
+            console.error('❌ Error generating EPS:', error);
 
-        // Clean up temp files after a delay (to ensure streaming completes)
-        setTimeout(async () => {
+            // Clean up temp files on error
             for (const tempFile of tempFiles) {
                 try {
                     await fs.unlink(tempFile);
-                } catch (cleanupError) {
-                    console.error(`⚠️ Failed to clean up temp file ${tempFile}:`, cleanupError);
-                }
+                } catch {}
             }
-            console.log(`🧹 Cleaned up ${tempFiles.length} temp files`);
-        }, 5000);
-
-    } catch (error) {
-        console.error('❌ Error generating EPS:', error);
 
-        // Clean up temp files on error
-        for (const tempFile of tempFiles) {
-            try {
-                await fs.unlink(tempFile);
-            } catch {}
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
         }
+    };
+}
 
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
-    }
-});
+app.get('/api/sessions/:sessionId/pdf', sessionPdfHandler('proof-a4'));
+app.get('/api/sessions/:sessionId/eps', sessionEpsHandler('vinyl-11col'));
+
+// Former fixed-layout endpoints: Option A (10 columns, 4.75" tiles) and Option B (11 columns, 4.727" tiles)
+app.get('/api/sessions/:sessionId/pdf-10col', sessionPdfHandler('vinyl-10col'));
+app.get('/api/sessions/:sessionId/pdf-11col', sessionPdfHandler('vinyl-11col'));
+app.get('/api/sessions/:sessionId/eps-11col', sessionEpsHandler('vinyl-11col'));
 
 // Recover sessions from existing files
 app.post('/api/sessions/recover', async (req, res) => {
@@ -2260,76 +3454,77 @@ app.post('/api/sessions/recover', async (req, res) => {
         const files = await fs.readdir(uploadsDir);
         console.log(`📁 Found ${files.length} files`);
 
-        // Group files by sector code
+        // Flat uploads of the old layout (timestamp_TILECODE.png), by sector and tile, oldest first
         const sectors = {};
-
         for (const file of files) {
-            // Extract tile code from filename (format: timestamp_TILECODE.png)
-            const match = file.match(/^(\d+)_(M\d{6}).png$/);
-            if (match) {
-                const tileCode = match[2];
-                const sectorCode = tileCode.substring(0, 4); // M713
-
-                if (!sectors[sectorCode]) {
-                    sectors[sectorCode] = new Set();
-                }
-                sectors[sectorCode].add(tileCode);
+            const match = file.match(/^(\d+)_([A-Z]\d+)\.png$/);
+            if (!match || !isTileCode(match[2])) {
+                continue;
             }
+            const tileCode = match[2];
+            const sectorCode = sectorOf(tileCode);
+            sectors[sectorCode] = sectors[sectorCode] || {};
+            (sectors[sectorCode][tileCode] = sectors[sectorCode][tileCode] || []).push({ file, uploadedAt: Number(match[1]) });
         }
 
         const recoveredSessions = [];
 
         // Create sessions for each sector
-        for (const [sectorCode, tileCodes] of Object.entries(sectors)) {
-            const tileArray = Array.from(tileCodes).sort();
+        for (const [sectorCode, tiles] of Object.entries(sectors)) {
+            const tileArray = Object.keys(tiles).sort();
 
             console.log(`🔧 Recovering sector: ${sectorCode} (${tileArray.length} tiles)`);
 
+            const recovered = [];
+            const skipped = [];
+
+            for (const tileCode of tileArray) {
+                // A tile stored since then keeps its image; its flat files are left for fsck
+                const existing = storage.getTile(tileCode);
+                if (existing?.filePath && await fileExists(existing.filePath)) {
+                    skipped.push(tileCode);
+                    continue;
+                }
+
+                // Stored like an upload, oldest first: the newest file is current, the others
+                // stay versions, and each one goes to uploads/<sector>/ with its real hash
+                for (const { file } of tiles[tileCode].sort((a, b) => a.uploadedAt - b.uploadedAt)) {
+                    const flatPath = path.join(uploadsDir, file);
+                    const buffer = await fs.readFile(flatPath);
+                    const stagedPath = path.join(stagingDir, stagingName());
+                    await fs.copyFile(flatPath, stagedPath);
+                    await storeTileVersion(tileCode, sectorCode, stagedPath, buffer, null, 'recovery');
+                    await fs.rm(flatPath, { force: true });
+                }
+                recovered.push(tileCode);
+            }
+
+            if (recovered.length === 0) {
+                console.log(`⏭️ Nothing to recover in ${sectorCode}: ${skipped.length} tile(s) already stored`);
+                continue;
+            }
+
             // Generate session ID
             const sessionId = `sess_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
-
-            // Create session
-            const sessionData = {
+            storage.createSession({
                 id: sessionId,
                 sectorCode,
                 status: 'completed',
-                totalTiles: tileArray.length,
-                uploadedTiles: tileArray.length,
+                totalTiles: recovered.length,
+                uploadedTiles: recovered.length,
                 tiles: [],
                 createdAt: new Date().toISOString()
-            };
-
-            storage.createSession(sessionData);
-
-            // Register each tile
-            for (const tileCode of tileArray) {
-                // Find the file for this tile code
-                const filePattern = new RegExp(`\\d+_${tileCode}\\.png$`);
-                const matchingFile = files.find(f => filePattern.test(f));
-
-                if (matchingFile) {
-                    const filePath = path.join(uploadsDir, matchingFile);
-                    const fileStats = await fs.stat(filePath);
-
-                    // Register tile in storage
-                    const tileData = {
-                        tileCode,
-                        hash: tileCode,
-                        filePath,
-                        createdAt: new Date(fileStats.birthtime).toISOString(),
-                        sizeBytes: fileStats.size,
-                        usedBySessions: [sessionId]
-                    };
-
-                    storage.setTile(tileCode, tileData);
-                    storage.addTileToSession(sessionId, tileCode);
-                }
+            });
+            for (const tileCode of recovered) {
+                storage.addTileToSession(sessionId, tileCode);
             }
+            storage.emitSectorUpdate(sectorCode);
 
             recoveredSessions.push({
                 sessionId,
                 sectorCode,
-                tileCount: tileArray.length
+                tileCount: recovered.length,
+                skipped
             });
 
             console.log(`✅ Session created: ${sessionId}`);
@@ -2376,8 +3571,14 @@ httpServer.listen(PORT, '0.0.0.0', () => {
     console.log(`📡 Server: http://0.0.0.0:${PORT}`);
     console.log(`📡 Remote: http://<your-vps-ip>:${PORT}`);
     console.log(`🔌 WebSocket: Socket.io enabled`);
-    console.log(`💾 Storage: Persistent JSON`);
-    console.log(`📁 Uploads: ${process.env.UPLOAD_DIR || './uploads'}`);
+    console.log(`💾 Storage: ${storage.adapter.name === 'sqlite' ? 'SQLite' : 'JSON file'}`);
+    console.log(`📁 Uploads: ${uploadsDir}`);
     console.log('========================================');
     console.log('');
+
+    // Pick up jobs that were running when the server stopped
+    jobQueue.resumeInterrupted();
+
+    // Start the version history of tiles stored before it existed
+    adoptUnversionedTiles().catch(err => console.error('⚠️ Error adopting tile versions:', err.message));
 });
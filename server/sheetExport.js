@@ -0,0 +1,264 @@
+// sheetExport.js - Draw imposed sheets (see layouts.js) into PDF pages and EPS files
+// Every export endpoint goes through these writers, so a layout profile behaves the
+// same whichever format or endpoint it is requested from. An ICC output profile
+// (colorManagement.js) converts tiles and labels the same way in both formats.
+import { once } from 'events';
+import PDFDocument from 'pdfkit';
+import { readEpsImage, writeEpsImage } from './epsImage.js';
+import { drawNestedPdfTile, writeNestedEpsTile } from './imposition.js';
+import {
+    convertColor,
+    createPdfOutputIntent,
+    embedPdfColorManagedImage,
+    epsColorComments,
+    epsIccProfile
+} from './colorManagement.js';
+import {
+    createPdfCutContourLayer,
+    drawPdfCutContour,
+    epsCutContourComments,
+    writeEpsCutContour
+} from './cutContour.js';
+
+// Writers emit a whole tile image at a time and neither PDFKit nor writeStream.write()
+// waits for the destination; pausing here after each tile keeps at most about one
+// tile's worth of output in memory, however large the sheet or slow the client
+async function waitForOutput(output) {
+    while (output && output.writableNeedDrain && !output.destroyed) {
+        await Promise.race([once(output, 'drain'), once(output, 'close')]);
+    }
+}
+
+// ==================== PDF ====================
+
+// PDFKit inflates PNGs with an alpha channel asynchronously and only writes them out
+// afterwards; embedding one tile at a time keeps a sheet's decoded images from piling up.
+// Later doc.image(filePath) calls reuse the embedded image from PDFKit's registry.
+async function embedPdfImage(doc, filePath) {
+    const image = doc.openImage(filePath);
+    if (image.obj || typeof image.finalize !== 'function') {
+        return;
+    }
+
+    await new Promise(resolve => {
+        const finalize = image.finalize;
+        image.finalize = function () {
+            const result = finalize.call(this);
+            resolve();
+            return result;
+        };
+        image.embed(doc);
+    });
+}
+
+// Label colour for PDFKit: "#rrggbb" as is, or converted through the output profile
+async function pdfLabelColor(color, outputIntent) {
+    if (!outputIntent) {
+        return color;
+    }
+    const values = await convertColor(color, outputIntent.output);
+    return values.length === 4 ? values.map(v => v * 100) : values.map(v => v * 255);
+}
+
+/**
+ * Create a PDFKit document sized for a layout
+ * @param {Object} layout - Resolved layout profile
+ * @param {Object} info - PDF metadata (Title, Subject, ...)
+ * @param {Object} options - Extra PDFDocument options (e.g. pdfVersion, compress)
+ * @param {Object|null} colorOutput - Output profile from resolveColorOutput() (null: untagged RGB)
+ * @returns {Object} { doc, cutLayer, outputIntent } - cutLayer is null when the layout has no
+ *   cut contour, outputIntent is null without an output profile
+ */
+export function createSheetPdf(layout, info, options = {}, colorOutput = null) {
+    const doc = new PDFDocument({
+        size: [layout.pageWidth, layout.pageHeight],
+        margin: layout.margin,
+        ...options,
+        info: {
+            Author: 'Satellite Tile Generator',
+            ...info
+        }
+    });
+
+    const cutLayer = layout.cutContour ? createPdfCutContourLayer(doc) : null;
+    const outputIntent = colorOutput ? createPdfOutputIntent(doc, colorOutput) : null;
+    return { doc, cutLayer, outputIntent };
+}
+
+/**
+ * Draw one imposed sheet on the current PDF page
+ * @param {Object} options - { output: stream the doc is piped to (waited on after each tile),
+ *   onTile() after each tile, isAborted() checked before each tile,
+ *   outputIntent: from createSheetPdf() to convert tiles through its profile }
+ * @returns {Object} { placed, aborted } - tiles whose image fails are skipped
+ */
+export async function drawPdfSheet(doc, sheet, layout, cutLayer, { output, onTile, isAborted, outputIntent } = {}) {
+    const cutPaths = [];
+    const labelColor = layout.labels ? await pdfLabelColor(layout.labels.color || '#000000', outputIntent) : null;
+
+    for (const placement of sheet.placements) {
+        if (isAborted && isAborted()) {
+            return { placed: cutPaths.length, aborted: true };
+        }
+
+        try {
+            if (outputIntent) {
+                await embedPdfColorManagedImage(doc, placement.filePath, outputIntent);
+            } else {
+                await embedPdfImage(doc, placement.filePath);
+            }
+            if (layout.type === 'nested') {
+                drawNestedPdfTile(doc, placement.filePath, placement);
+            } else {
+                doc.image(placement.filePath, placement.x, placement.y, {
+                    width: placement.width,
+                    height: placement.height,
+                    compress: false  // Preserve original quality
+                });
+            }
+        } catch (imageError) {
+            console.error(`❌ Error adding tile ${placement.tileCode} to PDF:`, imageError);
+            continue;
+        }
+
+        if (layout.labels) {
+            const { fontSize } = layout.labels;
+            const [x, y, width, height] = placement.label;
+            doc.fontSize(fontSize)
+               .fillColor(labelColor)
+               .text(placement.tileCode, x, y + (height - fontSize) / 2, {
+                   width,
+                   align: 'center',
+                   lineBreak: false
+               });
+        }
+
+        cutPaths.push(placement.triangle);
+        if (onTile) {
+            onTile(placement);
+        }
+        await waitForOutput(output);
+    }
+
+    // Cut paths go on top of all tiles in their own spot-colour layer
+    if (cutLayer) {
+        drawPdfCutContour(doc, cutLayer, cutPaths);
+    }
+
+    return { placed: cutPaths.length, aborted: false };
+}
+
+// Closing page with the sector and tile count (proof layouts with summaryPage)
+export function drawPdfSummaryPage(doc, layout, { sectorCode, tileCount }) {
+    const margin = layout.margin;
+
+    doc.addPage();
+    doc.fontSize(20)
+       .fillColor('#000000')
+       .text(`Satellite Tiles - ${sectorCode}`, margin, margin + 100, {
+           align: 'center'
+       });
+
+    doc.fontSize(14)
+       .text(`Total tiles: ${tileCount}`, margin, margin + 150, {
+           align: 'center'
+       });
+
+    doc.fontSize(10)
+       .fillColor('#666666')
+       .text(`Generated: ${new Date().toLocaleString()}`, margin, margin + 180, {
+           align: 'center'
+       });
+}
+
+// ==================== EPS ====================
+
+// "#rrggbb" → "r g b setrgbcolor", or "c m y k setcmykcolor" through a CMYK output profile
+async function psColor(hex, colorOutput) {
+    const values = await convertColor(hex, colorOutput);
+    return `${values.map(v => v.toFixed(3)).join(' ')} ${values.length === 4 ? 'setcmykcolor' : 'setrgbcolor'}`;
+}
+
+/**
+ * Write one imposed sheet as a complete single-page EPS file
+ * @param {WriteStream} writeStream - Open EPS stream (ended by the caller)
+ * @param {Object} options - { title, onTile() after each tile, isAborted() checked before each tile,
+ *   colorOutput: output profile from resolveColorOutput() }
+ * @returns {Object} { placed, aborted }
+ */
+export async function writeEpsSheet(writeStream, sheet, layout, { title, onTile, isAborted, colorOutput = null } = {}) {
+    const { pageWidth, pageHeight } = layout;
+    const labelColor = layout.labels ? await psColor(layout.labels.color || '#000000', colorOutput) : null;
+
+    writeStream.write(`%!PS-Adobe-3.0 EPSF-3.0
+%%BoundingBox: 0 0 ${Math.ceil(pageWidth)} ${Math.ceil(pageHeight)}
+%%Title: ${title}
+%%Creator: Satellite Tile Generator
+%%CreationDate: ${new Date().toISOString()}
+%%Pages: 1
+%%DocumentData: Clean7Bit
+%%LanguageLevel: 3
+${epsColorComments(colorOutput)}${layout.cutContour ? epsCutContourComments() : ''}%%EndComments
+% Layout: ${layout.name}, material efficiency ${(sheet.efficiency * 100).toFixed(1)}%
+${epsIccProfile(colorOutput)}%%BeginProlog
+%%EndProlog
+%%Page: 1 1
+
+`);
+
+    const cutPaths = [];
+    for (const placement of sheet.placements) {
+        if (isAborted && isAborted()) {
+            return { placed: cutPaths.length, aborted: true };
+        }
+
+        try {
+            // RGB or CMYK data plus a clip mask when the tile has transparency (triangle-masked output)
+            const image = await readEpsImage(placement.filePath, colorOutput);
+
+            writeStream.write(`\n% Tile: ${placement.tileCode}`);
+            if (layout.type === 'nested') {
+                writeNestedEpsTile(writeStream, image, placement, pageHeight);
+            } else {
+                // PostScript origin is bottom-left
+                writeEpsImage(writeStream, image, {
+                    x: placement.x,
+                    y: pageHeight - placement.y - placement.height,
+                    width: placement.width,
+                    height: placement.height
+                });
+            }
+        } catch (imageError) {
+            console.error(`❌ Error processing tile ${placement.tileCode} for EPS:`, imageError);
+            continue;
+        }
+
+        if (layout.labels) {
+            const { fontSize } = layout.labels;
+            const [x, y, width, height] = placement.label;
+            const baseline = pageHeight - y - (height + fontSize * 0.7) / 2;
+            writeStream.write(`/Helvetica findfont ${fontSize} scalefont setfont ${labelColor}
+${(x + width / 2).toFixed(2)} ${baseline.toFixed(2)} moveto (${placement.tileCode}) dup stringwidth pop 2 div neg 0 rmoveto show
+`);
+        }
+
+        cutPaths.push(placement.triangle.map(([x, y]) => [x, pageHeight - y]));
+        if (onTile) {
+            onTile(placement);
+        }
+        await waitForOutput(writeStream);
+    }
+
+    // Cut paths go on top of all tiles in their own spot-colour layer
+    if (layout.cutContour) {
+        writeEpsCutContour(writeStream, cutPaths);
+    }
+
+    writeStream.write(`
+showpage
+%%Trailer
+%%EOF
+`);
+
+    return { placed: cutPaths.length, aborted: false };
+}
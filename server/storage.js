@@ -1,21 +1,64 @@
-// storage.js - Persistent storage with JSON file backup
+// storage.js - Persistent storage for sectors, tiles, jobs (and their tile states) and sessions
+// Records live in memory; every change is written through a backend from storageAdapters.js:
+// SQLite (default, storage.db) or the original JSON file (STORAGE_BACKEND=json). Lookups by
+// sector and status (find*) go to the backend, which answers them from its indexes.
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { sectorTileCodes, sectorTileCount } from './tileGeometry.js';
+import { JsonAdapter, SqliteAdapter } from './storageAdapters.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const STORAGE_FILE = path.join(__dirname, 'storage-data.json');
+export const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'sqlite';
+// Relative to this directory, wherever the server or globe-tiles --local is started from
+const STORAGE_FILE = path.resolve(__dirname, process.env.STORAGE_FILE || 'storage-data.json');
+const STORAGE_DB = path.resolve(__dirname, process.env.STORAGE_DB || 'storage.db');
+// Tile files: uploads/<sector>/<tile>.png, also relative to this directory
+export const UPLOADS_DIR = path.resolve(__dirname, process.env.UPLOAD_DIR || 'uploads');
+
+// Tile records written before the directories were resolved hold paths relative to this
+// directory (where the server was started from); they are read as absolute paths
+function resolveRecordedPath(filePath) {
+    return filePath && !path.isAbsolute(filePath) ? path.resolve(__dirname, filePath).replace(/\\/g, '/') : filePath;
+}
+
+function resolveTilePaths(tile) {
+    tile.filePath = resolveRecordedPath(tile.filePath);
+    for (const version of tile.versions || []) {
+        version.filePath = resolveRecordedPath(version.filePath);
+    }
+}
+
+function createAdapter(backend) {
+    if (backend === 'json') {
+        return new JsonAdapter(STORAGE_FILE);
+    }
+    if (backend === 'sqlite') {
+        // An existing JSON store is imported the first time the database is opened
+        return new SqliteAdapter(STORAGE_DB, { importFrom: STORAGE_FILE });
+    }
+    throw new Error(`STORAGE_BACKEND must be "sqlite" or "json" (got "${backend}")`);
+}
 
 class Storage {
     constructor() {
         this.sectors = new Map();
         this.jobs = new Map();
         this.tiles = new Map();
+        this.sessions = new Map();
         this.io = null; // Socket.io instance
-        this.saveInProgress = false; // Prevent concurrent writes
-        this.pendingSave = false; // Queue additional saves
-        this.loadFromFile();
+        this.adapter = createAdapter(STORAGE_BACKEND);
+        this.loading = null;
+    }
+
+    // Resolves once persisted data is loaded; the first use starts loading, so importing this
+    // module opens nothing
+    get ready() {
+        if (!this.loading) {
+            this.loading = this.load();
+        }
+        return this.loading;
     }
 
     // Set Socket.io instance for real-time updates
@@ -40,40 +83,50 @@ class Storage {
         }
     }
 
-    // Load data from JSON file
-    async loadFromFile() {
+    // Load persisted records through the adapter
+    async load() {
         try {
-            const data = await fs.readFile(STORAGE_FILE, 'utf8');
-            const parsed = JSON.parse(data);
-
-            // Restore sectors
-            if (parsed.sectors) {
-                this.sectors = new Map(Object.entries(parsed.sectors));
-                console.log(`📦 Loaded ${this.sectors.size} sectors from persistent storage`);
+            const { sectors, tiles, jobs, jobTiles, sessions } = await this.adapter.load();
+            this.sectors = sectors;
+            this.tiles = tiles;
+            this.jobs = jobs;
+            this.sessions = sessions;
+            for (const tile of tiles.values()) {
+                resolveTilePaths(tile);
             }
-
-            // Restore tiles
-            if (parsed.tiles) {
-                this.tiles = new Map(Object.entries(parsed.tiles));
-                console.log(`📦 Loaded ${this.tiles.size} tiles from persistent storage`);
-            }
-
-            console.log('✅ Persistent storage loaded successfully');
+            this.attachJobTiles(jobTiles);
+            console.log(`📦 Loaded ${sectors.size} sectors, ${tiles.size} tiles, ${jobs.size} jobs and ` +
+                `${sessions.size} sessions from ${this.adapter.name} storage`);
 
             // Recalculate sector data after loading
             await this.recalculateAllSectorsOnStartup();
         } catch (error) {
-            if (error.code === 'ENOENT') {
-                console.log('📦 No existing storage file found. Starting fresh.');
-            } else {
-                console.error('⚠️ Error loading storage:', error.message);
-            }
+            // Carrying on would look healthy while nothing is persisted
+            console.error('❌ Error loading storage:', error.message);
+            throw error;
         }
     }
 
+    // Records whose indexed columns have these values (undefined: any), looked up by the backend
+    find(collection, where) {
+        const records = this[collection];
+        return this.adapter.find(collection, where)
+            .map(key => records.get(key))
+            .filter(Boolean);
+    }
+
+    // Run several changes as one unit: a single SQLite transaction, or one JSON save
+    transaction(fn) {
+        return this.adapter.transaction(fn);
+    }
+
+    // Flush pending writes and release the backend (CLI scripts, shutdown)
+    async close() {
+        await this.adapter.close();
+    }
+
     // Sync sectors with actual files on disk
     async syncSectorsWithDisk() {
-        const uploadsDir = process.env.UPLOAD_DIR || './uploads';
         const sectors = Array.from(this.sectors.values());
 
         if (sectors.length === 0) {
@@ -83,7 +136,7 @@ class Storage {
         console.log(`\n🔄 Syncing ${sectors.length} sector(s) with disk...\n`);
 
         for (const sector of sectors) {
-            const sectorDir = path.join(uploadsDir, sector.sectorCode);
+            const sectorDir = path.join(UPLOADS_DIR, sector.sectorCode);
 
             try {
                 // Check if sector directory exists
@@ -143,52 +196,24 @@ class Storage {
             this.recalculateMissingTiles(sector.sectorCode, true);
             const after = this.sectors.get(sector.sectorCode).uploadedTiles;
 
-            console.log(`   📊 ${sector.sectorCode}: ${after}/729 tiles (${sector.missingTiles?.length || 0} missing)`);
+            console.log(`   📊 ${sector.sectorCode}: ${after}/${sector.totalTiles} tiles (${sector.missingTiles?.length || 0} missing)`);
         }
 
-        // Save synced data to JSON (nodemon ignores storage-data.json)
-        await this.saveToFile();
-
-        console.log(`\n✅ Sector data synchronized and saved to JSON\n`);
-    }
-
-    // Save data to JSON file with queue to prevent concurrent writes
-    async saveToFile() {
-        // If a save is already in progress, mark that another save is needed
-        if (this.saveInProgress) {
-            this.pendingSave = true;
-            return;
-        }
-
-        this.saveInProgress = true;
-
-        try {
-            const data = {
-                sectors: Object.fromEntries(this.sectors),
-                tiles: Object.fromEntries(this.tiles),
-                lastSaved: new Date().toISOString()
-            };
-
-            await fs.writeFile(STORAGE_FILE, JSON.stringify(data, null, 2), 'utf8');
-        } catch (error) {
-            console.error('⚠️ Error saving storage:', error.message);
-        } finally {
-            this.saveInProgress = false;
-
-            // If another save was requested while we were saving, do it now
-            if (this.pendingSave) {
-                this.pendingSave = false;
-                // Use setImmediate to avoid deep recursion
-                setImmediate(() => this.saveToFile());
+        // Save synced sectors (nodemon ignores storage-data.json and storage.db)
+        this.transaction(() => {
+            for (const sector of this.sectors.values()) {
+                this.adapter.put('sectors', sector.sectorCode, sector);
             }
-        }
+        });
+
+        console.log(`\n✅ Sector data synchronized and saved\n`);
     }
 
     // ==================== SECTORS ====================
 
     createSector(sectorData) {
         this.sectors.set(sectorData.sectorCode, sectorData);
-        this.saveToFile(); // Persist to disk
+        this.adapter.put('sectors', sectorData.sectorCode, sectorData); // Persist to disk
         this.emitSectorsList(); // Real-time update
         return sectorData;
     }
@@ -202,12 +227,17 @@ class Storage {
             .sort((a, b) => a.sectorCode.localeCompare(b.sectorCode));
     }
 
+    findSectors({ status } = {}) {
+        return this.find('sectors', { status })
+            .sort((a, b) => a.sectorCode.localeCompare(b.sectorCode));
+    }
+
     updateSector(sectorCode, updates) {
         const sector = this.sectors.get(sectorCode);
         if (sector) {
             Object.assign(sector, updates);
             this.sectors.set(sectorCode, sector);
-            this.saveToFile(); // Persist to disk
+            this.adapter.put('sectors', sectorCode, sector); // Persist to disk
             this.emitSectorUpdate(sectorCode); // Real-time update
         }
         return sector;
@@ -216,7 +246,7 @@ class Storage {
     deleteSector(sectorCode) {
         const result = this.sectors.delete(sectorCode);
         if (result) {
-            this.saveToFile(); // Persist to disk
+            this.adapter.delete('sectors', sectorCode); // Persist to disk
             this.emitSectorsList(); // Real-time update
         }
         return result;
@@ -224,8 +254,42 @@ class Storage {
 
     // ==================== JOBS (Generation Jobs) ====================
 
+    // A job is persisted as its record (without tileStates) plus one jobTiles record per tile,
+    // so a tile changing state rewrites that tile and the job's counters, not every tile
+    putJobRecord(job) {
+        const { tileStates, ...record } = job;
+        this.adapter.put('jobs', job.jobId, record);
+    }
+
+    putJobTile(job, tileCode) {
+        this.adapter.put('jobTiles', `${job.jobId}:${tileCode}`, { jobId: job.jobId, tileCode, ...job.tileStates[tileCode] });
+    }
+
+    // Put persisted tile states back on their jobs. Jobs saved before tile states had records
+    // of their own still hold them inline, and are split up once
+    attachJobTiles(jobTiles) {
+        for (const { jobId, tileCode, ...tileState } of jobTiles.values()) {
+            const job = this.jobs.get(jobId);
+            if (job) {
+                (job.tileStates = job.tileStates || {})[tileCode] = tileState;
+            }
+        }
+        const inline = [...this.jobs.values()].filter(job => Object.keys(job.tileStates || {}).length > 0 &&
+            this.adapter.find('jobTiles', { job_id: job.jobId }).length === 0);
+        if (inline.length > 0) {
+            this.transaction(() => inline.forEach(job => this.createJob(job)));
+        }
+    }
+
     createJob(jobData) {
         this.jobs.set(jobData.jobId, jobData);
+        // Persist to disk
+        this.transaction(() => {
+            this.putJobRecord(jobData);
+            for (const tileCode of Object.keys(jobData.tileStates || {})) {
+                this.putJobTile(jobData, tileCode);
+            }
+        });
         return jobData;
     }
 
@@ -233,59 +297,99 @@ class Storage {
         return this.jobs.get(jobId);
     }
 
+    // Job-level fields only; tile states are written by updateJobTiles()
     updateJob(jobId, updates) {
         const job = this.jobs.get(jobId);
         if (job) {
             Object.assign(job, updates);
             this.jobs.set(jobId, job);
+            this.putJobRecord(job); // Persist to disk
         }
         return job;
     }
 
+    // Persist the states of these tiles of a job (changed in place) and its counters
+    updateJobTiles(job, tileCodes) {
+        this.transaction(() => {
+            this.putJobRecord(job);
+            for (const tileCode of tileCodes) {
+                this.putJobTile(job, tileCode);
+            }
+        });
+        return job;
+    }
+
+    getAllJobs() {
+        return Array.from(this.jobs.values())
+            .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+    }
+
+    // Jobs of a sector and/or with a status, newest first like getAllJobs()
+    findJobs({ sectorCode, status } = {}) {
+        return this.find('jobs', { sector_code: sectorCode, status })
+            .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+    }
+
     deleteJob(jobId) {
-        return this.jobs.delete(jobId);
+        const result = this.jobs.delete(jobId);
+        if (result) {
+            // Persist to disk
+            this.transaction(() => {
+                this.adapter.delete('jobs', jobId);
+                for (const key of this.adapter.find('jobTiles', { job_id: jobId })) {
+                    this.adapter.delete('jobTiles', key);
+                }
+            });
+        }
+        return result;
     }
 
     // ==================== SESSIONS (Legacy - will be removed) ====================
 
     createSession(sessionData) {
-        this.sessions = this.sessions || new Map();
         this.sessions.set(sessionData.id, sessionData);
+        this.adapter.put('sessions', sessionData.id, sessionData); // Persist to disk
         return sessionData;
     }
 
     getSession(sessionId) {
-        return this.sessions ? this.sessions.get(sessionId) : null;
+        return this.sessions.get(sessionId) || null;
     }
 
     getAllSessions() {
-        if (!this.sessions) return [];
         return Array.from(this.sessions.values())
             .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
     }
 
+    findSessions({ status } = {}) {
+        return this.find('sessions', { status })
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
     updateSession(sessionId, updates) {
-        if (!this.sessions) return null;
         const session = this.sessions.get(sessionId);
         if (session) {
             Object.assign(session, updates);
-            this.sessions.set(sessionId, session);
+            this.adapter.put('sessions', sessionId, session); // Persist to disk
         }
         return session;
     }
 
     incrementSessionProgress(sessionId) {
-        if (!this.sessions) return null;
         const session = this.sessions.get(sessionId);
         if (session) {
             session.uploadedTiles++;
-            this.sessions.set(sessionId, session);
+            this.adapter.put('sessions', sessionId, session); // Persist to disk
         }
         return session;
     }
 
     deleteSession(sessionId) {
-        return this.sessions ? this.sessions.delete(sessionId) : false;
+        const result = this.sessions.delete(sessionId);
+        if (result) {
+            this.adapter.delete('sessions', sessionId); // Persist to disk
+        }
+        return result;
     }
 
     // ==================== TILES ====================
@@ -294,15 +398,25 @@ class Storage {
         return this.tiles.get(tileCode);
     }
 
+    getAllTiles() {
+        return Array.from(this.tiles.values());
+    }
+
+    // Tiles of a sector and/or with a quality status ('ok', 'flagged'), by tile code
+    findTiles({ sectorCode, quality } = {}) {
+        return this.find('tiles', { sector_code: sectorCode, status: quality })
+            .sort((a, b) => a.tileCode.localeCompare(b.tileCode));
+    }
+
     setTile(tileCode, tileData) {
         this.tiles.set(tileCode, tileData);
-        this.saveToFile(); // Persist to disk
+        this.adapter.put('tiles', tileCode, tileData); // Persist to disk
     }
 
     deleteTile(tileCode) {
         const result = this.tiles.delete(tileCode);
         if (result) {
-            this.saveToFile(); // Persist to disk
+            this.adapter.delete('tiles', tileCode); // Persist to disk
         }
         return result;
     }
@@ -317,7 +431,7 @@ class Storage {
                 sector.tiles.push(tileCode);
                 sector.uploadedTiles = sector.tiles.length;
                 sector.lastUpdatedAt = new Date().toISOString();
-                sector.status = sector.uploadedTiles === 729 ? 'complete' : 'incomplete';
+                sector.status = sector.uploadedTiles === sector.totalTiles ? 'complete' : 'incomplete';
 
                 // Update missingTiles array - remove the uploaded tile
                 if (sector.missingTiles && Array.isArray(sector.missingTiles)) {
@@ -328,7 +442,7 @@ class Storage {
                 }
 
                 this.sectors.set(sectorCode, sector);
-                this.saveToFile(); // Persist to disk
+                this.adapter.put('sectors', sectorCode, sector); // Persist to disk
                 this.emitSectorUpdate(sectorCode); // Real-time update
             }
         }
@@ -339,27 +453,19 @@ class Storage {
         const sector = this.sectors.get(sectorCode);
         if (!sector) return;
 
-        // Generate all possible tile codes for this sector
-        const allTiles = [];
-        for (let i = 1; i <= 9; i++) {
-            for (let j = 1; j <= 9; j++) {
-                for (let k = 1; k <= 9; k++) {
-                    allTiles.push(`${sectorCode}${i}${j}${k}`);
-                }
-            }
-        }
-
         // Calculate missing tiles (tiles not in sector.tiles array)
+        // Sector size follows TILE_DEPTH, so sectors stored at another depth are resized here
         const existingTiles = new Set(sector.tiles || []);
-        sector.missingTiles = allTiles.filter(tile => !existingTiles.has(tile));
+        sector.totalTiles = sectorTileCount(sectorCode);
+        sector.missingTiles = sectorTileCodes(sectorCode).filter(tile => !existingTiles.has(tile));
         sector.uploadedTiles = sector.tiles ? sector.tiles.length : 0;
-        sector.status = sector.uploadedTiles === 729 ? 'complete' : 'incomplete';
+        sector.status = sector.uploadedTiles === sector.totalTiles ? 'complete' : 'incomplete';
 
         this.sectors.set(sectorCode, sector);
 
         // Only save and emit if not skipping (e.g., during startup)
         if (!skipSave) {
-            this.saveToFile();
+            this.adapter.put('sectors', sectorCode, sector);
             this.emitSectorUpdate(sectorCode);
         }
 
@@ -367,32 +473,28 @@ class Storage {
     }
 
     addTileToSession(sessionId, tileCode) {
-        if (!this.sessions) return;
         const session = this.sessions.get(sessionId);
         if (session) {
             if (!session.tiles) {
                 session.tiles = [];
             }
             session.tiles.push(tileCode);
-            this.sessions.set(sessionId, session);
+            this.adapter.put('sessions', sessionId, session); // Persist to disk
         }
     }
 
     // ==================== STATS ====================
 
     getStats() {
-        const sectors = Array.from(this.sectors.values());
         return {
             totalSectors: this.sectors.size,
-            completeSectors: sectors.filter(s => s.status === 'complete').length,
-            incompleteSectors: sectors.filter(s => s.status === 'incomplete').length,
+            completeSectors: this.findSectors({ status: 'complete' }).length,
+            incompleteSectors: this.findSectors({ status: 'incomplete' }).length,
             totalCachedTiles: this.tiles.size,
-            activeJobs: Array.from(this.jobs.values())
-                .filter(j => j.status === 'running').length,
+            activeJobs: this.findJobs({ status: 'running' }).length,
             // Legacy session stats for backward compatibility
-            totalSessions: this.sessions ? this.sessions.size : 0,
-            activeSessions: this.sessions ? Array.from(this.sessions.values())
-                .filter(s => s.status === 'uploading').length : 0
+            totalSessions: this.sessions.size,
+            activeSessions: this.findSessions({ status: 'uploading' }).length
         };
     }
 }
@@ -0,0 +1,355 @@
+// storageAdapters.js - Persistence backends for storage.js
+// Storage keeps every record in memory and writes each change through an adapter:
+//   load()                      → { sectors, tiles, jobs, jobTiles, sessions } as Maps
+//   put(collection, key, value) / delete(collection, key)
+//   find(collection, where)     → keys of the records whose indexed columns have these values
+//   transaction(fn)             → runs fn() with its writes applied together
+//   close()                     → flushes pending writes
+// Writes made before load() are kept: SQLite opens on first use, the JSON file applies them
+// on top of what it loads. A store that cannot be read fails load() and refuses writes.
+// JsonAdapter is the original storage-data.json file, rewritten whole after changes;
+// SqliteAdapter writes single rows to an embedded SQLite database (better-sqlite3) and
+// imports storage-data.json the first time it opens an empty database.
+// A job's per-tile states are records of their own in jobTiles (key "<jobId>:<tileCode>"), so
+// a tile changing state writes one small record rather than the whole job.
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import Database from 'better-sqlite3';
+
+export const COLLECTIONS = ['sectors', 'tiles', 'jobs', 'jobTiles', 'sessions'];
+
+function emptyCollections() {
+    return Object.fromEntries(COLLECTIONS.map(name => [name, new Map()]));
+}
+
+// The columns find() filters on, per collection; SQLite stores them next to the record as
+// JSON and indexes them, the JSON file compares them record by record
+const TABLES = {
+    sectors: {
+        key: 'sector_code',
+        columns: { status: s => s.status || null }
+    },
+    tiles: {
+        key: 'tile_code',
+        columns: {
+            sector_code: t => t.sectorCode || null,
+            status: t => t.quality?.status || null
+        }
+    },
+    jobs: {
+        key: 'job_id',
+        columns: {
+            sector_code: j => j.sectorCode || null,
+            status: j => j.status || null,
+            started_at: j => j.startedAt || null
+        }
+    },
+    jobTiles: {
+        key: 'job_tile',
+        columns: { job_id: t => t.jobId || null }
+    },
+    sessions: {
+        key: 'session_id',
+        columns: {
+            sector_code: s => s.sectorCode || null,
+            status: s => s.status || null,
+            created_at: s => s.createdAt || null
+        }
+    }
+};
+
+// Whether a record's columns have the values find() asks for (undefined values are not compared)
+function matches(collection, value, where) {
+    const { columns } = TABLES[collection];
+    return Object.entries(where).every(([column, wanted]) => wanted === undefined || columns[column](value) === wanted);
+}
+
+// ==================== JSON ====================
+
+export class JsonAdapter {
+    constructor(filePath) {
+        this.name = 'json';
+        this.filePath = filePath;
+        this.data = emptyCollections();
+        this.saveInProgress = false; // Prevent concurrent writes
+        this.pendingSave = false; // Queue additional saves
+        this.inTransaction = false;
+        this.loaded = false;
+        this.loadError = null; // Set when the file cannot be read: nothing is written over it
+        this.earlyWrites = []; // Writes made before load(), replayed on top of the file
+    }
+
+    async load() {
+        try {
+            const parsed = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+            for (const name of COLLECTIONS) {
+                this.data[name] = new Map(Object.entries(parsed[name] || {}));
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.loadError = new Error(`Cannot read ${this.filePath}: ${error.message}`);
+                this.earlyWrites = [];
+                throw this.loadError;
+            }
+            console.log('📦 No existing storage file found. Starting fresh.');
+        }
+
+        this.loaded = true;
+        const earlyWrites = this.earlyWrites.splice(0);
+        for (const write of earlyWrites) {
+            write();
+        }
+        if (earlyWrites.length > 0) {
+            this.scheduleSave();
+        }
+        return this.data;
+    }
+
+    // A write now would replace a file that could not be read with what little is in memory
+    assertWritable() {
+        if (this.loadError) {
+            throw new Error(`Storage is not writable: ${this.loadError.message}`);
+        }
+    }
+
+    put(collection, key, value) {
+        this.assertWritable();
+        if (!this.loaded) {
+            this.earlyWrites.push(() => this.data[collection].set(key, value));
+            return;
+        }
+        this.data[collection].set(key, value);
+        this.scheduleSave();
+    }
+
+    delete(collection, key) {
+        this.assertWritable();
+        if (!this.loaded) {
+            this.earlyWrites.push(() => this.data[collection].delete(key));
+            return;
+        }
+        this.data[collection].delete(key);
+        this.scheduleSave();
+    }
+
+    // No indexes: every record is compared
+    find(collection, where) {
+        return [...this.data[collection]]
+            .filter(([, value]) => matches(collection, value, where))
+            .map(([key]) => key);
+    }
+
+    // The whole file is written in one go anyway; a transaction only saves once at its end
+    transaction(fn) {
+        if (this.inTransaction) {
+            return fn();
+        }
+        this.inTransaction = true;
+        try {
+            return fn();
+        } finally {
+            this.inTransaction = false;
+            this.scheduleSave();
+        }
+    }
+
+    scheduleSave() {
+        if (this.loaded && !this.inTransaction) {
+            this.saveToFile();
+        }
+    }
+
+    // Save data to JSON file with queue to prevent concurrent writes
+    async saveToFile() {
+        // If a save is already in progress, mark that another save is needed
+        if (this.saveInProgress) {
+            this.pendingSave = true;
+            return;
+        }
+
+        this.saveInProgress = true;
+
+        try {
+            const data = Object.fromEntries(COLLECTIONS.map(name => [name, Object.fromEntries(this.data[name])]));
+            data.lastSaved = new Date().toISOString();
+            await fs.writeFile(this.filePath, JSON.stringify(data, null, 2), 'utf8');
+        } catch (error) {
+            console.error('⚠️ Error saving storage:', error.message);
+        } finally {
+            this.saveInProgress = false;
+
+            // If another save was requested while we were saving, do it now
+            if (this.pendingSave) {
+                this.pendingSave = false;
+                // Use setImmediate to avoid deep recursion
+                setImmediate(() => this.saveToFile());
+            }
+        }
+    }
+
+    async close() {
+        if (!this.loaded && !this.loadError && this.earlyWrites.length > 0) {
+            await this.load();
+        }
+        while (this.saveInProgress || this.pendingSave) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+    }
+}
+
+// ==================== SQLITE ====================
+
+const INDEXES = [
+    'sectors(status)',
+    'tiles(sector_code)',
+    'tiles(status)',
+    'jobs(sector_code)',
+    'jobs(status)',
+    'jobTiles(job_id)',
+    'sessions(status)'
+];
+
+const SCHEMA_VERSION = 2; // 2: job tile states in jobTiles
+
+export class SqliteAdapter {
+    constructor(dbPath, { importFrom = null } = {}) {
+        this.name = 'sqlite';
+        this.dbPath = dbPath;
+        this.importFrom = importFrom;
+        this.db = null;
+        this.statements = {};
+        this.findStatements = new Map(); // SQL → prepared statement, for find()
+    }
+
+    // Opens (and creates) the database on first use, not when the adapter is created
+    open() {
+        if (this.db) {
+            return;
+        }
+        this.db = new Database(this.dbPath);
+        this.findStatements.clear();
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('synchronous = NORMAL');
+
+        this.db.exec('CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT)');
+        for (const [table, { key, columns }] of Object.entries(TABLES)) {
+            const columnDefs = Object.keys(columns).map(column => `${column} TEXT`).join(', ');
+            this.db.exec(`CREATE TABLE IF NOT EXISTS ${table} (${key} TEXT PRIMARY KEY, ${columnDefs}, data TEXT NOT NULL)`);
+
+            const names = [key, ...Object.keys(columns), 'data'];
+            this.statements[table] = {
+                put: this.db.prepare(
+                    `INSERT INTO ${table} (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')}) ` +
+                    `ON CONFLICT(${key}) DO UPDATE SET ${names.slice(1).map(n => `${n} = excluded.${n}`).join(', ')}`
+                ),
+                delete: this.db.prepare(`DELETE FROM ${table} WHERE ${key} = ?`),
+                all: this.db.prepare(`SELECT ${key} AS key, data FROM ${table}`)
+            };
+        }
+        for (const index of INDEXES) {
+            const name = index.replace(/\W+/g, '_').replace(/_$/, '');
+            this.db.exec(`CREATE INDEX IF NOT EXISTS ${name} ON ${index}`);
+        }
+        this.setMeta('schemaVersion', SCHEMA_VERSION);
+    }
+
+    getMeta(key) {
+        this.open();
+        return this.db.prepare('SELECT value FROM meta WHERE key = ?').get(key)?.value ?? null;
+    }
+
+    setMeta(key, value) {
+        this.open();
+        this.db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value')
+            .run(key, String(value));
+    }
+
+    isEmpty() {
+        return COLLECTIONS.every(table => !this.db.prepare(`SELECT 1 FROM ${table} LIMIT 1`).get());
+    }
+
+    async load() {
+        this.open();
+        if (this.importFrom && this.isEmpty() && !this.getMeta('importedFrom') && existsSync(this.importFrom)) {
+            await this.importJson(this.importFrom);
+        }
+
+        const data = emptyCollections();
+        for (const name of COLLECTIONS) {
+            for (const row of this.statements[name].all.iterate()) {
+                data[name].set(row.key, JSON.parse(row.data));
+            }
+        }
+        return data;
+    }
+
+    /**
+     * Import a storage-data.json file in one transaction (existing rows with the same keys
+     * are replaced); the file itself is left in place as a backup
+     * @returns {Object} Records imported per collection
+     */
+    async importJson(filePath) {
+        const parsed = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        const counts = {};
+        this.transaction(() => {
+            for (const name of COLLECTIONS) {
+                const records = Object.entries(parsed[name] || {});
+                for (const [key, value] of records) {
+                    this.put(name, key, value);
+                }
+                counts[name] = records.length;
+            }
+            this.setMeta('importedFrom', filePath);
+            this.setMeta('importedAt', new Date().toISOString());
+        });
+        console.log(`📦 Imported ${filePath} into ${this.dbPath}: ` +
+            COLLECTIONS.map(name => `${counts[name]} ${name}`).join(', ') + ' (JSON file kept as a backup)');
+        return counts;
+    }
+
+    put(collection, key, value) {
+        this.open();
+        const { columns } = TABLES[collection];
+        this.statements[collection].put.run(
+            key,
+            ...Object.values(columns).map(column => column(value)),
+            JSON.stringify(value)
+        );
+    }
+
+    delete(collection, key) {
+        this.open();
+        this.statements[collection].delete.run(key);
+    }
+
+    // Answered from the indexes; statements are prepared once per set of columns
+    find(collection, where) {
+        this.open();
+        const { key, columns } = TABLES[collection];
+        const filters = Object.entries(where).filter(([, value]) => value !== undefined);
+        for (const [column] of filters) {
+            if (!columns[column]) {
+                throw new Error(`${collection} cannot be searched by ${column}`);
+            }
+        }
+        const sql = `SELECT ${key} AS key FROM ${collection}` +
+            (filters.length ? ` WHERE ${filters.map(([column]) => `${column} = ?`).join(' AND ')}` : '');
+        if (!this.findStatements.has(sql)) {
+            this.findStatements.set(sql, this.db.prepare(sql).pluck());
+        }
+        return this.findStatements.get(sql).all(...filters.map(([, value]) => value));
+    }
+
+    // Nested calls join the outer transaction (better-sqlite3 uses savepoints)
+    transaction(fn) {
+        this.open();
+        return this.db.transaction(fn)();
+    }
+
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
@@ -0,0 +1,158 @@
+// geoExport.test.js - Tile geometry for GIS: the GeoJSON from TileLookup (rings, properties,
+// the antimeridian and the poles), KML that kmlImport.js reads back, and the Shapefile's bytes
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import TileLookup from '../../lib/TileLookup.js';
+
+process.env.TILE_DEPTH = '4';
+const { toKml, toShapefile } = await import('../geoExport.js');
+const { checkPlacemark, parseKmlPlacemarks } = await import('../kmlImport.js');
+
+const lookup = new TileLookup();
+const CODES = ['M7131', 'M7133', 'C3111'];
+
+// Twice the signed area of a lon/lat ring (positive: counter-clockwise)
+function signedArea(ring) {
+    return ring.slice(0, -1).reduce((sum, p, i) => sum + p[0] * ring[i + 1][1] - ring[i + 1][0] * p[1], 0);
+}
+
+function file(files, extension) {
+    return files.find(f => f.name.endsWith(extension)).data;
+}
+
+test('each tile is a closed counter-clockwise polygon with its properties', () => {
+    const collection = lookup.toGeoJSON(CODES, code => ({ uploaded: code === 'M7131' }));
+    assert.equal(collection.type, 'FeatureCollection');
+    assert.deepEqual(collection.features.map(f => f.id), CODES);
+
+    for (const feature of collection.features) {
+        const ring = feature.geometry.coordinates[0];
+        assert.equal(feature.geometry.type, 'Polygon');
+        assert.equal(ring.length, 4);
+        assert.deepEqual(ring[0], ring[ring.length - 1]);
+        assert.ok(signedArea(ring) > 0, feature.id);
+    }
+
+    const [m7131, m7133] = collection.features.map(f => f.properties);
+    assert.deepEqual(Object.keys(m7131), ['code', 'depth', 'areaKm2', 'ewEdgeKm', 'inverted', 'uploaded']);
+    assert.equal(m7131.depth, 4);
+    assert.equal(m7131.inverted, false);
+    assert.equal(m7131.uploaded, true);
+    assert.equal(m7133.inverted, true);
+    assert.equal(m7133.uploaded, false);
+    assert.ok(m7131.areaKm2 > 1000 && m7131.areaKm2 < 10000, String(m7131.areaKm2));
+    assert.ok(m7131.ewEdgeKm > 50 && m7131.ewEdgeKm < 150, String(m7131.ewEdgeKm));
+});
+
+test('the areas of a tile\'s children add up to its own', () => {
+    const parent = lookup.tileProperties('M713').areaKm2;
+    const children = lookup.children('M713').reduce((sum, code) => sum + lookup.tileProperties(code).areaKm2, 0);
+    assert.ok(Math.abs(children - parent) < parent * 1e-9, `${children} ≈ ${parent}`);
+});
+
+test('a tile across the antimeridian keeps continuous longitudes', () => {
+    const ring = lookup.polygonRing('C3111');
+    const lons = ring.map(([lon]) => lon);
+    assert.ok(Math.max(...lons) > 180);
+    assert.ok(Math.max(...lons) - Math.min(...lons) < 2);
+    assert.ok(signedArea(ring) > 0);
+});
+
+test('a corner on the pole becomes a stretch of the pole', () => {
+    const ring = lookup.polygonRing('A1111');
+    assert.equal(ring.length, 5);
+    assert.deepEqual(ring.filter(([, lat]) => lat === 90).map(([lon]) => lon).sort((a, b) => a - b), [0, 72]);
+    assert.ok(signedArea(ring) > 0);
+});
+
+test('KML has a placemark per tile that kmlImport.js reads back as that tile', () => {
+    const collection = lookup.toGeoJSON(CODES, () => ({ note: 'a < b & "c"' }));
+    const kml = toKml(collection, 'Tiles & more');
+    assert.match(kml, /<name>Tiles &amp; more<\/name>/);
+    assert.match(kml, /<Data name="note"><value>a &lt; b &amp; &quot;c&quot;<\/value><\/Data>/);
+
+    const { placemarks, skipped } = parseKmlPlacemarks(kml);
+    assert.equal(skipped, 0);
+    assert.deepEqual(placemarks.map(p => p.name), CODES);
+    placemarks.forEach((placemark, i) => {
+        assert.deepEqual(placemark.polygons, [collection.features[i].geometry.coordinates[0]]);
+        const check = checkPlacemark(placemark);
+        assert.equal(check.status, 'ok', placemark.name);
+        assert.ok(check.maxDeviationM < 1);
+    });
+});
+
+test('the Shapefile has one clockwise polygon record per tile, indexed by the .shx', () => {
+    const collection = lookup.toGeoJSON(CODES);
+    const files = toShapefile(collection, 'tiles');
+    assert.deepEqual(files.map(f => f.name), ['tiles.shp', 'tiles.shx', 'tiles.dbf', 'tiles.prj', 'tiles.cpg']);
+    assert.match(file(files, '.prj'), /GCS_WGS_1984/);
+
+    const shp = file(files, '.shp');
+    const shx = file(files, '.shx');
+    assert.equal(shp.readInt32BE(0), 9994);
+    assert.equal(shp.readInt32BE(24) * 2, shp.length);
+    assert.equal(shx.readInt32BE(24) * 2, shx.length);
+    assert.equal(shp.readInt32LE(32), 5);
+    assert.equal((shx.length - 100) / 8, CODES.length);
+
+    const allPoints = collection.features.flatMap(f => f.geometry.coordinates[0]);
+    assert.equal(shp.readDoubleLE(36), Math.min(...allPoints.map(p => p[0])));
+    assert.equal(shp.readDoubleLE(52), Math.max(...allPoints.map(p => p[0])));
+
+    collection.features.forEach((feature, i) => {
+        const offset = shx.readInt32BE(100 + i * 8) * 2;
+        assert.equal(shp.readInt32BE(offset), i + 1);
+        assert.equal(shp.readInt32BE(offset + 4), shx.readInt32BE(104 + i * 8));
+        assert.equal(shp.readInt32LE(offset + 8), 5);
+        assert.equal(shp.readInt32LE(offset + 44), 1);
+
+        const count = shp.readInt32LE(offset + 48);
+        const points = [];
+        for (let j = 0; j < count; j++) {
+            const p = offset + 56 + j * 16;
+            points.push([shp.readDoubleLE(p), shp.readDoubleLE(p + 8)]);
+        }
+        assert.deepEqual(points, [...feature.geometry.coordinates[0]].reverse());
+        assert.ok(signedArea(points) < 0);
+    });
+});
+
+test('the .dbf holds each tile\'s properties in fixed-width columns', () => {
+    const dbf = file(toShapefile(lookup.toGeoJSON(CODES, code => ({ uploaded: code === 'M7131' })), 'tiles'), '.dbf');
+    assert.equal(dbf.readUInt32LE(4), CODES.length);
+    const headerLength = dbf.readUInt16LE(8);
+    const recordLength = dbf.readUInt16LE(10);
+    assert.equal(dbf.length, headerLength + CODES.length * recordLength + 1);
+    assert.equal(dbf[dbf.length - 1], 0x1a);
+
+    const fields = [];
+    for (let offset = 32; dbf[offset] !== 0x0d; offset += 32) {
+        fields.push({
+            name: dbf.toString('latin1', offset, offset + 11).replace(/\0+$/, ''),
+            type: String.fromCharCode(dbf[offset + 11]),
+            length: dbf[offset + 16]
+        });
+    }
+    assert.deepEqual(fields.map(f => `${f.name}:${f.type}`),
+        ['CODE:C', 'DEPTH:N', 'AREAKM2:N', 'EWEDGEKM:N', 'INVERTED:L', 'UPLOADED:L']);
+
+    const records = CODES.map((code, i) => {
+        let offset = headerLength + i * recordLength + 1;
+        return Object.fromEntries(fields.map(field => {
+            const value = dbf.toString('latin1', offset, offset + field.length).trim();
+            offset += field.length;
+            return [field.name, value];
+        }));
+    });
+    assert.deepEqual(records.map(r => [r.CODE, r.DEPTH, r.INVERTED, r.UPLOADED]),
+        [['M7131', '4', 'F', 'T'], ['M7133', '4', 'T', 'F'], ['C3111', '4', 'F', 'F']]);
+    assert.equal(Number(records[0].AREAKM2), Number(lookup.tileProperties('M7131').areaKm2.toFixed(6)));
+});
+
+test('an empty collection is still a valid Shapefile', () => {
+    const files = toShapefile({ type: 'FeatureCollection', features: [] }, 'none');
+    assert.equal(file(files, '.shp').length, 100);
+    assert.equal(file(files, '.shx').length, 100);
+    assert.equal(file(files, '.dbf').readUInt32LE(4), 0);
+});
@@ -0,0 +1,41 @@
+// helpers.js - Shared setup for the storage tests (node --test)
+// Each test file runs in its own process with its own temporary tree: the env is set here,
+// before the file imports any server module, since they read it when they load.
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+
+/**
+ * Point storage, uploads and versions at a new temporary directory (9 tiles per sector)
+ * @param {Object} [env] - More variables to set, e.g. { UPLOAD_VALIDATION: 'warn' }
+ * @returns {Promise<string>} The directory
+ */
+export async function useTempTree(env = {}) {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'globe-tiles-test-'));
+    Object.assign(process.env, {
+        TILE_DEPTH: '4',
+        STORAGE_BACKEND: 'sqlite',
+        STORAGE_DB: path.join(root, 'storage.db'),
+        STORAGE_FILE: path.join(root, 'storage-data.json'),
+        UPLOAD_DIR: path.join(root, 'uploads'),
+        TILE_VERSIONS_DIR: path.join(root, 'versions'),
+        ...env
+    });
+    return root;
+}
+
+// A small PNG of random pixels: a different image on every call, and one the quality gate passes
+export function noisePng(width = 128, height = 112) {
+    const raw = crypto.randomBytes(width * height * 3);
+    return sharp(raw, { raw: { width, height, channels: 3 } }).png().toBuffer();
+}
+
+export function sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+export async function exists(filePath) {
+    return fs.access(filePath).then(() => true, () => false);
+}
@@ -0,0 +1,194 @@
+// integrity.test.js - Every fsck issue type: found by a dry run, repaired, and clean afterwards
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { after, before, test } from 'node:test';
+import { exists, noisePng, sha256, useTempTree } from './helpers.js';
+
+const root = await useTempTree();
+const { default: storage } = await import('../storage.js');
+const { runFsck } = await import('../integrity.js');
+const { STAGING_DIR, UPLOADS_DIR, storeTileVersion, tileFilePath } = await import('../tileStore.js');
+const { versionPath } = await import('../tileVersions.js');
+const { sectorOf } = await import('../tileGeometry.js');
+
+// Store a new image for a tile the way an upload does; returns its hash
+async function storeTile(tileCode) {
+    const buffer = await noisePng();
+    const stagedPath = path.join(STAGING_DIR, `${tileCode}_${Date.now()}.png`);
+    await fs.mkdir(STAGING_DIR, { recursive: true });
+    await fs.writeFile(stagedPath, buffer);
+    await storeTileVersion(tileCode, sectorOf(tileCode), stagedPath, buffer, { status: 'ok', reasons: [] }, 'upload');
+    return sha256(buffer);
+}
+
+// Dry run: the tile has an issue of this type and nothing is changed. Then repair, and the
+// whole tree checks clean
+async function expectRepaired(type, tileCode) {
+    const dryRun = await runFsck();
+    const found = dryRun.issues.filter(issue => issue.type === type && issue.tileCode === tileCode);
+    assert.ok(found.length > 0, `dry run finds ${type} for ${tileCode}: ${JSON.stringify(dryRun.issues)}`);
+    assert.ok(dryRun.issues.every(issue => issue.repaired === undefined));
+
+    const repair = await runFsck({ repair: true });
+    assert.equal(repair.summary.failed, 0, JSON.stringify(repair.issues));
+    assert.equal(repair.summary.repaired, repair.summary.issues);
+
+    const clean = await runFsck();
+    assert.deepEqual(clean.issues, []);
+}
+
+before(async () => {
+    await storage.ready;
+});
+
+after(async () => {
+    await storage.close();
+    await fs.rm(root, { recursive: true, force: true });
+});
+
+test('a clean tree has no issues', async () => {
+    await storeTile('M7131');
+    const result = await runFsck();
+    assert.deepEqual(result.issues, []);
+    assert.equal(result.scanned.tiles, 1);
+});
+
+test('orphan-file: a file without a record becomes the tile\'s current version', async () => {
+    const buffer = await noisePng();
+    await fs.mkdir(path.dirname(tileFilePath('M7132')), { recursive: true });
+    await fs.writeFile(tileFilePath('M7132'), buffer);
+
+    await expectRepaired('orphan-file', 'M7132');
+    const tile = storage.getTile('M7132');
+    assert.equal(tile.current, sha256(buffer));
+    assert.ok(tile.versions.some(v => v.hash === sha256(buffer)));
+    assert.ok(storage.getSector('M713').tiles.includes('M7132'));
+});
+
+test('missing-file: the current version is restored', async () => {
+    await storeTile('M7133');
+    const current = await storeTile('M7133');
+    await fs.rm(tileFilePath('M7133'));
+
+    await expectRepaired('missing-file', 'M7133');
+    assert.equal(sha256(await fs.readFile(tileFilePath('M7133'))), current);
+    assert.equal(storage.getTile('M7133').current, current);
+});
+
+test('missing-file: without a version to restore, the record is removed', async () => {
+    const hash = await storeTile('M7134');
+    await fs.rm(tileFilePath('M7134'));
+    await fs.rm(versionPath('M7134', hash));
+
+    await expectRepaired('missing-file', 'M7134');
+    assert.equal(storage.getTile('M7134'), undefined);
+    assert.ok(!storage.getSector('M713').tiles.includes('M7134'));
+});
+
+test('hash-mismatch: a changed tile file is replaced by the current version', async () => {
+    const current = await storeTile('M7135');
+    await fs.writeFile(tileFilePath('M7135'), await noisePng());
+
+    await expectRepaired('hash-mismatch', 'M7135');
+    assert.equal(sha256(await fs.readFile(tileFilePath('M7135'))), current);
+});
+
+test('hash-mismatch: a damaged version file is deleted and no longer listed', async () => {
+    const old = await storeTile('M7136');
+    await storeTile('M7136');
+    await fs.writeFile(versionPath('M7136', old), await noisePng());
+
+    await expectRepaired('hash-mismatch', 'M7136');
+    assert.ok(!(await exists(versionPath('M7136', old))));
+    assert.ok(!storage.getTile('M7136').versions.some(v => v.hash === old));
+});
+
+test('wrong-sector: a flat file of the old layout is moved into its sector directory', async () => {
+    const hash = await storeTile('M7137');
+    const flatPath = path.join(UPLOADS_DIR, `1700000000_M7137.png`);
+    await fs.rename(tileFilePath('M7137'), flatPath);
+    storage.setTile('M7137', { ...storage.getTile('M7137'), filePath: flatPath });
+
+    await expectRepaired('wrong-sector', 'M7137');
+    assert.ok(!(await exists(flatPath)));
+    assert.equal(sha256(await fs.readFile(tileFilePath('M7137'))), hash);
+    assert.equal(storage.getTile('M7137').filePath, tileFilePath('M7137'));
+});
+
+test('duplicate-file: another file for the tile is kept as a version, then deleted', async () => {
+    const current = await storeTile('M7138');
+    const copy = await noisePng();
+    const copyPath = path.join(UPLOADS_DIR, `1700000000_M7138.png`);
+    await fs.writeFile(copyPath, copy);
+
+    await expectRepaired('duplicate-file', 'M7138');
+    assert.ok(!(await exists(copyPath)));
+    const tile = storage.getTile('M7138');
+    assert.equal(tile.current, current);
+    assert.ok(tile.versions.some(v => v.hash === sha256(copy)));
+    assert.ok(await exists(versionPath('M7138', sha256(copy))));
+});
+
+test('duplicate-version: a version listed twice is listed once', async () => {
+    await storeTile('M7139');
+    const tile = storage.getTile('M7139');
+    storage.setTile('M7139', { ...tile, versions: [...tile.versions, tile.versions[0]] });
+
+    await expectRepaired('duplicate-version', 'M7139');
+    assert.equal(storage.getTile('M7139').versions.length, 1);
+});
+
+test('missing-version: a version without a file is no longer listed', async () => {
+    const old = await storeTile('M7141');
+    const current = await storeTile('M7141');
+    await fs.rm(versionPath('M7141', old));
+
+    await expectRepaired('missing-version', 'M7141');
+    assert.deepEqual(storage.getTile('M7141').versions.map(v => v.hash), [current]);
+});
+
+test('orphan-version: an unlisted version file is listed again', async () => {
+    const old = await storeTile('M7142');
+    await storeTile('M7142');
+    const tile = storage.getTile('M7142');
+    storage.setTile('M7142', { ...tile, versions: tile.versions.filter(v => v.hash !== old) });
+
+    await expectRepaired('orphan-version', 'M7142');
+    assert.ok(storage.getTile('M7142').versions.some(v => v.hash === old));
+});
+
+test('orphan-version: a version file of a tile that is gone is deleted', async () => {
+    const buffer = await noisePng();
+    const orphanPath = versionPath('M7143', sha256(buffer));
+    await fs.mkdir(path.dirname(orphanPath), { recursive: true });
+    await fs.writeFile(orphanPath, buffer);
+
+    await expectRepaired('orphan-version', 'M7143');
+    assert.ok(!(await exists(orphanPath)));
+    assert.equal(storage.getTile('M7143'), undefined);
+});
+
+test('sector-drift: the sector\'s tile list is rebuilt from the tile records', async () => {
+    await storeTile('M7144');
+    storage.updateSector('M714', { tiles: ['M7149'], uploadedTiles: 1 });
+
+    await expectRepaired('sector-drift', null);
+    assert.deepEqual(storage.getSector('M714').tiles, ['M7141', 'M7142', 'M7144']);
+    assert.equal(storage.getSector('M714').uploadedTiles, 3);
+});
+
+test('stray-file: leftovers of interrupted writes are deleted once they are old', async () => {
+    await storeTile('M7145');
+    const oldLeftover = `${tileFilePath('M7145')}.tmp`;
+    const newLeftover = `${tileFilePath('M7145')}.restore`;
+    await fs.writeFile(oldLeftover, 'partial');
+    await fs.writeFile(newLeftover, 'partial');
+    const twoMinutesAgo = new Date(Date.now() - 2 * 60 * 1000);
+    await fs.utimes(oldLeftover, twoMinutesAgo, twoMinutesAgo);
+
+    await expectRepaired('stray-file', null);
+    assert.ok(!(await exists(oldLeftover)));
+    assert.ok(await exists(newLeftover), 'a leftover younger than a minute may still be written');
+    await fs.rm(newLeftover);
+});
@@ -0,0 +1,207 @@
+// jobQueue.test.js - Job tiles leased to generator clients (who may finish them, and expiry),
+// server workers (retries, skipping, resuming) and how tile states are persisted
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { after, before, test } from 'node:test';
+import { useTempTree } from './helpers.js';
+
+const LEASE_TTL_MS = 200;
+const root = await useTempTree({
+    GENERATION_LEASE_TTL_MS: String(LEASE_TTL_MS),
+    GENERATION_RETRY_BASE_MS: '10'
+});
+const { default: storage } = await import('../storage.js');
+const { default: jobQueue } = await import('../jobQueue.js');
+const { SqliteAdapter } = await import('../storageAdapters.js');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function clientJob(tiles) {
+    return jobQueue.createJob({ sectorCode: 'M713', mode: 'replace-all', tiles, executor: 'client' });
+}
+
+// The writes storage makes while fn runs, as "collection key"
+async function recordWrites(fn) {
+    const writes = [];
+    const put = storage.adapter.put;
+    storage.adapter.put = function (collection, key, value) {
+        writes.push(`${collection} ${key}`);
+        return put.call(this, collection, key, value);
+    };
+    try {
+        await fn();
+    } finally {
+        storage.adapter.put = put;
+    }
+    return writes;
+}
+
+// Until the job has no queued or running tiles left
+async function settled(jobId) {
+    for (let i = 0; i < 100 && Object.values(jobQueue.getJob(jobId).tileStates)
+        .some(s => s.state === 'queued' || s.state === 'running'); i++) {
+        await wait(50);
+    }
+    return jobQueue.getJob(jobId);
+}
+
+before(async () => {
+    await storage.ready;
+});
+
+after(async () => {
+    await storage.close();
+    await fs.rm(root, { recursive: true, force: true });
+});
+
+test('only the client holding the lease can finish a tile', () => {
+    const { jobId } = clientJob(['M7131', 'M7132']);
+    const lease = jobQueue.leaseTiles(jobId, 'tab-a', 1);
+    assert.deepEqual(lease.tiles, ['M7131']);
+
+    assert.throws(() => jobQueue.completeLease(jobId, 'tab-b', 'M7131'), /not leased to tab-b/);
+    assert.throws(() => jobQueue.completeLease(jobId, 'tab-a', 'M7132'), /not leased to tab-a/);
+    assert.throws(() => jobQueue.failLease(jobId, 'tab-b', 'M7131', 'broken'), /not leased to tab-b/);
+    const job = jobQueue.getJob(jobId);
+    assert.equal(job.tileStates.M7131.state, 'leased');
+    assert.equal(job.tileStates.M7131.leasedBy, 'tab-a');
+    assert.equal(job.tileStates.M7132.state, 'queued');
+
+    jobQueue.completeLease(jobId, 'tab-a', 'M7131');
+    assert.equal(jobQueue.getJob(jobId).tileStates.M7131.state, 'done');
+    assert.equal(jobQueue.getJob(jobId).processedTiles, 1);
+});
+
+test('another client gets the tiles that are not leased', () => {
+    const { jobId } = clientJob(['M7131', 'M7132', 'M7133']);
+    assert.deepEqual(jobQueue.leaseTiles(jobId, 'tab-a', 2).tiles, ['M7131', 'M7132']);
+    assert.deepEqual(jobQueue.leaseTiles(jobId, 'tab-b', 2).tiles, ['M7133']);
+    assert.deepEqual(jobQueue.leaseTiles(jobId, 'tab-c', 2).tiles, []);
+});
+
+test('a lease that is not renewed expires when the job is read', async () => {
+    const { jobId } = clientJob(['M7131']);
+    jobQueue.leaseTiles(jobId, 'tab-a', 1);
+    await wait(LEASE_TTL_MS + 50);
+
+    const tileState = jobQueue.getJob(jobId).tileStates.M7131;
+    assert.equal(tileState.state, 'queued');
+    assert.equal(tileState.attempts, 1);
+    assert.match(tileState.error, /Lease expired \(tab-a\)/);
+    assert.equal(jobQueue.getAllJobs().find(job => job.jobId === jobId).tileStates.M7131.state, 'queued');
+    assert.throws(() => jobQueue.completeLease(jobId, 'tab-a', 'M7131'), /not leased/);
+
+    await wait(20); // Retry backoff
+    assert.deepEqual(jobQueue.leaseTiles(jobId, 'tab-b', 1).tiles, ['M7131']);
+    jobQueue.completeLease(jobId, 'tab-b', 'M7131');
+    assert.equal(jobQueue.getJob(jobId).status, 'completed');
+});
+
+test('asking for more tiles renews the leases a client holds', async () => {
+    const { jobId } = clientJob(['M7131', 'M7132']);
+    jobQueue.leaseTiles(jobId, 'tab-a', 1);
+    await wait(LEASE_TTL_MS / 2 + 20);
+    jobQueue.leaseTiles(jobId, 'tab-a', 1);
+    await wait(LEASE_TTL_MS / 2 + 20);
+
+    const job = jobQueue.getJob(jobId);
+    assert.equal(job.tileStates.M7131.state, 'leased');
+    assert.equal(job.tileStates.M7132.state, 'leased');
+});
+
+test('released tiles go back to the queue without counting an attempt', () => {
+    const { jobId } = clientJob(['M7131', 'M7132']);
+    jobQueue.leaseTiles(jobId, 'tab-a', 2);
+    jobQueue.releaseLeases(jobId, 'tab-a');
+
+    const job = jobQueue.getJob(jobId);
+    assert.deepEqual(Object.values(job.tileStates).map(s => [s.state, s.attempts]), [['queued', 0], ['queued', 0]]);
+    assert.deepEqual(jobQueue.leaseTiles(jobId, 'tab-b', 2).tiles, ['M7131', 'M7132']);
+});
+
+test('a job that does not exist has no leases', () => {
+    assert.equal(jobQueue.checkLease('job_missing', 'tab-a', 'M7131'), null);
+    assert.equal(jobQueue.leaseTiles('job_missing', 'tab-a', 1), null);
+});
+
+test('a tile changing state writes that tile and the job\'s counters, not the other tiles', async () => {
+    const { jobId } = clientJob(['M7131', 'M7132', 'M7133']);
+    jobQueue.leaseTiles(jobId, 'tab-a', 1);
+
+    const writes = await recordWrites(() => jobQueue.completeLease(jobId, 'tab-a', 'M7131'));
+    assert.deepEqual(writes, [`jobs ${jobId}`, `jobTiles ${jobId}:M7131`]);
+    assert.deepEqual(await recordWrites(() => jobQueue.leaseTiles(jobId, 'tab-b', 1)), [`jobs ${jobId}`, `jobTiles ${jobId}:M7132`]);
+});
+
+test('tile states are stored as records of their own and read back onto their job', async () => {
+    const { jobId } = clientJob(['M7131', 'M7132']);
+    jobQueue.leaseTiles(jobId, 'tab-a', 1);
+    jobQueue.completeLease(jobId, 'tab-a', 'M7131');
+
+    const reopened = new SqliteAdapter(process.env.STORAGE_DB);
+    const data = await reopened.load();
+    await reopened.close();
+    assert.equal(data.jobs.get(jobId).tileStates, undefined);
+    assert.equal(data.jobs.get(jobId).uploadedTiles, 1);
+    assert.equal(data.jobTiles.get(`${jobId}:M7131`).state, 'done');
+    assert.equal(data.jobTiles.get(`${jobId}:M7132`).state, 'queued');
+
+    // A job saved with its tile states inline (before they had records) is split up once
+    const legacy = { ...jobQueue.getJob(jobId), jobId: 'job_legacy' };
+    storage.jobs.set(legacy.jobId, legacy);
+    storage.adapter.put('jobs', legacy.jobId, legacy);
+    storage.attachJobTiles(new Map());
+    assert.deepEqual(storage.adapter.find('jobTiles', { job_id: 'job_legacy' }).sort(), ['job_legacy:M7131', 'job_legacy:M7132']);
+    storage.deleteJob('job_legacy');
+    assert.deepEqual(storage.adapter.find('jobTiles', { job_id: 'job_legacy' }), []);
+});
+
+test('server workers retry a failed tile with backoff and give up after the last attempt', async () => {
+    const calls = {};
+    jobQueue.setTileHandler(async tileCode => {
+        calls[tileCode] = (calls[tileCode] || 0) + 1;
+        if (tileCode === 'M7132' || calls[tileCode] === 1) {
+            throw new Error(`render ${calls[tileCode]} failed`);
+        }
+    });
+    const { jobId } = jobQueue.createJob({ sectorCode: 'M713', mode: 'replace-all', tiles: ['M7131', 'M7132'], executor: 'server' });
+
+    const job = await settled(jobId);
+    assert.deepEqual(job.tileStates.M7131.state, 'done');
+    assert.equal(job.tileStates.M7131.attempts, 1);
+    assert.equal(job.tileStates.M7132.state, 'failed');
+    assert.equal(job.tileStates.M7132.attempts, 3);
+    assert.deepEqual(job.failedTiles, [{ code: 'M7132', error: 'render 3 failed' }]);
+    assert.equal(job.status, 'completed');
+    assert.deepEqual(calls, { M7131: 2, M7132: 3 });
+});
+
+test('server workers skip tiles the job\'s mode no longer wants', async () => {
+    storage.setTile('M7134', { tileCode: 'M7134', sectorCode: 'M713', hash: 'stored' });
+    const rendered = [];
+    jobQueue.setTileHandler(async tileCode => rendered.push(tileCode));
+    const { jobId } = jobQueue.createJob({ sectorCode: 'M713', mode: 'only-missing', tiles: ['M7134', 'M7135'], executor: 'server' });
+
+    const job = await settled(jobId);
+    assert.equal(job.tileStates.M7134.state, 'skipped');
+    assert.equal(job.tileStates.M7135.state, 'done');
+    assert.deepEqual(rendered, ['M7135']);
+    assert.equal(job.skippedTiles, 1);
+});
+
+test('tiles left running by a restart go back to the queue', async () => {
+    jobQueue.stopped = true; // No workers: the job stays as a crash left it
+    try {
+        const job = jobQueue.createJob({ sectorCode: 'M713', mode: 'replace-all', tiles: ['M7136', 'M7137'], executor: 'server' });
+        jobQueue.setTileState(job, 'M7136', { state: 'running' });
+
+        const writes = await recordWrites(() => jobQueue.resumeInterrupted());
+
+        assert.equal(jobQueue.getJob(job.jobId).tileStates.M7136.state, 'queued');
+        assert.ok(writes.includes(`jobTiles ${job.jobId}:M7136`));
+        assert.ok(!writes.includes(`jobTiles ${job.jobId}:M7137`));
+        jobQueue.cancel(job.jobId);
+    } finally {
+        jobQueue.stopped = false;
+    }
+});
@@ -0,0 +1,135 @@
+// renderer.test.js - renderTile() offline, from a z/x/y directory of imagery tiles: the decal's
+// size and DPI, missing source tiles, a triangle across the antimeridian and near a pole
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+import { after, test } from 'node:test';
+import { useTempTree } from './helpers.js';
+
+const root = await useTempTree();
+console.log = () => {}; // imageryProviders.js reports what it loads; the test runner reads stdout
+const { renderTile } = await import('../renderer.js');
+const { createDirectoryTileSource } = await import('../tileSources.js');
+const { decalSize, lngLatToWorldPixel, tileCoordinates, unwrapLng } = await import('../tileGeometry.js');
+
+const ZOOM = 8; // A depth-4 triangle is some 200 source pixels across
+const DPI = 72; // Small decals (some 2,600px wide; 11,000px at 300 DPI). sharp writes no DPI below 72
+const WORLD_TILES = 2 ** ZOOM;
+const WEST = { r: 200, g: 0, b: 0 }; // The last column before +180°
+const EAST = { r: 0, g: 0, b: 200 }; // The first column after -180°
+const GREEN = { r: 0, g: 160, b: 0 }; // Elsewhere (not a colour the overlay or label strip draws)
+const WHITE = { r: 255, g: 255, b: 255 };
+
+// Imagery for the tile's triangle (and one source tile around it) as <dir>/<z>/<x>/<y>.png
+async function writeImagery(dir, tileCode) {
+    const vertices = tileCoordinates(tileCode).slice(0, 3);
+    const pixels = vertices.map(v => lngLatToWorldPixel(unwrapLng(v[0], vertices[0][0]), v[1], ZOOM, 256));
+    const range = axis => [
+        Math.floor(Math.min(...pixels.map(p => p[axis])) / 256) - 1,
+        Math.floor(Math.max(...pixels.map(p => p[axis])) / 256) + 1
+    ];
+    const [x0, x1] = range('x');
+    const [y0, y1] = range('y');
+    for (let tx = x0; tx <= x1; tx++) {
+        const x = ((tx % WORLD_TILES) + WORLD_TILES) % WORLD_TILES;
+        const background = x === WORLD_TILES - 1 ? WEST : x === 0 ? EAST : GREEN;
+        const image = await sharp({ create: { width: 256, height: 256, channels: 3, background } }).png().toBuffer();
+        await fs.mkdir(path.join(dir, `${ZOOM}`, `${x}`), { recursive: true });
+        for (let y = Math.max(0, y0); y <= Math.min(WORLD_TILES - 1, y1); y++) {
+            await fs.writeFile(path.join(dir, `${ZOOM}`, `${x}`, `${y}.png`), image);
+        }
+    }
+    return dir;
+}
+
+// A directory source, recording which tiles were asked for
+function recordingSource(dir) {
+    const source = createDirectoryTileSource(dir);
+    const requested = [];
+    return {
+        ...source,
+        requested,
+        getTile(z, x, y) {
+            requested.push({ z, x, y });
+            return source.getTile(z, x, y);
+        }
+    };
+}
+
+async function pixelCount(buffer, { r, g, b }) {
+    const { data, info } = await sharp(buffer).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+    let count = 0;
+    for (let i = 0; i < data.length; i += info.channels) {
+        if (Math.abs(data[i] - r) < 20 && Math.abs(data[i + 1] - g) < 20 && Math.abs(data[i + 2] - b) < 20) {
+            count++;
+        }
+    }
+    return count;
+}
+
+// Within 2% (the crop is whole source pixels)
+function assertClose(actual, expected) {
+    assert.ok(Math.abs(actual - expected) <= expected * 0.02, `${actual} ≈ ${expected}`);
+}
+
+after(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+});
+
+test('renders a decal from a directory source at the size and DPI of 1:100,000', async () => {
+    const source = recordingSource(await writeImagery(path.join(root, 'M7131'), 'M7131'));
+    const result = await renderTile('M7131', { source, zoom: ZOOM, dpi: DPI });
+
+    assert.equal(result.zoom, ZOOM);
+    assert.equal(result.missingTiles, 0);
+    assert.equal(result.sourceTiles, source.requested.length);
+    const expected = decalSize('M7131', DPI);
+    assertClose(result.width, expected.width);
+    assertClose(result.height, expected.height);
+    assert.ok(await pixelCount(result.buffer, GREEN) > 0);
+
+    const metadata = await sharp(result.buffer).metadata();
+    assert.equal(metadata.format, 'png');
+    assert.equal(metadata.width, result.width);
+    assert.equal(metadata.height, result.height);
+    assert.equal(metadata.density, DPI);
+});
+
+test('source tiles that do not exist are counted and left white', async () => {
+    const source = recordingSource(path.join(root, 'empty'));
+    const result = await renderTile('M7131', { source, zoom: ZOOM, dpi: DPI });
+    assert.ok(result.sourceTiles > 0);
+    assert.equal(result.missingTiles, result.sourceTiles);
+    assert.equal(await pixelCount(result.buffer, GREEN), 0);
+    assert.ok(await pixelCount(result.buffer, WHITE) > 0);
+});
+
+test('a triangle across the antimeridian takes imagery from both sides of it', async () => {
+    const source = recordingSource(await writeImagery(path.join(root, 'C3111'), 'C3111'));
+    const result = await renderTile('C3111', { source, zoom: ZOOM, dpi: DPI });
+
+    assert.equal(result.missingTiles, 0);
+    assert.ok(result.sourceTiles <= 4, `${result.sourceTiles} source tiles`);
+    assert.deepEqual([...new Set(source.requested.map(tile => tile.x))].sort((a, b) => a - b), [0, WORLD_TILES - 1]);
+    assert.ok(await pixelCount(result.buffer, WEST) > 0);
+    assert.ok(await pixelCount(result.buffer, EAST) > 0);
+    assertClose(result.width, decalSize('C3111', DPI).width);
+});
+
+test('a triangle reaching past Web Mercator\'s limit only asks for rows of the map', async () => {
+    const source = recordingSource(await writeImagery(path.join(root, 'A1151'), 'A1151'));
+    const result = await renderTile('A1151', { source, zoom: ZOOM, dpi: DPI, mask: 'white', bleedMm: 5 });
+
+    assert.equal(result.missingTiles, 0);
+    assert.ok(source.requested.length > 0);
+    assert.ok(source.requested.every(tile => tile.y >= 0 && tile.y < WORLD_TILES), JSON.stringify(source.requested));
+    assert.ok(await pixelCount(result.buffer, GREEN) > 0);
+});
+
+test('a triangle wholly beyond it is refused', async () => {
+    await assert.rejects(
+        renderTile('A1111', { source: recordingSource(path.join(root, 'empty')), zoom: ZOOM, dpi: DPI }),
+        /no Web Mercator imagery/
+    );
+});
@@ -0,0 +1,148 @@
+// storage.test.js - Both storage backends: persistence, indexed lookups, transactions,
+// writes before loading, the JSON import, and a store that cannot be read
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { after, describe, test } from 'node:test';
+import { useTempTree } from './helpers.js';
+
+// storage.js itself is pointed at an unreadable JSON store; the adapters are tested directly
+const root = await useTempTree({ STORAGE_BACKEND: 'json' });
+await fs.writeFile(process.env.STORAGE_FILE, '{ "sectors": { "M713": ');
+console.log = () => {}; // Storage reports what it loads and imports; the test runner reads stdout
+const { JsonAdapter, SqliteAdapter } = await import('../storageAdapters.js');
+const { default: storage } = await import('../storage.js');
+
+let opened = 0;
+const BACKENDS = {
+    json: () => new JsonAdapter(path.join(root, `store-${++opened}.json`)),
+    sqlite: () => new SqliteAdapter(path.join(root, `store-${++opened}.db`))
+};
+
+// The same store opened again, as after a restart
+function reopen(adapter) {
+    return adapter.name === 'json' ? new JsonAdapter(adapter.filePath) : new SqliteAdapter(adapter.dbPath);
+}
+
+const tile = (tileCode, quality) => ({ tileCode, sectorCode: tileCode.slice(0, 4), quality: { status: quality } });
+
+after(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+});
+
+for (const [name, create] of Object.entries(BACKENDS)) {
+    describe(`${name} backend`, () => {
+        test('records survive a restart, deletes too', async () => {
+            const adapter = create();
+            await adapter.load();
+            adapter.put('tiles', 'M7131', tile('M7131', 'ok'));
+            adapter.put('tiles', 'M7132', tile('M7132', 'ok'));
+            adapter.put('jobs', 'job_1', { jobId: 'job_1', status: 'running' });
+            adapter.delete('tiles', 'M7132');
+            await adapter.close();
+
+            const again = reopen(adapter);
+            const data = await again.load();
+            assert.deepEqual([...data.tiles.keys()], ['M7131']);
+            assert.deepEqual(data.tiles.get('M7131'), tile('M7131', 'ok'));
+            assert.equal(data.jobs.get('job_1').status, 'running');
+            assert.equal(data.sectors.size, 0);
+            await again.close();
+        });
+
+        test('find() looks records up by sector and status', async () => {
+            const adapter = create();
+            await adapter.load();
+            adapter.put('tiles', 'M7131', tile('M7131', 'ok'));
+            adapter.put('tiles', 'M7132', tile('M7132', 'flagged'));
+            adapter.put('tiles', 'M7141', tile('M7141', 'flagged'));
+            adapter.put('jobs', 'job_1', { jobId: 'job_1', sectorCode: 'M713', status: 'running' });
+            adapter.put('jobs', 'job_2', { jobId: 'job_2', sectorCode: 'M714', status: 'completed' });
+
+            assert.deepEqual(adapter.find('tiles', { sector_code: 'M713' }).sort(), ['M7131', 'M7132']);
+            assert.deepEqual(adapter.find('tiles', { status: 'flagged' }).sort(), ['M7132', 'M7141']);
+            assert.deepEqual(adapter.find('tiles', { sector_code: 'M713', status: 'flagged' }), ['M7132']);
+            assert.deepEqual(adapter.find('tiles', { sector_code: 'M713', status: undefined }).length, 2);
+            assert.deepEqual(adapter.find('jobs', { status: 'running' }), ['job_1']);
+            assert.deepEqual(adapter.find('jobs', { sector_code: 'M714' }), ['job_2']);
+
+            // A changed record is found by its new values
+            adapter.put('tiles', 'M7132', tile('M7132', 'ok'));
+            assert.deepEqual(adapter.find('tiles', { status: 'flagged' }), ['M7141']);
+            await adapter.close();
+        });
+
+        test('a transaction applies its writes together (SQLite: or none of them)', async () => {
+            const adapter = create();
+            await adapter.load();
+            adapter.transaction(() => {
+                adapter.put('tiles', 'M7131', tile('M7131', 'ok'));
+                adapter.put('sectors', 'M713', { sectorCode: 'M713', status: 'incomplete' });
+            });
+            if (name === 'sqlite') {
+                assert.throws(() => adapter.transaction(() => {
+                    adapter.put('tiles', 'M7132', tile('M7132', 'ok'));
+                    throw new Error('interrupted');
+                }), /interrupted/);
+            }
+            await adapter.close();
+
+            const data = await reopen(adapter).load();
+            assert.deepEqual([...data.tiles.keys()], ['M7131']);
+            assert.equal(data.sectors.get('M713').status, 'incomplete');
+        });
+
+        test('writes made before loading are kept', async () => {
+            const adapter = create();
+            await adapter.load();
+            adapter.put('tiles', 'M7131', tile('M7131', 'ok'));
+            await adapter.close();
+
+            const again = reopen(adapter);
+            again.put('tiles', 'M7132', tile('M7132', 'ok'));
+            const data = await again.load();
+            assert.deepEqual([...data.tiles.keys()].sort(), ['M7131', 'M7132']);
+            await again.close();
+
+            const third = await reopen(adapter).load();
+            assert.deepEqual([...third.tiles.keys()].sort(), ['M7131', 'M7132']);
+        });
+    });
+}
+
+test('SQLite imports an existing JSON store once, and keeps the file', async () => {
+    const json = BACKENDS.json();
+    await json.load();
+    json.put('sectors', 'M713', { sectorCode: 'M713', status: 'complete' });
+    json.put('tiles', 'M7131', tile('M7131', 'ok'));
+    await json.close();
+
+    const dbPath = path.join(root, 'imported.db');
+    const sqlite = new SqliteAdapter(dbPath, { importFrom: json.filePath });
+    const data = await sqlite.load();
+    assert.equal(data.sectors.get('M713').status, 'complete');
+    assert.deepEqual(sqlite.find('sectors', { status: 'complete' }), ['M713']);
+    assert.equal(sqlite.getMeta('importedFrom'), json.filePath);
+    sqlite.delete('tiles', 'M7131');
+    await sqlite.close();
+
+    // Not imported again: the deleted tile stays deleted
+    const again = await new SqliteAdapter(dbPath, { importFrom: json.filePath }).load();
+    assert.equal(again.tiles.size, 0);
+    await fs.access(json.filePath);
+});
+
+test('a JSON store that cannot be read fails loading and refuses writes', async () => {
+    const adapter = new JsonAdapter(process.env.STORAGE_FILE);
+    adapter.put('tiles', 'M7131', tile('M7131', 'ok')); // Before loading: kept for later
+    await assert.rejects(adapter.load(), /Cannot read/);
+    assert.throws(() => adapter.put('tiles', 'M7132', tile('M7132', 'ok')), /not writable/);
+    await adapter.close();
+    assert.equal(await fs.readFile(process.env.STORAGE_FILE, 'utf8'), '{ "sectors": { "M713": ');
+});
+
+test('storage does not start on a store that cannot be read', async () => {
+    await assert.rejects(storage.ready, /Cannot read/);
+    assert.throws(() => storage.setTile('M7131', tile('M7131', 'ok')), /not writable/);
+    assert.equal(await fs.readFile(process.env.STORAGE_FILE, 'utf8'), '{ "sectors": { "M713": ');
+});
@@ -0,0 +1,193 @@
+// tileImport.test.js - Imports from a directory, ZIP and TAR, under each conflict policy
+import assert from 'node:assert/strict';
+import { createWriteStream } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import { after, before, test } from 'node:test';
+import archiver from 'archiver';
+import { exists, noisePng, sha256, useTempTree } from './helpers.js';
+
+// The test images are far smaller than real tiles, so validation only warns
+const root = await useTempTree({ UPLOAD_VALIDATION: 'warn', IMPORT_MAX_TILE_MB: '1' });
+const { default: storage } = await import('../storage.js');
+const { importTiles } = await import('../tileImport.js');
+const { STAGING_DIR, tileFilePath } = await import('../tileStore.js');
+const { versionPath } = await import('../tileVersions.js');
+
+// Write files ({ name: buffer }) into an archive ('zip', or 'tar' with { gzip })
+async function writeArchive(file, format, files, options = {}) {
+    const archive = archiver(format, options);
+    const output = createWriteStream(path.join(root, file));
+    const closed = new Promise((resolve, reject) => {
+        output.on('close', resolve);
+        archive.on('error', reject);
+    });
+    archive.pipe(output);
+    for (const [name, buffer] of Object.entries(files)) {
+        archive.append(buffer, { name });
+    }
+    await archive.finalize();
+    await closed;
+    return path.join(root, file);
+}
+
+async function writeDirectory(dir, files) {
+    for (const [name, buffer] of Object.entries(files)) {
+        await fs.mkdir(path.join(root, dir, path.dirname(name)), { recursive: true });
+        await fs.writeFile(path.join(root, dir, name), buffer);
+    }
+    return path.join(root, dir);
+}
+
+function statusOf(report, file) {
+    return report.files.find(entry => entry.file === file)?.status;
+}
+
+async function fileHash(tileCode) {
+    return sha256(await fs.readFile(tileFilePath(tileCode)));
+}
+
+before(async () => {
+    await storage.ready;
+});
+
+after(async () => {
+    await storage.close();
+    await fs.rm(root, { recursive: true, force: true });
+});
+
+test('an unknown policy is refused', async () => {
+    await assert.rejects(importTiles(root, { policy: 'overwrite' }), /policy must be one of/);
+});
+
+test('a directory: tiles are stored, other files ignored, archiver clutter left out', async () => {
+    const source = await writeDirectory('folder', {
+        'M7131.png': await noisePng(),
+        'renders/1700000000_M7132.png': await noisePng(),
+        'notes.txt': Buffer.from('not a tile'),
+        'overview.png': await noisePng(),
+        '__MACOSX/._M7131.png': Buffer.from('resource fork')
+    });
+
+    const report = await importTiles(source);
+    assert.equal(report.type, 'directory');
+    assert.equal(statusOf(report, 'M7131.png'), 'stored');
+    assert.equal(statusOf(report, 'renders/1700000000_M7132.png'), 'stored');
+    assert.equal(statusOf(report, 'notes.txt'), 'ignored');
+    assert.equal(statusOf(report, 'overview.png'), 'ignored');
+    assert.ok(!report.files.some(entry => entry.file.startsWith('__MACOSX/')));
+    assert.deepEqual(storage.getSector('M713').tiles, ['M7131', 'M7132']);
+});
+
+test('skip (ZIP): a stored tile keeps its image, a new tile is stored', async () => {
+    const stored = await fileHash('M7131');
+    const source = await writeArchive('skip.zip', 'zip', {
+        'tiles/M7131.png': await noisePng(),
+        'tiles/M7133.png': await noisePng()
+    });
+
+    const report = await importTiles(source, { policy: 'skip' });
+    assert.equal(report.type, 'zip');
+    assert.equal(statusOf(report, 'tiles/M7131.png'), 'skipped');
+    assert.equal(statusOf(report, 'tiles/M7133.png'), 'stored');
+    assert.equal(await fileHash('M7131'), stored);
+    assert.equal(storage.getTile('M7131').versions.length, 1);
+});
+
+test('any policy (TAR.GZ): the image a tile already has is unchanged and stores nothing', async () => {
+    const image = await fs.readFile(tileFilePath('M7131'));
+    const source = await writeArchive('same.tar.gz', 'tar', { 'M7131.png': image }, { gzip: true });
+
+    const report = await importTiles(source, { policy: 'new-version' });
+    assert.equal(report.type, 'tar.gz');
+    assert.equal(statusOf(report, 'M7131.png'), 'unchanged');
+    assert.equal(storage.getTile('M7131').versions.length, 1);
+});
+
+test('new-version (TAR): the import becomes current and the old image stays a version', async () => {
+    const old = storage.getTile('M7132').current;
+    const image = await noisePng();
+    const source = await writeArchive('new.tar', 'tar', { 'M7132_v2.png': image });
+
+    const report = await importTiles(source, { policy: 'new-version' });
+    assert.equal(report.type, 'tar');
+    assert.equal(statusOf(report, 'M7132_v2.png'), 'new-version');
+    const tile = storage.getTile('M7132');
+    assert.equal(tile.current, sha256(image));
+    assert.equal(await fileHash('M7132'), sha256(image));
+    assert.ok(tile.versions.some(v => v.hash === old));
+    assert.ok(await exists(versionPath('M7132', old)));
+});
+
+test('replace (ZIP): the import becomes current and the replaced version is removed', async () => {
+    const [first, replaced] = storage.getTile('M7132').versions.map(v => v.hash);
+    const image = await noisePng();
+    const source = await writeArchive('replace.zip', 'zip', { 'M7132.png': image });
+
+    const report = await importTiles(source, { policy: 'replace' });
+    assert.equal(statusOf(report, 'M7132.png'), 'replaced');
+    const tile = storage.getTile('M7132');
+    assert.equal(tile.current, sha256(image));
+    assert.equal(await fileHash('M7132'), sha256(image));
+    assert.ok(!tile.versions.some(v => v.hash === replaced));
+    assert.ok(!(await exists(versionPath('M7132', replaced))));
+    assert.ok(tile.versions.some(v => v.hash === first), 'older versions are kept');
+});
+
+// A tile stored before version history: a file and a record without versions
+async function storeLegacyTile(tileCode) {
+    const buffer = await noisePng();
+    await fs.mkdir(path.dirname(tileFilePath(tileCode)), { recursive: true });
+    await fs.writeFile(tileFilePath(tileCode), buffer);
+    storage.setTile(tileCode, { tileCode, sectorCode: 'M713', hash: sha256(buffer), filePath: tileFilePath(tileCode), sizeBytes: buffer.length });
+    return sha256(buffer);
+}
+
+test('new-version over a tile without versions: its image is kept as a version first', async () => {
+    const old = await storeLegacyTile('M7134');
+    const image = await noisePng();
+    const report = await importTiles(await writeArchive('legacy.zip', 'zip', { 'M7134.png': image }), { policy: 'new-version' });
+    assert.equal(statusOf(report, 'M7134.png'), 'new-version');
+    const tile = storage.getTile('M7134');
+    assert.equal(tile.current, sha256(image));
+    assert.deepEqual(tile.versions.map(v => v.hash), [old, sha256(image)]);
+    assert.ok(await exists(versionPath('M7134', old)));
+});
+
+test('replace over a tile without versions: the replaced image is not kept', async () => {
+    const old = await storeLegacyTile('M7135');
+    const image = await noisePng();
+    const report = await importTiles(await writeArchive('legacy.tar', 'tar', { 'M7135.png': image }), { policy: 'replace' });
+    assert.equal(statusOf(report, 'M7135.png'), 'replaced');
+    const tile = storage.getTile('M7135');
+    assert.deepEqual(tile.versions.map(v => v.hash), [sha256(image)]);
+    assert.ok(!(await exists(versionPath('M7135', old))));
+    assert.equal(await fileHash('M7135'), sha256(image));
+});
+
+test('an image over IMPORT_MAX_TILE_MB is rejected unread, from any source', async () => {
+    const large = await noisePng(700, 600);
+    assert.ok(large.length > 1024 * 1024);
+    const files = {
+        'M7136.png': large,
+        'scan.tif': large,
+        'M7137.png': await noisePng()
+    };
+    const sources = [
+        await writeDirectory('large', files),
+        await writeArchive('large.zip', 'zip', files),
+        await writeArchive('large.tar.gz', 'tar', files, { gzip: true })
+    ];
+    for (const source of sources) {
+        const report = await importTiles(source, { policy: 'new-version' });
+        assert.equal(statusOf(report, 'M7136.png'), 'rejected', source);
+        assert.match(report.files.find(entry => entry.file === 'M7136.png').detail, /more than the 1 MB allowed/);
+        assert.equal(statusOf(report, 'scan.tif'), 'ignored');
+        assert.ok(['stored', 'unchanged'].includes(statusOf(report, 'M7137.png')), source);
+    }
+    assert.equal(storage.getTile('M7136'), undefined);
+});
+
+test('nothing is left in staging', async () => {
+    assert.deepEqual(await fs.readdir(STAGING_DIR), []);
+});
@@ -0,0 +1,110 @@
+// tileLookup.test.js - TileLookup's hierarchy (depth, parent, ancestors, children) and the
+// edge neighbours of a tile, within its face and across to the next one
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import TileLookup from '../../lib/TileLookup.js';
+
+const lookup = new TileLookup();
+
+// Every tile of the globe at a depth
+function allTiles(depth) {
+    return lookup.facets.flatMap(face => lookup.descendants(face, depth));
+}
+
+function sameCorner(a, b) {
+    return Math.abs(a[0] - b[0]) < 1e-9 && Math.abs(a[1] - b[1]) < 1e-9;
+}
+
+test('a code is a face letter and digits 1-9, of any depth and either case', () => {
+    assert.equal(lookup.isValidCode('M713289'), true);
+    assert.equal(lookup.isValidCode('m7'), true);
+    assert.equal(lookup.isValidCode('T'), true);
+    for (const code of ['U1', 'M703', 'M71a', '7131', '', null, 7131]) {
+        assert.equal(lookup.isValidCode(code), false, String(code));
+    }
+    assert.equal(lookup.normalizeCode('m713'), 'M713');
+    assert.throws(() => lookup.normalizeCode('M703'), /Invalid tile code: M703/);
+    assert.throws(() => lookup.parent('X1'), /Invalid tile code/);
+});
+
+test('depth, parent and ancestor walk up the code', () => {
+    assert.equal(lookup.depth('M'), 0);
+    assert.equal(lookup.depth('M713289'), 6);
+    assert.equal(lookup.parent('m713289'), 'M71328');
+    assert.equal(lookup.parent('M'), null);
+    assert.equal(lookup.ancestor('M713289', 3), 'M713');
+    assert.equal(lookup.ancestor('M713289', 0), 'M');
+    assert.equal(lookup.ancestor('M713289', 6), 'M713289');
+    assert.throws(() => lookup.ancestor('M713', 4), /Invalid depth 4/);
+    assert.throws(() => lookup.ancestor('M713', 1.5), /Invalid depth/);
+});
+
+test('children and descendants walk down it, in code order', () => {
+    assert.deepEqual(lookup.children('M71'), ['M711', 'M712', 'M713', 'M714', 'M715', 'M716', 'M717', 'M718', 'M719']);
+    assert.deepEqual(lookup.descendants('M713', 0), ['M713']);
+    const grandchildren = lookup.descendants('M713', 2);
+    assert.equal(grandchildren.length, 81);
+    assert.equal(grandchildren[0], 'M71311');
+    assert.equal(grandchildren[80], 'M71399');
+    assert.deepEqual([...grandchildren].sort(), grandchildren);
+    assert.throws(() => lookup.descendants('M713', -1), /Invalid number of levels/);
+
+    assert.equal(lookup.isAncestor('M7', 'm713289'), true);
+    assert.equal(lookup.isAncestor('M713', 'M713'), false);
+    assert.equal(lookup.isAncestor('M713', 'M71'), false);
+    assert.equal(lookup.isAncestor('M713', 'M7141'), false);
+});
+
+test('the code of a point has the code of the point one level up as its parent', () => {
+    for (const [lat, lon] of [[51.5, -0.12], [-33.9, 151.2], [0, 179.9], [89, 10], [-89, -170]]) {
+        const deep = lookup.locationToName(lat, lon, 6);
+        for (let depth = 0; depth < 6; depth++) {
+            assert.equal(lookup.ancestor(deep, depth), lookup.locationToName(lat, lon, depth), `${lat},${lon} at ${depth}`);
+        }
+    }
+});
+
+test('the centre of each child looks up to that child', () => {
+    for (const parent of ['M713', 'A1', 'T999']) {
+        for (const child of lookup.children(parent)) {
+            const [a, b, c] = lookup.nameToFacet(child);
+            assert.equal(lookup.pointToName(TileLookup.interp(a, b, c), lookup.depth(child)), child);
+        }
+    }
+});
+
+test('every tile has three different neighbours that each share the edge back', () => {
+    const tiles = allTiles(2);
+    let acrossFaces = 0;
+    for (const code of tiles) {
+        const neighbors = lookup.neighbors(code);
+        assert.equal(new Set(neighbors.map(n => n.code)).size, 3, code);
+
+        for (const { code: neighbor, edge } of neighbors) {
+            assert.notEqual(neighbor, code);
+            assert.equal(lookup.depth(neighbor), 2);
+            assert.ok(lookup.neighbors(neighbor).some(n => n.code === code), `${neighbor} does not list ${code}`);
+
+            const corners = lookup.nameToLocations(neighbor);
+            assert.ok(edge.every(end => corners.some(corner => sameCorner(corner, end))), `${code}/${neighbor} edge`);
+            if (neighbor[0] !== code[0]) {
+                acrossFaces++;
+            }
+        }
+    }
+
+    // Each of the icosahedron's 30 edges is crossed by 9 depth-2 tiles on each side
+    assert.equal(acrossFaces, 30 * 9 * 2);
+});
+
+test('neighbours are found at the printed depth', () => {
+    const code = lookup.locationToName(51.5, -0.12);
+    const neighbors = lookup.neighbors(code);
+    assert.equal(neighbors.length, 3);
+    for (const { code: neighbor, edge } of neighbors) {
+        assert.equal(neighbor.length, code.length);
+        assert.ok(lookup.neighbors(neighbor).some(n => n.code === code));
+        const corners = lookup.nameToLocations(neighbor);
+        assert.ok(edge.every(end => corners.some(corner => sameCorner(corner, end))));
+    }
+});
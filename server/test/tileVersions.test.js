@@ -0,0 +1,180 @@
+// tileVersions.test.js - Every stored tile image kept as a version: retention (count, age,
+// never the current one) and rolling back by hash or by time
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { after, before, test } from 'node:test';
+import { exists, noisePng, sha256, useTempTree } from './helpers.js';
+
+const root = await useTempTree({ TILE_VERSIONS_KEEP: '3' });
+console.log = () => {}; // Rollbacks are logged; the test runner reads stdout
+const { default: storage } = await import('../storage.js');
+const { STAGING_DIR, dropTileVersion, pruneTileVersions, rollbackTile, storeTileVersion } = await import('../tileStore.js');
+const { diffVersions, expiredVersions, findVersion, versionPath } = await import('../tileVersions.js');
+
+const OK = { status: 'ok', reasons: [] };
+const FLAGGED = { status: 'flagged', reasons: ['blurry'] };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Store an image as the tile's new version; returns its hash
+async function store(tileCode, buffer, quality = OK) {
+    const stagedPath = path.join(STAGING_DIR, `${Date.now()}_${Math.random().toString(16).slice(2)}.png`);
+    await fs.writeFile(stagedPath, buffer);
+    await storeTileVersion(tileCode, 'M713', stagedPath, buffer, quality, 'upload');
+    await wait(5); // Distinct createdAt and history times
+    return sha256(buffer);
+}
+
+async function currentFile(tileCode) {
+    return fs.readFile(storage.getTile(tileCode).filePath);
+}
+
+// A tile record with versions created `ages` days ago, the first of them current
+function agedTile(ages, now) {
+    return {
+        tileCode: 'M7139',
+        current: 'v0',
+        versions: ages.map((days, i) => ({ hash: `v${i}`, createdAt: new Date(now - days * DAY_MS).toISOString() }))
+    };
+}
+
+before(async () => {
+    await storage.ready;
+    await fs.mkdir(STAGING_DIR, { recursive: true });
+});
+
+after(async () => {
+    await storage.close();
+    await fs.rm(root, { recursive: true, force: true });
+});
+
+test('replacing a tile keeps the image it replaces as a version', async () => {
+    const first = await noisePng();
+    const second = await noisePng();
+    const a = await store('M7131', first);
+    const b = await store('M7131', second);
+
+    const tile = storage.getTile('M7131');
+    assert.equal(tile.current, b);
+    assert.deepEqual(tile.versions.map(v => v.hash), [a, b]);
+    assert.deepEqual(tile.history.map(e => e.hash), [a, b]);
+    assert.ok((await currentFile('M7131')).equals(second));
+    assert.ok((await fs.readFile(tile.versions[0].filePath)).equals(first));
+
+    // The same image again is the same version, and only the history grows
+    await store('M7131', second);
+    assert.deepEqual(storage.getTile('M7131').versions.map(v => v.hash), [a, b]);
+    assert.equal(storage.getTile('M7131').versions[1].createdAt, tile.versions[1].createdAt);
+    assert.equal(storage.getTile('M7131').history.length, 3);
+});
+
+test('storing a tile prunes it to the newest versions, counting the current one', async () => {
+    const hashes = [];
+    for (let i = 0; i < 4; i++) {
+        hashes.push(await store('M7132', await noisePng()));
+    }
+    const tile = storage.getTile('M7132');
+    assert.deepEqual(tile.versions.map(v => v.hash), hashes.slice(1));
+    assert.equal(tile.current, hashes[3]);
+    assert.equal(await exists(versionPath('M7132', hashes[0])), false);
+});
+
+test('retention never removes the current version, and drops versions past the age limit', () => {
+    const now = Date.now();
+
+    // The current version is the oldest: still kept, and it counts towards `keep`
+    const tile = agedTile([10, 1, 2, 3, 4], now);
+    assert.deepEqual(expiredVersions(tile, { keep: 3, maxAgeDays: 0 }, now).map(v => v.hash), ['v3', 'v4']);
+    assert.deepEqual(expiredVersions(tile, { keep: 1, maxAgeDays: 0 }, now).map(v => v.hash), ['v1', 'v2', 'v3', 'v4']);
+    assert.deepEqual(expiredVersions(tile, { keep: 10, maxAgeDays: 0 }, now), []);
+
+    assert.deepEqual(expiredVersions(tile, { keep: 10, maxAgeDays: 2.5 }, now).map(v => v.hash), ['v3', 'v4']);
+    assert.deepEqual(expiredVersions(tile, { keep: 2, maxAgeDays: 2.5 }, now).map(v => v.hash), ['v2', 'v3', 'v4']);
+});
+
+test('pruning with a stricter policy removes the records and the files', async () => {
+    const tile = storage.getTile('M7132');
+    const expired = await pruneTileVersions('M7132', { keep: 1, maxAgeDays: 0 });
+    assert.deepEqual(expired.map(v => v.hash), tile.versions.slice(0, 2).map(v => v.hash).reverse());
+    assert.deepEqual(storage.getTile('M7132').versions.map(v => v.hash), [tile.current]);
+    for (const version of expired) {
+        assert.equal(await exists(version.filePath), false);
+    }
+    assert.ok(await exists(tile.versions[2].filePath));
+});
+
+test('rolling back by hash brings back the image and its quality', async () => {
+    const first = await noisePng();
+    const a = await store('M7133', first, FLAGGED);
+    const b = await store('M7133', await noisePng());
+    assert.equal(storage.getSector('M713').flaggedTiles.includes('M7133'), false);
+
+    const result = await rollbackTile('M7133', { hash: a.slice(0, 10) });
+    assert.equal(result.changed, true);
+    assert.equal(result.version.hash, a);
+
+    const tile = storage.getTile('M7133');
+    assert.equal(tile.current, a);
+    assert.deepEqual(tile.quality, FLAGGED);
+    assert.deepEqual(tile.versions.map(v => v.hash), [a, b]);
+    assert.equal(tile.history.at(-1).source, 'rollback');
+    assert.ok((await currentFile('M7133')).equals(first));
+    assert.ok(storage.getSector('M713').flaggedTiles.includes('M7133'));
+
+    // Already current: nothing to do
+    assert.equal((await rollbackTile('M7133', { hash: a })).changed, false);
+});
+
+test('rolling back to a time takes the version that was current then', async () => {
+    const a = await store('M7134', await noisePng());
+    const between = new Date().toISOString();
+    await wait(5);
+    await store('M7134', await noisePng());
+    await store('M7134', await noisePng());
+
+    assert.equal((await rollbackTile('M7134', { at: between })).version.hash, a);
+    assert.equal(storage.getTile('M7134').current, a);
+
+    const before = new Date(Date.parse(storage.getTile('M7134').history[0].at) - 1000).toISOString();
+    assert.deepEqual(await rollbackTile('M7134', { at: before }), {
+        error: `Tile M7134 has no version from ${before}`,
+        status: 404
+    });
+});
+
+test('a rollback that cannot be done says why', async () => {
+    assert.deepEqual(await rollbackTile('M7138', { hash: 'abc' }), { error: 'Tile M7138 not found', status: 404 });
+    assert.equal((await rollbackTile('M7134', { hash: 'ffffffff' })).status, 404);
+    assert.equal((await rollbackTile('M7134', { at: 'yesterday-ish' })).status, 400);
+    assert.equal((await rollbackTile('M7134', {})).status, 400);
+
+    // Several versions starting with the prefix
+    const tile = { tileCode: 'M7139', versions: [{ hash: 'ab1' }, { hash: 'ab2' }] };
+    assert.deepEqual(findVersion(tile, { hash: 'ab' }), { error: 'Version "ab" is ambiguous', status: 400 });
+
+    // The version current at that time has been pruned since
+    const pruned = { ...tile, history: [{ hash: 'cd3', at: '2026-01-01T00:00:00Z' }] };
+    assert.match(findVersion(pruned, { at: '2026-02-01' }).error, /Version cd3 of tile M7139 has been pruned/);
+});
+
+test('a version can be dropped unless it is current, and versions diff by their metadata', async () => {
+    const tile = storage.getTile('M7134');
+    const other = tile.versions.find(v => v.hash !== tile.current);
+
+    assert.equal(await dropTileVersion('M7134', tile.current), false);
+    assert.equal(await dropTileVersion('M7134', other.hash), true);
+    assert.equal(await exists(other.filePath), false);
+    assert.equal(storage.getTile('M7134').versions.length, tile.versions.length - 1);
+
+    const diff = diffVersions(
+        { sizeBytes: 10, source: 'upload', createdAt: 'x', quality: OK },
+        { sizeBytes: 10, source: 'render', createdAt: 'x', quality: FLAGGED }
+    );
+    assert.deepEqual(diff, {
+        source: { from: 'upload', to: 'render' },
+        'quality.status': { from: 'ok', to: 'flagged' },
+        'quality.reasons': { from: [], to: ['blurry'] }
+    });
+});
@@ -0,0 +1,137 @@
+// uploadStaging.test.js - Staged uploads: checksum and decode checks, the commit marker that
+// finishes a tile interrupted between its move and its record, and where tile files are kept
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+import { fileURLToPath } from 'url';
+import { after, before, test } from 'node:test';
+import { exists, noisePng, sha256, useTempTree } from './helpers.js';
+
+const serverDir = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const root = await useTempTree({ UPLOAD_VALIDATION: 'warn' });
+
+// A record written before the tile directories were resolved: its paths are relative
+const { SqliteAdapter } = await import('../storageAdapters.js');
+const legacy = new SqliteAdapter(process.env.STORAGE_DB);
+legacy.put('tiles', 'M7139', {
+    tileCode: 'M7139',
+    sectorCode: 'M713',
+    filePath: 'uploads/M713/M7139.png',
+    versions: [{ hash: 'abc', filePath: 'versions/M713/M7139/abc.png' }]
+});
+await legacy.close();
+
+const { default: storage } = await import('../storage.js');
+const { STAGING_DIR, ingestTileImage, recoverTileCommits, storeTileVersion, tileFilePath } = await import('../tileStore.js');
+const { saveTileVersion } = await import('../tileVersions.js');
+const { commitStagedUpload, prepareStaging, verifyStagedUpload, writeCommitMarker } = await import('../uploadStaging.js');
+
+const OK = { status: 'ok', reasons: [] };
+
+async function stage(buffer) {
+    const stagedPath = path.join(STAGING_DIR, `${Date.now()}_${Math.random().toString(16).slice(2)}.png`);
+    await fs.writeFile(stagedPath, buffer);
+    return stagedPath;
+}
+
+// storeTileVersion() up to the point a crash interrupts it: 'marker' (before the move) or
+// 'moved' (before the record)
+async function interruptedStore(tileCode, buffer, stopAt) {
+    const stagedPath = await stage(buffer);
+    const version = await saveTileVersion(tileCode, stagedPath, { hash: sha256(buffer), sizeBytes: buffer.length, quality: OK, source: 'upload' });
+    const filePath = tileFilePath(tileCode);
+    await writeCommitMarker(stagedPath, { tileCode, sectorCode: 'M713', filePath, version, source: 'upload' });
+    if (stopAt === 'moved') {
+        await commitStagedUpload(stagedPath, filePath);
+    }
+    return version;
+}
+
+before(async () => {
+    await storage.ready;
+    await fs.mkdir(STAGING_DIR, { recursive: true });
+});
+
+after(async () => {
+    await storage.close();
+    await fs.rm(root, { recursive: true, force: true });
+});
+
+test('a staged upload with the checksum the client sent is accepted', async () => {
+    const buffer = await noisePng();
+    const result = await verifyStagedUpload(await stage(buffer), ` ${sha256(buffer).toUpperCase()} `);
+    assert.equal(result.error, undefined);
+    assert.equal(result.hash, sha256(buffer));
+    assert.ok(result.buffer.equals(buffer));
+});
+
+test('a checksum mismatch is rejected and the stored tile is untouched', async () => {
+    const stored = await noisePng();
+    await storeTileVersion('M7131', 'M713', await stage(stored), stored, OK, 'upload');
+
+    const result = await ingestTileImage('M7131', 'M713', await stage(await noisePng()), { checksum: sha256(stored) });
+    assert.equal(result.status, 400);
+    assert.match(result.error, /Checksum mismatch/);
+    assert.equal(storage.getTile('M7131').current, sha256(stored));
+    assert.ok((await fs.readFile(tileFilePath('M7131'))).equals(stored));
+});
+
+test('a truncated PNG and a JPEG do not pass the decode check', async () => {
+    const png = await noisePng();
+    const truncated = await verifyStagedUpload(await stage(png.subarray(0, png.length - 200)));
+    assert.equal(truncated.status, 400);
+    assert.match(truncated.error, /does not decode/);
+
+    const jpeg = await sharp(png).jpeg().toBuffer();
+    const result = await ingestTileImage('M7132', 'M713', await stage(jpeg));
+    assert.equal(result.status, 400);
+    assert.match(result.error, /Not a PNG/);
+    assert.equal(storage.getTile('M7132'), undefined);
+});
+
+test('a store interrupted after the move is finished at startup', async () => {
+    const buffer = await noisePng();
+    const version = await interruptedStore('M7133', buffer, 'moved');
+    assert.equal(storage.getTile('M7133'), undefined);
+
+    assert.equal(await recoverTileCommits(), 1);
+    const tile = storage.getTile('M7133');
+    assert.equal(tile.current, version.hash);
+    assert.equal(tile.filePath, tileFilePath('M7133'));
+    assert.ok(storage.getSector('M713').tiles.includes('M7133'));
+    assert.ok((await fs.readFile(tile.filePath)).equals(buffer));
+    assert.deepEqual((await fs.readdir(STAGING_DIR)).filter(name => name.endsWith('.commit')), []);
+});
+
+test('a store interrupted before the move is finished from the kept version', async () => {
+    const previous = await noisePng();
+    await storeTileVersion('M7134', 'M713', await stage(previous), previous, OK, 'upload');
+    const buffer = await noisePng();
+    await interruptedStore('M7134', buffer, 'marker');
+    assert.ok((await fs.readFile(tileFilePath('M7134'))).equals(previous));
+
+    assert.equal(await recoverTileCommits(), 1);
+    assert.equal(storage.getTile('M7134').current, sha256(buffer));
+    assert.deepEqual(storage.getTile('M7134').versions.map(v => v.hash), [sha256(previous), sha256(buffer)]);
+    assert.ok((await fs.readFile(tileFilePath('M7134'))).equals(buffer));
+
+    // Nothing left to finish; the staged file goes with the other leftovers
+    assert.equal(await recoverTileCommits(), 0);
+    assert.ok(await prepareStaging(STAGING_DIR) > 0);
+    assert.deepEqual(await fs.readdir(STAGING_DIR), []);
+});
+
+test('a finished store leaves no commit marker behind', async () => {
+    const buffer = await noisePng();
+    const stagedPath = await stage(buffer);
+    await storeTileVersion('M7135', 'M713', stagedPath, buffer, OK, 'upload');
+    assert.equal(await exists(stagedPath), false);
+    assert.equal(await exists(`${stagedPath}.commit`), false);
+});
+
+test('tile paths recorded relative to the server directory are read from it', () => {
+    const tile = storage.getTile('M7139');
+    assert.equal(tile.filePath, path.join(serverDir, 'uploads/M713/M7139.png'));
+    assert.equal(tile.versions[0].filePath, path.join(serverDir, 'versions/M713/M7139/abc.png'));
+});
@@ -0,0 +1,193 @@
+// uploadValidation.test.js - Uploaded tile images checked against their tile's geometry and
+// 300 DPI: size tolerance and bleed, density added or refused, and the three validation modes
+// (quarantine, reject, warn)
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+import { after, before, test } from 'node:test';
+import { exists, noisePng, useTempTree } from './helpers.js';
+
+// Depth 6, the printed tiles: a decal is some 1,300px across
+const root = await useTempTree({ TILE_DEPTH: '6' });
+const { default: storage } = await import('../storage.js');
+const { QUARANTINE_DIR, STAGING_DIR, ingestTileImage } = await import('../tileStore.js');
+const { OUTPUT_CONFIG, decalSize } = await import('../tileGeometry.js');
+const {
+    UPLOAD_VALIDATION,
+    listQuarantine,
+    quarantinedImagePath,
+    readPngDensity,
+    removeQuarantined,
+    setPngDensity,
+    validateTileImage
+} = await import('../uploadValidation.js');
+
+const TILE = 'M713111';
+const SIZE = decalSize(TILE);
+
+// Width and height of the tile's decal, scaled (a bleed grows it evenly; the label strip does not grow)
+function dimensions(scale = 1, heightScale = scale) {
+    return {
+        width: Math.round(SIZE.width * scale),
+        height: Math.round(SIZE.decalHeight * heightScale + OUTPUT_CONFIG.labelHeight)
+    };
+}
+
+// Scale of a decal with a bleed of `mm` on every side
+function bleed(mm) {
+    return 1 + (mm / 25.4 * OUTPUT_CONFIG.dpi) / SIZE.inradius;
+}
+
+// A PNG without a pHYs chunk, as a browser canvas writes it (sharp always adds one)
+function withoutDensity(png) {
+    const parts = [png.subarray(0, 8)];
+    for (let offset = 8; offset < png.length;) {
+        const end = offset + 12 + png.readUInt32BE(offset);
+        if (png.toString('latin1', offset + 4, offset + 8) !== 'pHYs') {
+            parts.push(png.subarray(offset, end));
+        }
+        offset = end;
+    }
+    return Buffer.concat(parts);
+}
+
+function flatPng({ width, height }) {
+    return sharp({ create: { width, height, channels: 3, background: { r: 90, g: 120, b: 60 } } }).png().toBuffer();
+}
+
+async function stage(buffer) {
+    const stagedPath = path.join(STAGING_DIR, `${Date.now()}_${Math.random().toString(16).slice(2)}.png`);
+    await fs.writeFile(stagedPath, buffer);
+    return stagedPath;
+}
+
+// An image the size of the decal, at 300 DPI unless `dpi` says otherwise (null: no density)
+async function tileImage({ scale = 1, dpi = OUTPUT_CONFIG.dpi } = {}) {
+    const { width, height } = dimensions(scale);
+    const png = await noisePng(width, height);
+    return dpi === null ? withoutDensity(png) : setPngDensity(png, dpi);
+}
+
+before(async () => {
+    await storage.ready;
+    await fs.mkdir(STAGING_DIR, { recursive: true });
+});
+
+after(async () => {
+    await storage.close();
+    await fs.rm(root, { recursive: true, force: true });
+});
+
+test('a PNG\'s density is written into its pHYs chunk and read back from it', async () => {
+    const png = withoutDensity(await flatPng({ width: 20, height: 10 }));
+    assert.equal(readPngDensity(png), null);
+
+    const at300 = setPngDensity(png, 300);
+    assert.ok(Math.abs(readPngDensity(at300) - 300) < 0.01);
+    assert.equal((await sharp(at300).metadata()).density, 300);
+
+    // Replacing the density leaves a single pHYs chunk, and the pixels as they were
+    const at150 = setPngDensity(at300, 150);
+    assert.equal(Math.round(readPngDensity(at150)), 150); // 5906 pixels per metre
+    assert.equal(at150.toString('latin1').split('pHYs').length, 2);
+    assert.ok((await sharp(at150).raw().toBuffer()).equals(await sharp(png).raw().toBuffer()));
+});
+
+test('an image the size of the decal passes, and a missing density is added', async () => {
+    const result = await validateTileImage(TILE, withoutDensity(await flatPng(dimensions())));
+    assert.equal(result.status, 'ok');
+    assert.deepEqual(result.reasons, []);
+    assert.deepEqual(result.fixes, ['density']);
+    assert.equal(result.image.density, null);
+    assert.deepEqual(result.expected, { width: Math.round(SIZE.width), height: Math.round(SIZE.height) });
+    assert.ok(Math.abs(readPngDensity(result.buffer) - OUTPUT_CONFIG.dpi) < 0.01);
+});
+
+test('the size may be off by the tolerance, or grown evenly by a bleed', async () => {
+    const valid = [dimensions(1.015), dimensions(0.985), dimensions(bleed(3)), dimensions(bleed(5))];
+    for (const size of valid) {
+        const result = await validateTileImage(TILE, setPngDensity(await flatPng(size), 300));
+        assert.equal(result.status, 'ok', JSON.stringify(size));
+        assert.deepEqual(result.fixes, []);
+    }
+});
+
+test('a decal too small, too large or out of proportion fails on its dimensions', async () => {
+    const invalid = [dimensions(0.95), dimensions(bleed(10)), dimensions(1, 1.1)];
+    for (const size of invalid) {
+        const result = await validateTileImage(TILE, setPngDensity(await flatPng(size), 300));
+        assert.equal(result.status, 'failed', JSON.stringify(size));
+        assert.deepEqual(result.reasons.map(r => r.code), ['dimensions']);
+        assert.deepEqual(result.reasons[0].actual, size);
+        assert.match(result.reasons[0].detail, new RegExp(`^${size.width}×${size.height}px, expected `));
+    }
+});
+
+test('a density other than 300 DPI fails, and is not changed', async () => {
+    const png = setPngDensity(await flatPng(dimensions()), 150);
+    const result = await validateTileImage(TILE, png);
+    assert.equal(result.status, 'failed');
+    assert.deepEqual(result.reasons.map(r => [r.code, r.expected, Math.round(r.actual)]), [['dpi', 300, 150]]);
+    assert.deepEqual(result.fixes, []);
+    assert.ok(result.buffer.equals(png));
+});
+
+test('in quarantine mode a failed upload is kept with its reasons and not stored', async () => {
+    UPLOAD_VALIDATION.mode = 'quarantine';
+    const stagedPath = await stage(await tileImage({ dpi: 96 }));
+    const result = await ingestTileImage(TILE, 'M713', stagedPath);
+
+    assert.equal(result.status, 422);
+    assert.match(result.error, /Tile M713111 failed validation: dpi \(96 DPI, expected 300 DPI\)/);
+    assert.deepEqual(result.validation.reasons.map(r => r.code), ['dpi']);
+    assert.equal(storage.getTile(TILE), undefined);
+    assert.equal(await exists(stagedPath), false);
+
+    const imagePath = quarantinedImagePath(QUARANTINE_DIR, result.quarantined);
+    assert.ok(await exists(imagePath));
+    const [entry] = await listQuarantine(QUARANTINE_DIR);
+    assert.equal(entry.id, result.quarantined);
+    assert.equal(entry.tileCode, TILE);
+    assert.equal(entry.sectorCode, 'M713');
+    assert.deepEqual(entry.reasons, result.validation.reasons);
+
+    assert.equal(await removeQuarantined(QUARANTINE_DIR, entry.id), true);
+    assert.equal(await exists(imagePath), false);
+    assert.deepEqual(await listQuarantine(QUARANTINE_DIR), []);
+    assert.equal(await removeQuarantined(QUARANTINE_DIR, entry.id), false);
+});
+
+test('a quarantine id must name an entry, not a path', async () => {
+    assert.equal(quarantinedImagePath(QUARANTINE_DIR, '../storage'), null);
+    assert.equal(quarantinedImagePath(QUARANTINE_DIR, 'M713111_1/../x'), null);
+    assert.equal(await removeQuarantined(QUARANTINE_DIR, '../storage'), false);
+});
+
+test('in reject mode a failed upload is refused without being kept', async () => {
+    UPLOAD_VALIDATION.mode = 'reject';
+    const result = await ingestTileImage(TILE, 'M713', await stage(await tileImage({ scale: 0.9 })));
+
+    assert.equal(result.status, 422);
+    assert.equal(result.quarantined, null);
+    assert.deepEqual(result.validation.reasons.map(r => r.code), ['dimensions']);
+    assert.equal(storage.getTile(TILE), undefined);
+    assert.deepEqual(await listQuarantine(QUARANTINE_DIR), []);
+});
+
+test('in warn mode a failed upload is stored anyway', async () => {
+    UPLOAD_VALIDATION.mode = 'warn';
+    const result = await ingestTileImage(TILE, 'M713', await stage(await tileImage({ scale: 0.9 })));
+    assert.equal(result.error, undefined);
+    assert.ok(storage.getTile(TILE).current);
+    UPLOAD_VALIDATION.mode = 'quarantine';
+});
+
+test('a valid upload without a density is stored at 300 DPI', async () => {
+    const result = await ingestTileImage('M713112', 'M713', await stage(await tileImage({ dpi: null })));
+    assert.equal(result.error, undefined);
+
+    const stored = await fs.readFile(storage.getTile('M713112').filePath);
+    assert.ok(Math.abs(readPngDensity(stored) - OUTPUT_CONFIG.dpi) < 0.01);
+    assert.deepEqual(await sharp(stored).metadata().then(({ width, height }) => ({ width, height })), dimensions());
+});
@@ -0,0 +1,204 @@
+// tiffExport.js - TIFF output: single tiles and multi-page sheet rasters, written with sharp
+// Resolution tags are set in pixels per inch, so RIPs and CorelDraw place the files at
+// true size without relying on PNG pHYs chunks. Sheets are imposed exactly like PDF/EPS
+// (see layouts.js) and rasterised at the layout's DPI, one page per sheet; cut contours
+// stay vector-only (PDF/EPS). Colour goes through the same ICC output profiles
+// (colorManagement.js): a CMYK profile gives CMYK TIFFs with the profile embedded.
+import { promises as fs } from 'fs';
+import sharp from 'sharp';
+import { OUTPUT_CONFIG } from './tileGeometry.js';
+
+// ?compression= values; both lossless codecs use the horizontal predictor
+export const TIFF_COMPRESSIONS = ['lzw', 'deflate', 'none'];
+
+const POINTS_PER_INCH = 72;
+const MM_PER_INCH = 25.4;
+
+/**
+ * Resolve TIFF export options: ?compression= (default lzw) and ?alpha=false (flatten onto
+ * white instead of keeping transparency); the ICC output profile comes from resolveColorOutput()
+ * @returns {Object} { options: { compression, alpha }, cacheKey } or { error }
+ */
+export function resolveTiffOptions(query) {
+    const compression = query.compression || 'lzw';
+    if (!TIFF_COMPRESSIONS.includes(compression)) {
+        return { error: `compression must be one of: ${TIFF_COMPRESSIONS.join(', ')}` };
+    }
+    if (query.alpha !== undefined && query.alpha !== 'true' && query.alpha !== 'false') {
+        return { error: 'alpha must be true or false' };
+    }
+    const alpha = query.alpha !== 'false';
+
+    return { options: { compression, alpha }, cacheKey: alpha ? compression : `${compression}_flat` };
+}
+
+// sharp TIFF options; sharp takes resolution in pixels per mm and writes the unit tag
+function tiffOutputOptions(compression, dpi) {
+    return {
+        compression,
+        predictor: compression === 'none' ? 'none' : 'horizontal',
+        xres: dpi / MM_PER_INCH,
+        yres: dpi / MM_PER_INCH,
+        resolutionUnit: 'inch'
+    };
+}
+
+// Alpha and colour conversion shared by tiles and sheets, applied last in the pipeline
+function finishPipeline(pipeline, { alpha, colorOutput = null }) {
+    if (!alpha) {
+        pipeline = pipeline.flatten({ background: '#ffffff' });
+    }
+    if (colorOutput) {
+        pipeline = pipeline.withIccProfile(colorOutput.sharpProfile);
+    }
+    return pipeline;
+}
+
+/**
+ * Convert a stored tile to TIFF at the output DPI
+ * @param {string} filePath - Path to the tile PNG
+ * @param {Object} options - From resolveTiffOptions(), plus colorOutput from resolveColorOutput()
+ * @returns {Promise<Buffer>} Encoded TIFF
+ */
+export async function tileToTiff(filePath, options) {
+    return finishPipeline(sharp(filePath), options)
+        .tiff(tiffOutputOptions(options.compression, OUTPUT_CONFIG.dpi))
+        .toBuffer();
+}
+
+// ==================== SHEETS ====================
+
+function escapeXml(text) {
+    return String(text).replace(/[<>&"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+// One placed tile as a composite overlay: scaled to its placement, rotated and clipped to
+// its triangle for nested layouts
+async function placementOverlay(placement, layout, scale) {
+    const left = Math.round(placement.x * scale);
+    const top = Math.round(placement.y * scale);
+    const width = Math.max(1, Math.round(placement.width * scale));
+    const height = Math.max(1, Math.round(placement.height * scale));
+
+    let pipeline = sharp(placement.filePath)
+        .resize(width, height, { fit: 'fill' })
+        .ensureAlpha();
+
+    if (layout.type === 'nested') {
+        if (placement.rotation === 180) {
+            pipeline = pipeline.rotate(180);
+        }
+        const points = placement.triangle
+            .map(([x, y]) => `${(x * scale - left).toFixed(1)},${(y * scale - top).toFixed(1)}`)
+            .join(' ');
+        const clip = Buffer.from(
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+            `<polygon points="${points}" fill="#000"/></svg>`
+        );
+        pipeline = pipeline.composite([{ input: clip, blend: 'dest-in' }]);
+    }
+
+    return { input: await pipeline.png({ compressionLevel: 1 }).toBuffer(), left, top };
+}
+
+// Tile code label as a small SVG overlay over its label box
+function labelOverlay(placement, layout, scale) {
+    const { fontSize, color = '#000000' } = layout.labels;
+    const [x, y, width, height] = placement.label;
+    const boxWidth = Math.max(1, Math.round(width * scale));
+    const boxHeight = Math.max(1, Math.round(height * scale));
+    const size = fontSize * scale;
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${boxWidth}" height="${boxHeight}">` +
+        `<text x="${boxWidth / 2}" y="${(boxHeight + size * 0.7) / 2}" font-family="Helvetica, Arial, sans-serif" ` +
+        `font-size="${size}" fill="${escapeXml(color)}" text-anchor="middle">${escapeXml(placement.tileCode)}</text></svg>`;
+    return { input: Buffer.from(svg), left: Math.round(x * scale), top: Math.round(y * scale) };
+}
+
+/**
+ * Rasterise one imposed sheet to an RGBA TIFF page (transparent background)
+ * @returns {Object} { placed, aborted } - tiles whose image fails are skipped
+ */
+async function renderSheetRaster(sheet, layout, pagePath, { onTile, isAborted } = {}) {
+    const scale = layout.dpi / POINTS_PER_INCH;
+    const pageWidth = Math.round(layout.pageWidth * scale);
+    const pageHeight = Math.round(layout.pageHeight * scale);
+    const overlays = [];
+    let placed = 0;
+
+    for (const placement of sheet.placements) {
+        if (isAborted && isAborted()) {
+            return { placed, aborted: true };
+        }
+
+        try {
+            overlays.push(await placementOverlay(placement, layout, scale));
+        } catch (imageError) {
+            console.error(`❌ Error adding tile ${placement.tileCode} to TIFF:`, imageError);
+            continue;
+        }
+        if (layout.labels) {
+            overlays.push(labelOverlay(placement, layout, scale));
+        }
+        placed++;
+        if (onTile) {
+            onTile(placement);
+        }
+    }
+
+    await sharp({
+        create: { width: pageWidth, height: pageHeight, channels: 4, background: { r: 255, g: 255, b: 255, alpha: 0 } },
+        limitInputPixels: false
+    })
+        .composite(overlays)
+        .tiff(tiffOutputOptions('lzw', layout.dpi))
+        .toFile(pagePath);
+
+    return { placed, aborted: false };
+}
+
+/**
+ * Write imposed sheets as one multi-page TIFF at the layout's DPI
+ * Each sheet is rasterised to a temporary page next to outputPath, then the pages are
+ * joined, so only one sheet's tiles are decoded at a time.
+ * @param {Array} sheets - imposition.sheets from imposeTiles()
+ * @param {Object} layout - Resolved layout profile
+ * @param {string} outputPath - Where to write the TIFF
+ * @param {Object} options - From resolveTiffOptions(), plus colorOutput from resolveColorOutput()
+ * @param {Object} callbacks - { onTile(placement, pageNum), isAborted() checked before each tile }
+ * @returns {Object} { placed, aborted }
+ */
+export async function writeTiffSheets(sheets, layout, outputPath, options, { onTile, isAborted } = {}) {
+    const pagePaths = [];
+    let placed = 0;
+
+    try {
+        for (const [i, sheet] of sheets.entries()) {
+            const pagePath = `${outputPath}.page${i + 1}.tif`;
+            pagePaths.push(pagePath);
+
+            const result = await renderSheetRaster(sheet, layout, pagePath, {
+                isAborted,
+                onTile: onTile ? placement => onTile(placement, i + 1) : null
+            });
+            if (result.aborted) {
+                return { placed, aborted: true };
+            }
+            placed += result.placed;
+        }
+
+        // Joined pages stay separate pages ("animated"), a single page is used as it is
+        const pages = pagePaths.length > 1
+            ? sharp(pagePaths, { join: { animated: true }, limitInputPixels: false })
+            : sharp(pagePaths[0], { limitInputPixels: false });
+        await finishPipeline(pages, options)
+            .tiff(tiffOutputOptions(options.compression, layout.dpi))
+            .toFile(outputPath);
+
+        return { placed, aborted: false };
+    } finally {
+        for (const pagePath of pagePaths) {
+            await fs.rm(pagePath, { force: true });
+        }
+    }
+}
@@ -0,0 +1,254 @@
+// tileGeometry.js - Tile geometry helpers shared by the server-side renderer and exporters
+// Mirrors the helper functions at the top of js/app.js so server output matches the browser
+import TileLookup from '../lib/TileLookup.js';
+
+const tileLookup = new TileLookup();
+
+const EARTH_CIRCUMFERENCE_M = 40075016.686;
+
+// Output specifications (same values as OUTPUT_CONFIG / CAPTURE_CONFIG in js/app.js)
+export const OUTPUT_CONFIG = {
+    dpi: 300,
+    scale: 100000,  // 1:100,000
+    labelHeight: 60,  // Space for tile label at bottom
+    // At 1:100,000 scale: E-W edge (km) = print width (cm)
+    // At 300 DPI: pixels = cm × (300 / 2.54)
+    calculatePixels(ewEdgeLengthKm, dpi = this.dpi) {
+        return Math.round(ewEdgeLengthKm * dpi / 2.54);
+    }
+};
+
+export { tileLookup };
+
+// ==================== TILE HIERARCHY ====================
+
+// Printed tiles are this many subdivision levels deep (6: M713289); sectors group the
+// tiles under one depth-3 code (M713), so a sector holds 9^(TILE_DEPTH - 3) tiles
+export const TILE_DEPTH = parseInt(process.env.TILE_DEPTH, 10) || TileLookup.DEFAULT_DEPTH;
+export const SECTOR_DEPTH = 3;
+
+// A code of a printable tile (valid and exactly TILE_DEPTH deep)
+export function isTileCode(code) {
+    return tileLookup.isValidCode(code) && tileLookup.depth(code) === TILE_DEPTH;
+}
+
+// A sector code (valid and exactly SECTOR_DEPTH deep)
+export function isSectorCode(code) {
+    return tileLookup.isValidCode(code) && tileLookup.depth(code) === SECTOR_DEPTH;
+}
+
+// Sector a tile belongs to (M713289 → M713)
+export function sectorOf(tileCode) {
+    return tileLookup.ancestor(tileCode, SECTOR_DEPTH);
+}
+
+// Every tile code in a sector, in code order
+export function sectorTileCodes(sectorCode) {
+    return tileLookup.descendants(sectorCode, TILE_DEPTH - tileLookup.depth(sectorCode));
+}
+
+export function sectorTileCount(sectorCode) {
+    return 9 ** (TILE_DEPTH - tileLookup.depth(sectorCode));
+}
+
+// Haversine distance between two points in kilometers
+export function haversineDistance(lat1, lon1, lat2, lon2) {
+    const R = 6371; // Earth radius in km
+    const dLat = (lat2 - lat1) * Math.PI / 180;
+    const dLon = (lon2 - lon1) * Math.PI / 180;
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+              Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+              Math.sin(dLon / 2) * Math.sin(dLon / 2);
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    return R * c;
+}
+
+// Web Mercator stops here; nearer the poles y would run off the map (or to infinity)
+export const MAX_MERCATOR_LAT = 85.0511287798066;
+
+// Web Mercator: geographic coords → global pixel coords at a zoom level (longitudes outside
+// ±180 give x outside the map, for bounds that cross the antimeridian)
+export function lngLatToWorldPixel(lng, lat, zoom, tileSize) {
+    const scale = tileSize * Math.pow(2, zoom);
+    const sinLat = Math.sin(Math.max(-MAX_MERCATOR_LAT, Math.min(MAX_MERCATOR_LAT, lat)) * Math.PI / 180);
+    return {
+        x: ((lng + 180) / 360) * scale,
+        y: (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * scale
+    };
+}
+
+// A longitude moved by whole turns to within 180° of refLng: the corners of a triangle across
+// the antimeridian (near +180 and -180) stay together, running past ±180
+export function unwrapLng(lng, refLng) {
+    return lng + 360 * Math.round((refLng - lng) / 360);
+}
+
+// Ground resolution (meters per pixel) at a latitude and zoom level
+export function metersPerPixelAt(lat, zoom, tileSize) {
+    return EARTH_CIRCUMFERENCE_M * Math.cos(lat * Math.PI / 180) / (tileSize * Math.pow(2, zoom));
+}
+
+// Triangle corners for a tile code as [lng, lat], closed (4 points)
+export function tileCoordinates(tileCode) {
+    const locations = tileLookup.nameToLocations(tileCode);
+    return [
+        [locations[0][1], locations[0][0]],
+        [locations[1][1], locations[1][0]],
+        [locations[2][1], locations[2][0]],
+        [locations[0][1], locations[0][0]]  // Close the triangle
+    ];
+}
+
+// Coordinates of the 9 sub-tiles drawn as dashed lines on the decal
+export function subTileCoordinates(tileCode) {
+    return tileLookup.children(tileCode).map(code => ({
+        code,
+        coordinates: tileCoordinates(code)
+    }));
+}
+
+// E-W edge = the most horizontal edge (smallest latitude difference)
+// coordinates are [lng, lat]; returns { vertices, length (km), latDiff, v1, v2 }
+export function findEWEdge(coordinates) {
+    const vertices = coordinates.slice(0, 3);
+
+    const edges = [
+        { vertices: [0, 1] },
+        { vertices: [1, 2] },
+        { vertices: [2, 0] }
+    ];
+
+    edges.forEach(edge => {
+        const v1 = vertices[edge.vertices[0]];
+        const v2 = vertices[edge.vertices[1]];
+
+        edge.latDiff = Math.abs(v1[1] - v2[1]);
+        edge.length = haversineDistance(v1[1], v1[0], v2[1], v2[0]);
+        edge.v1 = v1;
+        edge.v2 = v2;
+    });
+
+    return edges.reduce((best, edge) =>
+        edge.latDiff < best.latDiff ? edge : best
+    );
+}
+
+// Tiles ending in 3, 6, 8 are inverted (apex pointing down) and need 180° rotation
+export function isInvertedTile(tileCode) {
+    const lastDigit = parseInt(tileCode.slice(-1));
+    return [3, 6, 8].includes(lastDigit);
+}
+
+// Rotation angle (radians) that makes the E-W edge horizontal at the bottom
+export function calculateRotation(ewEdge, isInverted) {
+    const dx = ((ewEdge.v2[0] - ewEdge.v1[0] + 540) % 360) - 180;  // longitude difference, across ±180 too
+    const dy = ewEdge.v2[1] - ewEdge.v1[1];  // latitude difference
+
+    let angle = Math.atan2(dy, dx);
+
+    if (isInverted) {
+        angle += Math.PI;
+    }
+
+    return angle;
+}
+
+// Incircle of a triangle given as {x, y} vertices: { center, radius }
+export function triangleIncircle(points) {
+    const [A, B, C] = points;
+    const a = Math.hypot(C.x - B.x, C.y - B.y);  // Side opposite A
+    const b = Math.hypot(A.x - C.x, A.y - C.y);  // Side opposite B
+    const c = Math.hypot(B.x - A.x, B.y - A.y);  // Side opposite C
+    const perimeter = a + b + c;
+    const area = Math.abs((B.x - A.x) * (C.y - A.y) - (C.x - A.x) * (B.y - A.y)) / 2;
+
+    return {
+        center: {
+            x: (a * A.x + b * B.x + c * C.x) / perimeter,
+            y: (a * A.y + b * B.y + c * C.y) / perimeter
+        },
+        radius: 2 * area / perimeter
+    };
+}
+
+// Grow a triangle ({x, y} vertices in pixels) outward by a fixed distance on every edge.
+// Offsetting all edges by d equals scaling about the incenter by (r + d) / r (r = inradius)
+export function expandTriangle(points, distance) {
+    if (!distance) {
+        return points;
+    }
+
+    const { center, radius } = triangleIncircle(points);
+    const k = (radius + distance) / radius;
+
+    return points.map(p => ({
+        x: center.x + (p.x - center.x) * k,
+        y: center.y + (p.y - center.y) * k
+    }));
+}
+
+// The triangle in output pixels at 1:100,000 (Web Mercator, unrotated), as renderTile() scales it
+function scaledTriangle(tileCode, dpi) {
+    const coordinates = tileCoordinates(tileCode);
+    const vertices = coordinates.slice(0, 3);
+    const ewEdge = findEWEdge(coordinates);
+    const rotationAngle = calculateRotation(ewEdge, isInvertedTile(tileCode));
+    const centerLat = vertices.reduce((sum, v) => sum + v[1], 0) / 3;
+
+    // Output pixels per zoom-0 Web Mercator pixel at 1:100,000
+    const targetEWEdgePixels = ewEdge.length * (dpi / 2.54);
+    const scale = targetEWEdgePixels / ((ewEdge.length * 1000) / metersPerPixelAt(centerLat, 0, 256));
+    const points = vertices.map(v => {
+        const p = lngLatToWorldPixel(unwrapLng(v[0], vertices[0][0]), v[1], 0, 256);
+        return { x: p.x * scale, y: p.y * scale };
+    });
+    return { points, rotationAngle };
+}
+
+/**
+ * Size of a tile's decal image without bleed: the triangle's bounding box at 1:100,000, with
+ * the E-W edge at OUTPUT_CONFIG.calculatePixels() pixels, plus the label strip
+ * @returns {Object} { width, height, decalHeight, inradius } in pixels (not finite at the poles)
+ */
+export function decalSize(tileCode, dpi = OUTPUT_CONFIG.dpi) {
+    const { points } = scaledTriangle(tileCode, dpi);
+    const width = Math.max(...points.map(p => p.x)) - Math.min(...points.map(p => p.x));
+    const decalHeight = Math.max(...points.map(p => p.y)) - Math.min(...points.map(p => p.y));
+    return {
+        width,
+        height: decalHeight + OUTPUT_CONFIG.labelHeight,
+        decalHeight,
+        inradius: triangleIncircle(points).radius
+    };
+}
+
+// Where a tile's triangle sits in its decal image (pixels from the top-left of the imagery,
+// label strip excluded). Follows renderTile(): the decal is the triangle's bounding box
+// (grown about the incenter by any bleed) at 1:100,000, rotated about its center.
+export function decalTriangle(tileCode, decalWidth, decalHeight, dpi = OUTPUT_CONFIG.dpi) {
+    const { points, rotationAngle } = scaledTriangle(tileCode, dpi);
+
+    // A bleed scales the bounding box about the incenter, so the decal width gives the factor
+    const minX = Math.min(...points.map(p => p.x));
+    const maxX = Math.max(...points.map(p => p.x));
+    const minY = Math.min(...points.map(p => p.y));
+    const maxY = Math.max(...points.map(p => p.y));
+    const k = Math.max(1, decalWidth / (maxX - minX));
+    const { center: incenter } = triangleIncircle(points);
+    const boxCenter = {
+        x: incenter.x + ((minX + maxX) / 2 - incenter.x) * k,
+        y: incenter.y + ((minY + maxY) / 2 - incenter.y) * k
+    };
+
+    // Rotate about the decal center (same transform as the renderer overlay)
+    const cos = Math.cos(-rotationAngle);
+    const sin = Math.sin(-rotationAngle);
+    return points.map(p => {
+        const x = p.x - boxCenter.x;
+        const y = p.y - boxCenter.y;
+        return {
+            x: x * cos - y * sin + decalWidth / 2,
+            y: x * sin + y * cos + decalHeight / 2
+        };
+    });
+}
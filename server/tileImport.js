@@ -0,0 +1,387 @@
+// tileImport.js - Bulk import of tile images produced elsewhere
+// Partners render tiles in their own GIS pipelines and send a folder or an archive (ZIP, TAR or
+// TAR.GZ). Every PNG whose name holds a tile code (any face A-T, at TILE_DEPTH) goes through
+// the same checks as an upload, ingestTileImage() in tileStore.js, and into its sector; each
+// file gets a line in the report. A tile that is already stored follows the conflict policy:
+//   skip         keep the stored image (default)
+//   new-version  store the import as the tile's current version; the old image stays a version
+//   replace      as new-version, but the replaced version is removed
+// Importing the image a tile already has stores nothing and is reported as unchanged.
+// A tile image larger than IMPORT_MAX_TILE_MB is rejected without being read: by the size the
+// archive declares, and again while it is unpacked, so a ZIP that declares less cannot expand
+// past the limit. TAR data that is not imported is passed over without being buffered.
+import { createReadStream } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import zlib from 'zlib';
+import { promisify } from 'util';
+import yauzl from 'yauzl';
+import storage from './storage.js';
+import { isTileCode, sectorOf } from './tileGeometry.js';
+import { STAGING_DIR, dropTileVersion, ingestTileImage } from './tileStore.js';
+import { stagingName } from './uploadStaging.js';
+
+export const CONFLICT_POLICIES = ['skip', 'new-version', 'replace'];
+
+// Largest tile image read from a source, as for a single upload
+export const IMPORT_MAX_TILE_MB = parseInt(process.env.IMPORT_MAX_TILE_MB, 10) || 50;
+const MAX_TILE_BYTES = IMPORT_MAX_TILE_MB * 1024 * 1024;
+
+// A tile code standing on its own in a file name: M713289.png, 1700000000_M713289.png,
+// m713289-final.PNG (not inside a longer word or number)
+const CODE_IN_NAME = /(?<![A-Za-z0-9])([A-Ta-t][1-9]+)(?![0-9])/g;
+
+// What archivers add next to the real files (macOS resource forks and Finder metadata)
+const ARCHIVE_CLUTTER = /(^|\/)(__MACOSX\/|\._|\.DS_Store$)/;
+
+/**
+ * The tile a file is for, from its name (the directories above it are not looked at)
+ * @returns {Object} { tileCode } or { error }
+ */
+export function tileCodeFromName(filePath) {
+    const name = path.basename(filePath).replace(/\.[^.]*$/, '');
+    const codes = [...new Set([...name.matchAll(CODE_IN_NAME)]
+        .map(match => match[1].toUpperCase())
+        .filter(isTileCode))];
+    if (codes.length === 0) {
+        return { error: 'No tile code in the file name' };
+    }
+    if (codes.length > 1) {
+        return { error: `More than one tile code in the file name (${codes.join(', ')})` };
+    }
+    return { tileCode: codes[0] };
+}
+
+// ==================== SOURCES ====================
+
+/**
+ * What an import source is, from the file's first bytes rather than its extension
+ * @returns {Promise<string|null>} 'directory', 'zip', 'tar', 'tar.gz', or null for anything else
+ */
+export async function detectSourceType(source) {
+    const stats = await fs.stat(source).catch(() => null);
+    if (!stats) {
+        return null;
+    }
+    if (stats.isDirectory()) {
+        return 'directory';
+    }
+
+    const handle = await fs.open(source, 'r');
+    try {
+        const { buffer, bytesRead } = await handle.read(Buffer.alloc(512), 0, 512, 0);
+        if (bytesRead >= 4 && buffer.readUInt32LE(0) === 0x04034b50) {
+            return 'zip';
+        }
+        if (bytesRead >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+            return 'tar.gz';
+        }
+        if (bytesRead === 512 && buffer.toString('latin1', 257, 262) === 'ustar') {
+            return 'tar';
+        }
+        return null;
+    } finally {
+        await handle.close();
+    }
+}
+
+function tooLarge(size) {
+    return `${(size / 1024 / 1024).toFixed(1)} MB, more than the ${IMPORT_MAX_TILE_MB} MB allowed for a tile image`;
+}
+
+// A stream's bytes, given up as soon as there are more than `limit`
+async function readLimited(stream, limit) {
+    const chunks = [];
+    let length = 0;
+    for await (const chunk of stream) {
+        length += chunk.length;
+        if (length > limit) {
+            stream.destroy();
+            throw new Error(`Unpacks to ${tooLarge(length)}`);
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks, length);
+}
+
+// Entries are { name, size (as declared), read() }; read() is only called for tile images
+// no larger than MAX_TILE_BYTES
+async function* directoryEntries(dir) {
+    for (const name of (await fs.readdir(dir, { recursive: true })).sort()) {
+        const filePath = path.join(dir, name);
+        const stats = await fs.stat(filePath);
+        if (stats.isFile()) {
+            yield {
+                name: name.replace(/\\/g, '/'),
+                size: stats.size,
+                read: () => readLimited(createReadStream(filePath), MAX_TILE_BYTES)
+            };
+        }
+    }
+}
+
+// The next entry of a ZIP opened with lazyEntries, or null after the last
+function nextZipEntry(zip) {
+    return new Promise((resolve, reject) => {
+        const done = (error, entry) => {
+            zip.off('entry', onEntry).off('end', onEnd).off('error', onError);
+            return error ? reject(error) : resolve(entry);
+        };
+        const onEntry = entry => done(null, entry);
+        const onEnd = () => done(null, null);
+        const onError = error => done(error);
+        zip.on('entry', onEntry).on('end', onEnd).on('error', onError);
+        zip.readEntry();
+    });
+}
+
+// ZIP entries one at a time, read from the central directory: only the entry being imported
+// is in memory, however large the archive
+async function* zipEntries(file) {
+    const zip = await promisify(yauzl.open)(file, { lazyEntries: true });
+    const openReadStream = promisify(zip.openReadStream.bind(zip));
+    try {
+        for (let entry = await nextZipEntry(zip); entry; entry = await nextZipEntry(zip)) {
+            if (!entry.fileName.endsWith('/')) {
+                yield {
+                    name: entry.fileName,
+                    size: entry.uncompressedSize,
+                    read: async () => readLimited(await openReadStream(entry), MAX_TILE_BYTES)
+                };
+            }
+        }
+    } finally {
+        if (zip.isOpen) {
+            zip.close(); // Closed by itself after the last entry (autoClose)
+        }
+    }
+}
+
+function tarString(header, start, length) {
+    const bytes = header.subarray(start, start + length);
+    const end = bytes.indexOf(0);
+    return bytes.toString('utf8', 0, end === -1 ? length : end);
+}
+
+// The first `length` bytes of the queued chunks, joined once
+function takeBytes(queue, length) {
+    const parts = [];
+    let remaining = length;
+    while (remaining > 0) {
+        const chunk = queue.chunks[0];
+        if (chunk.length <= remaining) {
+            parts.push(queue.chunks.shift());
+            remaining -= chunk.length;
+        } else {
+            parts.push(chunk.subarray(0, remaining));
+            queue.chunks[0] = chunk.subarray(remaining);
+            remaining = 0;
+        }
+    }
+    queue.length -= length;
+    return parts.length === 1 ? parts[0] : Buffer.concat(parts, length);
+}
+
+// Discard up to `length` of the queued bytes; returns how many were discarded
+function dropBytes(queue, length) {
+    let dropped = 0;
+    while (dropped < length && queue.chunks.length > 0) {
+        const chunk = queue.chunks[0];
+        const count = Math.min(chunk.length, length - dropped);
+        if (count === chunk.length) {
+            queue.chunks.shift();
+        } else {
+            queue.chunks[0] = chunk.subarray(count);
+        }
+        dropped += count;
+    }
+    queue.length -= dropped;
+    return dropped;
+}
+
+// Whether a TAR entry's data is kept: long names, and tile images no larger than the limit.
+// Everything else is dropped as it streams past
+function keepTarData(entry, name) {
+    if (entry.size > MAX_TILE_BYTES) {
+        return false;
+    }
+    return entry.type === 'L' || entry.type === 'x' || (entry.type === '0' && /\.png$/i.test(name));
+}
+
+// Regular files of a TAR stream, read as it arrives (ustar, with GNU and pax long names)
+async function* tarEntries(stream) {
+    const queue = { chunks: [], length: 0 };
+    let entry = null;
+    let longName = null;
+
+    for await (const chunk of stream) {
+        queue.chunks.push(chunk);
+        queue.length += chunk.length;
+        for (;;) {
+            if (!entry) {
+                if (queue.length < 512) {
+                    break;
+                }
+                const header = takeBytes(queue, 512);
+                if (header.every(byte => byte === 0)) {
+                    continue; // End-of-archive blocks
+                }
+                const prefix = tarString(header, 345, 155);
+                const name = tarString(header, 0, 100);
+                const size = parseInt(tarString(header, 124, 12).trim() || '0', 8);
+                entry = {
+                    name: prefix ? `${prefix}/${name}` : name,
+                    type: String.fromCharCode(header[156] || 0x30),
+                    size,
+                    padding: Math.ceil(size / 512) * 512 - size,
+                    dropped: 0
+                };
+                entry.keep = keepTarData(entry, longName || entry.name);
+            }
+
+            let data = null;
+            if (entry.keep) {
+                if (queue.length < entry.size + entry.padding) {
+                    break;
+                }
+                data = takeBytes(queue, entry.size);
+                takeBytes(queue, entry.padding);
+            } else {
+                entry.dropped += dropBytes(queue, entry.size + entry.padding - entry.dropped);
+                if (entry.dropped < entry.size + entry.padding) {
+                    break;
+                }
+            }
+
+            if (entry.type === 'L') {
+                longName = data ? tarString(data, 0, data.length) : null; // GNU: the next entry's name
+            } else if (entry.type === 'x') {
+                longName = data?.toString('utf8').match(/\d+ path=([^\n]*)\n/)?.[1] || longName; // pax
+            } else {
+                if (entry.type === '0') {
+                    // Data that was dropped is never read: importEntry() passes over the entry first
+                    yield { name: longName || entry.name, size: entry.size, read: async () => data };
+                }
+                longName = null;
+            }
+            entry = null;
+        }
+    }
+}
+
+function sourceEntries(source, type) {
+    switch (type) {
+        case 'directory':
+            return directoryEntries(source);
+        case 'zip':
+            return zipEntries(source);
+        case 'tar':
+            return tarEntries(createReadStream(source));
+        case 'tar.gz':
+            return tarEntries(createReadStream(source).pipe(zlib.createGunzip()));
+        default:
+            throw new Error(`${source} is not a directory, ZIP or TAR archive`);
+    }
+}
+
+// ==================== IMPORT ====================
+
+async function importEntry(entry, { policy, sectors }) {
+    if (!/\.png$/i.test(entry.name)) {
+        return { status: 'ignored', detail: 'Not a PNG file' };
+    }
+    const { tileCode, error } = tileCodeFromName(entry.name);
+    if (error) {
+        return { status: 'ignored', detail: error };
+    }
+    const sectorCode = sectorOf(tileCode);
+    if (sectors && !sectors.includes(sectorCode)) {
+        return { tileCode, sectorCode, status: 'ignored', detail: 'Outside the sectors being imported' };
+    }
+    const existing = storage.getTile(tileCode);
+    if (existing && policy === 'skip') {
+        return { tileCode, sectorCode, status: 'skipped', detail: 'Tile already stored' };
+    }
+    if (entry.size > MAX_TILE_BYTES) {
+        return { tileCode, sectorCode, status: 'rejected', detail: tooLarge(entry.size) };
+    }
+
+    // Staged like an upload, so the checks and the move into place are the same
+    const stagedPath = path.join(STAGING_DIR, stagingName());
+    try {
+        await fs.mkdir(STAGING_DIR, { recursive: true });
+        await fs.writeFile(stagedPath, await entry.read());
+        const result = await ingestTileImage(tileCode, sectorCode, stagedPath, { source: 'import', skipUnchanged: true });
+
+        if (result.unchanged) {
+            return { tileCode, sectorCode, status: 'unchanged', detail: 'Same image as the stored tile' };
+        }
+        if (result.error) {
+            return {
+                tileCode,
+                sectorCode,
+                status: result.quarantined ? 'quarantined' : 'rejected',
+                detail: result.error,
+                reasons: result.validation?.reasons || result.quality?.reasons || [],
+                quarantined: result.quarantined || null
+            };
+        }
+
+        if (!result.previous) {
+            return { tileCode, sectorCode, status: 'stored', quality: result.quality.status };
+        }
+        if (policy === 'replace') {
+            await dropTileVersion(tileCode, result.previous.current || result.previous.hash);
+        }
+        return {
+            tileCode,
+            sectorCode,
+            status: policy === 'replace' ? 'replaced' : 'new-version',
+            quality: result.quality.status
+        };
+    } catch (err) {
+        return { tileCode, sectorCode, status: 'failed', detail: err.message };
+    } finally {
+        await fs.rm(stagedPath, { force: true });
+    }
+}
+
+/**
+ * Import every tile image of a directory or archive
+ * @param {string} source - Directory, or ZIP / TAR / TAR.GZ file
+ * @param {Object} [options]
+ * @param {string} [options.policy='skip'] - For tiles already stored: skip, new-version or replace
+ * @param {string[]} [options.sectors] - Only import tiles of these sectors (default: all)
+ * @param {string} [options.name] - Name of the source in the report (e.g. an uploaded file's)
+ * @returns {Promise<Object>} { source, type, policy, startedAt, finishedAt, files, summary }
+ *   files: [{ file, tileCode?, sectorCode?, status, detail?, quality?, reasons?, quarantined? }]
+ *   status: stored | new-version | replaced | unchanged | skipped | quarantined | rejected | failed | ignored
+ */
+export async function importTiles(source, { policy = 'skip', sectors = null, name = source } = {}) {
+    if (!CONFLICT_POLICIES.includes(policy)) {
+        throw new Error(`policy must be one of: ${CONFLICT_POLICIES.join(', ')}`);
+    }
+    await storage.ready;
+    const type = await detectSourceType(source);
+    const report = { source: name, type, policy, startedAt: new Date().toISOString(), files: [] };
+    const selected = sectors && sectors.length ? sectors : null;
+
+    console.log(`📥 Importing tiles from ${name} (${type}, policy ${policy})`);
+    for await (const entry of sourceEntries(source, type)) {
+        if (ARCHIVE_CLUTTER.test(entry.name)) {
+            continue;
+        }
+        report.files.push({ file: entry.name, ...(await importEntry(entry, { policy, sectors: selected })) });
+    }
+
+    const summary = {};
+    for (const file of report.files) {
+        summary[file.status] = (summary[file.status] || 0) + 1;
+    }
+    report.summary = summary;
+    report.finishedAt = new Date().toISOString();
+
+    const stored = (summary.stored || 0) + (summary['new-version'] || 0) + (summary.replaced || 0);
+    console.log(`✅ Import of ${name}: ${stored} tiles stored of ${report.files.length} files`);
+    return report;
+}
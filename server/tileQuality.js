@@ -0,0 +1,94 @@
+// tileQuality.js - Imagery quality gate for stored tiles (browser uploads and server renders)
+// Decodes the decal with sharp and runs the shared analysis in lib/imageQuality.js inside the
+// tile's triangle. Reasons in QUALITY_REJECT (env, comma separated) reject the tile; any other
+// reason stores it flagged, so the dashboard can list it for regeneration.
+import sharp from 'sharp';
+import { DEFAULT_REJECT_REASONS, QUALITY_REASONS, analyzeImageQuality, qualityVerdict } from '../lib/imageQuality.js';
+import {
+    OUTPUT_CONFIG,
+    calculateRotation,
+    decalTriangle,
+    findEWEdge,
+    isInvertedTile,
+    tileCoordinates
+} from './tileGeometry.js';
+
+export const QUALITY_REJECT = (process.env.QUALITY_REJECT ?? DEFAULT_REJECT_REASONS.join(','))
+    .split(',')
+    .map(code => code.trim())
+    .filter(Boolean);
+
+const unknownCodes = QUALITY_REJECT.filter(code => !QUALITY_REASONS[code]);
+if (unknownCodes.length > 0) {
+    throw new Error(`QUALITY_REJECT: unknown reason codes ${unknownCodes.join(', ')} (known: ${Object.keys(QUALITY_REASONS).join(', ')})`);
+}
+
+const ANALYSIS_WIDTH = 512;     // Decals are analysed downscaled to about this width
+
+/**
+ * Check a decal (with its label strip) for blank, unloaded and seamed imagery
+ * @param {string} tileCode - Tile code (gives the triangle and rotation)
+ * @param {Buffer} buffer - Encoded PNG as stored
+ * @param {Object} options - { reasons: extra reasons (e.g. reported by the browser),
+ *   fillColors: colours of missing imagery, [[r, g, b]] (default: the browser map background) }
+ * @returns {Promise<Object>} { status: 'ok' | 'flagged' | 'rejected', reasons, metrics, checkedAt }
+ */
+export async function checkTileQuality(tileCode, buffer, { reasons = [], fillColors } = {}) {
+    const { width, height } = await sharp(buffer).metadata();
+    const decalHeight = height - OUTPUT_CONFIG.labelHeight;
+    let analysis = { reasons: [], metrics: { blocks: 0 } };
+
+    if (decalHeight > 0) {
+        const scale = Math.min(1, ANALYSIS_WIDTH / width);
+        const analysisWidth = Math.max(1, Math.round(width * scale));
+        const analysisHeight = Math.max(1, Math.round(decalHeight * scale));
+
+        // Nearest-neighbour keeps flat fills exact; the decal is analysed without its label
+        const { data, info } = await sharp(buffer)
+            .extract({ left: 0, top: 0, width, height: decalHeight })
+            .resize(analysisWidth, analysisHeight, { kernel: 'nearest', fit: 'fill' })
+            .removeAlpha()
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+
+        const coordinates = tileCoordinates(tileCode);
+        const rotation = calculateRotation(findEWEdge(coordinates), isInvertedTile(tileCode));
+        const triangle = decalTriangle(tileCode, width, decalHeight).map(p => ({
+            x: p.x * info.width / width,
+            y: p.y * info.height / decalHeight
+        }));
+
+        analysis = analyzeImageQuality(
+            { data, width: info.width, height: info.height, channels: info.channels },
+            { triangle, rotation, fillColors }
+        );
+    }
+
+    const { status, reasons: merged } = qualityVerdict([...analysis.reasons, ...reasons], QUALITY_REJECT);
+    return { status, reasons: merged, metrics: analysis.metrics, checkedAt: new Date().toISOString() };
+}
+
+/**
+ * Reasons reported with an upload (multipart field "quality", JSON [{ code, detail }]);
+ * unknown codes are dropped
+ * @returns {Array} [{ code, detail }]
+ */
+export function parseReportedReasons(field) {
+    if (!field) {
+        return [];
+    }
+    let reported;
+    try {
+        reported = JSON.parse(field);
+    } catch {
+        return [];
+    }
+    return (Array.isArray(reported) ? reported : [])
+        .filter(reason => reason && QUALITY_REASONS[reason.code])
+        .map(reason => ({ code: reason.code, detail: String(reason.detail || '').slice(0, 200) }));
+}
+
+// One-line summary for logs and error messages: "missing-imagery (7% empty map background), seam"
+export function describeQuality(quality) {
+    return quality.reasons.map(r => r.detail ? `${r.code} (${r.detail})` : r.code).join(', ');
+}
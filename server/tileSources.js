@@ -0,0 +1,171 @@
+// tileSources.js - Pluggable XYZ imagery tile sources for the server-side renderer and imagery proxy
+// A tile source is { name, tileSize, maxZoom, getTile(z, x, y) } where getTile
+// resolves to an encoded image Buffer, or null when the tile does not exist.
+// Sources are built from the provider registry in imageryProviders.js.
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import Database from 'better-sqlite3';
+
+// Fetch tiles over HTTP from a {z}/{x}/{y} URL template
+export function createHttpTileSource(urlTemplate, options = {}) {
+    const {
+        name = 'http',
+        tileSize = 256,
+        maxZoom = 19,
+        timeout = 15000,
+        retries = 2
+    } = options;
+
+    return {
+        name,
+        tileSize,
+        maxZoom,
+        async getTile(z, x, y) {
+            const url = urlTemplate
+                .replace('{z}', z)
+                .replace('{x}', x)
+                .replace('{y}', y);
+
+            for (let attempt = 0; attempt <= retries; attempt++) {
+                try {
+                    const response = await fetch(url, { signal: AbortSignal.timeout(timeout) });
+
+                    if (response.status === 404) {
+                        return null;
+                    }
+
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+
+                    return Buffer.from(await response.arrayBuffer());
+                } catch (error) {
+                    if (attempt === retries) {
+                        throw new Error(`Failed to fetch tile ${z}/${x}/${y}: ${error.message}`);
+                    }
+                }
+            }
+        }
+    };
+}
+
+// Read tiles from a local directory laid out as <dir>/<z>/<x>/<y>.png (or .jpg, .webp)
+export function createDirectoryTileSource(rootDir, options = {}) {
+    const {
+        name = 'directory',
+        tileSize = 256,
+        maxZoom = 19,
+        extensions = ['.png', '.jpg', '.jpeg', '.webp']
+    } = options;
+
+    return {
+        name,
+        tileSize,
+        maxZoom,
+        async getTile(z, x, y) {
+            for (const ext of extensions) {
+                try {
+                    return await fs.readFile(path.join(rootDir, `${z}`, `${x}`, `${y}${ext}`));
+                } catch (error) {
+                    if (error.code !== 'ENOENT') {
+                        throw error;
+                    }
+                }
+            }
+            return null;
+        }
+    };
+}
+
+// Read tiles from an MBTiles file (SQLite, rows in TMS order: y counts up from the south)
+// maxZoom defaults to the file's own metadata
+export function createMbtilesTileSource(filePath, options = {}) {
+    const db = new Database(filePath, { readonly: true, fileMustExist: true });
+    const metadata = Object.fromEntries(
+        db.prepare('SELECT name, value FROM metadata').all().map(row => [row.name, row.value])
+    );
+    const selectTile = db.prepare(
+        'SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?'
+    );
+
+    const {
+        name = 'mbtiles',
+        tileSize = 256,
+        maxZoom = parseInt(metadata.maxzoom, 10) || 19
+    } = options;
+
+    return {
+        name,
+        tileSize,
+        maxZoom,
+        async getTile(z, x, y) {
+            const row = selectTile.get(z, x, Math.pow(2, z) - 1 - y);
+            return row ? row.tile_data : null;
+        }
+    };
+}
+
+// File extension for an encoded tile, from its magic bytes
+export function tileImageType(buffer) {
+    if (buffer[0] === 0x89 && buffer[1] === 0x50) {
+        return { extension: '.png', contentType: 'image/png' };
+    }
+    if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+        return { extension: '.jpg', contentType: 'image/jpeg' };
+    }
+    if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+        return { extension: '.webp', contentType: 'image/webp' };
+    }
+    return { extension: '.bin', contentType: 'application/octet-stream' };
+}
+
+// Serve a (remote) source through a tile cache (see imageryCache.js). Concurrent requests
+// for the same tile, e.g. a prefetch and a browser map, share one upstream fetch.
+export function createCachedTileSource(source, cache, cacheName = source.name) {
+    const pending = new Map();
+
+    return {
+        ...source,
+        async getTile(z, x, y) {
+            const cached = await cache.get(cacheName, z, x, y);
+            if (cached) {
+                return cached;
+            }
+
+            const key = `${z}/${x}/${y}`;
+            if (!pending.has(key)) {
+                pending.set(key, (async () => {
+                    try {
+                        const buffer = await source.getTile(z, x, y);
+                        if (buffer) {
+                            await cache.put(cacheName, z, x, y, buffer);
+                        }
+                        return buffer;
+                    } finally {
+                        pending.delete(key);
+                    }
+                })());
+            }
+            return pending.get(key);
+        }
+    };
+}
+
+// Treat a provider's known placeholder images ("Map data not yet available" and the like,
+// listed by SHA-256 in imagery.json) as missing tiles, so they are never cached, served
+// or rendered into a decal
+export function createPlaceholderFilter(source, placeholderHashes) {
+    const placeholders = new Set(placeholderHashes.map(hash => hash.toLowerCase()));
+
+    return {
+        ...source,
+        async getTile(z, x, y) {
+            const buffer = await source.getTile(z, x, y);
+            if (buffer && placeholders.has(crypto.createHash('sha256').update(buffer).digest('hex'))) {
+                return null;
+            }
+            return buffer;
+        }
+    };
+}
@@ -0,0 +1,337 @@
+// tileStore.js - Storing tile images and their records
+// A stored tile is three things kept in step: its file, uploads/<sector>/<tile>.png; its record
+// in storage (hash, size, quality, versions, history); and its entry in the sector's tile list.
+// Everything that stores, rolls back or repairs a tile goes through here (uploads, renders,
+// imports, fsck), so they all leave the same state behind.
+import crypto from 'crypto';
+import { existsSync } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import storage, { UPLOADS_DIR } from './storage.js';
+import { sectorOf, sectorTileCodes, sectorTileCount } from './tileGeometry.js';
+import { checkTileQuality, describeQuality } from './tileQuality.js';
+import {
+    VERSION_RETENTION,
+    expiredVersions,
+    findVersion,
+    removeVersionFiles,
+    restoreTileVersion,
+    saveTileVersion,
+    withCurrentVersion
+} from './tileVersions.js';
+import {
+    commitStagedUpload,
+    readCommitMarkers,
+    removeCommitMarker,
+    verifyStagedUpload,
+    writeCommitMarker
+} from './uploadStaging.js';
+import { UPLOAD_VALIDATION, describeValidation, quarantineUpload, validateTileImage } from './uploadValidation.js';
+
+export { UPLOADS_DIR }; // UPLOAD_DIR, set in storage.js
+export const STAGING_DIR = path.join(UPLOADS_DIR, '.staging'); // Uploads being received (uploadStaging.js)
+export const QUARANTINE_DIR = path.join(UPLOADS_DIR, '.quarantine'); // Failed validation (uploadValidation.js)
+
+export function calculateFileHash(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// Where a tile's current image is kept: uploads/<sector>/<tile>.png
+export function tileFilePath(tileCode) {
+    return path.join(UPLOADS_DIR, sectorOf(tileCode), `${tileCode}.png`).replace(/\\/g, '/');
+}
+
+/**
+ * Get a sector's record, creating an empty one for a sector seen for the first time
+ * @returns {Object} The sector
+ */
+export function ensureSector(sectorCode) {
+    let sector = storage.getSector(sectorCode);
+    if (!sector) {
+        sector = {
+            sectorCode,
+            totalTiles: sectorTileCount(sectorCode),
+            uploadedTiles: 0,
+            missingTiles: sectorTileCodes(sectorCode),
+            tiles: [],
+            status: 'incomplete',
+            createdAt: new Date().toISOString(),
+            lastUpdatedAt: new Date().toISOString()
+        };
+        storage.createSector(sector);
+    }
+    return sector;
+}
+
+/**
+ * Store tile metadata (sector-based, no usedBySessions) with `version` as its current
+ * version, and add it to its sector. Shared by uploads, the server-side renderer, rollbacks
+ * and repairs
+ * @returns {Object} The updated sector
+ */
+export function registerTile(tileCode, sectorCode, filePath, version, source) {
+    const { hash, sizeBytes, quality, createdAt } = version;
+
+    // Tile and sector records are written together, so a crash cannot leave one without the other
+    return storage.transaction(() => {
+        const existing = storage.getTile(tileCode);
+        const tileData = {
+            tileCode,
+            sectorCode,
+            hash,
+            filePath,
+            createdAt,
+            sizeBytes,
+            quality,
+            current: hash,
+            ...withCurrentVersion(existing, version, source),
+            // Derived variants record the hash they were made from, so they stay valid across rollbacks
+            variants: existing?.variants
+        };
+
+        storage.setTile(tileCode, tileData);
+
+        // Add tile to sector
+        ensureSector(sectorCode);
+        storage.addTileToSector(sectorCode, tileCode);
+        const sector = storage.getSector(sectorCode); // Refresh
+
+        // Update sector missing tiles
+        const allTiles = sectorTileCodes(sectorCode);
+        sector.missingTiles = allTiles.filter(code => !sector.tiles.includes(code));
+
+        // Tiles stored with quality problems, listed on the dashboard for regeneration
+        sector.flaggedTiles = (sector.flaggedTiles || []).filter(code => code !== tileCode);
+        if (quality && quality.status === 'flagged') {
+            sector.flaggedTiles.push(tileCode);
+        }
+        storage.updateSector(sectorCode, sector);
+
+        return sector;
+    });
+}
+
+/**
+ * Store a checked tile image from staging: keep it as a version, move it into place as the
+ * tile's file and make it current, then apply the retention policy. The move and the record
+ * are bracketed by a commit marker, so a crash between them is finished at startup
+ * (recoverTileCommits)
+ * @returns {Promise<Object>} The updated sector
+ */
+export async function storeTileVersion(tileCode, sectorCode, stagedPath, buffer, quality, source) {
+    const version = await saveTileVersion(tileCode, stagedPath, {
+        hash: calculateFileHash(buffer),
+        sizeBytes: buffer.length,
+        quality,
+        source
+    });
+    const finalPath = path.join(UPLOADS_DIR, sectorCode, `${tileCode}.png`);
+    const marker = await writeCommitMarker(stagedPath, { tileCode, sectorCode, filePath: finalPath, version, source });
+    const filePath = await commitStagedUpload(stagedPath, finalPath);
+    const sector = registerTile(tileCode, sectorCode, filePath, version, source);
+    await removeCommitMarker(marker);
+    await pruneTileVersions(tileCode);
+    return sector;
+}
+
+/**
+ * Finish tiles whose storing was interrupted (a commit marker is still in staging): the
+ * version kept before the move is copied into place and registered, whether or not the
+ * move had happened. Runs at startup, before staging is cleared
+ * @returns {Promise<number>} Tiles finished
+ */
+export async function recoverTileCommits() {
+    await storage.ready;
+    let recovered = 0;
+    for (const { markerPath, intent } of await readCommitMarkers(STAGING_DIR)) {
+        const { tileCode, sectorCode, filePath, version, source } = intent;
+        if (!existsSync(version.filePath)) {
+            console.warn(`⚠️ Cannot finish storing ${tileCode}: version ${version.hash.slice(0, 12)} is missing`);
+        } else if (storage.getTile(tileCode)?.current !== version.hash) {
+            await restoreTileVersion(version, filePath);
+            registerTile(tileCode, sectorCode, filePath.replace(/\\/g, '/'), version, source);
+            recovered++;
+        }
+        await removeCommitMarker(markerPath);
+    }
+    if (recovered > 0) {
+        console.log(`🔁 Finished storing ${recovered} tile(s) interrupted by the last run`);
+    }
+    return recovered;
+}
+
+/**
+ * Check a staged tile image the way every upload is checked, then store it: it must have
+ * arrived whole (checksum, full PNG decode), match the tile's size and DPI (failures are
+ * quarantined, rejected or let through as UPLOAD_VALIDATION says) and pass the quality gate
+ * @param {string} stagedPath - The image in the staging directory (moved away when stored)
+ * @param {Object} [options] - { checksum: SHA-256 the sender computed, reportedReasons: quality
+ *   reasons reported with it, source: 'upload' | 'import', skipUnchanged: store nothing when the
+ *   image is the tile's current one }
+ * @returns {Promise<Object>} { sector, quality, previous (the replaced record, or null) },
+ *   { unchanged: true }, or { error, status, validation?, quarantined?, quality? }
+ */
+export async function ingestTileImage(tileCode, sectorCode, stagedPath, options = {}) {
+    const { checksum, reportedReasons = [], source = 'upload', skipUnchanged = false } = options;
+
+    // Still in staging: check it arrived whole before anything else
+    const staged = await verifyStagedUpload(stagedPath, checksum);
+    if (staged.error) {
+        console.warn(`🚫 Bad ${source}: ${tileCode} - ${staged.error}`);
+        return { error: staged.error, status: staged.status };
+    }
+
+    // Size and DPI for this tile's geometry; a missing density is written into the file
+    const validation = await validateTileImage(tileCode, staged.buffer);
+    if (validation.status === 'failed') {
+        const detail = describeValidation(validation);
+        if (UPLOAD_VALIDATION.mode === 'warn') {
+            console.warn(`⚠️ Storing ${source} that failed validation: ${tileCode} - ${detail}`);
+        } else {
+            const quarantine = UPLOAD_VALIDATION.mode === 'quarantine'
+                ? await quarantineUpload(QUARANTINE_DIR, stagedPath, { tileCode, sectorCode, validation })
+                : null;
+            console.warn(`🚫 ${quarantine ? 'Quarantined' : 'Rejected'} ${source}: ${tileCode} - ${detail}`);
+            return {
+                error: `Tile ${tileCode} failed validation: ${detail}`,
+                status: 422,
+                validation: { reasons: validation.reasons, image: validation.image, expected: validation.expected },
+                quarantined: quarantine ? quarantine.id : null
+            };
+        }
+    }
+    const buffer = validation.buffer;
+    // A tile stored before version history (not adopted yet at startup) keeps its image as a
+    // version before it is replaced
+    const existingTile = storage.getTile(tileCode);
+    const previous = existingTile && (await adoptTileFile(existingTile) || existingTile);
+    if (skipUnchanged && previous && previous.hash === calculateFileHash(buffer)) {
+        return { unchanged: true };
+    }
+    if (validation.fixes.length > 0) {
+        await fs.writeFile(stagedPath, buffer);
+    }
+
+    // Quality gate, before the tile is registered
+    const quality = await checkTileQuality(tileCode, buffer, { reasons: reportedReasons });
+    if (quality.status === 'rejected') {
+        console.warn(`🚫 Rejected ${source}: ${tileCode} - ${describeQuality(quality)}`);
+        return {
+            error: `Tile ${tileCode} rejected by the quality gate: ${describeQuality(quality)}`,
+            status: 422,
+            quality
+        };
+    }
+
+    // Keep the image as a version, move it into place, store tile metadata and update its sector
+    const sector = await storeTileVersion(tileCode, sectorCode, stagedPath, buffer, quality, source);
+
+    // Replacing a tile keeps the previous image as a version; a file under another name
+    // (legacy flat uploads) is no longer the tile's file
+    if (previous) {
+        if (previous.filePath && previous.filePath !== storage.getTile(tileCode).filePath) {
+            await fs.rm(previous.filePath, { force: true });
+        }
+        console.log(`🔁 Replaced tile: ${tileCode} (previous image kept as a version)`);
+    }
+    if (quality.status === 'flagged') {
+        console.warn(`⚠️ Flagged: ${tileCode} - ${describeQuality(quality)}`);
+    }
+    return { sector, quality, previous: previous || null };
+}
+
+/**
+ * Remove one version of a tile (not the current one), e.g. the image an import replaced
+ * @returns {Promise<boolean>} Whether a version was removed
+ */
+export async function dropTileVersion(tileCode, hash) {
+    const tile = storage.getTile(tileCode);
+    const version = tile?.versions?.find(v => v.hash === hash);
+    if (!version || hash === tile.current) {
+        return false;
+    }
+    storage.setTile(tileCode, { ...tile, versions: tile.versions.filter(v => v.hash !== hash) });
+    await removeVersionFiles([version]);
+    return true;
+}
+
+// Remove the versions of a tile that the retention policy no longer keeps
+export async function pruneTileVersions(tileCode, retention = VERSION_RETENTION) {
+    const tile = storage.getTile(tileCode);
+    const expired = tile ? expiredVersions(tile, retention) : [];
+    if (expired.length > 0) {
+        const removed = new Set(expired.map(v => v.hash));
+        storage.setTile(tileCode, { ...tile, versions: tile.versions.filter(v => !removed.has(v.hash)) });
+        await removeVersionFiles(expired);
+    }
+    return expired;
+}
+
+/**
+ * Make an earlier version of a tile current again: its file is copied back over the
+ * tile's file in uploads/ and the tile's metadata (quality, size) follows it
+ * @returns {Promise<Object>} { version, changed } or { error, status }
+ */
+export async function rollbackTile(tileCode, target) {
+    const tile = storage.getTile(tileCode);
+    if (!tile) {
+        return { error: `Tile ${tileCode} not found`, status: 404 };
+    }
+    const { version, error, status } = findVersion(tile, target);
+    if (error) {
+        return { error, status };
+    }
+    if (version.hash === tile.current) {
+        return { version, changed: false };
+    }
+
+    await restoreTileVersion(version, tile.filePath);
+    registerTile(tileCode, tile.sectorCode, tile.filePath, version, 'rollback');
+    console.log(`⏪ Rolled back ${tileCode} to ${version.hash.slice(0, 12)} (${version.createdAt})`);
+    return { version, changed: true };
+}
+
+/**
+ * Keep the file of a tile stored before version history existed as its first version
+ * @returns {Promise<Object|null>} The updated record, or null when there is nothing to keep
+ */
+export async function adoptTileFile(tile) {
+    if (tile.versions || !tile.filePath || !existsSync(tile.filePath)) {
+        return null;
+    }
+    const buffer = await fs.readFile(tile.filePath);
+    const version = await saveTileVersion(tile.tileCode, tile.filePath, {
+        hash: calculateFileHash(buffer),
+        sizeBytes: buffer.length,
+        quality: tile.quality || null,
+        source: 'legacy'
+    });
+    version.createdAt = tile.createdAt || version.createdAt;
+    const adopted = {
+        ...tile,
+        hash: version.hash,
+        sizeBytes: version.sizeBytes,
+        current: version.hash,
+        ...withCurrentVersion(tile, version, 'legacy')
+    };
+    storage.setTile(tile.tileCode, adopted);
+    return adopted;
+}
+
+// Tiles stored before version history existed get their current file as a first version
+export async function adoptUnversionedTiles() {
+    await storage.ready;
+    let adopted = 0;
+    for (const tile of storage.getAllTiles()) {
+        try {
+            if (await adoptTileFile(tile)) {
+                adopted++;
+            }
+        } catch (err) {
+            console.warn(`⚠️ Could not keep ${tile.tileCode} as a version: ${err.message}`);
+        }
+    }
+    if (adopted > 0) {
+        console.log(`🗂️ Kept ${adopted} existing tiles as their first version`);
+    }
+}
@@ -0,0 +1,165 @@
+// tileVersions.js - Immutable version history of stored tiles
+// Every image stored for a tile is kept as versions/<sector>/<tile>/<sha256>.png, so storing
+// the same image twice shares one file. The tile's record lists its versions, points at the
+// current one (`current`, the same hash as `hash`) and logs every change of that pointer
+// (`history`). uploads/<sector>/<tile>.png stays a copy of the current version, so exports,
+// disk sync and the browser read tiles as before; a rollback copies an older version over it.
+// Versions are only removed by the retention policy, and never the current one.
+import { existsSync } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { sectorOf } from './tileGeometry.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+// Relative to this directory, like the storage files
+export const VERSIONS_DIR = path.resolve(__dirname, process.env.TILE_VERSIONS_DIR || 'versions');
+
+// Retention: the newest `keep` versions of a tile (counting the current one) are kept;
+// older ones, and any older than maxAgeDays (0: no age limit), are pruned
+export const VERSION_RETENTION = {
+    keep: Math.max(1, parseInt(process.env.TILE_VERSIONS_KEEP || '5', 10)),
+    maxAgeDays: parseInt(process.env.TILE_VERSIONS_MAX_AGE_DAYS || '0', 10)
+};
+
+const HISTORY_LIMIT = 100; // Pointer changes kept per tile
+
+// Metadata compared by diffVersions()
+const DIFF_FIELDS = ['sizeBytes', 'source', 'createdAt', 'quality.status', 'quality.reasons'];
+
+export function versionPath(tileCode, hash) {
+    return path.join(VERSIONS_DIR, sectorOf(tileCode), tileCode, `${hash}.png`).replace(/\\/g, '/');
+}
+
+/**
+ * Keep a tile image as an immutable version (copied next to the others unless a version
+ * with the same contents exists already)
+ * @param {string} tileCode
+ * @param {string} sourcePath - The stored image, e.g. uploads/<sector>/<tile>.png
+ * @param {Object} meta - { hash, sizeBytes, quality, source: 'upload' | 'render' | 'legacy' }
+ * @returns {Promise<Object>} Version { hash, filePath, sizeBytes, quality, source, createdAt }
+ */
+export async function saveTileVersion(tileCode, sourcePath, { hash, sizeBytes, quality = null, source }) {
+    const filePath = versionPath(tileCode, hash);
+    if (!existsSync(filePath)) {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        const tempPath = `${filePath}.tmp`;
+        await fs.copyFile(sourcePath, tempPath);
+        await fs.rename(tempPath, filePath);
+    }
+    return { hash, filePath, sizeBytes, quality, source, createdAt: new Date().toISOString() };
+}
+
+/**
+ * Version list and history of a tile record after making `version` current
+ * A version with the same hash keeps its entry (and original createdAt)
+ * @returns {Object} { versions, history }
+ */
+export function withCurrentVersion(tile, version, source) {
+    const versions = [...(tile?.versions || [])];
+    if (!versions.some(v => v.hash === version.hash)) {
+        versions.push(version);
+    }
+    const history = [...(tile?.history || []), { hash: version.hash, at: new Date().toISOString(), source }]
+        .slice(-HISTORY_LIMIT);
+    return { versions, history };
+}
+
+/**
+ * Find the version to roll back to: by hash (a unique prefix will do), or the version that was
+ * current at a point in time (from the history)
+ * @param {Object} tile - Stored tile record
+ * @param {Object} target - { hash } or { at } (anything Date accepts)
+ * @returns {Object} { version } or { error, status } - status 400 or 404
+ */
+export function findVersion(tile, { hash, at }) {
+    const versions = tile.versions || [];
+
+    if (hash) {
+        const matches = versions.filter(v => v.hash.startsWith(hash));
+        if (matches.length !== 1) {
+            return {
+                error: matches.length ? `Version "${hash}" is ambiguous` : `Tile ${tile.tileCode} has no version "${hash}"`,
+                status: matches.length ? 400 : 404
+            };
+        }
+        return { version: matches[0] };
+    }
+
+    const time = Date.parse(at);
+    if (Number.isNaN(time)) {
+        return { error: 'Either hash or a valid "at" timestamp is required', status: 400 };
+    }
+    const entry = (tile.history || []).filter(e => Date.parse(e.at) <= time).pop();
+    if (!entry) {
+        return { error: `Tile ${tile.tileCode} has no version from ${new Date(time).toISOString()}`, status: 404 };
+    }
+    const version = versions.find(v => v.hash === entry.hash);
+    if (!version) {
+        return { error: `Version ${entry.hash.slice(0, 12)} of tile ${tile.tileCode} has been pruned`, status: 404 };
+    }
+    return { version };
+}
+
+/**
+ * Copy a version over the tile's current file (through a temporary file, so readers never
+ * see half a PNG)
+ */
+export async function restoreTileVersion(version, filePath) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.restore`;
+    await fs.copyFile(version.filePath, tempPath);
+    await fs.rename(tempPath, filePath);
+}
+
+function fieldValue(version, field) {
+    return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), version);
+}
+
+/**
+ * Metadata differences between two versions
+ * @returns {Object} field → { from, to }, for the fields that differ
+ */
+export function diffVersions(from, to) {
+    const changes = {};
+    for (const field of DIFF_FIELDS) {
+        const a = fieldValue(from, field) ?? null;
+        const b = fieldValue(to, field) ?? null;
+        if (JSON.stringify(a) !== JSON.stringify(b)) {
+            changes[field] = { from: a, to: b };
+        }
+    }
+    return changes;
+}
+
+/**
+ * Versions of a tile that the retention policy removes
+ * @param {Object} tile - Stored tile record
+ * @param {Object} retention - { keep, maxAgeDays }
+ * @returns {Array} Versions to remove (never the current one)
+ */
+export function expiredVersions(tile, retention = VERSION_RETENTION, now = Date.now()) {
+    const maxAgeMs = retention.maxAgeDays > 0 ? retention.maxAgeDays * 24 * 60 * 60 * 1000 : Infinity;
+    const newestFirst = [...(tile.versions || [])]
+        .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+
+    // The current version is always kept and counts towards `keep`
+    let kept = 1;
+    return newestFirst.filter(version => {
+        if (version.hash === tile.current) {
+            return false;
+        }
+        if (kept < retention.keep && now - Date.parse(version.createdAt) <= maxAgeMs) {
+            kept++;
+            return false;
+        }
+        return true;
+    });
+}
+
+// Delete the files of pruned versions
+export async function removeVersionFiles(versions) {
+    for (const version of versions) {
+        await fs.rm(version.filePath, { force: true });
+    }
+}
@@ -0,0 +1,111 @@
+// uploadStaging.js - Uploads are received into a staging directory and only moved into
+// uploads/ once they are complete and checked: the SHA-256 matches the one the client sent
+// (X-Content-SHA256 header, optional) and the file decodes as a whole PNG. The move is a
+// rename within the same filesystem, so a stored tile file is always either the old image or
+// the new one, never half of either. Storing a tile writes a commit marker next to the staged
+// file first, and removes it once the file and the tile's record are both in place; a marker
+// found at startup is rolled forward (tileStore.js). Anything else a crash leaves in staging is
+// removed at startup.
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+
+export const CHECKSUM_HEADER = 'x-content-sha256';
+
+/**
+ * Create the staging directory and remove files left by interrupted uploads
+ * @returns {Promise<number>} Number of leftover files removed
+ */
+export async function prepareStaging(stagingDir) {
+    await fs.mkdir(stagingDir, { recursive: true });
+    const leftovers = await fs.readdir(stagingDir);
+    for (const file of leftovers) {
+        await fs.rm(path.join(stagingDir, file), { recursive: true, force: true });
+    }
+    return leftovers.length;
+}
+
+// Unique name for a file being staged
+export function stagingName(extension = '.png') {
+    return `${Date.now()}_${crypto.randomBytes(4).toString('hex')}${extension}`;
+}
+
+/**
+ * Check a staged upload before it is stored
+ * @param {string} stagedPath - File written by multer
+ * @param {string} [checksum] - SHA-256 (hex) the client computed, if it sent one
+ * @returns {Promise<Object>} { buffer, hash } or { error, status }
+ */
+export async function verifyStagedUpload(stagedPath, checksum) {
+    const buffer = await fs.readFile(stagedPath);
+    const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+
+    if (checksum && checksum.trim().toLowerCase() !== hash) {
+        return { error: `Checksum mismatch: received ${hash}, expected ${checksum.trim().toLowerCase()}`, status: 400 };
+    }
+
+    // A full decode: a truncated PNG still has a readable header
+    try {
+        const { format } = await sharp(buffer).metadata();
+        if (format !== 'png') {
+            return { error: `Not a PNG image (${format})`, status: 400 };
+        }
+        await sharp(buffer, { failOn: 'truncated' }).stats();
+    } catch (err) {
+        return { error: `Image does not decode: ${err.message}`, status: 400 };
+    }
+
+    return { buffer, hash };
+}
+
+/**
+ * Move a checked upload to its place in uploads/ (atomic: same filesystem)
+ * @returns {Promise<string>} The final path, with forward slashes
+ */
+export async function commitStagedUpload(stagedPath, finalPath) {
+    await fs.mkdir(path.dirname(finalPath), { recursive: true });
+    await fs.rename(stagedPath, finalPath);
+    return finalPath.replace(/\\/g, '/');
+}
+
+const COMMIT_MARKER = '.commit';
+
+/**
+ * Record what storing a staged file is about to change, before anything is moved
+ * @param {Object} intent - Everything needed to finish the change after a crash
+ * @returns {Promise<string>} The marker's path
+ */
+export async function writeCommitMarker(stagedPath, intent) {
+    const markerPath = `${stagedPath}${COMMIT_MARKER}`;
+    await fs.writeFile(markerPath, JSON.stringify(intent), 'utf8');
+    return markerPath;
+}
+
+export async function removeCommitMarker(markerPath) {
+    await fs.rm(markerPath, { force: true });
+}
+
+/**
+ * Commit markers left by an interrupted run. A marker that does not parse was cut off while
+ * being written, before anything was moved, and is left to prepareStaging()
+ * @returns {Promise<Array>} [{ markerPath, intent }]
+ */
+export async function readCommitMarkers(stagingDir) {
+    const markers = [];
+    let files = [];
+    try {
+        files = await fs.readdir(stagingDir);
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+    }
+    for (const file of files.filter(name => name.endsWith(COMMIT_MARKER))) {
+        const markerPath = path.join(stagingDir, file);
+        try {
+            markers.push({ markerPath, intent: JSON.parse(await fs.readFile(markerPath, 'utf8')) });
+        } catch {
+            // Not written whole
+        }
+    }
+    return markers;
+}
@@ -0,0 +1,216 @@
+// uploadValidation.js - Geometry and resolution checks for uploaded tile images
+// The expected size of a tile's decal comes from its triangle (decalSize() in tileGeometry.js):
+// the bounding box at 1:100,000 with the E-W edge at OUTPUT_CONFIG.calculatePixels(), plus the
+// label strip. Uploads must match it within UPLOAD_SIZE_TOLERANCE, or be that size grown
+// evenly by a bleed of up to UPLOAD_MAX_BLEED_MM. The PNG's pHYs chunk must say 300 DPI; a file
+// without one gets it added (browser canvases never write it), any other density fails.
+// Failed uploads are kept in uploads/.quarantine/ with their reasons for someone to look at
+// (UPLOAD_VALIDATION=quarantine, the default), rejected (reject) or stored anyway (warn).
+import fs from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+import { OUTPUT_CONFIG, decalSize } from './tileGeometry.js';
+
+export const VALIDATION_MODES = ['quarantine', 'reject', 'warn'];
+
+export const UPLOAD_VALIDATION = {
+    mode: process.env.UPLOAD_VALIDATION || 'quarantine',
+    tolerance: parseFloat(process.env.UPLOAD_SIZE_TOLERANCE || '2') / 100,
+    maxBleedMm: parseFloat(process.env.UPLOAD_MAX_BLEED_MM || '5')
+};
+
+if (!VALIDATION_MODES.includes(UPLOAD_VALIDATION.mode)) {
+    throw new Error(`UPLOAD_VALIDATION must be one of: ${VALIDATION_MODES.join(', ')} (got "${UPLOAD_VALIDATION.mode}")`);
+}
+
+const DPI_TOLERANCE = 0.5; // pHYs stores pixels per metre, so 300 DPI reads back as 299.9994
+
+// ==================== PNG DENSITY ====================
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Walk a PNG's chunks after the signature: { type, offset, end } (offset of the length field)
+function* pngChunks(png) {
+    for (let offset = 8; offset + 12 <= png.length;) {
+        const end = offset + 12 + png.readUInt32BE(offset);
+        yield { type: png.toString('latin1', offset + 4, offset + 8), offset, end };
+        offset = end;
+    }
+}
+
+/**
+ * A PNG's density from its pHYs chunk (sharp reports 72 DPI for files without one)
+ * @returns {number|null} Pixels per inch, or null without a pHYs chunk in metres
+ */
+export function readPngDensity(png) {
+    for (const { type, offset } of pngChunks(png)) {
+        if (type === 'pHYs') {
+            return png.readUInt8(offset + 16) === 1 ? png.readUInt32BE(offset + 8) * 0.0254 : null;
+        }
+        if (type === 'IDAT') {
+            return null; // pHYs must come before the image data
+        }
+    }
+    return null;
+}
+
+/**
+ * Set a PNG's density by writing its pHYs chunk directly (after IHDR, replacing any other),
+ * so the image data is not re-encoded
+ * @returns {Buffer} The PNG with the new chunk
+ */
+export function setPngDensity(png, dpi) {
+    const pixelsPerMetre = Math.round(dpi / 0.0254);
+    const body = Buffer.alloc(13);
+    body.write('pHYs', 0, 'latin1');
+    body.writeUInt32BE(pixelsPerMetre, 4);
+    body.writeUInt32BE(pixelsPerMetre, 8);
+    body.writeUInt8(1, 12); // Unit: metre
+    const chunk = Buffer.alloc(21);
+    chunk.writeUInt32BE(9, 0);
+    body.copy(chunk, 4);
+    chunk.writeUInt32BE(crc32(body), 17);
+
+    // Signature (8 bytes) and IHDR (25 bytes) come first in every PNG
+    const parts = [png.subarray(0, 33), chunk];
+    for (const { type, offset, end } of pngChunks(png)) {
+        if (type !== 'IHDR' && type !== 'pHYs') {
+            parts.push(png.subarray(offset, end));
+        }
+    }
+    return Buffer.concat(parts);
+}
+
+// ==================== VALIDATION ====================
+
+/**
+ * Check an uploaded tile image against its tile's geometry and the output DPI
+ * @param {string} tileCode - Tile the image is uploaded as
+ * @param {Buffer} buffer - The PNG as received
+ * @returns {Promise<Object>} { status: 'ok' | 'failed', reasons: [{ code, detail, expected, actual }],
+ *   fixes: ['density'], buffer (with any fixes applied), image: { width, height, density }, expected }
+ */
+export async function validateTileImage(tileCode, buffer) {
+    const { width, height } = await sharp(buffer).metadata();
+    const density = readPngDensity(buffer);
+    const image = { width, height, density: density === null ? null : Math.round(density * 100) / 100 };
+    const reasons = [];
+    const fixes = [];
+
+    // Expected size; a bleed grows the decal evenly (about the triangle's incenter)
+    const size = decalSize(tileCode);
+    const expected = { width: Math.round(size.width), height: Math.round(size.height) };
+    if (Number.isFinite(size.width) && Number.isFinite(size.height)) {
+        const { tolerance, maxBleedMm } = UPLOAD_VALIDATION;
+        const widthScale = width / size.width;
+        const heightScale = (height - OUTPUT_CONFIG.labelHeight) / size.decalHeight;
+        const maxScale = 1 + (maxBleedMm / 25.4 * OUTPUT_CONFIG.dpi) / size.inradius;
+
+        if (widthScale < 1 - tolerance || widthScale > maxScale + tolerance ||
+            Math.abs(widthScale - heightScale) > tolerance) {
+            reasons.push({
+                code: 'dimensions',
+                detail: `${width}×${height}px, expected ${expected.width}×${expected.height}px ` +
+                    `(±${(tolerance * 100).toFixed(1)}%, or larger by a bleed up to ${maxBleedMm} mm)`,
+                expected,
+                actual: { width, height }
+            });
+        }
+    }
+
+    // Resolution: missing is fixed, anything other than the output DPI fails
+    if (density === null) {
+        buffer = setPngDensity(buffer, OUTPUT_CONFIG.dpi);
+        fixes.push('density');
+    } else if (Math.abs(density - OUTPUT_CONFIG.dpi) > DPI_TOLERANCE) {
+        reasons.push({
+            code: 'dpi',
+            detail: `${Math.round(density)} DPI, expected ${OUTPUT_CONFIG.dpi} DPI`,
+            expected: OUTPUT_CONFIG.dpi,
+            actual: image.density
+        });
+    }
+
+    return { status: reasons.length ? 'failed' : 'ok', reasons, fixes, buffer, image, expected };
+}
+
+export function describeValidation(validation) {
+    return validation.reasons.map(reason => `${reason.code} (${reason.detail})`).join(', ');
+}
+
+// ==================== QUARANTINE ====================
+
+/**
+ * Keep a failed upload for review: <id>.png plus <id>.json with what was wrong
+ * @returns {Promise<Object>} The quarantine record
+ */
+export async function quarantineUpload(quarantineDir, stagedPath, { tileCode, sectorCode, validation }) {
+    await fs.mkdir(quarantineDir, { recursive: true });
+    const id = `${tileCode}_${Date.now()}`;
+    const record = {
+        id,
+        tileCode,
+        sectorCode,
+        reasons: validation.reasons,
+        image: validation.image,
+        expected: validation.expected,
+        quarantinedAt: new Date().toISOString()
+    };
+    await fs.rename(stagedPath, path.join(quarantineDir, `${id}.png`));
+    await fs.writeFile(path.join(quarantineDir, `${id}.json`), JSON.stringify(record, null, 2));
+    return record;
+}
+
+// Quarantined uploads, newest first
+export async function listQuarantine(quarantineDir) {
+    let files;
+    try {
+        files = await fs.readdir(quarantineDir);
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            return [];
+        }
+        throw err;
+    }
+
+    const records = [];
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+        try {
+            records.push(JSON.parse(await fs.readFile(path.join(quarantineDir, file), 'utf8')));
+        } catch (err) {
+            console.warn(`⚠️ Unreadable quarantine record ${file}: ${err.message}`);
+        }
+    }
+    return records.sort((a, b) => b.quarantinedAt.localeCompare(a.quarantinedAt));
+}
+
+// Path of a quarantined image, or null for an id that is not a quarantine entry
+export function quarantinedImagePath(quarantineDir, id) {
+    return /^[A-Za-z0-9]+_\d+$/.test(id) ? path.join(quarantineDir, `${id}.png`) : null;
+}
+
+export async function removeQuarantined(quarantineDir, id) {
+    const imagePath = quarantinedImagePath(quarantineDir, id);
+    if (!imagePath) {
+        return false;
+    }
+    const recordPath = path.join(quarantineDir, `${id}.json`);
+    const existed = await fs.access(recordPath).then(() => true, () => false);
+    await fs.rm(imagePath, { force: true });
+    await fs.rm(recordPath, { force: true });
+    return existed;
+}